@@ -13,7 +13,10 @@ import http from 'http';
 import Message from './models/Message.js';
 import Chat from './models/Chat.js';
 import User from './models/User.js';
+import BrokerDetail from './models/BrokerDetail.js';
 import { setIO } from './utils/socket.js';
+import { resolveAccessToken } from './services/session.service.js';
+import { isChatParticipant } from './services/chat.service.js';
 
 import { createBotReplyTask } from './services/scheduledTask.service.js';
 import { getBotStatus } from './services/user.service.js';
@@ -55,9 +58,29 @@ app.use(cors({
   optionsSuccessStatus: 200 // Some legacy browsers choke on 204
 }));
 
+// Same JWT/session checks as the `authenticate` middleware
 io.use(async (socket, next) => {
   try {
-    socket.user = { id: socket.handshake.auth.userId };
+    const token = socket.handshake.auth?.token ||
+      socket.handshake.headers?.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return next(new Error('Authentication error'));
+    }
+
+    const { user } = await resolveAccessToken(token);
+
+    // Chat participants are BrokerDetail ids (customers have one too)
+    const broker = await BrokerDetail.findOne({ userId: user._id }).select('_id').lean();
+    if (!broker) {
+      return next(new Error('Authentication error'));
+    }
+
+    socket.user = {
+      id: broker._id.toString(),
+      userId: user._id.toString(),
+      role: user.role
+    };
     next();
   } catch (err) {
     next(new Error('Authentication error'));
@@ -68,11 +91,27 @@ io.on('connection', (socket) => {
   const userId = socket.user.id;
   socket.join(`user_${userId}`); 
 
-  socket.on('open_chat', async ({ chatId }) => {
+  const rejectChat = (event, chatId) => {
+    socket.emit('chat_error', { event, chatId, message: 'You are not a participant of this chat' });
+  };
+
+  socket.on('open_chat', async ({ chatId } = {}) => {
+    if (!(await isChatParticipant(chatId, userId))) {
+      return rejectChat('open_chat', chatId);
+    }
     socket.join(`chat_${chatId}`);
   });
 
-  socket.on('send_message', async (data) => {
+  socket.on('send_message', async (data = {}) => {
+    // Both sender and recipient must belong to the chat
+    const [isSender, isRecipient] = await Promise.all([
+      isChatParticipant(data.chatId, userId),
+      isChatParticipant(data.chatId, data.to)
+    ]);
+    if (!isSender || !isRecipient || String(data.to) === userId) {
+      return rejectChat('send_message', data.chatId);
+    }
+
     const msg = await Message.create({
       chatId: data.chatId,
       from: userId,
@@ -94,7 +133,7 @@ io.on('connection', (socket) => {
     (async () => {
       try {
         const { createNotification } = await import('./utils/notifications.js');
-        const fromUser = await User.findById(userId).select('name');
+        const fromUser = await User.findById(socket.user.userId).select('name');
         await createNotification({
           userId: data.to,
           type: 'message',
@@ -109,7 +148,7 @@ io.on('connection', (socket) => {
           },
           activity: {
             action: 'sent',
-            actorId: userId,
+            actorId: socket.user.userId,
             actorName: fromUser?.name
           },
           metadata: {
@@ -137,13 +176,19 @@ io.on('connection', (socket) => {
     io.to(`chat_${data.chatId}`).emit('message', msg);
   });
 
-  socket.on('mark_read', async ({ chatId, messageIds }) => {
+  socket.on('mark_read', async ({ chatId, messageIds } = {}) => {
+    if (!(await isChatParticipant(chatId, userId))) {
+      return rejectChat('mark_read', chatId);
+    }
+
     await Message.updateMany({ _id: { $in: messageIds }, to: userId }, { status: 'read' });
     await Chat.findByIdAndUpdate(chatId, { $set: { [`unreadCounts.${userId}`]: 0 }});
     io.to(`chat_${chatId}`).emit('message_status', { messageIds, status: 'read', userId });
   });
 
-  socket.on('typing', ({ chatId, isTyping }) => {
+  socket.on('typing', ({ chatId, isTyping } = {}) => {
+    // Only sockets that passed the open_chat participant check
+    if (!socket.rooms.has(`chat_${chatId}`)) return;
     socket.to(`chat_${chatId}`).emit('typing', { userId, isTyping });
   });
 });
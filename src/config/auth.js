@@ -0,0 +1,36 @@
+// Auth mode configuration
+//
+// AUTH_TEST_MODE=true enables test mode (ignored when NODE_ENV=production).
+// In test mode, phones listed in AUTH_TEST_PHONES (comma-separated, '*' for all)
+// may verify with any code in AUTH_TEST_OTP_CODES and get their OTP echoed back
+// in API responses. Outside test mode neither happens for any phone.
+
+const parseList = (value) => {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+// Compare phones by digits only so '+91 98765 43210' matches '919876543210'
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+export const isAuthTestMode = () => {
+  return process.env.AUTH_TEST_MODE === 'true' && process.env.NODE_ENV !== 'production';
+};
+
+export const isTestPhone = (phone) => {
+  if (!isAuthTestMode()) return false;
+
+  const phones = parseList(process.env.AUTH_TEST_PHONES);
+  if (phones.includes('*')) return true;
+
+  const normalized = normalizePhone(phone);
+  return phones.some((testPhone) => normalizePhone(testPhone) === normalized);
+};
+
+// Fixed codes accepted for a phone in addition to the issued OTP
+export const getTestOtpCodes = (phone) => {
+  if (!isTestPhone(phone)) return [];
+  return parseList(process.env.AUTH_TEST_OTP_CODES);
+};
@@ -0,0 +1,37 @@
+// Lead pipeline configuration
+//
+// Stages are listed in funnel order. `order` positions a stage in the funnel,
+// `outcome` marks the terminal won/lost stages and `requiresReason` forces a
+// reason when a lead moves into that stage. Legacy statuses from the original
+// flat enum stay valid so existing leads and clients keep working; they are
+// counted at the funnel position of their modern equivalent.
+
+export const LEAD_STAGES = Object.freeze([
+  { name: 'New', order: 1 },
+  { name: 'Assigned', order: 2 },
+  { name: 'Contacted', order: 3 },
+  { name: 'In Progress', order: 3, legacy: true },
+  { name: 'Site Visit Scheduled', order: 4 },
+  { name: 'Negotiation', order: 5 },
+  { name: 'Won', order: 6, outcome: 'won' },
+  { name: 'Closed', order: 6, outcome: 'won', legacy: true },
+  { name: 'Lost', outcome: 'lost', requiresReason: true },
+  { name: 'Rejected', outcome: 'lost', legacy: true }
+]);
+
+export const LEAD_STATUSES = Object.freeze(LEAD_STAGES.map(stage => stage.name));
+
+export const WON_STATUSES = Object.freeze(
+  LEAD_STAGES.filter(stage => stage.outcome === 'won').map(stage => stage.name)
+);
+
+export const LOST_STATUSES = Object.freeze(
+  LEAD_STAGES.filter(stage => stage.outcome === 'lost').map(stage => stage.name)
+);
+
+// Stages shown in the conversion funnel (legacy names fold into these)
+export const FUNNEL_STAGES = Object.freeze(
+  LEAD_STAGES.filter(stage => stage.order && !stage.legacy)
+);
+
+export const getLeadStage = (status) => LEAD_STAGES.find(stage => stage.name === status) || null;
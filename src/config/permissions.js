@@ -0,0 +1,67 @@
+// Role-based permission matrix
+//
+// Routes declare the permission they need with requirePermission() from
+// middleware/auth.js; this file is the single place that decides which role
+// holds which permission. Ownership checks (e.g. "a broker may only edit their
+// own property") stay in the controllers.
+
+export const ROLES = Object.freeze({
+  ADMIN: 'admin',
+  BROKER: 'broker',
+  CUSTOMER: 'customer'
+});
+
+export const PERMISSIONS = Object.freeze({
+  // Brokers
+  BROKER_CREATE: 'broker.create',
+  BROKER_APPROVE: 'broker.approve',
+  BROKER_VERIFY: 'broker.verify',
+
+  // Regions
+  REGION_MANAGE: 'region.manage',
+
+  // Properties
+  PROPERTY_CREATE: 'property.create',
+  PROPERTY_MODERATE: 'property.moderate',
+  PROPERTY_TRANSFER: 'property.transfer',
+  PROPERTY_AD_MANAGE: 'propertyAd.manage',
+
+  // Customers
+  CUSTOMER_VIEW: 'customer.view',
+
+  // Chats
+  CHAT_ACCESS: 'chat.access',
+
+  // Leads
+  LEAD_VERIFY: 'lead.verify',
+  LEAD_ROUTING_MANAGE: 'leadRouting.manage',
+  LEAD_EXPORT: 'lead.export',
+
+  // Admin tooling
+  ADMIN_DASHBOARD_VIEW: 'adminDashboard.view',
+  IMPORT_RUN: 'import.run',
+  CONTACT_VIEW: 'contact.view',
+  EMAIL_SUBSCRIPTION_VIEW: 'emailSubscription.view',
+  NOTIFICATION_ADMIN: 'notification.admin',
+  SMS_VIEW: 'sms.view',
+  JOB_MANAGE: 'job.manage'
+});
+
+// '*' grants every permission
+export const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.ADMIN]: ['*'],
+  [ROLES.BROKER]: [
+    PERMISSIONS.PROPERTY_CREATE,
+    PERMISSIONS.PROPERTY_TRANSFER,
+    PERMISSIONS.LEAD_EXPORT,
+    PERMISSIONS.CHAT_ACCESS
+  ],
+  [ROLES.CUSTOMER]: [
+    PERMISSIONS.CHAT_ACCESS
+  ]
+});
+
+export const hasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
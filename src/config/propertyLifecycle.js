@@ -0,0 +1,67 @@
+// Property listing lifecycle
+//
+// PROPERTY_STATUS_TRANSITIONS lists the statuses a listing may move to from
+// each status. Approving, rejecting and requesting changes is moderation
+// (PROPERTY_MODERATE, services/propertyModeration.service.js); the broker
+// resubmits a listing sent back for changes, and an edit of key fields can
+// send a Verified listing back for approval (services/propertyRevision.service.js).
+// The closing statuses (Sold, Rented) record the final price and date, and
+// Expired is only set by the expiry sweep once a listing's expiresAt has passed.
+//
+// Env:
+//  - PROPERTY_LISTING_DAYS: days a listing stays Active after approval or renewal (default 90)
+//  - PROPERTY_EXPIRY_REMINDER_DAYS: days before expiry the broker is reminded, comma-separated (default "7,1")
+
+export const PROPERTY_STATUSES = Object.freeze({
+  PENDING_APPROVAL: 'Pending Approval',
+  ACTIVE: 'Active',
+  REJECTED: 'Rejected',
+  CHANGES_REQUESTED: 'Changes Requested',
+  EXPIRED: 'Expired',
+  SOLD: 'Sold',
+  RENTED: 'Rented'
+});
+
+const { PENDING_APPROVAL, ACTIVE, REJECTED, CHANGES_REQUESTED, EXPIRED, SOLD, RENTED } = PROPERTY_STATUSES;
+
+export const PROPERTY_STATUS_TRANSITIONS = Object.freeze({
+  [PENDING_APPROVAL]: [ACTIVE, REJECTED, CHANGES_REQUESTED],
+  [CHANGES_REQUESTED]: [PENDING_APPROVAL, ACTIVE, REJECTED],
+  [REJECTED]: [PENDING_APPROVAL, ACTIVE],
+  [ACTIVE]: [SOLD, RENTED, EXPIRED, REJECTED, PENDING_APPROVAL],
+  [EXPIRED]: [ACTIVE, SOLD, RENTED],
+  // Relisted once the tenancy ends
+  [RENTED]: [ACTIVE],
+  [SOLD]: []
+});
+
+export const CLOSED_PROPERTY_STATUSES = Object.freeze([SOLD, RENTED]);
+
+// Statuses a new listing may start in (Active needs PROPERTY_MODERATE)
+export const INITIAL_PROPERTY_STATUSES = Object.freeze([PENDING_APPROVAL, ACTIVE]);
+
+export const canChangePropertyStatus = (fromStatus, toStatus) => {
+  return (PROPERTY_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+// Statuses of listings waiting for a moderator or for the broker's revision
+export const MODERATION_QUEUE_STATUSES = Object.freeze([PENDING_APPROVAL, CHANGES_REQUESTED]);
+
+// Approving a listing under review, rejecting a listing and requesting changes are moderation
+export const isModerationChange = (fromStatus, toStatus) => {
+  return [REJECTED, CHANGES_REQUESTED].includes(toStatus) ||
+    (toStatus === ACTIVE && [PENDING_APPROVAL, CHANGES_REQUESTED, REJECTED].includes(fromStatus));
+};
+
+export const getLifecycleConfig = () => ({
+  listingDays: parseInt(process.env.PROPERTY_LISTING_DAYS) || 90,
+  reminderDays: (process.env.PROPERTY_EXPIRY_REMINDER_DAYS || '7,1')
+    .split(',')
+    .map((days) => parseInt(days))
+    .filter((days) => days > 0)
+});
+
+// Expiry of a listing made Active (or renewed) at `from`
+export const getListingExpiry = (from = new Date(), days = getLifecycleConfig().listingDays) => {
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+};
@@ -12,17 +12,35 @@ import Chat from '../models/Chat.js';
 import Message from '../models/Message.js';
 import Subscription from '../models/Subscription.js';
 import Lead from '../models/Lead.js';
-import { generateToken, generateOTP, generateEmailVerificationToken } from '../utils/jwt.js';
-import { successResponse, errorResponse, serverError } from '../utils/response.js';
+import { generateEmailVerificationToken } from '../utils/jwt.js';
+import { successResponse, errorResponse, serverError, serviceErrorResponse } from '../utils/response.js';
 import { getFileUrl } from '../middleware/upload.js';
 import { updateRegionBrokerCount, updateMultipleRegionBrokerCounts } from '../utils/brokerCount.js';
 import { geocodeAddress } from '../utils/geocode.js';
 import { sendVerificationEmail, createNotification } from '../utils/notifications.js';
 import mongoose from 'mongoose';
 import { activateSubscription } from '../routes/payments.js';
-
-// Temporary OTP storage (in production, use Redis)
-const tempOTPStorage = new Map();
+import { issueOtp, verifyOtp, getPendingOtp } from '../services/otp.service.js';
+import { OTP_PURPOSES } from '../models/Otp.js';
+import { isTestPhone, getTestOtpCodes } from '../config/auth.js';
+import Session from '../models/Session.js';
+import {
+  createSession,
+  getSessionMeta,
+  rotateRefreshToken,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions
+} from '../services/session.service.js';
+
+// OTP echo for allowlisted test phones only - never included outside test mode
+const otpTestData = (phone, otp) => {
+  if (!isTestPhone(phone)) return {};
+  return {
+    otp,
+    testOtpCodes: getTestOtpCodes(phone)
+  };
+};
 
 // Phone-based registration (Android: auto-broker, Web: role selection)
 export const phoneRegistration = async (req, res) => {
@@ -39,30 +57,24 @@ export const phoneRegistration = async (req, res) => {
         return errorResponse(res, `Phone number ${phone} is already registered as ${existingUser.role}. Please use a different phone number or login with existing account.`, 409);
       }
 
-      // Generate OTP for verification (don't save user yet)
-      const otp = generateOTP();
-      
-      // Store OTP temporarily with registration data (always broker for Android)
-      tempOTPStorage.set(phone, {
-        otp: otp,
+      // Generate and send OTP for verification (don't save user yet)
+      // Registration data is stored with the OTP (always broker for Android)
+      const { otp } = await issueOtp({
+        phone,
+        purpose: OTP_PURPOSES.REGISTRATION,
         role: 'broker', // Always broker for Android
-        platform: platform,
-        type: 'registration',
-        expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+        platform,
+        requestIp: req.ip
       });
 
-      // TODO: Send OTP via SMS
-      console.log(`Android Registration OTP for ${phone}: ${otp}`);
       console.log('Android Registration data:', { phone, role: 'broker', platform });
 
       return successResponse(res, 'OTP sent to your phone number. Please verify to continue.', {
         phone: phone,
         role: 'broker', // Always broker for Android
         platform: platform,
-        otp: otp, // Send OTP in response for testing
-      hardcodedOtp: '123456', // Also provide hardcoded OTP for easy testing
-      message: 'Use the generated OTP or hardcoded OTP: 123456'
-    }, 201);
+        ...otpTestData(phone, otp)
+      }, 201);
     }
 
     // For Web, allow broker and customer roles
@@ -77,38 +89,27 @@ export const phoneRegistration = async (req, res) => {
       return errorResponse(res, `Phone number ${phone} is already registered as ${existingUser.role}. Please use a different phone number or login with existing account.`, 409);
     }
 
-    // Check if OTP is already pending for this phone
-    // if (tempOTPStorage.has(phone)) {
-    //   return errorResponse(res, `OTP already sent to ${phone}. Please wait for verification or try again after 10 minutes.`, 429);
-    // }
-
     // Generate OTP for verification (don't save user yet)
-    const otp = generateOTP();
-    
-    // Store OTP temporarily with registration data
-    tempOTPStorage.set(phone, {
-      otp: otp,
-      role: role,
-      platform: platform,
-      type: 'registration',
-      expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+    // Resend cooldown and lockout are enforced by the OTP service
+    const { otp } = await issueOtp({
+      phone,
+      purpose: OTP_PURPOSES.REGISTRATION,
+      role,
+      platform,
+      requestIp: req.ip
     });
 
-    // TODO: Send OTP via SMS
-    console.log(`Web Registration OTP for ${phone}: ${otp}`);
     console.log('Web Registration data:', { phone, role, platform });
 
     return successResponse(res, 'OTP sent to your phone number. Please verify to continue.', {
       phone: phone,
       role: role,
       platform: platform,
-      otp: otp, // Send OTP in response for testing
-      hardcodedOtp: '123456', // Also provide hardcoded OTP for easy testing
-      message: 'Use the generated OTP or hardcoded OTP: 123456'
+      ...otpTestData(phone, otp)
     }, 201);
 
   } catch (error) {
-    return serverError(res, error);
+    return serviceErrorResponse(res, error);
   }
 };
 
@@ -143,20 +144,20 @@ export const adminLogin = async (req, res) => {
       await admin.save();
     }
 
-    // Generate token
-    const token = generateToken({
-      userId: admin._id,
-      email: admin.email,
-      role: admin.role
-    });
+    // Start a session: short-lived access token + rotating refresh token
+    const { accessToken: token, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt } =
+      await createSession(admin, getSessionMeta(req));
 
     // Save token in admin user document
     admin.token = token;
-    admin.tokenExpiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    admin.tokenExpiresAt = accessTokenExpiresAt;
     await admin.save();
 
     return successResponse(res, 'Admin login successful', {
       token,
+      refreshToken,
+      tokenExpiresAt: accessTokenExpiresAt,
+      refreshTokenExpiresAt,
       user: {
         id: admin._id,
         name: admin.name,
@@ -185,29 +186,22 @@ export const phoneLogin = async (req, res) => {
     if (!user) {
       // User not found - handle based on platform
       if (platform === 'android') {
-        // Android: Store data temporarily, don't create user yet
-        const otp = generateOTP();
-        
-        // Store OTP temporarily with login data (always broker for Android)
-        tempOTPStorage.set(phone, {
-          otp: otp,
+        // Android: Store data with the OTP, don't create user yet
+        const { otp } = await issueOtp({
+          phone,
+          purpose: OTP_PURPOSES.LOGIN,
           role: 'broker', // Always broker for Android
-          platform: platform,
-          type: 'login',
+          platform,
           userId: null, // No user ID yet
-          expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+          requestIp: req.ip
         });
 
-        // TODO: Send OTP via SMS
-        console.log(`Android Login OTP for new broker ${phone}: ${otp}`);
 
         return successResponse(res, 'OTP sent to your phone number. Please verify to create your broker account.', {
           phone: phone,
           role: 'broker',
           isNewUser: true,
-          otp: otp, // Send OTP in response for testing
-          hardcodedOtp: '123456', // Also provide hardcoded OTP for easy testing
-          message: 'Use the generated OTP or hardcoded OTP: 123456'
+          ...otpTestData(phone, otp)
         });
       } else {
         // Web: Don't auto-create, redirect to registration
@@ -228,32 +222,25 @@ export const phoneLogin = async (req, res) => {
     }
 
     // Generate OTP for verification
-    const otp = generateOTP();
-    
-    // Store OTP temporarily for login
-    tempOTPStorage.set(phone, {
-      otp: otp,
+    const { otp } = await issueOtp({
+      phone,
+      purpose: OTP_PURPOSES.LOGIN,
       role: user.role,
-      platform: platform,
-      type: 'login',
+      platform,
       userId: user._id,
-      expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+      requestIp: req.ip
     });
 
-    // TODO: Send OTP via SMS
-    console.log(`Login OTP for ${phone}: ${otp}`);
 
     return successResponse(res, 'OTP sent to your phone number. Please verify to login.', {
       phone: user.phone,
       role: user.role,
       isNewUser: false,
-      otp: otp, // Send OTP in response for testing
-      hardcodedOtp: '123456', // Also provide hardcoded OTP for easy testing
-      message: 'Use the generated OTP or hardcoded OTP: 123456'
+      ...otpTestData(phone, otp)
     });
 
   } catch (error) {
-    return serverError(res, error);
+    return serviceErrorResponse(res, error);
   }
 };
 
@@ -264,31 +251,16 @@ export const verifyOTP = async (req, res) => {
     
     console.log('OTP Verification Request:', { phone, otp });
 
-    // Check temporary OTP storage
-    const tempData = tempOTPStorage.get(phone);
-    
-    if (!tempData) {
-      return errorResponse(res, 'OTP not found or expired', 400);
-    }
-
-    // Verify OTP - allow hardcoded OTP as alternative
-    if (tempData.otp !== otp && otp !== '123456') {
-      return errorResponse(res, 'Invalid OTP', 400);
-    }
-
-    // Check if OTP expired
-    if (tempData.expiresAt < new Date()) {
-      tempOTPStorage.delete(phone);
-      return errorResponse(res, 'OTP expired', 400);
-    }
+    // Verify and consume the stored OTP - fixed test codes only for allowlisted test phones
+    // Expiry, attempt limits and lockout are enforced by the OTP service
+    const tempData = await verifyOtp({ phone, otp, acceptCodes: getTestOtpCodes(phone) });
 
     // Handle registration flow
-    if (tempData.type === 'registration') {
+    if (tempData.purpose === OTP_PURPOSES.REGISTRATION) {
       // Check if user already exists (double-check)
       const existingUser = await User.findOne({ phone });
       
       if (existingUser) {
-        tempOTPStorage.delete(phone);
         return errorResponse(res, `Phone number ${phone} is already registered as ${existingUser.role}. Please login instead.`, 409);
       }
 
@@ -430,23 +402,20 @@ export const verifyOTP = async (req, res) => {
         console.log('Customer details created during registration OTP verification');
       }
 
-      // Clean up temporary storage
-      tempOTPStorage.delete(phone);
-
-      // Generate token for registration
-      const token = generateToken({
-        userId: user._id,
-        phone: user.phone,
-        role: user.role
-      });
+      // Start a session for registration
+      const { accessToken: token, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt } =
+        await createSession(user, getSessionMeta(req));
 
       // Save token in user document
       user.token = token;
-      user.tokenExpiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+      user.tokenExpiresAt = accessTokenExpiresAt;
       await user.save();
 
       return successResponse(res, 'Registration successful. Please complete your profile.', {
         token,
+        refreshToken,
+        tokenExpiresAt: accessTokenExpiresAt,
+        refreshTokenExpiresAt,
         phone: user.phone,
         role: user.role,
         needsProfileCompletion: true,
@@ -463,7 +432,7 @@ export const verifyOTP = async (req, res) => {
     }
 
     // Handle login flow
-    if (tempData.type === 'login') {
+    if (tempData.purpose === OTP_PURPOSES.LOGIN) {
       let user;
       
       if (tempData.userId) {
@@ -471,7 +440,6 @@ export const verifyOTP = async (req, res) => {
         user = await User.findById(tempData.userId);
         
         if (!user) {
-          tempOTPStorage.delete(phone);
           return errorResponse(res, 'User not found', 404);
         }
       } else {
@@ -551,19 +519,13 @@ export const verifyOTP = async (req, res) => {
         roleDetails = customerDetail;
       }
 
-      // Clean up temporary storage
-      tempOTPStorage.delete(phone);
-
-      // Generate token for login (always)
-      const token = generateToken({
-        userId: user._id,
-        phone: user.phone,
-        role: user.role
-      });
+      // Start a session for login (always)
+      const { accessToken: token, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt } =
+        await createSession(user, getSessionMeta(req));
 
       // Save token in user document
       user.token = token;
-      user.tokenExpiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+      user.tokenExpiresAt = accessTokenExpiresAt;
 
       // If user has complete profile, activate account
       if (user.name && user.email) {
@@ -572,6 +534,9 @@ export const verifyOTP = async (req, res) => {
 
         return successResponse(res, 'Login successful', {
           token,
+          refreshToken,
+          tokenExpiresAt: accessTokenExpiresAt,
+          refreshTokenExpiresAt,
           user: {
             id: user._id,
             name: user.name,
@@ -587,6 +552,9 @@ export const verifyOTP = async (req, res) => {
         await user.save();
         return successResponse(res, 'OTP verified. Please complete your profile.', {
           token,
+          refreshToken,
+          tokenExpiresAt: accessTokenExpiresAt,
+          refreshTokenExpiresAt,
           phone: user.phone,
           role: user.role,
           needsProfileCompletion: true,
@@ -603,12 +571,10 @@ export const verifyOTP = async (req, res) => {
       }
     }
 
-    // Clean up temporary storage
-    tempOTPStorage.delete(phone);
     return errorResponse(res, 'Invalid OTP type', 400);
 
   } catch (error) {
-    return serverError(res, error);
+    return serviceErrorResponse(res, error);
   }
 };
 
@@ -1172,16 +1138,18 @@ export const resendOTP = async (req, res) => {
     const { phone } = req.body;
     const platform = req.platform || 'web'; // Default to web if not specified
 
-    // Check if there's existing temporary OTP data
-    const existingTempData = tempOTPStorage.get(phone);
+    // Check if there's an existing pending OTP
+    const existingTempData = await getPendingOtp(phone);
     
     let userRole, userId, isNewUser = false;
+    let purpose = OTP_PURPOSES.LOGIN;
 
     if (existingTempData) {
-      // Use existing data
+      // Use existing data (keeps a pending registration a registration)
       userRole = existingTempData.role;
       userId = existingTempData.userId;
-      isNewUser = existingTempData.userId === null;
+      isNewUser = !existingTempData.userId;
+      purpose = existingTempData.purpose;
     } else {
       // No existing OTP data - find user or prepare for new user
       const user = await User.findOne({ phone });
@@ -1216,35 +1184,28 @@ export const resendOTP = async (req, res) => {
       }
     }
 
-    // Generate new OTP
-    const otp = generateOTP();
-    
-    // Store/update OTP data
-    tempOTPStorage.set(phone, {
-      otp: otp,
+    // Generate new OTP (supersedes the pending one, subject to resend cooldown)
+    const { otp } = await issueOtp({
+      phone,
+      purpose,
       role: userRole,
-      platform: platform,
-      type: 'login',
-      userId: userId,
-      expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+      platform,
+      userId,
+      requestIp: req.ip
     });
 
-    // TODO: Send OTP via SMS
-    console.log(`Resend OTP for ${phone}: ${otp}`);
 
     return successResponse(res, 'OTP sent successfully', {
       phone: phone,
       role: userRole,
       platform: platform,
-      type: 'login',
+      type: purpose,
       isNewUser: isNewUser,
-      otp: otp, // Include OTP in response for testing
-      hardcodedOtp: '123456', // Also provide hardcoded OTP for easy testing
-      message: 'Use the generated OTP or hardcoded OTP: 123456'
+      ...otpTestData(phone, otp)
     });
 
   } catch (error) {
-    return serverError(res, error);
+    return serviceErrorResponse(res, error);
   }
 };
 
@@ -1599,6 +1560,7 @@ export const deleteAccount = async (req, res) => {
     }
 
     // Delete user-related data
+    await Session.deleteMany({ userId });
     await SavedProperty.deleteMany({ userId });
     await Notification.deleteMany({ userId });
     await PropertyRating.deleteMany({ userId });
@@ -1783,3 +1745,77 @@ export const verifyEmail = async (req, res) => {
     return serverError(res, error);
   }
 };
+
+// Exchange a refresh token for a new access token (refresh token is rotated)
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateRefreshToken(refreshToken, getSessionMeta(req));
+
+    return successResponse(res, 'Token refreshed successfully', {
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      tokenExpiresAt: result.accessTokenExpiresAt,
+      refreshTokenExpiresAt: result.refreshTokenExpiresAt
+    });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// List active sessions (devices) of the logged-in user
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    const currentSessionId = req.authSession?._id?.toString();
+
+    return successResponse(res, 'Sessions retrieved successfully', {
+      sessions: sessions.map(session => ({
+        ...session,
+        isCurrent: session._id.toString() === currentSessionId
+      }))
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+// Revoke one session of the logged-in user (e.g. a lost device)
+export const deleteSession = async (req, res) => {
+  try {
+    const session = await revokeSession(req.user._id, req.params.sessionId);
+
+    if (!session) {
+      return errorResponse(res, 'Session not found', 404);
+    }
+
+    return successResponse(res, 'Session revoked successfully', { sessionId: session._id });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+// Logout from the current session
+export const logout = async (req, res) => {
+  try {
+    if (req.authSession) {
+      await revokeSession(req.user._id, req.authSession._id, 'logout');
+    }
+
+    return successResponse(res, 'Logged out successfully');
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+// Logout from all devices - revokes every session and previously issued token
+export const logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id);
+
+    return successResponse(res, 'Logged out from all devices', { revokedCount });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
@@ -2,6 +2,7 @@ import Chat from '../models/Chat.js';
 import Message from '../models/Message.js';
 import mongoose from 'mongoose';
 import BrokerDetail from '../models/BrokerDetail.js';
+import { isChatParticipant } from '../services/chat.service.js';
 
 function makeParticipantsKey(ids) {
     return ids.map(id => id.toString()).sort().join('_');
@@ -57,6 +58,12 @@ export const getChatMessages = async (req, res) => {
       if (!chatId) {
         return res.status(400).json({ error: 'Chat ID required' });
       }
+
+      // Chat participants are BrokerDetail ids (customers have one too)
+      const participant = await BrokerDetail.findOne({ userId: req.user._id }).select('_id').lean();
+      if (!participant || !(await isChatParticipant(chatId, participant._id))) {
+        return res.status(403).json({ error: 'You are not a participant of this chat' });
+      }
   
       const messages = await Message.find({ chatId })
         .sort({ createdAt: 1 }) 
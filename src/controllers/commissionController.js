@@ -0,0 +1,75 @@
+import {
+  setTransferCommission,
+  acknowledgeTransferCommission,
+  listSettlements,
+  updateSettlementStatus,
+  getEarningsReport,
+} from "../services/commission.service.js";
+import {
+  successResponse,
+  serviceErrorResponse,
+} from "../utils/response.js";
+
+// Set the referral commission of a transfer (fromBroker or admin)
+export const setLeadTransferCommission = async (req, res) => {
+  try {
+    const transfer = await setTransferCommission(req.params.id, req.params.transferId, req.user, req.body);
+    return successResponse(res, "Commission agreement saved successfully", { transfer });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const removeLeadTransferCommission = async (req, res) => {
+  try {
+    const transfer = await setTransferCommission(req.params.id, req.params.transferId, req.user, null);
+    return successResponse(res, "Commission agreement removed successfully", { transfer });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const acknowledgeLeadTransferCommission = async (req, res) => {
+  try {
+    const transfer = await acknowledgeTransferCommission(req.params.id, req.params.transferId, req.user);
+    return successResponse(res, "Commission agreement acknowledged successfully", { transfer });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const getSettlements = async (req, res) => {
+  try {
+    const { status, role, brokerId, page, limit } = req.query;
+    const result = await listSettlements(req.user, {
+      status,
+      role,
+      brokerId,
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 20,
+    });
+    return successResponse(res, "Commission settlements retrieved successfully", result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const updateSettlement = async (req, res) => {
+  try {
+    const settlement = await updateSettlementStatus(req.params.settlementId, req.user, req.body);
+    return successResponse(res, "Commission settlement updated successfully", { settlement });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Earned and payable commissions per broker
+export const getEarnings = async (req, res) => {
+  try {
+    const { brokerId, fromDate, toDate } = req.query;
+    const report = await getEarningsReport(req.user, { brokerId, fromDate, toDate });
+    return successResponse(res, "Commission earnings retrieved successfully", { report });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
@@ -3,7 +3,7 @@ import User from '../models/User.js';
 import { successResponse, errorResponse, serverError } from '../utils/response.js';
 import { getFileUrl } from '../middleware/upload.js';
 
-// Get all customers - works for any role (admin, broker, customer)
+// Get all customers (admin)
 export const getAllCustomers = async (req, res) => {
   try {
     const { page, limit , search = '' } = req.query;
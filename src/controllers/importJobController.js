@@ -0,0 +1,94 @@
+import {
+  createImportJob,
+  updateImportMapping,
+  dryRunImportJob,
+  commitImportJob,
+  getImportJob,
+  listImportJobs,
+  buildRejectedRowsCsv
+} from '../services/import.service.js';
+import { getUploadsBaseUrl } from '../middleware/upload.js';
+import { successResponse, serviceErrorResponse } from '../utils/response.js';
+
+// Upload a CSV or XLSX file (plus an imagesZip for properties); responds with the detected column mapping and a preview of the mapped rows
+export const uploadImportJob = async (req, res) => {
+  try {
+    const result = await createImportJob(req.file, req.user, {
+      entityType: req.body.entityType,
+      allowDuplicates: req.body.allowDuplicates,
+      mode: req.body.mode,
+      matchKey: req.body.matchKey,
+      sheet: req.body.sheet,
+      downloadImages: req.body.downloadImages
+    }, {
+      imagesZip: req.files?.imagesZip?.[0],
+      baseUrl: getUploadsBaseUrl(req)
+    });
+    return successResponse(res, 'Import job created successfully', result, 201);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const getImportJobs = async (req, res) => {
+  try {
+    const result = await listImportJobs(req.user, {
+      entityType: req.query.entityType,
+      status: req.query.status,
+      createdBy: req.query.createdBy,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+    return successResponse(res, 'Import jobs retrieved successfully', result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Status and progress, polled while the import runs
+export const getImportJobById = async (req, res) => {
+  try {
+    const job = await getImportJob(req.params.id, req.user);
+    return successResponse(res, 'Import job retrieved successfully', job);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const updateImportJobMapping = async (req, res) => {
+  try {
+    const result = await updateImportMapping(req.params.id, req.user, req.body);
+    return successResponse(res, 'Column mapping updated successfully', result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const dryRunImport = async (req, res) => {
+  try {
+    const result = await dryRunImportJob(req.params.id, req.user);
+    return successResponse(res, 'Dry-run completed', result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const commitImport = async (req, res) => {
+  try {
+    const job = await commitImportJob(req.params.id, req.user);
+    return successResponse(res, 'Import queued', job, 202);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const downloadRejectedRows = async (req, res) => {
+  try {
+    const { fileName, content } = await buildRejectedRowsCsv(req.params.id, req.user);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.send(`\uFEFF${content}`);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
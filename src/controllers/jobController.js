@@ -0,0 +1,29 @@
+import { listJobs, retryJob as requeueJob } from '../services/jobQueue.service.js';
+import { successResponse, serverError, serviceErrorResponse } from '../utils/response.js';
+
+// Background jobs with per-status counts (admin)
+export const getJobs = async (req, res) => {
+  try {
+    const { status, taskType, page, limit } = req.query;
+    const result = await listJobs({
+      status,
+      taskType,
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    return successResponse(res, 'Jobs retrieved successfully', result);
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+// Re-queue a failed job (admin)
+export const retryJob = async (req, res) => {
+  try {
+    const job = await requeueJob(req.params.jobId);
+    return successResponse(res, 'Job queued for retry', { job });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
@@ -1,6 +1,6 @@
 import dotenv from "dotenv";
 dotenv.config();
-import Lead from "../models/Lead.js";
+import Lead, { TRANSFER_STATUSES, INACTIVE_TRANSFER_STATUSES } from "../models/Lead.js";
 import Property from "../models/Property.js";
 import Chat from "../models/Chat.js";
 import mongoose from "mongoose";
@@ -10,6 +10,8 @@ import {
   successResponse,
   errorResponse,
   serverError,
+  httpError,
+  serviceErrorResponse,
 } from "../utils/response.js";
 import {
   createLeadNotification,
@@ -18,7 +20,36 @@ import {
   createRegionTransferNotification,
 } from "../utils/notifications.js";
 import User from "../models/User.js";
+import LeadNote from "../models/LeadNote.js";
 import { sendToZapier } from "../services/zapierService.js";
+import {
+  recordStatusChange,
+  getLeadTimeline as fetchLeadTimeline,
+  getLeadFunnel,
+} from "../services/leadPipeline.service.js";
+import { getLeadStage, WON_STATUSES, LOST_STATUSES } from "../config/leadPipeline.js";
+import { routeLead } from "../services/leadRouting.service.js";
+import { resolveLeadAccess } from "../services/leadNote.service.js";
+import { findDuplicateLeads, isExactDuplicate } from "../services/leadDedup.service.js";
+import { refreshLeadScore, scheduleLeadScoreRefresh } from "../services/leadScoring.service.js";
+import { scheduleMatchNotifications } from "../services/propertyMatching.service.js";
+import {
+  activeTransferMatch,
+  getTransferExpiry,
+  scheduleTransferExpiries,
+} from "../services/leadTransfer.service.js";
+import { buildCommission, createSettlementsForLead } from "../services/commission.service.js";
+import {
+  LEAD_EXPORT_POPULATE,
+  resolveExportColumns,
+  streamLeadExport,
+} from "../services/leadExport.service.js";
+import LeadPropertyMatch from "../models/LeadPropertyMatch.js";
+import LeadDelivery from "../models/LeadDelivery.js";
+import {
+  buildDeliveredLeadsFilter,
+  scheduleLeadDeliverySync,
+} from "../services/leadDelivery.service.js";
 
 // Helpers
 const findBrokerDetailIdByUserId = async (userId) => {
@@ -31,21 +62,12 @@ const findBrokerDetailWithRegionsByUserId = async (userId) => {
   return broker;
 };
 
-const buildTransferFilterForBroker = (brokerDetailId, brokerRegions = []) => {
+const buildTransferFilterForBroker = async (brokerDetailId) => {
   if (!brokerDetailId) return null;
 
-  const brokerRegionIds = brokerRegions
-    .map((r) =>
-      mongoose.Types.ObjectId.isValid(r)
-        ? new mongoose.Types.ObjectId(String(r))
-        : r
-    )
-    .filter(Boolean);
-
   // Build filter based on shareType:
-  // 1. 'all' - show to all brokers (no specific broker filter needed)
-  // 2. 'region' - show to brokers whose region array contains transfer.region
-  // 3. 'individual' - show only to the specific broker (transfer.toBroker)
+  // 1. 'individual' - show only to the specific broker (transfer.toBroker)
+  // 2. 'region' / 'all' - show to the brokers the transfer was delivered to (LeadDelivery)
   return {
     $or: [
       // Individual transfers: broker is the toBroker
@@ -53,35 +75,425 @@ const buildTransferFilterForBroker = (brokerDetailId, brokerRegions = []) => {
         transfers: {
           $elemMatch: {
             shareType: "individual",
+            ...activeTransferMatch(),
             toBroker: brokerDetailId,
           },
         },
       },
-      // Region transfers: broker has the same region as transfer.region
-      ...(brokerRegionIds.length > 0
-        ? [
-            {
-              transfers: {
-                $elemMatch: {
-                  shareType: "region",
-                  region: { $in: brokerRegionIds },
-                },
-              },
-            },
-          ]
-        : []),
-      // All transfers: show to all brokers (brokerDetailId can be any broker)
-      {
-        transfers: {
-          $elemMatch: {
-            shareType: "all",
-          },
-        },
-      },
+      // Region/all transfers delivered to this broker
+      await buildDeliveredLeadsFilter(brokerDetailId),
     ],
   };
 };
 
+// Distance in km using the Haversine formula
+const calculateDistanceKm = (lat1, lng1, lat2, lng2) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLng = ((lng2 - lng1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLng / 2) *
+      Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
+// BrokerDetail id a broker's lead visibility is filtered by; never skipped
+const resolveBrokerDetailIdForFilter = async (user) => {
+  const brokerDetail = await findBrokerDetailWithRegionsByUserId(user._id);
+  if (!brokerDetail) {
+    throw httpError("Broker profile not found", 403);
+  }
+  return brokerDetail._id;
+};
+
+// Query filter of getLeads (also used by exportLeads); throws a 400 error for invalid values
+const buildLeadsFilter = async (query, user) => {
+  const {
+    search,
+    status,
+    propertyType,
+    region,
+    city,
+    regionCity,
+    regionId,
+    primaryRegionId,
+    secondaryRegionId,
+    requirement,
+    budgetMin,
+    budgetMax,
+    minScore,
+    maxScore,
+    createdBy,
+    customerEmail,
+    customerPhone,
+    dateRange,
+    fromDate,
+    toDate,
+    verificationStatus,
+  } = query;
+
+  const filter = {};
+
+  if (status) filter.status = status;
+  if (propertyType) filter.propertyType = propertyType;
+  if (createdBy) filter.createdBy = createdBy;
+  // Filter by primary region (specific filter)
+  if (primaryRegionId) {
+    const idAsString = String(primaryRegionId);
+    if (!mongoose.Types.ObjectId.isValid(idAsString)) {
+      throw httpError("Invalid primaryRegionId format", 400);
+    }
+    filter.primaryRegion = new mongoose.Types.ObjectId(idAsString);
+  }
+
+  // Filter by secondary region (specific filter)
+  if (secondaryRegionId) {
+    const idAsString = String(secondaryRegionId);
+    if (!mongoose.Types.ObjectId.isValid(idAsString)) {
+      throw httpError("Invalid secondaryRegionId format", 400);
+    }
+    filter.secondaryRegion = new mongoose.Types.ObjectId(idAsString);
+  }
+
+  // Resolve region filter: match either primaryRegion or secondaryRegion (for backward compatibility)
+  const resolvedRegionId = regionId || region;
+  // Optional city filter (case-insensitive) against customer address fields if present
+  if (city) {
+    const cityRegex = { $regex: `^${city}$`, $options: "i" };
+    // If your lead schema has a city field, filter directly; else apply to requirement/address text
+    // Example applying to requirement text as fallback
+    filter.$and = filter.$and || [];
+    filter.$and.push({
+      $or: [
+        { customerCity: cityRegex },
+        { requirement: { $regex: city, $options: "i" } },
+      ],
+    });
+  }
+  // Only apply regionId filter if primaryRegionId and secondaryRegionId are not set
+  if (resolvedRegionId && !primaryRegionId && !secondaryRegionId) {
+    const idAsString = String(resolvedRegionId);
+    if (!mongoose.Types.ObjectId.isValid(idAsString)) {
+      throw httpError("Invalid regionId format", 400);
+    }
+    const objectId = new mongoose.Types.ObjectId(idAsString);
+    filter.$or = [{ primaryRegion: objectId }, { secondaryRegion: objectId }];
+  }
+
+  // Filter by Region.city name -> resolve to Region IDs and filter primary/secondary
+  if (regionCity) {
+    const Region = (await import("../models/Region.js")).default;
+    const regions = await Region.find({
+      city: { $regex: `^${regionCity}$`, $options: "i" },
+    }).select("_id");
+    const regionIds = regions.map((r) => r._id);
+    if (regionIds.length > 0) {
+      filter.$or = [
+        ...(filter.$or || []),
+        { primaryRegion: { $in: regionIds } },
+        { secondaryRegion: { $in: regionIds } },
+      ];
+    } else {
+      // ensure no match
+      filter.$and = [...(filter.$and || []), { _id: { $exists: false } }];
+    }
+  }
+  if (requirement)
+    filter.requirement = { $regex: requirement, $options: "i" };
+  if (budgetMin || budgetMax) {
+    filter.budget = {};
+    if (budgetMin) filter.budget.$gte = Number(budgetMin);
+    if (budgetMax) filter.budget.$lte = Number(budgetMax);
+  }
+  if (minScore !== undefined || maxScore !== undefined) {
+    filter.score = {};
+    if (minScore !== undefined) filter.score.$gte = Number(minScore);
+    if (maxScore !== undefined) filter.score.$lte = Number(maxScore);
+  }
+  if (customerEmail) filter.customerEmail = customerEmail;
+  if (customerPhone) filter.customerPhone = customerPhone;
+
+  if (search) {
+    filter.$or = [
+      { customerName: { $regex: search, $options: "i" } },
+      { customerEmail: { $regex: search, $options: "i" } },
+      { customerPhone: { $regex: search, $options: "i" } },
+      { requirement: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  // Date range filter - handle preset ranges or custom dates
+  if (dateRange) {
+    const now = new Date();
+    const startOfToday = new Date(
+      now.getFullYear(),
+      now.getMonth(),
+      now.getDate(),
+      0,
+      0,
+      0,
+      0
+    );
+    const endOfToday = new Date(
+      now.getFullYear(),
+      now.getMonth(),
+      now.getDate(),
+      23,
+      59,
+      59,
+      999
+    );
+
+    filter.createdAt = {};
+
+    switch (dateRange.toLowerCase()) {
+      case "today":
+        filter.createdAt.$gte = startOfToday;
+        filter.createdAt.$lte = endOfToday;
+        break;
+      case "last7days":
+        const last7Days = new Date(now);
+        last7Days.setDate(now.getDate() - 7);
+        last7Days.setHours(0, 0, 0, 0);
+        filter.createdAt.$gte = last7Days;
+        filter.createdAt.$lte = endOfToday;
+        break;
+      case "last30days":
+        const last30Days = new Date(now);
+        last30Days.setDate(now.getDate() - 30);
+        last30Days.setHours(0, 0, 0, 0);
+        filter.createdAt.$gte = last30Days;
+        filter.createdAt.$lte = endOfToday;
+        break;
+    }
+  } else if (fromDate || toDate) {
+    // Custom date range
+    filter.createdAt = {};
+    if (fromDate) {
+      const from = new Date(fromDate);
+      from.setHours(0, 0, 0, 0);
+      filter.createdAt.$gte = from;
+    }
+    if (toDate) {
+      const to = new Date(toDate);
+      to.setHours(23, 59, 59, 999);
+      filter.createdAt.$lte = to;
+    }
+  }
+
+  // Verification status filter
+  if (verificationStatus) {
+    filter.verificationStatus = verificationStatus;
+  }
+
+  // If logged-in broker, filter leads based on transfer shareType.
+  // Fails closed: a broker without a profile gets a 403, a lookup error a 500.
+  if (user && user.role === "broker") {
+    const brokerDetailId = await resolveBrokerDetailIdForFilter(user);
+
+    // Build transfer filter based on shareType
+    const transferFilter = await buildTransferFilterForBroker(
+      brokerDetailId
+    );
+
+    // Also include leads created by this broker
+    const brokerFilter = {
+      $or: [
+        { createdBy: brokerDetailId },
+        ...(transferFilter ? [transferFilter] : []),
+      ],
+    };
+
+    // Merge with existing filter
+    if (filter.$and) {
+      filter.$and.push(brokerFilter);
+    } else {
+      filter.$and = [brokerFilter];
+    }
+  }
+
+  return filter;
+};
+
+// Coordinates and optional radius (km) of the getLeads distance filter
+const parseDistanceQuery = ({ latitude, longitude, radius }) => {
+  // Coordinate-based filtering
+  let userLat = null;
+  let userLng = null;
+  let radiusKm = null;
+  if (latitude && longitude) {
+    userLat = parseFloat(latitude);
+    userLng = parseFloat(longitude);
+
+    // Validate coordinates
+    if (
+      isNaN(userLat) ||
+      isNaN(userLng) ||
+      userLat < -90 ||
+      userLat > 90 ||
+      userLng < -180 ||
+      userLng > 180
+    ) {
+      throw httpError("Invalid latitude or longitude values", 400);
+    }
+
+    // Only use radius if explicitly provided
+    if (radius) {
+      radiusKm = parseFloat(radius);
+      if (isNaN(radiusKm) || radiusKm <= 0) {
+        throw httpError("Invalid radius value. Must be a positive number", 400);
+      }
+    }
+  }
+
+  return { userLat, userLng, radiusKm };
+};
+
+// Query filter of getTransferredLeads (also used by exportLeads); throws a 400 error for invalid values
+const buildTransferredLeadsFilter = async (query, user) => {
+  const {
+    search,
+    status,
+    propertyType,
+    region,
+    regionId,
+    requirement,
+    budgetMin,
+    budgetMax,
+    minScore,
+    maxScore,
+    createdBy,
+    customerEmail,
+    customerPhone,
+    fromDate,
+    toDate,
+    toBroker,
+    fromBroker,
+    brokerId, // Additional filter for any broker involvement
+  } = query;
+
+  // Build base filter with all lead fields (same as getLeads)
+  const filter = {};
+
+  if (status) filter.status = status;
+  if (propertyType) filter.propertyType = propertyType;
+  if (createdBy) filter.createdBy = createdBy;
+
+  // Resolve region filter: match either primaryRegion or secondaryRegion
+  const resolvedRegionId = regionId || region;
+  if (resolvedRegionId) {
+    const idAsString = String(resolvedRegionId);
+    if (!mongoose.Types.ObjectId.isValid(idAsString)) {
+      throw httpError("Invalid regionId format", 400);
+    }
+    const objectId = new mongoose.Types.ObjectId(idAsString);
+    filter.$or = [{ primaryRegion: objectId }, { secondaryRegion: objectId }];
+  }
+
+  if (requirement)
+    filter.requirement = { $regex: requirement, $options: "i" };
+  if (budgetMin || budgetMax) {
+    filter.budget = {};
+    if (budgetMin) filter.budget.$gte = Number(budgetMin);
+    if (budgetMax) filter.budget.$lte = Number(budgetMax);
+  }
+  if (minScore !== undefined || maxScore !== undefined) {
+    filter.score = {};
+    if (minScore !== undefined) filter.score.$gte = Number(minScore);
+    if (maxScore !== undefined) filter.score.$lte = Number(maxScore);
+  }
+  if (customerEmail) filter.customerEmail = customerEmail;
+  if (customerPhone) filter.customerPhone = customerPhone;
+
+  if (search) {
+    filter.$or = [
+      { customerName: { $regex: search, $options: "i" } },
+      { customerEmail: { $regex: search, $options: "i" } },
+      { customerPhone: { $regex: search, $options: "i" } },
+      { requirement: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = new Date(fromDate);
+    if (toDate) filter.createdAt.$lte = new Date(toDate);
+  }
+
+  // Add transfer-specific filters
+  const matchTransfers = {};
+  const transferConditions = [];
+
+  // Handle explicit query parameter filters
+  if (toBroker) {
+    if (!mongoose.Types.ObjectId.isValid(String(toBroker))) {
+      throw httpError("Invalid toBroker format", 400);
+    }
+    const toBrokerId = new mongoose.Types.ObjectId(String(toBroker));
+
+    // Individual transfers to the broker, or region/all transfers delivered to them
+    transferConditions.push(await buildTransferFilterForBroker(toBrokerId));
+  }
+
+  if (fromBroker) {
+    if (!mongoose.Types.ObjectId.isValid(String(fromBroker))) {
+      throw httpError("Invalid fromBroker format", 400);
+    }
+    const fromBrokerId = new mongoose.Types.ObjectId(String(fromBroker));
+    transferConditions.push({
+      "transfers.fromBroker": fromBrokerId,
+    });
+  }
+
+  if (brokerId) {
+    if (!mongoose.Types.ObjectId.isValid(String(brokerId))) {
+      throw httpError("Invalid brokerId format", 400);
+    }
+    const brokerObjectId = new mongoose.Types.ObjectId(String(brokerId));
+
+    transferConditions.push({
+      $or: [
+        { "transfers.fromBroker": brokerObjectId },
+        ...(await buildTransferFilterForBroker(brokerObjectId)).$or,
+      ],
+    });
+  }
+
+  // If logged-in broker, filter to show leads based on transfer shareType
+  // (fails closed like buildLeadsFilter)
+  if (user && user.role === "broker") {
+    const brokerDetailId = await resolveBrokerDetailIdForFilter(user);
+
+    // Transfers to this broker (individual, or region/all delivered to them)
+    // and leads where broker is fromBroker
+    transferConditions.push({
+      $or: [
+        ...(await buildTransferFilterForBroker(brokerDetailId)).$or,
+        { "transfers.fromBroker": brokerDetailId },
+      ],
+    });
+  }
+
+  // Combine all transfer conditions
+  if (transferConditions.length > 0) {
+    if (transferConditions.length === 1) {
+      Object.assign(matchTransfers, transferConditions[0]);
+    } else {
+      matchTransfers.$and = transferConditions;
+    }
+  }
+
+  // Ensure leads have at least one transfer
+  const baseTransferFilter = { transfers: { $exists: true, $ne: [] } };
+  const finalFilter = { ...filter, ...baseTransferFilter, ...matchTransfers };
+
+  return finalFilter;
+};
+
 const applyBrokerDefaults = (payload, brokerDetailId) => {
   if (!brokerDetailId) return payload;
 
@@ -116,6 +528,19 @@ const applyBrokerDefaults = (payload, brokerDetailId) => {
   return updated;
 };
 
+// Transfers sent with a new lead wait for the recipient's response, like those
+// added through transferAndNotes
+const toPendingTransfers = (transfers) => {
+  return transfers.map((t) => ({
+    fromBroker: t?.fromBroker,
+    shareType: t?.shareType || "individual",
+    ...(t?.toBroker && { toBroker: t.toBroker }),
+    ...(t?.region && { region: t.region }),
+    status: TRANSFER_STATUSES.PENDING,
+    expiresAt: getTransferExpiry(t?.expiresAt),
+  }));
+};
+
 const validateBrokerRefsExist = async (payload) => {
   if (payload.createdBy) {
     // Check if createdBy exists in BrokerDetail
@@ -202,6 +627,10 @@ export const createLead = async (req, res) => {
       }
     }
 
+    if (Array.isArray(payload.transfers)) {
+      payload.transfers = toPendingTransfers(payload.transfers);
+    }
+
     // Validate provided broker references
     try {
       const validationError = await validateBrokerRefsExist(payload);
@@ -212,9 +641,84 @@ export const createLead = async (req, res) => {
       return serverError(res, e);
     }
 
+    // History, reached stages, dedup keys and score are maintained by the services only
+    delete payload.stagesReached;
+    delete payload.mergedFrom;
+    delete payload.normalizedPhone;
+    delete payload.normalizedEmail;
+    delete payload.score;
+    delete payload.scoreBreakdown;
+    delete payload.scoredAt;
+    const statusReason = payload.statusReason;
+    delete payload.statusReason;
+
+    if (getLeadStage(payload.status)?.requiresReason && !payload.lostReason) {
+      return errorResponse(res, `lostReason is required for status ${payload.status}`, 400);
+    }
+
+    // Same customer phone/email blocks creation unless allowDuplicate is set;
+    // similar names are only reported back
+    const allowDuplicate = payload.allowDuplicate === true || payload.allowDuplicate === "true";
+    delete payload.allowDuplicate;
+    const duplicates = await findDuplicateLeads(payload);
+    const summarizeDuplicate = (match) => ({
+      _id: match.lead._id,
+      customerName: match.lead.customerName,
+      status: match.lead.status,
+      createdAt: match.lead.createdAt,
+      reasons: match.reasons,
+    });
+    if (!allowDuplicate && duplicates.some(isExactDuplicate)) {
+      return errorResponse(
+        res,
+        "A lead for this customer already exists. Merge it or resend with allowDuplicate: true.",
+        409,
+        { duplicates: duplicates.filter(isExactDuplicate).map(summarizeDuplicate) }
+      );
+    }
+
     const lead = new Lead(payload);
     await lead.save();
 
+    // Initial entry of the status timeline
+    try {
+      await recordStatusChange({
+        leadId: lead._id,
+        toStatus: lead.status,
+        reason: lead.lostReason || statusReason,
+        actor: req.user,
+      });
+    } catch (historyError) {
+      console.error("Error recording lead status history:", historyError);
+    }
+
+    try {
+      await scheduleTransferExpiries(lead._id, lead.transfers);
+    } catch (expiryError) {
+      console.error("Error scheduling transfer expiry:", expiryError);
+    }
+
+    // Automatic assignment by the region's routing rule (skipped when transfers were given)
+    let assignedBrokers = [];
+    try {
+      assignedBrokers = await routeLead(lead._id);
+      if (assignedBrokers.length) {
+        lead.transfers = (await Lead.findById(lead._id).select("transfers").lean()).transfers;
+      }
+    } catch (routingError) {
+      console.error("Error routing lead:", routingError);
+    }
+
+    try {
+      lead.score = await refreshLeadScore(lead._id);
+    } catch (scoreError) {
+      console.error("Error scoring lead:", scoreError);
+    }
+
+    // Notify the lead's broker of matching properties in the background
+    scheduleMatchNotifications({ leadId: lead._id });
+    if (lead.transfers?.length) scheduleLeadDeliverySync(lead._id);
+
     // ---------------- ZAPIER INTEGRATION (NEW) -----------------
     sendToZapier(process.env.ZAPIER_LEAD_WEBHOOK, {
       event: "lead_created",
@@ -251,7 +755,11 @@ export const createLead = async (req, res) => {
     return successResponse(
       res,
       "Lead created successfully",
-      { lead: leadCreated },
+      {
+        lead: leadCreated,
+        autoAssignedTo: assignedBrokers.map((b) => ({ _id: b._id, name: b.name })),
+        possibleDuplicates: duplicates.map(summarizeDuplicate),
+      },
       201
     );
   } catch (error) {
@@ -266,270 +774,10 @@ export const createLead = async (req, res) => {
 
 export const getLeads = async (req, res) => {
   try {
-    const {
-      page,
-      limit,
-      search,
-      status,
-      propertyType,
-      region,
-      city,
-      regionCity,
-      regionId,
-      primaryRegionId,
-      secondaryRegionId,
-      requirement,
-      budgetMin,
-      budgetMax,
-      createdBy,
-      customerEmail,
-      customerPhone,
-      dateRange,
-      fromDate,
-      toDate,
-      verificationStatus,
-      sortBy = "createdAt",
-      sortOrder = "desc",
-      latitude,
-      longitude,
-      radius, // in kilometers, optional - if provided, filter by distance from primaryRegion centerCoordinates
-    } = req.query;
-
-    const filter = {};
-
-    if (status) filter.status = status;
-    if (propertyType) filter.propertyType = propertyType;
-    if (createdBy) filter.createdBy = createdBy;
-    // Filter by primary region (specific filter)
-    if (primaryRegionId) {
-      const idAsString = String(primaryRegionId);
-      if (!mongoose.Types.ObjectId.isValid(idAsString)) {
-        return errorResponse(res, "Invalid primaryRegionId format", 400);
-      }
-      filter.primaryRegion = new mongoose.Types.ObjectId(idAsString);
-    }
-
-    // Filter by secondary region (specific filter)
-    if (secondaryRegionId) {
-      const idAsString = String(secondaryRegionId);
-      if (!mongoose.Types.ObjectId.isValid(idAsString)) {
-        return errorResponse(res, "Invalid secondaryRegionId format", 400);
-      }
-      filter.secondaryRegion = new mongoose.Types.ObjectId(idAsString);
-    }
-
-    // Resolve region filter: match either primaryRegion or secondaryRegion (for backward compatibility)
-    const resolvedRegionId = regionId || region;
-    // Optional city filter (case-insensitive) against customer address fields if present
-    if (city) {
-      const cityRegex = { $regex: `^${city}$`, $options: "i" };
-      // If your lead schema has a city field, filter directly; else apply to requirement/address text
-      // Example applying to requirement text as fallback
-      filter.$and = filter.$and || [];
-      filter.$and.push({
-        $or: [
-          { customerCity: cityRegex },
-          { requirement: { $regex: city, $options: "i" } },
-        ],
-      });
-    }
-    // Only apply regionId filter if primaryRegionId and secondaryRegionId are not set
-    if (resolvedRegionId && !primaryRegionId && !secondaryRegionId) {
-      const idAsString = String(resolvedRegionId);
-      if (!mongoose.Types.ObjectId.isValid(idAsString)) {
-        return errorResponse(res, "Invalid regionId format", 400);
-      }
-      const objectId = new mongoose.Types.ObjectId(idAsString);
-      filter.$or = [{ primaryRegion: objectId }, { secondaryRegion: objectId }];
-    }
-
-    // Filter by Region.city name -> resolve to Region IDs and filter primary/secondary
-    if (regionCity) {
-      const Region = (await import("../models/Region.js")).default;
-      const regions = await Region.find({
-        city: { $regex: `^${regionCity}$`, $options: "i" },
-      }).select("_id");
-      const regionIds = regions.map((r) => r._id);
-      if (regionIds.length > 0) {
-        filter.$or = [
-          ...(filter.$or || []),
-          { primaryRegion: { $in: regionIds } },
-          { secondaryRegion: { $in: regionIds } },
-        ];
-      } else {
-        // ensure no match
-        filter.$and = [...(filter.$and || []), { _id: { $exists: false } }];
-      }
-    }
-    if (requirement)
-      filter.requirement = { $regex: requirement, $options: "i" };
-    if (budgetMin || budgetMax) {
-      filter.budget = {};
-      if (budgetMin) filter.budget.$gte = Number(budgetMin);
-      if (budgetMax) filter.budget.$lte = Number(budgetMax);
-    }
-    if (customerEmail) filter.customerEmail = customerEmail;
-    if (customerPhone) filter.customerPhone = customerPhone;
-
-    if (search) {
-      filter.$or = [
-        { customerName: { $regex: search, $options: "i" } },
-        { customerEmail: { $regex: search, $options: "i" } },
-        { customerPhone: { $regex: search, $options: "i" } },
-        { requirement: { $regex: search, $options: "i" } },
-      ];
-    }
-
-    // Date range filter - handle preset ranges or custom dates
-    if (dateRange) {
-      const now = new Date();
-      const startOfToday = new Date(
-        now.getFullYear(),
-        now.getMonth(),
-        now.getDate(),
-        0,
-        0,
-        0,
-        0
-      );
-      const endOfToday = new Date(
-        now.getFullYear(),
-        now.getMonth(),
-        now.getDate(),
-        23,
-        59,
-        59,
-        999
-      );
-
-      filter.createdAt = {};
-
-      switch (dateRange.toLowerCase()) {
-        case "today":
-          filter.createdAt.$gte = startOfToday;
-          filter.createdAt.$lte = endOfToday;
-          break;
-        case "last7days":
-          const last7Days = new Date(now);
-          last7Days.setDate(now.getDate() - 7);
-          last7Days.setHours(0, 0, 0, 0);
-          filter.createdAt.$gte = last7Days;
-          filter.createdAt.$lte = endOfToday;
-          break;
-        case "last30days":
-          const last30Days = new Date(now);
-          last30Days.setDate(now.getDate() - 30);
-          last30Days.setHours(0, 0, 0, 0);
-          filter.createdAt.$gte = last30Days;
-          filter.createdAt.$lte = endOfToday;
-          break;
-      }
-    } else if (fromDate || toDate) {
-      // Custom date range
-      filter.createdAt = {};
-      if (fromDate) {
-        const from = new Date(fromDate);
-        from.setHours(0, 0, 0, 0);
-        filter.createdAt.$gte = from;
-      }
-      if (toDate) {
-        const to = new Date(toDate);
-        to.setHours(23, 59, 59, 999);
-        filter.createdAt.$lte = to;
-      }
-    }
-
-    // Verification status filter
-    if (verificationStatus) {
-      filter.verificationStatus = verificationStatus;
-    }
-
-    // Helper function to calculate distance in km using Haversine formula
-    const calculateDistanceKm = (lat1, lng1, lat2, lng2) => {
-      const R = 6371; // Earth's radius in km
-      const dLat = ((lat2 - lat1) * Math.PI) / 180;
-      const dLng = ((lng2 - lng1) * Math.PI) / 180;
-      const a =
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos((lat1 * Math.PI) / 180) *
-          Math.cos((lat2 * Math.PI) / 180) *
-          Math.sin(dLng / 2) *
-          Math.sin(dLng / 2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-      return R * c;
-    };
-
-    // Coordinate-based filtering
-    let userLat = null;
-    let userLng = null;
-    let radiusKm = null;
-    if (latitude && longitude) {
-      userLat = parseFloat(latitude);
-      userLng = parseFloat(longitude);
-
-      // Validate coordinates
-      if (
-        isNaN(userLat) ||
-        isNaN(userLng) ||
-        userLat < -90 ||
-        userLat > 90 ||
-        userLng < -180 ||
-        userLng > 180
-      ) {
-        return errorResponse(res, "Invalid latitude or longitude values", 400);
-      }
-
-      // Only use radius if explicitly provided
-      if (radius) {
-        radiusKm = parseFloat(radius);
-        if (isNaN(radiusKm) || radiusKm <= 0) {
-          return errorResponse(
-            res,
-            "Invalid radius value. Must be a positive number",
-            400
-          );
-        }
-      }
-    }
-
-    // If logged-in broker, filter leads based on transfer shareType
-    if (req.user && req.user.role === "broker") {
-      try {
-        const brokerDetail = await findBrokerDetailWithRegionsByUserId(
-          req.user._id
-        );
-        if (brokerDetail) {
-          const brokerDetailId = brokerDetail._id;
-          const brokerRegions = Array.isArray(brokerDetail.region)
-            ? brokerDetail.region
-            : [];
+    const { page, limit, sortBy = "createdAt", sortOrder = "desc" } = req.query;
 
-          // Build transfer filter based on shareType
-          const transferFilter = buildTransferFilterForBroker(
-            brokerDetailId,
-            brokerRegions
-          );
-
-          // Also include leads created by this broker
-          const brokerFilter = {
-            $or: [
-              { createdBy: brokerDetailId },
-              ...(transferFilter ? [transferFilter] : []),
-            ],
-          };
-
-          // Merge with existing filter
-          if (filter.$and) {
-            filter.$and.push(brokerFilter);
-          } else {
-            filter.$and = [brokerFilter];
-          }
-        }
-      } catch (err) {
-        console.error("Error building broker filter:", err);
-        // Non-fatal: continue without broker filter if lookup fails
-      }
-    }
+    const filter = await buildLeadsFilter(req.query, req.user);
+    const { userLat, userLng, radiusKm } = parseDistanceQuery(req.query);
 
     // Only apply pagination if page and limit are explicitly provided
     const pageNum =
@@ -879,7 +1127,7 @@ export const getLeads = async (req, res) => {
       hasPrevPage: pageNum && limitNum ? pageNum > 1 : false,
     });
   } catch (error) {
-    return serverError(res, error);
+    return serviceErrorResponse(res, error);
   }
 };
 
@@ -988,324 +1236,29 @@ export const getLeadById = async (req, res) => {
   }
 };
 
-export const getTransferredLeads = async (req, res) => {
+// Status history of a lead (oldest first); same access rules as its notes and activity
+export const getLeadTimeline = async (req, res) => {
   try {
-    const {
-      page,
-      limit,
-      search,
-      status,
-      propertyType,
-      region,
-      regionId,
-      requirement,
-      budgetMin,
-      budgetMax,
-      createdBy,
-      customerEmail,
-      customerPhone,
-      fromDate,
-      toDate,
-      toBroker,
-      fromBroker,
-      brokerId, // Additional filter for any broker involvement
-      sortBy = "createdAt",
-      sortOrder = "desc",
-    } = req.query || {};
-
-    // Build base filter with all lead fields (same as getLeads)
-    const filter = {};
-
-    if (status) filter.status = status;
-    if (propertyType) filter.propertyType = propertyType;
-    if (createdBy) filter.createdBy = createdBy;
-
-    // Resolve region filter: match either primaryRegion or secondaryRegion
-    const resolvedRegionId = regionId || region;
-    if (resolvedRegionId) {
-      const idAsString = String(resolvedRegionId);
-      if (!mongoose.Types.ObjectId.isValid(idAsString)) {
-        return errorResponse(res, "Invalid regionId format", 400);
-      }
-      const objectId = new mongoose.Types.ObjectId(idAsString);
-      filter.$or = [{ primaryRegion: objectId }, { secondaryRegion: objectId }];
-    }
-
-    if (requirement)
-      filter.requirement = { $regex: requirement, $options: "i" };
-    if (budgetMin || budgetMax) {
-      filter.budget = {};
-      if (budgetMin) filter.budget.$gte = Number(budgetMin);
-      if (budgetMax) filter.budget.$lte = Number(budgetMax);
-    }
-    if (customerEmail) filter.customerEmail = customerEmail;
-    if (customerPhone) filter.customerPhone = customerPhone;
-
-    if (search) {
-      filter.$or = [
-        { customerName: { $regex: search, $options: "i" } },
-        { customerEmail: { $regex: search, $options: "i" } },
-        { customerPhone: { $regex: search, $options: "i" } },
-        { requirement: { $regex: search, $options: "i" } },
-      ];
-    }
-
-    if (fromDate || toDate) {
-      filter.createdAt = {};
-      if (fromDate) filter.createdAt.$gte = new Date(fromDate);
-      if (toDate) filter.createdAt.$lte = new Date(toDate);
-    }
-
-    // Add transfer-specific filters
-    const matchTransfers = {};
-    const transferConditions = [];
-
-    // Handle explicit query parameter filters
-    if (toBroker) {
-      if (!mongoose.Types.ObjectId.isValid(String(toBroker))) {
-        return errorResponse(res, "Invalid toBroker format", 400);
-      }
-      const toBrokerId = new mongoose.Types.ObjectId(String(toBroker));
-
-      // Get broker details to check regions for shareType: "region" filtering
-      try {
-        const brokerDetail = await BrokerDetail.findById(toBrokerId).select(
-          "region"
-        );
-        const brokerRegions = brokerDetail
-          ? Array.isArray(brokerDetail.region)
-            ? brokerDetail.region
-            : []
-          : [];
-        const brokerRegionIds = brokerRegions
-          .map((r) =>
-            mongoose.Types.ObjectId.isValid(r)
-              ? new mongoose.Types.ObjectId(String(r))
-              : r
-          )
-          .filter(Boolean);
-
-        const toBrokerConditions = [
-          // Individual transfers: broker is the toBroker
-          {
-            transfers: {
-              $elemMatch: {
-                shareType: "individual",
-                toBroker: toBrokerId,
-              },
-            },
-          },
-          // All transfers: visible to all brokers
-          {
-            transfers: {
-              $elemMatch: {
-                shareType: "all",
-              },
-            },
-          },
-        ];
-
-        // Region transfers: broker's region array contains transfer's region
-        if (brokerRegionIds.length > 0) {
-          toBrokerConditions.push({
-            transfers: {
-              $elemMatch: {
-                shareType: "region",
-                region: { $in: brokerRegionIds },
-              },
-            },
-          });
-        }
-
-        transferConditions.push({
-          $or: toBrokerConditions,
-        });
-      } catch (err) {
-        // Fallback to individual only if broker lookup fails
-        transferConditions.push({
-          transfers: {
-            $elemMatch: {
-              shareType: "individual",
-              toBroker: toBrokerId,
-            },
-          },
-        });
-      }
-    }
-
-    if (fromBroker) {
-      if (!mongoose.Types.ObjectId.isValid(String(fromBroker))) {
-        return errorResponse(res, "Invalid fromBroker format", 400);
-      }
-      const fromBrokerId = new mongoose.Types.ObjectId(String(fromBroker));
-      transferConditions.push({
-        "transfers.fromBroker": fromBrokerId,
-      });
-    }
-
-    if (brokerId) {
-      if (!mongoose.Types.ObjectId.isValid(String(brokerId))) {
-        return errorResponse(res, "Invalid brokerId format", 400);
-      }
-      const brokerObjectId = new mongoose.Types.ObjectId(String(brokerId));
-
-      // Get broker details to check regions
-      try {
-        const brokerDetail = await BrokerDetail.findById(brokerObjectId).select(
-          "region"
-        );
-        const brokerRegions = brokerDetail
-          ? Array.isArray(brokerDetail.region)
-            ? brokerDetail.region
-            : []
-          : [];
-        const brokerRegionIds = brokerRegions
-          .map((r) =>
-            mongoose.Types.ObjectId.isValid(r)
-              ? new mongoose.Types.ObjectId(String(r))
-              : r
-          )
-          .filter(Boolean);
-
-        const brokerIdConditions = [
-          { "transfers.fromBroker": brokerObjectId },
-          {
-            transfers: {
-              $elemMatch: {
-                shareType: "individual",
-                toBroker: brokerObjectId,
-              },
-            },
-          },
-          {
-            transfers: {
-              $elemMatch: {
-                shareType: "all",
-              },
-            },
-          },
-        ];
-
-        // Add region condition if broker has regions
-        if (brokerRegionIds.length > 0) {
-          brokerIdConditions.push({
-            transfers: {
-              $elemMatch: {
-                shareType: "region",
-                region: { $in: brokerRegionIds },
-              },
-            },
-          });
-        }
-
-        transferConditions.push({
-          $or: brokerIdConditions,
-        });
-      } catch (err) {
-        // Fallback to simple check if broker lookup fails
-        transferConditions.push({
-          $or: [
-            { "transfers.fromBroker": brokerObjectId },
-            {
-              transfers: {
-                $elemMatch: {
-                  shareType: "individual",
-                  toBroker: brokerObjectId,
-                },
-              },
-            },
-          ],
-        });
-      }
-    }
-
-    // If logged-in broker, filter to show leads based on transfer shareType
-    if (req.user && req.user.role === "broker") {
-      try {
-        const brokerDetail = await findBrokerDetailWithRegionsByUserId(
-          req.user._id
-        );
-        if (brokerDetail) {
-          const brokerDetailId = brokerDetail._id;
-          const brokerRegions = Array.isArray(brokerDetail.region)
-            ? brokerDetail.region
-            : [];
-
-          // Build transfer filter based on shareType:
-          // - individual: show if broker is the toBroker
-          // - region: show if broker's region array contains transfer.region
-          // - all: show to all brokers (any broker can see)
-          const brokerTransferConditions = [];
-
-          // Individual transfers: broker is the toBroker
-          brokerTransferConditions.push({
-            transfers: {
-              $elemMatch: {
-                shareType: "individual",
-                toBroker: brokerDetailId,
-              },
-            },
-          });
+    const { lead } = await resolveLeadAccess(req.params.id, req.user);
 
-          // Region transfers: broker's region array contains transfer.region
-          if (brokerRegions.length > 0) {
-            const brokerRegionIds = brokerRegions
-              .map((r) =>
-                mongoose.Types.ObjectId.isValid(r)
-                  ? new mongoose.Types.ObjectId(String(r))
-                  : r
-              )
-              .filter(Boolean);
-
-            if (brokerRegionIds.length > 0) {
-              brokerTransferConditions.push({
-                transfers: {
-                  $elemMatch: {
-                    shareType: "region",
-                    region: { $in: brokerRegionIds },
-                  },
-                },
-              });
-            }
-          }
+    const timeline = await fetchLeadTimeline(lead._id);
 
-          // All transfers: show to all brokers (any broker can see)
-          brokerTransferConditions.push({
-            transfers: {
-              $elemMatch: {
-                shareType: "all",
-              },
-            },
-          });
-
-          // Also include leads where broker is fromBroker
-          brokerTransferConditions.push({
-            "transfers.fromBroker": brokerDetailId,
-          });
-
-          // Combine broker-specific conditions
-          transferConditions.push({
-            $or: brokerTransferConditions,
-          });
-        }
-      } catch (err) {
-        console.error("Error building broker filter:", err);
-        // Non-fatal: continue without broker filter if lookup fails
-      }
-    }
+    return successResponse(res, "Lead timeline retrieved successfully", {
+      leadId: lead._id,
+      status: lead.status,
+      lostReason: lead.lostReason || null,
+      timeline,
+    });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
 
-    // Combine all transfer conditions
-    if (transferConditions.length > 0) {
-      if (transferConditions.length === 1) {
-        Object.assign(matchTransfers, transferConditions[0]);
-      } else {
-        matchTransfers.$and = transferConditions;
-      }
-    }
+export const getTransferredLeads = async (req, res) => {
+  try {
+    const { page, limit, sortBy = "createdAt", sortOrder = "desc" } = req.query || {};
 
-    // Ensure leads have at least one transfer
-    const baseTransferFilter = { transfers: { $exists: true, $ne: [] } };
-    const finalFilter = { ...filter, ...baseTransferFilter, ...matchTransfers };
+    const finalFilter = await buildTransferredLeadsFilter(req.query || {}, req.user);
 
     // Only apply pagination if page and limit are explicitly provided
     const pageNum =
@@ -1472,7 +1425,67 @@ export const getTransferredLeads = async (req, res) => {
       hasPrevPage: pageNum && limitNum ? pageNum > 1 : false,
     });
   } catch (error) {
-    return serverError(res, error);
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Stream the leads matching the getLeads filters (or the getTransferredLeads filters with
+// transferred=true / toBroker / fromBroker / brokerId) as CSV or XLSX.
+// Brokers only export the leads they can see.
+export const exportLeads = async (req, res) => {
+  try {
+    const {
+      format = "csv",
+      columns,
+      transferred,
+      toBroker,
+      fromBroker,
+      brokerId,
+      sortBy = "createdAt",
+      sortOrder = "desc",
+    } = req.query;
+
+    const useTransferredFilters =
+      transferred === true || transferred === "true" || Boolean(toBroker || fromBroker || brokerId);
+    const filter = useTransferredFilters
+      ? await buildTransferredLeadsFilter(req.query, req.user)
+      : await buildLeadsFilter(req.query, req.user);
+    const { userLat, userLng, radiusKm } = useTransferredFilters
+      ? { userLat: null, userLng: null, radiusKm: null }
+      : parseDistanceQuery(req.query);
+    const withDistance = userLat !== null && userLng !== null;
+    const exportColumns = resolveExportColumns(columns, { withDistance });
+
+    // Same distance rules as getLeads: with a radius, leads without coordinates are left out
+    const addDistance = (lead) => {
+      if (!withDistance) return lead;
+      const [regionLat, regionLng] = lead.primaryRegion?.centerCoordinates || [];
+      if (!Number.isFinite(regionLat) || !Number.isFinite(regionLng)) {
+        return radiusKm === null ? lead : null;
+      }
+      const distance = calculateDistanceKm(userLat, userLng, regionLat, regionLng);
+      if (radiusKm !== null && distance > radiusKm) return null;
+      return { ...lead, distanceKm: Number(distance.toFixed(3)) };
+    };
+
+    const cursor = Lead.find(filter)
+      .sort({ [sortBy]: sortOrder === "desc" ? -1 : 1 })
+      .populate(LEAD_EXPORT_POPULATE)
+      .lean()
+      .cursor();
+
+    await streamLeadExport(res, cursor, {
+      format,
+      columns: exportColumns,
+      transform: addDistance,
+    });
+  } catch (error) {
+    // Once streaming started the response can only be aborted
+    if (res.headersSent) {
+      console.error("Error exporting leads:", error);
+      return res.destroy(error);
+    }
+    return serviceErrorResponse(res, error);
   }
 };
 
@@ -1599,6 +1612,7 @@ export const getLeadMetrics = async (req, res) => {
       totalConnections,
       totalConnectionsCurrentPeriod,
       totalConnectionsPreviousPeriod,
+      funnel,
     ] = await Promise.all([
       // Total leads (all time)
       Lead.countDocuments(matchBase),
@@ -1617,11 +1631,17 @@ export const getLeadMetrics = async (req, res) => {
         ...matchBase,
         createdAt: { $gte: startOfToday, $lte: endOfToday },
       }),
-      // Converted leads
-      Lead.countDocuments({ ...matchBase, status: "Closed" }),
+      // Converted leads (won stages, incl. legacy "Closed")
+      Lead.countDocuments({ ...matchBase, status: { $in: WON_STATUSES } }),
       // Average deal size
       Lead.aggregate([
-        { $match: { ...matchBase, status: "Closed", budget: { $ne: null } } },
+        {
+          $match: {
+            ...matchBase,
+            status: { $in: WON_STATUSES },
+            budget: { $ne: null },
+          },
+        },
         { $group: { _id: null, avg: { $avg: "$budget" } } },
         { $project: { _id: 0, avg: 1 } },
       ]),
@@ -1635,6 +1655,7 @@ export const getLeadMetrics = async (req, res) => {
                   String(actorBrokerId)
                 ),
                 "transfers.shareType": "individual",
+                "transfers.status": { $nin: INACTIVE_TRANSFER_STATUSES },
               },
             },
             { $count: "count" },
@@ -1695,6 +1716,8 @@ export const getLeadMetrics = async (req, res) => {
         ...connectionsMatchBase,
         createdAt: { $gte: startOfPreviousPeriod, $lte: endOfPreviousPeriod },
       }),
+      // Pipeline funnel (stage reach and stage-to-stage conversion rates)
+      getLeadFunnel(matchBase),
     ]);
 
     // Calculate percentage changes
@@ -1744,17 +1767,30 @@ export const getLeadMetrics = async (req, res) => {
       totalPropertiesPercentageChange: totalPropertiesPercentage,
       totalConnections,
       totalConnectionsPercentageChange: totalConnectionsPercentage,
+      funnel,
     });
   } catch (error) {
     return serverError(res, error);
   }
 };
 
+// Lead fields that change which properties match it
+const MATCH_FIELDS = ["propertyType", "budget", "requirement", "primaryRegion", "secondaryRegion", "status"];
+
 export const updateLead = async (req, res) => {
   try {
     const { id } = req.params;
     const payload = req.body || {};
 
+    // Transfers follow the pending -> accept/decline/expire workflow
+    if (payload.transfers !== undefined) {
+      return errorResponse(
+        res,
+        "Transfers cannot be changed with a lead update; use POST /api/leads/:id/transfer-and-notes",
+        400
+      );
+    }
+
     // Check if lead exists
     const existingLead = await Lead.findById(id);
     if (!existingLead) {
@@ -1851,6 +1887,42 @@ export const updateLead = async (req, res) => {
       return serverError(res, e);
     }
 
+    // History, reached stages, dedup keys and score are maintained by the services only
+    delete payload.stagesReached;
+    delete payload.mergedFrom;
+    delete payload.normalizedPhone;
+    delete payload.normalizedEmail;
+    delete payload.score;
+    delete payload.scoreBreakdown;
+    delete payload.scoredAt;
+    const statusReason = payload.statusReason;
+    delete payload.statusReason;
+
+    const statusChanged =
+      payload.status && payload.status !== existingLead.status;
+    if (statusChanged) {
+      if (getLeadStage(payload.status)?.requiresReason && !payload.lostReason) {
+        return errorResponse(
+          res,
+          `lostReason is required for status ${payload.status}`,
+          400
+        );
+      }
+      // A lost reason only describes a lost lead
+      if (!LOST_STATUSES.includes(payload.status)) {
+        payload.lostReason = null;
+      }
+      // Winning a lead creates the commission settlements of its transfers, so
+      // only those who can see the lead (or admin) may close it as won
+      if (WON_STATUSES.includes(payload.status)) {
+        try {
+          await resolveLeadAccess(id, req.user);
+        } catch (accessError) {
+          return serviceErrorResponse(res, accessError);
+        }
+      }
+    }
+
     // Get original createdBy ObjectId before update
     const originalCreatedBy = existingLead.createdBy;
 
@@ -1941,7 +2013,26 @@ export const updateLead = async (req, res) => {
 
     // Create notification if status changed (non-blocking - fire and forget)
     // Use userId from token (req.user._id)
-    if (payload.status && payload.status !== existingLead.status) {
+    if (statusChanged) {
+      try {
+        await recordStatusChange({
+          leadId: existingLead._id,
+          fromStatus: existingLead.status,
+          toStatus: payload.status,
+          reason: payload.lostReason || statusReason,
+          actor: req.user,
+        });
+      } catch (historyError) {
+        console.error("Error recording lead status history:", historyError);
+      }
+
+      // A won lead settles the referral commissions of its transfers
+      if (WON_STATUSES.includes(payload.status)) {
+        createSettlementsForLead(existingLead._id).catch((settlementError) => {
+          console.error("Error creating commission settlements:", settlementError);
+        });
+      }
+
       if (req.user?._id) {
         createLeadNotification(
           req.user._id,
@@ -1957,6 +2048,12 @@ export const updateLead = async (req, res) => {
       }
     }
 
+    scheduleLeadScoreRefresh(id);
+    if (MATCH_FIELDS.some((field) => payload[field] !== undefined)) {
+      scheduleMatchNotifications({ leadId: id });
+    }
+    if (payload.transfers !== undefined) scheduleLeadDeliverySync(id);
+
     return successResponse(res, "Lead updated successfully", {
       lead: leadUpdated,
     });
@@ -2065,8 +2162,11 @@ export const deleteLead = async (req, res) => {
       }
     }
 
-    // Delete the lead
+    // Delete the lead, its notes and remembered property matches
     await Lead.findByIdAndDelete(id);
+    await LeadNote.deleteMany({ leadId: id });
+    await LeadPropertyMatch.deleteMany({ lead: id });
+    await LeadDelivery.deleteMany({ lead: id });
 
     // Create notifications for all linked brokers (non-blocking - fire and forget)
     if (brokerUserIds.size > 0) {
@@ -2154,6 +2254,8 @@ export const transferAndNotes = async (req, res) => {
             shareType: "individual",
             toBroker: transfer.toBroker,
             region: null,
+            expiresAt: transfer.expiresAt,
+            commission: transfer.commission,
           });
         } else if (shareType === "region") {
           if (!transfer.region) {
@@ -2176,6 +2278,8 @@ export const transferAndNotes = async (req, res) => {
             shareType: "region",
             toBroker: null,
             region: transfer.region,
+            expiresAt: transfer.expiresAt,
+            commission: transfer.commission,
           });
         } else if (shareType === "all") {
           // For 'all', save only shareType (no toBroker, no region)
@@ -2183,6 +2287,8 @@ export const transferAndNotes = async (req, res) => {
             shareType: "all",
             toBroker: null,
             region: null,
+            expiresAt: transfer.expiresAt,
+            commission: transfer.commission,
           });
         }
       }
@@ -2217,25 +2323,46 @@ export const transferAndNotes = async (req, res) => {
     // For region: check fromBroker + shareType + region
     // For all: check fromBroker + shareType
     lead.transfers = Array.isArray(lead.transfers) ? lead.transfers : [];
-    const existingTransfers = new Set();
+    const existingTransfers = new Map();
 
-    // Build set of existing transfer keys
+    // Build map of existing transfer keys
     lead.transfers.forEach((t) => {
       if (t.shareType === "individual" && t.toBroker) {
-        existingTransfers.add(
-          `${String(t.fromBroker)}:individual:${String(t.toBroker)}`
+        existingTransfers.set(
+          `${String(t.fromBroker)}:individual:${String(t.toBroker)}`,
+          t
         );
       } else if (t.shareType === "region" && t.region) {
-        existingTransfers.add(
-          `${String(t.fromBroker)}:region:${String(t.region)}`
+        existingTransfers.set(
+          `${String(t.fromBroker)}:region:${String(t.region)}`,
+          t
         );
       } else if (t.shareType === "all") {
-        existingTransfers.add(`${String(t.fromBroker)}:all`);
+        existingTransfers.set(`${String(t.fromBroker)}:all`, t);
       }
     });
 
+    // Optional referral commission (per transfer, else body.commission); the
+    // proposing broker acknowledges it by sending it
+    const actingBrokerId =
+      req.user?.role === "broker" ? await findBrokerDetailIdByUserId(req.user._id) : null;
+    const commissionFor = (transfer) => {
+      const agreement = transfer.commission || body.commission;
+      return agreement
+        ? buildCommission(agreement, { acknowledgedByFrom: String(actingBrokerId) === String(fromId) })
+        : undefined;
+    };
+    let commissions;
+    try {
+      commissions = transfersToAdd.map(commissionFor);
+    } catch (commissionError) {
+      return errorResponse(res, commissionError.message, commissionError.statusCode || 400);
+    }
+
+    // New transfers wait for the recipient's response (services/leadTransfer.service.js)
+    const pendingTransfers = [];
     const uniqueToBrokerIds = [];
-    transfersToAdd.forEach((transfer) => {
+    transfersToAdd.forEach((transfer, index) => {
       let key;
       if (transfer.shareType === "individual") {
         key = `${String(fromId)}:individual:${String(transfer.toBroker)}`;
@@ -2245,10 +2372,26 @@ export const transferAndNotes = async (req, res) => {
         key = `${String(fromId)}:all`;
       }
 
-      if (!existingTransfers.has(key)) {
+      const existing = existingTransfers.get(key);
+      if (existing && INACTIVE_TRANSFER_STATUSES.includes(existing.status)) {
+        // A declined or expired transfer is sent again
+        existing.status = TRANSFER_STATUSES.PENDING;
+        existing.expiresAt = getTransferExpiry(transfer.expiresAt || body.expiresAt);
+        existing.respondedBy = undefined;
+        existing.respondedAt = undefined;
+        existing.declineReason = undefined;
+        if (commissions[index]) existing.commission = commissions[index];
+        pendingTransfers.push(existing);
+        if (transfer.shareType === "individual") {
+          uniqueToBrokerIds.push(transfer.toBroker);
+        }
+      } else if (!existing) {
         const newTransfer = {
           fromBroker: fromId,
           shareType: transfer.shareType,
+          status: TRANSFER_STATUSES.PENDING,
+          expiresAt: getTransferExpiry(transfer.expiresAt || body.expiresAt),
+          commission: commissions[index],
         };
 
         // Only add toBroker if shareType is 'individual'
@@ -2263,16 +2406,37 @@ export const transferAndNotes = async (req, res) => {
         }
 
         lead.transfers.push(newTransfer);
-        existingTransfers.add(key);
+        const added = lead.transfers[lead.transfers.length - 1];
+        existingTransfers.set(key, added);
+        pendingTransfers.push(added);
       }
     });
 
-    // Update notes if provided
-    if (notes !== undefined) {
-      lead.notes = notes ?? "";
+    await lead.save();
+    scheduleLeadScoreRefresh(lead._id);
+    scheduleLeadDeliverySync(lead);
+
+    try {
+      await scheduleTransferExpiries(lead._id, pendingTransfers);
+    } catch (expiryError) {
+      console.error("Error scheduling transfer expiry:", expiryError);
     }
 
-    await lead.save();
+    // Notes are appended as a shared note entry instead of overwriting lead.notes;
+    // the author is whoever sends them (fromBroker only describes the transfer)
+    if (typeof notes === "string" && notes.trim()) {
+      const author = actingBrokerId
+        ? await BrokerDetail.findById(actingBrokerId).select("name").lean()
+        : null;
+      await LeadNote.create({
+        leadId: lead._id,
+        author: actingBrokerId,
+        authorUser: req.user._id,
+        authorName: author?.name || req.user.name || (req.user.role === "admin" ? "Admin" : undefined),
+        body: notes.trim(),
+        visibility: "shared",
+      });
+    }
 
     // Create notifications for transferred brokers
     try {
@@ -2566,6 +2730,8 @@ export const deleteLeadTransfer = async (req, res) => {
     }
 
     await lead.save();
+    scheduleLeadScoreRefresh(lead._id);
+    scheduleLeadDeliverySync(lead);
     return successResponse(res, "Transfer deleted successfully", { lead });
   } catch (error) {
     return serverError(res, error);
@@ -2668,6 +2834,7 @@ export const updateRegionTransfer = async (req, res) => {
     lead.updatedAt = new Date();
 
     await lead.save();
+    scheduleLeadDeliverySync(lead);
 
     // Get updated lead with populated data (same as getLeadById)
     const updatedLead = await Lead.findById(id)
@@ -2762,6 +2929,8 @@ export const deleteRegionTransfer = async (req, res) => {
     }
 
     await lead.save();
+    scheduleLeadScoreRefresh(lead._id);
+    scheduleLeadDeliverySync(lead);
 
     // Get updated lead with populated data (same as getLeadById)
     const updatedLead = await Lead.findById(id)
@@ -2834,6 +3003,7 @@ export const updateLeadVerification = async (req, res) => {
     // Update verification status
     lead.verificationStatus = verificationStatus;
     await lead.save();
+    scheduleLeadScoreRefresh(lead._id);
 
     // Get updated lead with populated data
     const updatedLead = await Lead.findById(id)
@@ -0,0 +1,50 @@
+import { findDuplicateLeads, mergeLeads } from "../services/leadDedup.service.js";
+import { resolveLeadAccess } from "../services/leadNote.service.js";
+import {
+  successResponse,
+  serviceErrorResponse,
+} from "../utils/response.js";
+
+// Leads that look like the same customer. Contact details are only shown to
+// admin and to the broker who created the duplicate.
+export const getLeadDuplicates = async (req, res) => {
+  try {
+    const { lead, broker, isAdmin } = await resolveLeadAccess(req.params.id, req.user);
+    const matches = await findDuplicateLeads(lead, { excludeIds: [lead._id] });
+
+    const duplicates = matches.map(({ lead: dup, reasons, nameScore }) => {
+      const canSeeContact = isAdmin || (broker && String(dup.createdBy) === String(broker._id));
+      return {
+        _id: dup._id,
+        customerName: dup.customerName,
+        ...(canSeeContact
+          ? { customerPhone: dup.customerPhone, customerEmail: dup.customerEmail }
+          : {}),
+        status: dup.status,
+        primaryRegion: dup.primaryRegion,
+        createdBy: dup.createdBy,
+        createdAt: dup.createdAt,
+        reasons,
+        nameScore,
+      };
+    });
+
+    return successResponse(res, "Duplicate leads retrieved successfully", { duplicates });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Merge the given leads into this one
+export const mergeLead = async (req, res) => {
+  try {
+    const { lead, merge } = await mergeLeads(req.params.id, req.body.duplicateIds, req.user);
+    return successResponse(res, "Leads merged successfully", {
+      lead,
+      mergeId: merge._id,
+      mergedLeadIds: merge.merged.map((m) => m.leadId),
+    });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
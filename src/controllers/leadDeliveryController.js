@@ -0,0 +1,57 @@
+import {
+  listSharedWithMe,
+  listLeadDeliveries,
+  markLeadViewed,
+  setBroadcastPreference,
+} from "../services/leadDelivery.service.js";
+import { resolveLeadAccess } from "../services/leadNote.service.js";
+import {
+  successResponse,
+  serviceErrorResponse,
+} from "../utils/response.js";
+
+// Leads shared with the logged-in broker's region or with all brokers (?unseen=true for new ones only)
+export const getSharedWithMe = async (req, res) => {
+  try {
+    const result = await listSharedWithMe(req.user, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      unseen: req.query.unseen === true || req.query.unseen === "true",
+    });
+    return successResponse(res, "Shared leads retrieved successfully", result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Who a lead was broadcast to and who saw, opened or opted out of it
+export const getLeadDeliveries = async (req, res) => {
+  try {
+    const result = await listLeadDeliveries(req.params.id, req.user);
+    return successResponse(res, "Lead deliveries retrieved successfully", result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Record that the logged-in broker opened a lead shared with them
+export const markLeadAsViewed = async (req, res) => {
+  try {
+    const { lead, broker } = await resolveLeadAccess(req.params.id, req.user);
+    await markLeadViewed(lead._id, broker?._id);
+    return successResponse(res, "Lead marked as viewed");
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const updateBroadcastPreference = async (req, res) => {
+  try {
+    const broker = await setBroadcastPreference(req.user, req.body.receiveLeadBroadcasts);
+    return successResponse(res, "Broadcast preference updated successfully", {
+      receiveLeadBroadcasts: broker.receiveLeadBroadcasts,
+    });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
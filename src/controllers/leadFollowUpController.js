@@ -0,0 +1,88 @@
+import {
+  createFollowUp,
+  listLeadFollowUps,
+  listFollowUps,
+  snoozeFollowUp,
+  completeFollowUp,
+  cancelFollowUp,
+} from "../services/leadFollowUp.service.js";
+import {
+  successResponse,
+  serviceErrorResponse,
+} from "../utils/response.js";
+
+export const createLeadFollowUp = async (req, res) => {
+  try {
+    const followUp = await createFollowUp(req.params.id, req.user, req.body);
+    return successResponse(res, "Follow-up scheduled successfully", { followUp }, 201);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const getLeadFollowUps = async (req, res) => {
+  try {
+    const followUps = await listLeadFollowUps(req.params.id, req.user);
+    return successResponse(res, "Follow-ups retrieved successfully", { followUps });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Follow-ups of the logged-in broker (admin may pass brokerId)
+export const getFollowUps = async (req, res) => {
+  try {
+    const { brokerId, status, page, limit } = req.query;
+    const result = await listFollowUps(req.user, {
+      brokerId,
+      status,
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 20,
+    });
+    return successResponse(res, "Follow-ups retrieved successfully", result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const getOverdueFollowUps = async (req, res) => {
+  try {
+    const { brokerId, page, limit } = req.query;
+    const result = await listFollowUps(req.user, {
+      brokerId,
+      overdue: true,
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 20,
+    });
+    return successResponse(res, "Overdue follow-ups retrieved successfully", result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const snoozeLeadFollowUp = async (req, res) => {
+  try {
+    const followUp = await snoozeFollowUp(req.params.followUpId, req.user, req.body.until);
+    return successResponse(res, "Follow-up snoozed successfully", { followUp });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const completeLeadFollowUp = async (req, res) => {
+  try {
+    const followUp = await completeFollowUp(req.params.followUpId, req.user);
+    return successResponse(res, "Follow-up completed successfully", { followUp });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const cancelLeadFollowUp = async (req, res) => {
+  try {
+    const followUp = await cancelFollowUp(req.params.followUpId, req.user);
+    return successResponse(res, "Follow-up cancelled successfully", { followUp });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
@@ -0,0 +1,66 @@
+import {
+  listLeadNotes,
+  createLeadNote as addLeadNote,
+  updateLeadNote as editLeadNote,
+  deleteLeadNote as removeLeadNote,
+} from "../services/leadNote.service.js";
+import { getLeadTimeline } from "../services/leadPipeline.service.js";
+import {
+  successResponse,
+  serviceErrorResponse,
+} from "../utils/response.js";
+
+export const getLeadNotes = async (req, res) => {
+  try {
+    const notes = await listLeadNotes(req.params.id, req.user);
+    return successResponse(res, "Lead notes retrieved successfully", { notes });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const createLeadNote = async (req, res) => {
+  try {
+    const note = await addLeadNote(req.params.id, req.user, req.body);
+    return successResponse(res, "Note added successfully", { note }, 201);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const updateLeadNote = async (req, res) => {
+  try {
+    const note = await editLeadNote(req.params.id, req.params.noteId, req.user, req.body);
+    return successResponse(res, "Note updated successfully", { note });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const deleteLeadNote = async (req, res) => {
+  try {
+    await removeLeadNote(req.params.id, req.params.noteId, req.user);
+    return successResponse(res, "Note deleted successfully");
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Notes and status changes of a lead merged into one feed, newest first
+export const getLeadActivity = async (req, res) => {
+  try {
+    const [notes, timeline] = await Promise.all([
+      listLeadNotes(req.params.id, req.user),
+      getLeadTimeline(req.params.id),
+    ]);
+
+    const activity = [
+      ...notes.map((note) => ({ type: "note", at: note.createdAt, note })),
+      ...timeline.map((change) => ({ type: "status", at: change.createdAt, change })),
+    ].sort((a, b) => new Date(b.at) - new Date(a.at));
+
+    return successResponse(res, "Lead activity retrieved successfully", { activity });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import LeadRoutingRule from '../models/LeadRoutingRule.js';
+import Region from '../models/Region.js';
+import Lead from '../models/Lead.js';
+import { routeLead } from '../services/leadRouting.service.js';
+import { scheduleLeadScoreRefresh } from '../services/leadScoring.service.js';
+import { successResponse, errorResponse, serverError } from '../utils/response.js';
+
+// ":regionId" is a region id, or "default" for the fallback rule
+const parseRuleRegion = async (regionId) => {
+  if (regionId === 'default') return { region: null };
+  if (!mongoose.Types.ObjectId.isValid(regionId)) {
+    return { error: 'Invalid region ID' };
+  }
+  const exists = await Region.exists({ _id: regionId });
+  if (!exists) return { error: 'Region not found', status: 404 };
+  return { region: regionId };
+};
+
+// List routing rules (default rule first)
+export const getRoutingRules = async (req, res) => {
+  try {
+    const rules = await LeadRoutingRule.find()
+      .populate('region', 'name city state')
+      .sort({ region: 1 })
+      .lean();
+
+    return successResponse(res, 'Routing rules retrieved successfully', { rules });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+// Create or update the routing rule of a region
+export const upsertRoutingRule = async (req, res) => {
+  try {
+    const { region, error, status } = await parseRuleRegion(req.params.regionId);
+    if (error) return errorResponse(res, error, status || 400);
+
+    const updates = { ...req.body, updatedBy: req.user._id };
+    delete updates.region;
+    delete updates.roundRobinCursor;
+
+    // Nested weights are merged rather than replaced
+    if (updates.weights) {
+      Object.entries(updates.weights).forEach(([key, value]) => {
+        updates[`weights.${key}`] = value;
+      });
+      delete updates.weights;
+    }
+
+    const rule = await LeadRoutingRule.findOneAndUpdate(
+      { region },
+      { $set: updates, $setOnInsert: { region } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate('region', 'name city state');
+
+    return successResponse(res, 'Routing rule saved successfully', { rule });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+export const deleteRoutingRule = async (req, res) => {
+  try {
+    const { region, error, status } = await parseRuleRegion(req.params.regionId);
+    if (error) return errorResponse(res, error, status || 400);
+
+    const rule = await LeadRoutingRule.findOneAndDelete({ region });
+    if (!rule) return errorResponse(res, 'Routing rule not found', 404);
+
+    return successResponse(res, 'Routing rule deleted successfully');
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+// Run routing for an existing lead that has no transfers yet
+export const routeExistingLead = async (req, res) => {
+  try {
+    const { leadId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(leadId)) {
+      return errorResponse(res, 'Invalid lead ID', 400);
+    }
+
+    const lead = await Lead.findById(leadId).select('transfers').lean();
+    if (!lead) return errorResponse(res, 'Lead not found', 404);
+    if (lead.transfers?.length) {
+      return errorResponse(res, 'Lead has already been transferred', 400);
+    }
+
+    const brokers = await routeLead(leadId);
+    if (!brokers.length) {
+      return errorResponse(res, 'No routing rule or eligible broker for this lead', 422);
+    }
+    scheduleLeadScoreRefresh(leadId);
+
+    return successResponse(res, 'Lead assigned successfully', {
+      assignedTo: brokers.map((b) => ({ _id: b._id, name: b.name }))
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
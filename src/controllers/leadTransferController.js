@@ -0,0 +1,33 @@
+import { acceptTransfer, declineTransfer, listIncomingTransfers } from "../services/leadTransfer.service.js";
+import {
+  successResponse,
+  serviceErrorResponse,
+} from "../utils/response.js";
+
+// Pending transfers waiting for the logged-in broker's response
+export const getIncomingTransfers = async (req, res) => {
+  try {
+    const transfers = await listIncomingTransfers(req.user);
+    return successResponse(res, "Incoming transfers retrieved successfully", { transfers });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const acceptLeadTransfer = async (req, res) => {
+  try {
+    const lead = await acceptTransfer(req.params.id, req.params.transferId, req.user);
+    return successResponse(res, "Transfer accepted successfully", { lead });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const declineLeadTransfer = async (req, res) => {
+  try {
+    const lead = await declineTransfer(req.params.id, req.params.transferId, req.user, req.body || {});
+    return successResponse(res, "Transfer declined successfully", { lead });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
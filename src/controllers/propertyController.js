@@ -8,6 +8,17 @@ import { getFileUrl } from "../middleware/upload.js";
 import { createPropertyNotification, createNotification, getUserIdFromBrokerOrProperty } from "../utils/notifications.js";
 import User from "../models/User.js";
 import { geocodeAddress } from "../utils/geocode.js";
+import LeadPropertyMatch from "../models/LeadPropertyMatch.js";
+import { scheduleMatchNotifications } from "../services/propertyMatching.service.js";
+import { PROPERTY_STATUSES } from "../config/propertyLifecycle.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+import { assertPropertyStatusChange } from "../services/propertyLifecycle.service.js";
+import { getPropertyChanges, requiresReapproval, recordPropertyRevision } from "../services/propertyRevision.service.js";
+import {
+  approveProperty as approveListing,
+  rejectProperty as rejectListing,
+  recordPropertySubmission
+} from "../services/propertyModeration.service.js";
 
 export const createProperty = async (req, res) => {
   try {
@@ -29,9 +40,15 @@ export const createProperty = async (req, res) => {
       createdBy        // hot property flag
     } = req.body;
 
-    // If caller is a broker, override with token value (optional)
+    // A broker always creates the listing for themselves
     let brokerId = broker;
-    if (req.user?.role === "broker") brokerId = req.user.brokerId;
+    if (req.user?.role === "broker") {
+      const ownBroker = await BrokerDetail.findOne({ userId: req.user._id }).select("_id").lean();
+      if (!ownBroker) {
+        return res.status(403).json({ success: false, message: "Broker profile not found for this user." });
+      }
+      brokerId = String(ownBroker._id);
+    }
 
     // 1) basic format check (prevents CastError 500s)
     if (!brokerId || !mongoose.isValidObjectId(brokerId)) {
@@ -91,7 +108,12 @@ export const createProperty = async (req, res) => {
       }
     }
 
-    // 6) Create property with geocoded coordinates
+    // 6) Only moderators may publish directly; other listings wait in the moderation queue
+    const initialStatus = hasPermission(req.user?.role, PERMISSIONS.PROPERTY_MODERATE) && status
+      ? status
+      : PROPERTY_STATUSES.PENDING_APPROVAL;
+
+    // 7) Create property with geocoded coordinates
     const doc = await Property.create({
       title, description, propertyDescription, propertySize,
       propertyType, subType, price, priceUnit,
@@ -103,7 +125,7 @@ export const createProperty = async (req, res) => {
       isFeatured: !!isFeatured,
       isHotProperty: !!isHotProperty,
       notes,
-      status, // ✅ added
+      status: initialStatus,
       latitude,
       longitude,
       // listing meta
@@ -114,7 +136,7 @@ export const createProperty = async (req, res) => {
       propertyAgeYears,
       createdBy
     });
-    // 7) Return with populated broker and region info
+    // 8) Return with populated broker and region info
     const created = await Property.findById(doc._id)
       .populate("broker", "name email phone firmName licenseNumber status")
       .populate("region", "name description city state centerLocation radius")
@@ -139,6 +161,18 @@ export const createProperty = async (req, res) => {
         console.error('Error creating property notification:', notifError);
       });
 
+    // Active listings are matched against open leads in the background
+    if (doc.status === "Active") {
+      scheduleMatchNotifications({ propertyId: doc._id });
+    }
+
+    // Listings waiting for approval start their moderation history
+    if (doc.status === "Pending Approval") {
+      recordPropertySubmission(doc, req.user).catch(historyError => {
+        console.error('Error recording property submission:', historyError);
+      });
+    }
+
     return;
   } catch (err) {
     if (err.name === "ValidationError") {
@@ -689,32 +723,14 @@ export const approveProperty = async (req, res) => {
       return res.json({ success: true, message: "Property already active", data: populated });
     }
 
-    doc.status = "Active";
-    await doc.save();
+    // Recorded in the moderation history; the broker is notified in the background
+    const { property } = await approveListing(id, req.user, { comment: req.body?.comment });
 
-    const populated = await Property.findById(id)
-      .populate("broker", "name email phone firmName licenseNumber status brokerImage")
-      .populate("region", "name description city state centerLocation radius")
-      .lean();
-
-    // Create notification for property approval (non-blocking - fire and forget)
-    // Send notification to the broker who owns the property
-    getUserIdFromBrokerOrProperty(populated.broker?._id || populated.broker, null)
-      .then(brokerUserId => {
-        if (brokerUserId) {
-          return createPropertyNotification(brokerUserId, 'approved', populated, req.user);
-        } else {
-          console.warn('Could not find broker userId for property approval notification');
-          return null;
-        }
-      })
-      .catch(notifError => {
-        console.error('Error creating approval notification:', notifError);
-      });
-
-    // Send response immediately (notification creation runs in background)
-    return res.json({ success: true, message: "Property approved", data: populated });
+    return res.json({ success: true, message: "Property approved", data: property });
   } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
     console.error("approveProperty error:", err);
     return res.status(500).json({ success: false, message: "Server error.", error: err.message });
   }
@@ -723,51 +739,19 @@ export const approveProperty = async (req, res) => {
 export const rejectProperty = async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body || {};
-
-    if (!mongoose.isValidObjectId(id)) {
-      return res.status(400).json({ success: false, message: "Invalid property id" });
-    }
-
-    const doc = await Property.findById(id);
-    if (!doc) return res.status(404).json({ success: false, message: "Property not found" });
-
-    doc.status = "Rejected";
-    if (reason) {
-      const stamp = new Date().toISOString();
-      doc.notes = (doc.notes ? `${doc.notes}\n` : "") + `Rejected: ${reason} (${stamp})`;
-      doc.rejectionReason = reason; // Store rejection reason for notification
-    }
-    await doc.save();
+    const { reason, reasonCodes } = req.body || {};
 
-    const populated = await Property.findById(id)
-      .populate("broker", "name email phone firmName licenseNumber status")
-      .populate("region", "name description city state centerLocation radius")
-      .lean();
-
-    // Add rejection reason to populated property for notification
-    if (reason && populated) {
-      populated.rejectionReason = reason;
-    }
-
-    // Create notification for property rejection (non-blocking - fire and forget)
-    // Send notification to the broker who owns the property
-    getUserIdFromBrokerOrProperty(populated.broker?._id || populated.broker, null)
-      .then(brokerUserId => {
-        if (brokerUserId) {
-          return createPropertyNotification(brokerUserId, 'rejected', populated, req.user);
-        } else {
-          console.warn('Could not find broker userId for property rejection notification');
-          return null;
-        }
-      })
-      .catch(notifError => {
-        console.error('Error creating rejection notification:', notifError);
-      });
+    // Free-text reasons without codes are filed under OTHER
+    const { property } = await rejectListing(id, req.user, {
+      reasonCodes: Array.isArray(reasonCodes) && reasonCodes.length ? reasonCodes : (reason ? ["OTHER"] : []),
+      comment: reason
+    });
 
-    // Send response immediately (notification creation runs in background)
-    return res.json({ success: true, message: "Property rejected", data: populated });
+    return res.json({ success: true, message: "Property rejected", data: property });
   } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
     console.error("rejectProperty error:", err);
     return res.status(500).json({ success: false, message: "Server error.", error: err.message });
   }
@@ -781,11 +765,13 @@ export const getPropertyMetrics = async (req, res) => {
 
     // Count by status
     const available = await Property.countDocuments({ status: "Active" });
-    const sold = await Property.countDocuments({ status: "sold" });
+    const sold = await Property.countDocuments({ status: "Sold" });
+    const rented = await Property.countDocuments({ status: "Rented" });
+    const expired = await Property.countDocuments({ status: "Expired" });
 
     return res.json({
       success: true,
-      data: { total, available, sold }
+      data: { total, available, sold, rented, expired }
     });
   } catch (err) {
     return res.status(500).json({
@@ -829,6 +815,13 @@ export const updateProperty = async (req, res) => {
       }
     }
 
+    // Status moves follow the listing lifecycle (config/propertyLifecycle.js)
+    try {
+      assertPropertyStatusChange(existingProperty, updateData.status);
+    } catch (statusError) {
+      return res.status(statusError.statusCode).json({ success: false, message: statusError.message });
+    }
+
     // Validate region if provided
     if (updateData.region) {
       if (!mongoose.isValidObjectId(updateData.region)) {
@@ -945,6 +938,9 @@ export const updateProperty = async (req, res) => {
       }
     }
 
+    // Values before the edit, for the edit history
+    const before = existingProperty.toObject();
+
     // Apply updates to the existing property document
     // Using save() method is more reliable for empty arrays than findByIdAndUpdate
     Object.keys(updateData).forEach(key => {
@@ -959,9 +955,31 @@ export const updateProperty = async (req, res) => {
     });
     existingProperty.updatedAt = new Date();
 
+    // Edits of key fields can send a Verified listing back for approval (services/propertyRevision.service.js)
+    const changes = getPropertyChanges(before, existingProperty);
+    const reapprovalRequired = requiresReapproval(before, changes, req.user);
+    if (reapprovalRequired) {
+      existingProperty.status = "Pending Approval";
+    }
     // Save the updated property
     await existingProperty.save({ runValidators: true });
 
+    if (changes.length > 0) {
+      try {
+        await recordPropertyRevision({ property: existingProperty, changes, editor: req.user, reapprovalRequired });
+      } catch (historyError) {
+        console.error('Error recording property revision:', historyError);
+      }
+    }
+    if (reapprovalRequired) {
+      recordPropertySubmission(existingProperty, req.user, {
+        fromStatus: originalStatus,
+        comment: `Edited: ${changes.map((change) => change.field).join(', ')}`
+      }).catch(historyError => {
+        console.error('Error recording property submission:', historyError);
+      });
+    }
+
     // Fetch the updated property with populated fields
     const updatedProperty = await Property.findById(id)
       .populate("broker", "name email phone firmName licenseNumber status brokerImage")
@@ -979,10 +997,18 @@ export const updateProperty = async (req, res) => {
       }
     }
 
+    // Listing that is (still) active with changed matching fields: look for new lead matches
+    const matchFields = ["status", "price", "region", "propertyType", "bedrooms"];
+    if (updatedProperty.status === "Active" && matchFields.some((field) => updateData[field] !== undefined)) {
+      scheduleMatchNotifications({ propertyId: id });
+    }
+
     // Send response immediately (notification creation runs in background)
     return res.json({
       success: true,
-      message: "Property updated successfully",
+      message: reapprovalRequired
+        ? "Property updated successfully; it is pending approval again"
+        : "Property updated successfully",
       data: updatedProperty
     });
   } catch (err) {
@@ -1031,6 +1057,7 @@ export const deleteProperty = async (req, res) => {
 
     // Delete the property first
     await Property.findByIdAndDelete(id);
+    await LeadPropertyMatch.deleteMany({ property: id });
 
     // Create notification after deleting (non-blocking - fire and forget)
     // Send notification to the broker who owns the property
@@ -1188,6 +1215,15 @@ export const transferProperty = async (req, res) => {
     if (!property) {
       return res.status(404).json({ success: false, message: "Property not found" });
     }
+
+    // Authorization check: Allow transfer if user is admin OR if broker owns the property
+    if (req.user?.role !== "admin") {
+      const broker = await BrokerDetail.findOne({ userId: req.user._id }).select('_id');
+      if (!broker || String(property.broker) !== String(broker._id)) {
+        return res.status(403).json({ success: false, message: "You don't have permission to transfer this property" });
+      }
+    }
+
     if (transferType === 'all') {
       const brokers = await BrokerDetail.find({});
       brokers.forEach(broker => {
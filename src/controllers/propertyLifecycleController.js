@@ -0,0 +1,41 @@
+import {
+  renewProperty as renewListing,
+  closeProperty as closeListing,
+  getPropertyMarketStats
+} from "../services/propertyLifecycle.service.js";
+import {
+  successResponse,
+  serviceErrorResponse,
+} from "../utils/response.js";
+
+// Extend an Active listing, or make an Expired one Active again
+export const renewProperty = async (req, res) => {
+  try {
+    const property = await renewListing(req.params.id, req.user, { days: req.body?.days });
+    return successResponse(res, "Property renewed successfully", property);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Mark as Sold or Rented with the final price and date
+export const closeProperty = async (req, res) => {
+  try {
+    const { status, price, date } = req.body;
+    const property = await closeListing(req.params.id, req.user, { status, price, date });
+    return successResponse(res, `Property marked as ${status}`, property);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Final prices of Sold and Rented listings
+export const getMarketStats = async (req, res) => {
+  try {
+    const { city, region, propertyType, from, to } = req.query;
+    const stats = await getPropertyMarketStats({ city, region, propertyType, from, to });
+    return successResponse(res, "Market statistics retrieved successfully", { stats });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
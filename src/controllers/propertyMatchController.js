@@ -0,0 +1,37 @@
+import { findPropertyMatchesForLead, findMatchingLeadsForUser } from "../services/propertyMatching.service.js";
+import { resolveLeadAccess } from "../services/leadNote.service.js";
+import {
+  successResponse,
+  serviceErrorResponse,
+} from "../utils/response.js";
+
+const parseLimit = (limit) => Math.min(parseInt(limit) || 20, 50);
+
+// Ranked Active properties for a lead; the caller's own and transferred
+// properties are marked by `relation` and rank higher
+export const getLeadMatches = async (req, res) => {
+  try {
+    const { lead, broker } = await resolveLeadAccess(req.params.id, req.user);
+    const matches = await findPropertyMatchesForLead(lead, {
+      brokerId: broker?._id || lead.createdBy,
+      limit: parseLimit(req.query.limit),
+    });
+
+    return successResponse(res, "Matching properties retrieved successfully", { matches });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Ranked open leads for a property (customer contact details are not included)
+export const getPropertyMatchingLeads = async (req, res) => {
+  try {
+    const { matches } = await findMatchingLeadsForUser(req.params.id, req.user, {
+      limit: parseLimit(req.query.limit),
+    });
+
+    return successResponse(res, "Matching leads retrieved successfully", { matches });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
@@ -0,0 +1,103 @@
+import {
+  listModerationQueue,
+  claimProperty,
+  assignProperty,
+  approveProperty,
+  rejectProperty,
+  requestPropertyChanges,
+  resubmitProperty,
+  getModerationHistory
+} from "../services/propertyModeration.service.js";
+import { MODERATION_REASON_CODES } from "../models/PropertyModeration.js";
+import {
+  successResponse,
+  serviceErrorResponse,
+} from "../utils/response.js";
+
+// Listings waiting for review, oldest submission first (admin)
+export const getModerationQueue = async (req, res) => {
+  try {
+    const { status, assignedTo, page, limit } = req.query;
+    const result = await listModerationQueue(req.user, {
+      status,
+      assignedTo,
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+    return successResponse(res, "Moderation queue retrieved successfully", result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const getModerationReasonCodes = async (req, res) => {
+  const reasonCodes = Object.entries(MODERATION_REASON_CODES).map(([code, label]) => ({ code, label }));
+  return successResponse(res, "Reason codes retrieved successfully", { reasonCodes });
+};
+
+export const claimModeration = async (req, res) => {
+  try {
+    const property = await claimProperty(req.params.id, req.user);
+    return successResponse(res, "Property claimed for review", property);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const assignModeration = async (req, res) => {
+  try {
+    const property = await assignProperty(req.params.id, req.user, { assignedTo: req.body.assignedTo });
+    return successResponse(res, req.body.assignedTo ? "Property assigned for review" : "Property unassigned", property);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const approveModeration = async (req, res) => {
+  try {
+    const result = await approveProperty(req.params.id, req.user, { comment: req.body?.comment });
+    return successResponse(res, "Property approved", result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const rejectModeration = async (req, res) => {
+  try {
+    const { reasonCodes, comment } = req.body;
+    const result = await rejectProperty(req.params.id, req.user, { reasonCodes, comment });
+    return successResponse(res, "Property rejected", result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+export const requestModerationChanges = async (req, res) => {
+  try {
+    const { reasonCodes, comment } = req.body;
+    const result = await requestPropertyChanges(req.params.id, req.user, { reasonCodes, comment });
+    return successResponse(res, "Changes requested from the broker", result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// The broker sends a revised listing back for approval
+export const resubmitModeration = async (req, res) => {
+  try {
+    const property = await resubmitProperty(req.params.id, req.user, { comment: req.body?.comment });
+    return successResponse(res, "Property resubmitted for approval", property);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Moderation history of a listing (its broker or an admin)
+export const getPropertyModerationHistory = async (req, res) => {
+  try {
+    const history = await getModerationHistory(req.params.id, req.user);
+    return successResponse(res, "Moderation history retrieved successfully", { history });
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
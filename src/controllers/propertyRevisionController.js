@@ -0,0 +1,34 @@
+import { getPropertyHistory, getPropertyDiff } from "../services/propertyRevision.service.js";
+import {
+  successResponse,
+  serviceErrorResponse,
+} from "../utils/response.js";
+
+// Edit history of a property, newest first (?field=price for one field's changes)
+export const getPropertyRevisions = async (req, res) => {
+  try {
+    const { field, page, limit } = req.query;
+    const result = await getPropertyHistory(req.params.id, req.user, {
+      field,
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+    return successResponse(res, "Property history retrieved successfully", result);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
+
+// Field-by-field changes between two versions (?from=0&to=<current> by default)
+export const getPropertyRevisionDiff = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const diff = await getPropertyDiff(req.params.id, req.user, {
+      from: from === undefined ? 0 : parseInt(from),
+      to: to === undefined ? undefined : parseInt(to)
+    });
+    return successResponse(res, "Property diff retrieved successfully", diff);
+  } catch (error) {
+    return serviceErrorResponse(res, error);
+  }
+};
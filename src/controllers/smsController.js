@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import SmsMessage from '../models/SmsMessage.js';
+import { applyDeliveryReport } from '../services/sms.service.js';
+import { successResponse, errorResponse, serverError } from '../utils/response.js';
+
+const isValidWebhookSecret = (secret, provided) => {
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(String(provided || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Delivery report webhook called by the SMS gateway.
+ * The gateway sends SMS_WEBHOOK_SECRET in the x-sms-webhook-secret header;
+ * reports are refused while no secret is configured.
+ * Field names are configurable since every gateway posts a different shape.
+ */
+export const handleDeliveryReport = async (req, res) => {
+  try {
+    const secret = process.env.SMS_WEBHOOK_SECRET;
+    if (!secret) {
+      return errorResponse(res, 'SMS delivery reports are not configured', 503);
+    }
+    if (!isValidWebhookSecret(secret, req.header('x-sms-webhook-secret'))) {
+      return errorResponse(res, 'Invalid webhook secret', 401);
+    }
+
+    const payload = { ...req.query, ...req.body };
+    const idField = process.env.SMS_DLR_ID_FIELD || 'messageId';
+    const statusField = process.env.SMS_DLR_STATUS_FIELD || 'status';
+    const errorField = process.env.SMS_DLR_ERROR_FIELD || 'error';
+
+    const message = await applyDeliveryReport({
+      providerMessageId: payload[idField],
+      status: payload[statusField],
+      errorMessage: payload[errorField]
+    });
+
+    if (!message) {
+      return errorResponse(res, 'Unknown message or delivery status', 404);
+    }
+
+    return successResponse(res, 'Delivery status updated', {
+      id: message._id,
+      status: message.status
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * List sent SMS messages with delivery status (admin)
+ * Query params: page, limit, status, purpose, to, userId
+ */
+export const getSmsMessages = async (req, res) => {
+  try {
+    const { page, limit, status, purpose, to, userId } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (purpose) filter.purpose = purpose;
+    if (to) filter.to = to;
+    if (userId) filter.userId = userId;
+
+    const pageNum = Number.isFinite(parseInt(page)) && parseInt(page) > 0 ? parseInt(page) : 1;
+    const limitNum = Number.isFinite(parseInt(limit)) && parseInt(limit) > 0 ? parseInt(limit) : 20;
+    const skip = (pageNum - 1) * limitNum;
+
+    const [items, total] = await Promise.all([
+      SmsMessage.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      SmsMessage.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    return successResponse(res, 'SMS messages retrieved successfully', {
+      items,
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
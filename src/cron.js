@@ -1,89 +1,97 @@
 import cron from 'node-cron';
 import mongoose from 'mongoose';
-import { getNextPendingTask, updateTaskById }  from './services/scheduledTask.service.js';
+import { TASK_TYPES } from './models/ScheduledTask.js';
+import { registerJobHandler, startJobWorker, enqueueUniqueJob } from './services/jobQueue.service.js';
 import { sendBotMessage } from './services/sendMessageToUser.js';
 import { getLastMessageTextFromChatId } from './services/message.service.js';
+import { runFollowUpReminder } from './services/leadFollowUp.service.js';
+import { refreshOpenLeadScores } from './services/leadScoring.service.js';
+import { notifyNewMatches } from './services/propertyMatching.service.js';
+import { expireTransfer } from './services/leadTransfer.service.js';
+import { backfillLeadDeliveries } from './services/leadDelivery.service.js';
+import { runImportJob, failImportJob } from './services/import.service.js';
+import { runPropertyExpirySweep } from './services/propertyLifecycle.service.js';
+
+// Job handlers by task type. A handler throws to have the job retried.
+
+registerJobHandler(TASK_TYPES.BOT_REPLY, async (task) => {
+  const { chatId } = task.payload || {};
+
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    throw new Error('Invalid chatId in task payload');
+  }
+
+  // fetch last message
+  const { from, to, text, userLanguage } =
+    await getLastMessageTextFromChatId(chatId);
+
+  // swap from & to
+  await sendBotMessage({
+    chatId,
+    from: to,
+    to: from,
+    text,
+    userLanguage
+  });
+});
+
+registerJobHandler(TASK_TYPES.LEAD_FOLLOW_UP, async (task) => {
+  await runFollowUpReminder(task.payload?.followUpId);
+});
+
+registerJobHandler(TASK_TYPES.LEAD_SCORE_REFRESH, async () => {
+  await refreshOpenLeadScores();
+});
+
+registerJobHandler(TASK_TYPES.LEAD_PROPERTY_MATCH, async (task) => {
+  await notifyNewMatches(task.payload);
+});
+
+registerJobHandler(TASK_TYPES.LEAD_TRANSFER_EXPIRY, async (task) => {
+  await expireTransfer(task.payload);
+});
+
+registerJobHandler(TASK_TYPES.LEAD_DELIVERY_BACKFILL, async () => {
+  await backfillLeadDeliveries();
+});
+
+registerJobHandler(TASK_TYPES.IMPORT_JOB, async (task) => {
+  try {
+    await runImportJob(task.payload);
+  } catch (error) {
+    // Last attempt: the import job will not be picked up again
+    if (task.attempts >= task.maxAttempts) {
+      await failImportJob(task.payload?.importJobId, error.message);
+    }
+    throw error;
+  }
+});
 
+registerJobHandler(TASK_TYPES.PROPERTY_EXPIRY_SWEEP, async () => {
+  await runPropertyExpirySweep();
+});
 
+// Start the job worker of this process (see services/jobQueue.service.js)
+// and the schedule of periodic jobs
+export const startCronJob = () => {
+  // Lead scores decay with age, so open leads are rescored nightly
+  cron.schedule('0 2 * * *', () => {
+    enqueueUniqueJob({ taskType: TASK_TYPES.LEAD_SCORE_REFRESH }).catch((error) => {
+      console.error('Error queueing lead score refresh:', error.message);
+    });
+  });
 
-let isRunning = false;
-const isDev = false
-
-const log = (...args) => {
-  if (isDev) console.log(...args);
-};
-
-const errorLog = (...args) => {
-  if (isDev) console.error(...args);
-};
-
-
+  // Expiry reminders and expiry of Active listings
+  cron.schedule('0 * * * *', () => {
+    enqueueUniqueJob({ taskType: TASK_TYPES.PROPERTY_EXPIRY_SWEEP }).catch((error) => {
+      console.error('Error queueing property expiry sweep:', error.message);
+    });
+  });
 
-export const startCronJob = () => {
-  cron.schedule('* * * * *', async () => {
-    if (isRunning) return;
-    isRunning = true;
-
-    log('⏳ Cron job started...');
-    let task = null;
-
-    try {
-      // 1️⃣ Get next pending task
-      task = await getNextPendingTask();
-      if (!task) return;
-
-      // 2️⃣ Mark task as processing
-      await updateTaskById(task._id, {
-        status: 'processing',
-        startedAt: new Date()
-      });
-
-      log('📌 Processing task:', task._id.toString());
-
-      // 3️⃣ Execute task
-      if (task.taskType === 'BOT_REPLY') {
-        const { chatId } = task.payload;
-
-        if (!mongoose.Types.ObjectId.isValid(chatId)) {
-          throw new Error('Invalid chatId in task payload');
-        }
-
-        // fetch last message
-        const { from, to, text, userLanguage } =
-          await getLastMessageTextFromChatId(chatId);
-
-        // swap from & to
-        await sendBotMessage({
-          chatId,
-          from: to,
-          to: from,
-          text,
-          userLanguage
-        });
-      }
-
-      // 4️⃣ Mark task completed
-      await updateTaskById(task._id, {
-        status: 'completed',
-        completedAt: new Date()
-      });
-
-      log('✅ Task completed:', task._id.toString());
-
-    } catch (err) {
-      errorLog('❌ Cron job error:', err.message);
-
-      if (task?._id) {
-        await updateTaskById(task._id, {
-          status: 'failed',
-          errorMessage: err.message,
-          failedAt: new Date()
-        });
-      }
-
-    } finally {
-      isRunning = false;
-    }
+  // Region/all transfers saved before per-broker deliveries existed
+  enqueueUniqueJob({ taskType: TASK_TYPES.LEAD_DELIVERY_BACKFILL }).catch((error) => {
+    console.error('Error queueing lead delivery backfill:', error.message);
   });
-};
 
+  return startJobWorker();
+};
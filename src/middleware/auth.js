@@ -1,8 +1,6 @@
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
 import { errorResponse } from '../utils/response.js';
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+import { resolveAccessToken } from '../services/session.service.js';
+import { hasPermission } from '../config/permissions.js';
 
 export const authenticate = async (req, res, next) => {
   try {
@@ -12,21 +10,14 @@ export const authenticate = async (req, res, next) => {
       return errorResponse(res, 'Access denied. No token provided.', 401);
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-passwordHash');
-    
-    if (!user) {
-      return errorResponse(res, 'Invalid token. User not found.', 401);
-    }
-
-    if (user.status === 'suspended') {
-      return errorResponse(res, 'Account suspended. Please contact admin.', 403);
-    }
+    // Verifies the JWT and rejects tokens of revoked or expired sessions
+    const { user, session } = await resolveAccessToken(token);
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
-    return errorResponse(res, 'Invalid token.', 401);
+    return errorResponse(res, error.statusCode ? error.message : 'Invalid token.', error.statusCode || 401);
   }
 };
 
@@ -44,6 +35,22 @@ export const authorize = (...roles) => {
   };
 };
 
+// Require every listed permission (see config/permissions.js for the role matrix)
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return errorResponse(res, 'Access denied. Please authenticate first.', 401);
+    }
+
+    const allowed = permissions.every(permission => hasPermission(req.user.role, permission));
+    if (!allowed) {
+      return errorResponse(res, 'Access denied. Insufficient permissions.', 403);
+    }
+
+    next();
+  };
+};
+
 export const requireEmailVerification = (req, res, next) => {
   if (!req.user.isEmailVerified) {
     return errorResponse(res, 'Please verify your email address first.', 403);
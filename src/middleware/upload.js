@@ -29,6 +29,9 @@ const ensureUploadsDir = () => {
 // Initialize directories on module load
 ensureUploadsDir();
 
+// Where images are stored; served at /uploads/images/
+export const imagesUploadDir = path.join(uploadsDir, 'images');
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -152,28 +155,59 @@ export const normalizePropertyMedia = (req, res, next) => {
   next();
 };
 
-// Configure multer for CSV uploads (memory storage)
-const csvStorage = multer.memoryStorage();
+// Configure multer for import file uploads: CSV or XLSX (memory storage)
+const importStorage = multer.memoryStorage();
+
+const IMPORT_MIME_TYPES = [
+  'text/csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
 
-const csvFileFilter = (req, file, cb) => {
-  // Allow only CSV files
-  if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+const importFileFilter = (req, file, cb) => {
+  // Allow only CSV and XLSX files
+  const name = file.originalname.toLowerCase();
+  if (IMPORT_MIME_TYPES.includes(file.mimetype) || name.endsWith('.csv') || name.endsWith('.xlsx')) {
     cb(null, true);
   } else {
-    cb(new Error('Only CSV files are allowed'), false);
+    cb(new Error('Invalid file type. Only CSV and XLSX files are allowed'), false);
   }
 };
 
-const csvUpload = multer({
-  storage: csvStorage,
-  fileFilter: csvFileFilter,
+const IMPORT_FILE_MAX_SIZE = 5 * 1024 * 1024; // 5MB limit for import files
+
+const importUpload = multer({
+  storage: importStorage,
+  fileFilter: (req, file, cb) => {
+    // ZIP of property images uploaded with the file, keyed by file name
+    if (file.fieldname === 'imagesZip') {
+      const isZip = ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype) ||
+        file.originalname.toLowerCase().endsWith('.zip');
+      return isZip ? cb(null, true) : cb(new Error('Invalid file type. imagesZip must be a ZIP file'), false);
+    }
+    return importFileFilter(req, file, cb);
+  },
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit for CSV
+    fileSize: 50 * 1024 * 1024 // 50MB limit for the images ZIP
   }
 });
 
-// Middleware for CSV file upload
-export const uploadCSV = csvUpload.single('csvFile');
+// The import file as req.file; the images ZIP stays in req.files.imagesZip
+const pickImportFile = (req, res, next) => {
+  req.file = req.files?.csvFile?.[0];
+  if (req.file && req.file.size > IMPORT_FILE_MAX_SIZE) {
+    return errorResponse(res, 'File too large. Maximum size is 5MB.', 400);
+  }
+  next();
+};
+
+// Middleware for import file upload (the field is still named csvFile for existing clients)
+export const uploadImportFile = [
+  importUpload.fields([
+    { name: 'csvFile', maxCount: 1 },
+    { name: 'imagesZip', maxCount: 1 }
+  ]),
+  pickImportFile
+];
 
 // Error handling middleware
 export const handleUploadError = (error, req, res, next) => {
@@ -197,6 +231,20 @@ export const handleUploadError = (error, req, res, next) => {
   next(error);
 };
 
+// Base URL upload files are served from
+export const getUploadsBaseUrl = (req) => {
+  // For upload files, prioritize BACKEND_URL or STATIC_URL, then fallback to backend domain
+  if (process.env.BACKEND_URL || process.env.STATIC_URL) {
+    return process.env.BACKEND_URL || process.env.STATIC_URL;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    // Production: always use backend server for static files
+    return process.env.IMAGE_URL || 'https://broker-adda-be.fly.dev';
+  }
+  // Development: use request host (which should be backend)
+  return `${req.protocol}://${req.get('host')}`;
+};
+
 // Helper function to get file URL
 export const getFileUrl = (req, filePath) => {
   if (!filePath) return null;
@@ -212,16 +260,7 @@ export const getFileUrl = (req, filePath) => {
   const isUploadFile = filePath.includes('/uploads/') || filePath.includes('uploads');
   
   if (isUploadFile) {
-    // For upload files, prioritize BACKEND_URL or STATIC_URL, then fallback to backend domain
-    if (process.env.BACKEND_URL || process.env.STATIC_URL) {
-      baseUrl = process.env.BACKEND_URL || process.env.STATIC_URL;
-    } else if (process.env.NODE_ENV === 'production') {
-      // Production: always use backend server for static files
-baseUrl = process.env.IMAGE_URL || 'https://broker-adda-be.fly.dev';
-    } else {
-      // Development: use request host (which should be backend)
-      baseUrl = `${req.protocol}://${req.get('host')}`;
-    }
+    baseUrl = getUploadsBaseUrl(req);
   } else {
     // For non-upload files, use BASE_URL if available
     if (process.env.BASE_URL) {
@@ -48,6 +48,13 @@ const brokerDetailSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'License number cannot be more than 50 characters']
   },
+  // Reference of the broker in another system, used to match CSV re-imports
+  externalId: {
+    type: String,
+    trim: true,
+    index: true,
+    sparse: true
+  },
   address: {
     type: String,
     trim: true,
@@ -159,6 +166,11 @@ const brokerDetailSchema = new mongoose.Schema({
     enum: ['blocked', 'unblocked'],
     default: 'unblocked'
   },
+  // Receive leads shared with a region or with all brokers (LeadDelivery)
+  receiveLeadBroadcasts: {
+    type: Boolean,
+    default: true
+  },
   // Verification status (default: Verified)
   verificationStatus: {
     type: String,
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import { COMMISSION_TYPES } from './Lead.js';
+
+export const SETTLEMENT_STATUSES = Object.freeze({
+  DUE: 'due',
+  PAID: 'paid',
+  DISPUTED: 'disputed'
+});
+
+// Referral commission owed for one transfer of a won lead: the receiving broker (payer)
+// pays the broker who shared the lead (payee)
+const commissionSettlementSchema = new mongoose.Schema(
+  {
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true
+    },
+    transferId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    payer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BrokerDetail',
+      required: true,
+      index: true
+    },
+    payee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BrokerDetail',
+      required: true,
+      index: true
+    },
+    // Agreement at closure time
+    commissionType: {
+      type: String,
+      enum: Object.values(COMMISSION_TYPES),
+      required: true
+    },
+    commissionValue: {
+      type: Number,
+      required: true
+    },
+    terms: {
+      type: String
+    },
+    // Both brokers had acknowledged the agreement when the lead was won
+    acknowledged: {
+      type: Boolean,
+      default: false
+    },
+    dealValue: {
+      type: Number
+    },
+    // null when a percentage commission has no deal value or budget to apply to
+    amount: {
+      type: Number,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: Object.values(SETTLEMENT_STATUSES),
+      default: SETTLEMENT_STATUSES.DUE,
+      index: true
+    },
+    paidAt: {
+      type: Date
+    },
+    disputeReason: {
+      type: String,
+      trim: true
+    },
+    history: [{
+      status: {
+        type: String,
+        enum: Object.values(SETTLEMENT_STATUSES)
+      },
+      note: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  { timestamps: true }
+);
+
+commissionSettlementSchema.index({ lead: 1, transferId: 1 }, { unique: true });
+
+export default mongoose.model('CommissionSettlement', commissionSettlementSchema);
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import { IMPORT_PHASES } from './ImportRejectedRow.js';
+
+export const IMPORT_JOB_STATUSES = Object.freeze({
+  UPLOADED: 'uploaded',
+  VALIDATED: 'validated',
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+});
+
+// An uploaded CSV/XLSX file imported in steps: column mapping, dry-run, then a background
+// commit (services/import.service.js)
+const importJobSchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      enum: ['broker', 'property', 'lead'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: Object.values(IMPORT_JOB_STATUSES),
+      default: IMPORT_JOB_STATUSES.UPLOADED,
+      index: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    fileName: {
+      type: String
+    },
+    fileType: {
+      type: String,
+      enum: ['csv', 'xlsx'],
+      default: 'csv'
+    },
+    // The uploaded file, parsed again by the dry-run and the commit
+    fileData: {
+      type: Buffer,
+      select: false
+    },
+    headers: [String],
+    mapping: [{
+      _id: false,
+      column: { type: String, required: true },
+      field: { type: String, default: null }
+    }],
+    options: {
+      allowDuplicates: { type: Boolean, default: false },
+      mode: { type: String, enum: ['create', 'update', 'upsert'], default: 'create' },
+      // Field existing records are matched on (update/upsert)
+      matchKey: { type: String, enum: ['phone', 'email', 'licenseNumber', 'externalId'] },
+      // XLSX: name of the imported sheet
+      sheet: { type: String },
+      // Property imports: download image URLs (false stores them as given)
+      downloadImages: { type: Boolean, default: true }
+    },
+    totalRows: {
+      type: Number,
+      default: 0
+    },
+    dryRun: {
+      validRows: Number,
+      invalidRows: Number,
+      toCreate: Number,
+      toUpdate: Number,
+      toSkip: Number,
+      checkedAt: Date
+    },
+    progress: {
+      processedRows: { type: Number, default: 0 },
+      // Created plus updated
+      importedRows: { type: Number, default: 0 },
+      createdRows: { type: Number, default: 0 },
+      updatedRows: { type: Number, default: 0 },
+      // Update-only rows matching nothing and rows that changed nothing
+      skippedRows: { type: Number, default: 0 },
+      failedRows: { type: Number, default: 0 },
+      // Images left out of imported rows
+      mediaFailures: { type: Number, default: 0 }
+    },
+    // Property imports: base URL of saved images and the files of the uploaded images ZIP
+    mediaBaseUrl: String,
+    mediaFiles: {
+      type: [{
+        _id: false,
+        name: String,
+        path: String,
+        error: String
+      }],
+      select: false
+    },
+    // Capped by the import (progress.mediaFailures counts all of them)
+    mediaFailures: {
+      type: [{
+        _id: false,
+        row: Number,
+        image: String,
+        error: String
+      }],
+      select: false
+    },
+    // Phase whose rejected rows (ImportRejectedRow) errors.csv lists: the latest dry-run or the commit
+    rejectedPhase: {
+      type: String,
+      enum: IMPORT_PHASES
+    },
+    // Run importing the rows (token of the latest run to start) and its last
+    // progress; a run stops once another run has taken the job over
+    lockedBy: String,
+    lockedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    error: String
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('ImportJob', importJobSchema);
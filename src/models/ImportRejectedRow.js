@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+export const IMPORT_PHASES = Object.freeze(['dry-run', 'commit']);
+
+// A row of an import job rejected by its dry-run or commit, kept out of the
+// job document so large files cannot push it past the document size limit
+const importRejectedRowSchema = new mongoose.Schema(
+  {
+    importJob: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportJob',
+      required: true
+    },
+    phase: {
+      type: String,
+      enum: IMPORT_PHASES,
+      required: true
+    },
+    // Row number in the uploaded file
+    row: {
+      type: Number,
+      required: true
+    },
+    // The row as uploaded (original column names)
+    data: mongoose.Schema.Types.Mixed,
+    error: String
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// One entry per row and phase, so a retried commit does not repeat rows
+importRejectedRowSchema.index({ importJob: 1, phase: 1, row: 1 }, { unique: true });
+
+export default mongoose.model('ImportRejectedRow', importRejectedRowSchema);
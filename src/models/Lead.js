@@ -1,4 +1,37 @@
 import mongoose from 'mongoose';
+import { LEAD_STATUSES } from '../config/leadPipeline.js';
+import { normalizePhone, normalizeEmail } from '../utils/leadIdentity.js';
+
+// Recipient's response to a transfer (services/leadTransfer.service.js)
+export const TRANSFER_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired'
+});
+
+// Transfers that no longer give the recipient access to the lead
+export const INACTIVE_TRANSFER_STATUSES = Object.freeze([TRANSFER_STATUSES.DECLINED, TRANSFER_STATUSES.EXPIRED]);
+
+export const COMMISSION_TYPES = Object.freeze({
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed'
+});
+
+// Referral commission the receiving broker pays the fromBroker when the lead is won
+// (services/commission.service.js). Changing it clears the acknowledgements.
+const commissionSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: Object.values(COMMISSION_TYPES), required: true },
+    // Percent of the deal value, or a fixed amount in INR
+    value: { type: Number, required: true, min: 0 },
+    terms: { type: String, trim: true },
+    fromAcknowledgedAt: { type: Date },
+    toAcknowledgedAt: { type: Date },
+    agreedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
 
 const leadSchema = new mongoose.Schema(
   {
@@ -6,6 +39,9 @@ const leadSchema = new mongoose.Schema(
     customerName: { type: String, required: true },
     customerPhone: { type: String, required: true },
     customerEmail: { type: String },
+    // Duplicate detection keys, derived from customerPhone/customerEmail on save
+    normalizedPhone: { type: String, index: true },
+    normalizedEmail: { type: String, index: true },
     requirement: { type: String, required: true }, 
     propertyType: { type: String, enum: ["Residential", "Commercial", "Plot", "Other"], required: true },
     budget: { type: Number },
@@ -16,12 +52,17 @@ const leadSchema = new mongoose.Schema(
     // Lead ownership
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'BrokerDetail', required: true },
 
-    // Lead lifecycle
+    // Lead lifecycle (pipeline stages are configured in config/leadPipeline.js)
     status: {
       type: String,
-      enum: ["New", "Assigned", "In Progress", "Closed", "Rejected"],
+      enum: LEAD_STATUSES,
       default: "New",
     },
+    lostReason: { type: String, trim: true },
+    // Final deal value of a won lead (base of percentage commissions; budget is the fallback)
+    dealValue: { type: Number, min: 0 },
+    // Every stage the lead has ever been in (history lives in LeadStatusChange)
+    stagesReached: [{ type: String, enum: LEAD_STATUSES }],
 
     // Transfer workflow (multiple brokers at once)
     transfers: [
@@ -34,9 +75,35 @@ const leadSchema = new mongoose.Schema(
           default: 'individual'
         },
         region: { type: mongoose.Schema.Types.ObjectId, ref: 'Region' }, // Optional: only required for 'region' shareType
+        // 'routing' when assigned by the routing engine (services/leadRouting.service.js)
+        source: { type: String, enum: ['manual', 'routing'], default: 'manual' },
+        // Transfers saved before the acceptance workflow count as accepted
+        status: {
+          type: String,
+          enum: Object.values(TRANSFER_STATUSES),
+          default: TRANSFER_STATUSES.ACCEPTED
+        },
+        // A pending transfer expires (and stops sharing the lead) at this time
+        expiresAt: { type: Date },
+        respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'BrokerDetail' },
+        respondedAt: { type: Date },
+        declineReason: { type: String, trim: true },
+        commission: { type: commissionSchema, default: undefined },
       },
     ],
 
+    // Computed priority score 0-100 (services/leadScoring.service.js)
+    score: { type: Number, default: 0, index: true },
+    scoreBreakdown: {
+      budget: Number,
+      completeness: Number,
+      verification: Number,
+      freshness: Number,
+      exclusivity: Number,
+      activity: Number,
+    },
+    scoredAt: { type: Date },
+
     // Verification status (default: Verified)
     verificationStatus: {
       type: String,
@@ -49,6 +116,11 @@ const leadSchema = new mongoose.Schema(
 
     // Extra
     notes: { type: String },
+    // Reference of the lead in another system, used to match CSV re-imports
+    externalId: { type: String, trim: true, index: true, sparse: true },
+
+    // Leads merged into this one (their status history stays under their own ids)
+    mergedFrom: [{ type: mongoose.Schema.Types.ObjectId }],
   },
   { timestamps: true }
 );
@@ -56,6 +128,13 @@ const leadSchema = new mongoose.Schema(
 // Keep explicit updatedAt in sync on save
 leadSchema.pre('save', function(next) {
   this.updatedAt = new Date();
+
+  if (this.isModified('customerPhone')) {
+    this.normalizedPhone = normalizePhone(this.customerPhone);
+  }
+  if (this.isModified('customerEmail')) {
+    this.normalizedEmail = normalizeEmail(this.customerEmail);
+  }
   
   // Set default verificationStatus if not provided
   if (this.verificationStatus === undefined || this.verificationStatus === null) {
@@ -68,6 +147,15 @@ leadSchema.pre('save', function(next) {
 // Keep explicit updatedAt in sync on findOneAndUpdate
 leadSchema.pre('findOneAndUpdate', function(next) {
   this.set({ updatedAt: new Date() });
+
+  const update = this.getUpdate() || {};
+  const fields = { ...update, ...(update.$set || {}) };
+  if (fields.customerPhone !== undefined) {
+    this.set({ normalizedPhone: normalizePhone(fields.customerPhone) });
+  }
+  if (fields.customerEmail !== undefined) {
+    this.set({ normalizedEmail: normalizeEmail(fields.customerEmail) });
+  }
   next();
 });
 
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// One recipient of a region/all lead transfer, resolved when the lead is shared
+// (services/leadDelivery.service.js)
+const leadDeliverySchema = new mongoose.Schema(
+  {
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true,
+      index: true
+    },
+    transferId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    broker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BrokerDetail',
+      required: true
+    },
+    fromBroker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BrokerDetail',
+      required: true
+    },
+    shareType: {
+      type: String,
+      enum: ['region', 'all'],
+      required: true
+    },
+    region: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Region',
+      default: null
+    },
+    // First listed in the broker's shared leads
+    seenAt: {
+      type: Date,
+      default: null
+    },
+    // First and last time the broker opened the lead
+    viewedAt: {
+      type: Date,
+      default: null
+    },
+    lastViewedAt: {
+      type: Date,
+      default: null
+    },
+    viewCount: {
+      type: Number,
+      default: 0
+    },
+    // The broker declined the broadcast and no longer receives the lead
+    optedOutAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+leadDeliverySchema.index({ transferId: 1, broker: 1 }, { unique: true });
+leadDeliverySchema.index({ broker: 1, optedOutAt: 1, createdAt: -1 });
+
+export default mongoose.model('LeadDelivery', leadDeliverySchema);
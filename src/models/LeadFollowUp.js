@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+export const FOLLOW_UP_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+});
+
+// Follow-up reminder on a lead; the reminder itself fires through a LEAD_FOLLOW_UP ScheduledTask
+const leadFollowUpSchema = new mongoose.Schema(
+  {
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true,
+      index: true
+    },
+    // Owner of the reminder (null broker for admin-created reminders)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    broker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BrokerDetail',
+      default: null
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, 'Title cannot be more than 200 characters']
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot be more than 1000 characters']
+    },
+    dueAt: {
+      type: Date,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: Object.values(FOLLOW_UP_STATUSES),
+      default: FOLLOW_UP_STATUSES.PENDING
+    },
+    snoozeCount: {
+      type: Number,
+      default: 0
+    },
+    reminderSentAt: {
+      type: Date,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScheduledTask',
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+leadFollowUpSchema.index({ userId: 1, status: 1, dueAt: 1 });
+leadFollowUpSchema.index({ broker: 1, status: 1, dueAt: 1 });
+
+export default mongoose.model('LeadFollowUp', leadFollowUpSchema);
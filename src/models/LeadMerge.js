@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// Audit record of a merge: the surviving lead and full snapshots of the leads merged into it
+const leadMergeSchema = new mongoose.Schema(
+  {
+    survivor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true,
+      index: true
+    },
+    merged: [{
+      leadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+      }
+    }],
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    mergedByName: {
+      type: String
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+leadMergeSchema.index({ 'merged.leadId': 1 });
+
+export default mongoose.model('LeadMerge', leadMergeSchema);
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+export const NOTE_VISIBILITY = Object.freeze({
+  PRIVATE: 'private',
+  SHARED: 'shared'
+});
+
+// A single note on a lead. Private notes are visible to their author only,
+// shared notes to everyone with access to the lead (owner, transferees, admin).
+const leadNoteSchema = new mongoose.Schema(
+  {
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true,
+      index: true
+    },
+    // Author's broker profile (null for notes written by an admin)
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BrokerDetail',
+      default: null
+    },
+    authorUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    authorName: {
+      type: String
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [2000, 'Note cannot be more than 2000 characters']
+    },
+    visibility: {
+      type: String,
+      enum: Object.values(NOTE_VISIBILITY),
+      default: NOTE_VISIBILITY.SHARED
+    },
+    // Brokers mentioned with @[Name](brokerId) in the body
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BrokerDetail'
+    }],
+    editedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+leadNoteSchema.index({ leadId: 1, createdAt: -1 });
+
+export default mongoose.model('LeadNote', leadNoteSchema);
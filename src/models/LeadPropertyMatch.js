@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// A lead/property pair the owning brokers were notified about, so a match is only announced once
+const leadPropertyMatchSchema = new mongoose.Schema(
+  {
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true,
+      index: true
+    },
+    score: {
+      type: Number,
+      required: true
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+leadPropertyMatchSchema.index({ lead: 1, property: 1 }, { unique: true });
+
+export default mongoose.model('LeadPropertyMatch', leadPropertyMatchSchema);
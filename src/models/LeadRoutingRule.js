@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+export const ROUTING_STRATEGIES = Object.freeze({
+  ROUND_ROBIN: 'round_robin',
+  WEIGHTED: 'weighted'
+});
+
+// Automatic lead assignment settings for a region. The rule with region null
+// is the default for regions without a rule of their own.
+const leadRoutingRuleSchema = new mongoose.Schema(
+  {
+    region: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Region',
+      default: null,
+      unique: true
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    strategy: {
+      type: String,
+      enum: Object.values(ROUTING_STRATEGIES),
+      default: ROUTING_STRATEGIES.ROUND_ROBIN
+    },
+    // Number of brokers each new lead is assigned to
+    brokersPerLead: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 1
+    },
+    // Also consider brokers of the lead's secondary region
+    includeSecondaryRegion: {
+      type: Boolean,
+      default: true
+    },
+    // Require BrokerDetail.specializations to mention the lead's property type
+    requireSpecialization: {
+      type: Boolean,
+      default: false
+    },
+    // Brokers must offer at least one of these service types (empty = any)
+    serviceTypes: [{
+      type: String,
+      enum: ['Buy', 'Sell', 'Rent']
+    }],
+    // Accepted BrokerDetail.availabilityStatus values; brokers without a status pass when allowUnknownAvailability
+    availabilityStatuses: {
+      type: [{ type: String, enum: ['online', 'offline', 'active', 'busy'] }],
+      default: ['online', 'active']
+    },
+    allowUnknownAvailability: {
+      type: Boolean,
+      default: true
+    },
+    minRating: {
+      type: Number,
+      min: 0,
+      max: 5,
+      default: 0
+    },
+    // Brokers at or above this many open leads are skipped (null = no limit)
+    maxOpenLeads: {
+      type: Number,
+      min: 1,
+      default: null
+    },
+    // Score weights for the weighted strategy
+    weights: {
+      rating: { type: Number, min: 0, default: 1 },
+      load: { type: Number, min: 0, default: 1 },
+      specialization: { type: Number, min: 0, default: 1 },
+      primaryRegion: { type: Number, min: 0, default: 0.5 }
+    },
+    // Round-robin position, advanced atomically on every assignment
+    roundRobinCursor: {
+      type: Number,
+      default: 0
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('LeadRoutingRule', leadRoutingRuleSchema);
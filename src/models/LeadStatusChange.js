@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { LEAD_STATUSES } from '../config/leadPipeline.js';
+
+// Append-only status history of a lead
+const leadStatusChangeSchema = new mongoose.Schema(
+  {
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true,
+      index: true
+    },
+    // null for the initial status set when the lead was created
+    fromStatus: {
+      type: String,
+      enum: [...LEAD_STATUSES, null],
+      default: null
+    },
+    toStatus: {
+      type: String,
+      enum: LEAD_STATUSES,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot be more than 500 characters']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    changedByName: {
+      type: String
+    },
+    source: {
+      type: String,
+      enum: ['api', 'import', 'system'],
+      default: 'api'
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+leadStatusChangeSchema.index({ leadId: 1, createdAt: 1 });
+
+// History entries are immutable once written
+const rejectMutation = function(next) {
+  next(new Error('Lead status history is immutable'));
+};
+leadStatusChangeSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectMutation);
+leadStatusChangeSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Lead status history is immutable'));
+  }
+  next();
+});
+
+export default mongoose.model('LeadStatusChange', leadStatusChangeSchema);
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+export const OTP_PURPOSES = Object.freeze({
+  REGISTRATION: 'registration',
+  LOGIN: 'login'
+});
+
+export const OTP_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  CONSUMED: 'consumed',
+  EXPIRED: 'expired',
+  LOCKED: 'locked',
+  SUPERSEDED: 'superseded',
+  UNDELIVERED: 'undelivered'
+});
+
+const otpSchema = new mongoose.Schema(
+  {
+    phone: {
+      type: String,
+      required: true,
+      index: true
+    },
+    // Only a SHA-256 hash of the code is stored, never the code itself
+    codeHash: {
+      type: String,
+      required: true
+    },
+    purpose: {
+      type: String,
+      enum: Object.values(OTP_PURPOSES),
+      required: true
+    },
+    // Registration data carried until the code is verified
+    role: {
+      type: String,
+      enum: ['broker', 'customer', 'admin']
+    },
+    platform: {
+      type: String,
+      enum: ['android', 'web']
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    status: {
+      type: String,
+      enum: Object.values(OTP_STATUSES),
+      default: OTP_STATUSES.PENDING
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    consumedAt: {
+      type: Date,
+      default: null
+    },
+    requestIp: {
+      type: String
+    },
+    smsMessageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SmsMessage',
+      default: null
+    },
+    // Audit retention: MongoDB TTL monitor removes the record after this date
+    purgeAt: {
+      type: Date,
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+otpSchema.index({ phone: 1, createdAt: -1 });
+otpSchema.index({ phone: 1, status: 1 });
+otpSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+// Remove sensitive data from JSON output
+otpSchema.methods.toJSON = function() {
+  const otpObject = this.toObject();
+  delete otpObject.codeHash;
+  return otpObject;
+};
+
+export default mongoose.model('Otp', otpSchema);
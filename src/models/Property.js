@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { PROPERTY_STATUSES, getListingExpiry } from "../config/propertyLifecycle.js";
 
 const propertySchema = new mongoose.Schema(
   {
@@ -77,18 +78,64 @@ const propertySchema = new mongoose.Schema(
     // Age of property in years (optional). Used for filters like <5, <10, >10
     propertyAgeYears: { type: Number, min: 0 },
 
+    // Allowed moves are in config/propertyLifecycle.js
     status: {
       type: String,
-      enum: ["Active", "Sold", "Expired", "Pending Approval", "Rejected"],
+      enum: Object.values(PROPERTY_STATUSES),
       default: "Pending Approval",
     },
+    statusChangedAt: { type: Date },
+    // Active listings expire at expiresAt; set when the listing goes Active or is renewed
+    expiresAt: { type: Date, index: true },
+    // Reminder thresholds (days before expiresAt) already notified for the current expiresAt
+    expiryRemindersSent: [{ type: Number }],
+    renewedAt: { type: Date },
+    renewalCount: { type: Number, default: 0 },
+    // Review state (services/propertyModeration.service.js); the history is in PropertyModeration
+    moderation: {
+      assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      assignedAt: { type: Date },
+      // Last time the listing entered Pending Approval; the queue is served oldest first
+      submittedAt: { type: Date },
+      reviewedAt: { type: Date },
+      // Feedback of the last rejection or change request
+      reasonCodes: [{ type: String }],
+      comment: { type: String },
+      revision: { type: Number, default: 0 },
+    },
+    // Number of edits recorded in PropertyRevision
+    editVersion: { type: Number, default: 0 },
+    // Final price and date of a Sold/Rented listing
+    closedPrice: { type: Number, min: 0 },
+    closedAt: { type: Date },
     isFeatured: { type: Boolean, default: false },
 
     inquiries: [{ type: mongoose.Schema.Types.ObjectId, ref: "Inquiry" }],
     viewsCount: { type: Number, default: 0 },
     notes: { type: String },
+    // Reference of the property in another system, used to match CSV re-imports
+    externalId: { type: String, trim: true, index: true, sparse: true },
   },
   { timestamps: true }
 );
 
+propertySchema.index({ status: 1, expiresAt: 1 });
+propertySchema.index({ status: 1, "moderation.submittedAt": 1 });
+
+// A listing going Active gets a fresh expiry unless the caller set one, and one
+// going to review joins the end of the moderation queue
+propertySchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("status")) {
+    this.statusChangedAt = new Date();
+    if (this.status === PROPERTY_STATUSES.PENDING_APPROVAL) {
+      this.set("moderation.submittedAt", this.statusChangedAt);
+    }
+    if (this.status === PROPERTY_STATUSES.ACTIVE && !this.isModified("expiresAt")) {
+      this.expiresAt = getListingExpiry();
+      this.expiryRemindersSent = [];
+    }
+  }
+  next();
+});
+
 export default mongoose.model("Property", propertySchema);
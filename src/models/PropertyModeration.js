@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import { PROPERTY_STATUSES } from '../config/propertyLifecycle.js';
+
+export const MODERATION_ACTIONS = Object.freeze({
+  SUBMITTED: 'submitted',
+  CLAIMED: 'claimed',
+  ASSIGNED: 'assigned',
+  UNASSIGNED: 'unassigned',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CHANGES_REQUESTED: 'changesRequested',
+  RESUBMITTED: 'resubmitted'
+});
+
+// Reasons a moderator gives when rejecting a listing or requesting changes
+export const MODERATION_REASON_CODES = Object.freeze({
+  INCOMPLETE_DETAILS: 'Incomplete or missing details',
+  POOR_IMAGES: 'Missing, blurry or irrelevant images',
+  INCORRECT_PRICE: 'Price looks incorrect',
+  INCORRECT_LOCATION: 'Address or region looks incorrect',
+  DUPLICATE_LISTING: 'Duplicate of another listing',
+  PROHIBITED_CONTENT: 'Prohibited or misleading content',
+  OWNERSHIP_UNVERIFIED: 'Ownership or mandate could not be verified',
+  OTHER: 'Other'
+});
+
+// Append-only moderation history of a listing
+const propertyModerationSchema = new mongoose.Schema(
+  {
+    propertyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true,
+      index: true
+    },
+    action: {
+      type: String,
+      enum: Object.values(MODERATION_ACTIONS),
+      required: true
+    },
+    // Unset for claims and assignments, which leave the status alone
+    fromStatus: {
+      type: String,
+      enum: [...Object.values(PROPERTY_STATUSES), null],
+      default: null
+    },
+    toStatus: {
+      type: String,
+      enum: [...Object.values(PROPERTY_STATUSES), null],
+      default: null
+    },
+    reasonCodes: [{
+      type: String,
+      enum: Object.keys(MODERATION_REASON_CODES)
+    }],
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Comment cannot be more than 2000 characters']
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    actorName: {
+      type: String
+    },
+    // Moderator the listing was assigned to (assigned/claimed)
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+propertyModerationSchema.index({ propertyId: 1, createdAt: 1 });
+
+// History entries are immutable once written
+const rejectMutation = function(next) {
+  next(new Error('Property moderation history is immutable'));
+};
+propertyModerationSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectMutation);
+propertyModerationSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Property moderation history is immutable'));
+  }
+  next();
+});
+
+export default mongoose.model('PropertyModeration', propertyModerationSchema);
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// One field of a revision; array fields also list the items added and removed
+const fieldChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null },
+    added: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    removed: { type: [mongoose.Schema.Types.Mixed], default: undefined }
+  },
+  { _id: false }
+);
+
+// Append-only edit history of a property: one entry per save that changed its fields
+const propertyRevisionSchema = new mongoose.Schema(
+  {
+    propertyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true
+    },
+    // 1 for the first edit of the property, then counting up (Property.editVersion)
+    version: {
+      type: Number,
+      required: true
+    },
+    changes: {
+      type: [fieldChangeSchema],
+      required: true
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    editorName: {
+      type: String
+    },
+    source: {
+      type: String,
+      enum: ['api', 'import'],
+      default: 'api'
+    },
+    // The edit sent the Verified listing back for approval
+    reapprovalRequired: {
+      type: Boolean,
+      default: false
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+propertyRevisionSchema.index({ propertyId: 1, version: -1 }, { unique: true });
+propertyRevisionSchema.index({ propertyId: 1, 'changes.field': 1, version: -1 });
+
+// History entries are immutable once written
+const rejectMutation = function(next) {
+  next(new Error('Property edit history is immutable'));
+};
+propertyRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectMutation);
+propertyRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Property edit history is immutable'));
+  }
+  next();
+});
+
+export default mongoose.model('PropertyRevision', propertyRevisionSchema);
@@ -1,9 +1,24 @@
 import mongoose from "mongoose";
 
 export const TASK_TYPES = Object.freeze({
-  BOT_REPLY: "BOT_REPLY"
+  BOT_REPLY: "BOT_REPLY",
+  LEAD_FOLLOW_UP: "LEAD_FOLLOW_UP",
+  LEAD_SCORE_REFRESH: "LEAD_SCORE_REFRESH",
+  LEAD_PROPERTY_MATCH: "LEAD_PROPERTY_MATCH",
+  LEAD_TRANSFER_EXPIRY: "LEAD_TRANSFER_EXPIRY",
+  LEAD_DELIVERY_BACKFILL: "LEAD_DELIVERY_BACKFILL",
+  IMPORT_JOB: "IMPORT_JOB",
+  PROPERTY_EXPIRY_SWEEP: "PROPERTY_EXPIRY_SWEEP"
 });
 
+export const TASK_STATUSES = Object.freeze({
+  PENDING: "pending",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed"
+});
+
+// A job of the background queue (see services/jobQueue.service.js)
 const scheduledTaskSchema = new mongoose.Schema(
   {
     taskType: {
@@ -15,17 +30,41 @@ const scheduledTaskSchema = new mongoose.Schema(
       type: Date,
       required: true
     },
+    // Handler-specific data, e.g. { chatId } for BOT_REPLY, { followUpId } for LEAD_FOLLOW_UP
     payload: {
-      chatId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "Chat",
-        required: true
-      }
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
     },
     status: {
       type: String,
-      enum: ["pending", "running", "completed", "failed"],
-      default: "pending"
+      enum: Object.values(TASK_STATUSES),
+      default: TASK_STATUSES.PENDING
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5
+    },
+    // Worker holding the job while it runs; a lock older than the lock timeout is considered stuck
+    lockedBy: {
+      type: String,
+      default: null
+    },
+    lockedAt: {
+      type: Date,
+      default: null
+    },
+    startedAt: {
+      type: Date
+    },
+    completedAt: {
+      type: Date
+    },
+    failedAt: {
+      type: Date
     },
     lastRunAt: {
       type: Date
@@ -36,12 +75,21 @@ const scheduledTaskSchema = new mongoose.Schema(
     isActive: {
       type: Boolean,
       default: true
+    },
+    // Set on jobs queued by enqueueUniqueJob while they are pending or running;
+    // the unique index keeps one such job per (taskType, dedupeKey)
+    dedupeKey: {
+      type: String
     }
   },
   { timestamps: true }
 );
 
-
-
+scheduledTaskSchema.index({ status: 1, isActive: 1, runAt: 1 });
+scheduledTaskSchema.index({ status: 1, lockedAt: 1 });
+scheduledTaskSchema.index(
+  { taskType: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+);
 
 export default mongoose.model("ScheduledTask", scheduledTaskSchema);
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    // SHA-256 hashes only; the raw refresh token is returned to the client once
+    refreshTokenHash: {
+      type: String,
+      required: true
+    },
+    // Hash of the token rotated out most recently, used to detect refresh token reuse
+    previousRefreshTokenHash: {
+      type: String,
+      default: null
+    },
+    deviceId: {
+      type: String,
+      default: null
+    },
+    deviceName: {
+      type: String,
+      default: null
+    },
+    platform: {
+      type: String,
+      enum: ['android', 'web'],
+      default: 'web'
+    },
+    userAgent: {
+      type: String
+    },
+    ipAddress: {
+      type: String
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'revoked', 'replaced', 'token_reuse', 'account_deleted', null],
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, deviceId: 1 });
+// Expired sessions are removed by the MongoDB TTL monitor
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Remove sensitive data from JSON output
+sessionSchema.methods.toJSON = function() {
+  const sessionObject = this.toObject();
+  delete sessionObject.refreshTokenHash;
+  delete sessionObject.previousRefreshTokenHash;
+  return sessionObject;
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+export const SMS_STATUSES = Object.freeze({
+  QUEUED: 'queued',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+});
+
+const smsMessageSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+      index: true
+    },
+    body: {
+      type: String,
+      required: true
+    },
+    // Message template key (e.g. 'otp') and the gateway's registered template id
+    template: {
+      type: String
+    },
+    templateId: {
+      type: String
+    },
+    purpose: {
+      type: String,
+      enum: ['otp', 'notification', 'other'],
+      default: 'other'
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    provider: {
+      type: String,
+      required: true
+    },
+    providerMessageId: {
+      type: String,
+      index: true
+    },
+    status: {
+      type: String,
+      enum: Object.values(SMS_STATUSES),
+      default: SMS_STATUSES.QUEUED
+    },
+    errorMessage: {
+      type: String
+    },
+    sentAt: {
+      type: Date
+    },
+    deliveredAt: {
+      type: Date
+    },
+    failedAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+smsMessageSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('SmsMessage', smsMessageSchema);
@@ -65,6 +65,11 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Access tokens issued before this moment are rejected ("log out everywhere")
+  tokensValidAfter: {
+    type: Date,
+    default: null
+  },
   emailNotification: {
     type: Boolean,
     default: true
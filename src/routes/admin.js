@@ -1,11 +1,42 @@
 import express from 'express';
 import { getAdminDashboardStats } from '../controllers/adminDashboardController.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { getJobs, retryJob } from '../controllers/jobController.js';
+import {
+  getModerationQueue,
+  getModerationReasonCodes,
+  claimModeration,
+  assignModeration,
+  approveModeration,
+  rejectModeration,
+  requestModerationChanges
+} from '../controllers/propertyModerationController.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import {
+  moderationQueueQuerySchema,
+  assignModeratorSchema,
+  approvePropertySchema,
+  moderationDecisionSchema
+} from '../validations/propertyModeration.js';
 
 const router = express.Router();
 
 // Admin dashboard routes - protected with admin authorization
-router.get('/dashboard/stats', authenticate, authorize('admin'), getAdminDashboardStats);
+router.get('/dashboard/stats', authenticate, requirePermission(PERMISSIONS.ADMIN_DASHBOARD_VIEW), getAdminDashboardStats);
+
+// Background job queue: inspect jobs and retry failed ones
+router.get('/jobs', authenticate, requirePermission(PERMISSIONS.JOB_MANAGE), getJobs);
+router.post('/jobs/:jobId/retry', authenticate, requirePermission(PERMISSIONS.JOB_MANAGE), retryJob);
+
+// Property moderation queue: claim/assign listings and approve, reject or request changes
+router.get('/moderation/properties', authenticate, requirePermission(PERMISSIONS.PROPERTY_MODERATE), validate(moderationQueueQuerySchema, 'query'), getModerationQueue);
+router.get('/moderation/reason-codes', authenticate, requirePermission(PERMISSIONS.PROPERTY_MODERATE), getModerationReasonCodes);
+router.post('/moderation/properties/:id/claim', authenticate, requirePermission(PERMISSIONS.PROPERTY_MODERATE), claimModeration);
+router.post('/moderation/properties/:id/assign', authenticate, requirePermission(PERMISSIONS.PROPERTY_MODERATE), validate(assignModeratorSchema), assignModeration);
+router.post('/moderation/properties/:id/approve', authenticate, requirePermission(PERMISSIONS.PROPERTY_MODERATE), validate(approvePropertySchema), approveModeration);
+router.post('/moderation/properties/:id/reject', authenticate, requirePermission(PERMISSIONS.PROPERTY_MODERATE), validate(moderationDecisionSchema), rejectModeration);
+router.post('/moderation/properties/:id/request-changes', authenticate, requirePermission(PERMISSIONS.PROPERTY_MODERATE), validate(moderationDecisionSchema), requestModerationChanges);
 
 export default router;
 
@@ -13,8 +13,14 @@ import {
   deleteAccount,
   sendEmailVerification,
   verifyEmail,
+  refreshAccessToken,
+  getSessions,
+  deleteSession,
+  logout,
+  logoutAll,
 } from '../controllers/authController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { validate } from '../middleware/validation.js';
 import { detectPlatform } from '../middleware/platform.js';
 import { uploadAllFiles, handleUploadError } from '../middleware/upload.js';
@@ -24,14 +30,15 @@ import {
   phoneLoginSchema,
   otpVerificationSchema,
   resendOtpSchema,
-  adminCreateBrokerSchema
+  adminCreateBrokerSchema,
+  refreshTokenSchema
 } from '../validations/auth.js';
 import { completeProfileSchema } from '../validations/profile.js';
 
 const router = express.Router();
 
 /** Admin-only route (PROTECTED) */
-router.post('/admin/broker', authenticate ,validate(adminCreateBrokerSchema) ,adminCreateBroker); // ✅ fixed name
+router.post('/admin/broker', authenticate, requirePermission(PERMISSIONS.BROKER_CREATE), validate(adminCreateBrokerSchema), adminCreateBroker); // ✅ fixed name
 
 /** Public routes */
 router.post('/register', detectPlatform, validate(phoneRegistrationSchema), phoneRegistration);
@@ -41,12 +48,19 @@ router.post('/verify-otp', validate(otpVerificationSchema), verifyOTP);
 router.post('/complete-profile', uploadAllFiles, handleUploadError, validate(completeProfileSchema), completeProfile);
 router.post('/resend-otp', validate(resendOtpSchema), resendOTP);
 router.get('/check-email', checkEmailExists);
+router.post('/refresh', validate(refreshTokenSchema), refreshAccessToken);
 
 // Protected routes
 router.get('/profile', authenticate, getProfile);
 router.put('/profile', authenticate, updateProfile);
 router.delete('/account', authenticate, deleteAccount);
 
+// Session management
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:sessionId', authenticate, deleteSession);
+router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
+
 // Email verification routes
 router.post('/send-verification-email', authenticate, sendEmailVerification);
 router.get('/verify-email', verifyEmail);
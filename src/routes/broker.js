@@ -7,8 +7,8 @@ import {
   updateBrokerVerification,
   
 } from '../controllers/brokerController.js';
-// removed auth for public access
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { validate } from '../middleware/validation.js';
 import {
   brokerApprovalSchema,
@@ -17,7 +17,7 @@ import {
 } from '../validations/broker.js';
 
 const router = express.Router();
-// Public access for broker routes
+// Public access for broker listing/details
 
 // Get all brokers with pagination and filtering (all roles allowed)
 router.get('/', validate(brokerQuerySchema, 'query'), getAllBrokers);
@@ -26,15 +26,14 @@ router.get('/', validate(brokerQuerySchema, 'query'), getAllBrokers);
 // Get single broker details
 router.get('/:id', getBrokerById);
 
-// Approval/rejection are public now (no auth)
-// Approve broker
-router.patch('/:id/approve', validate(brokerApprovalSchema), approveBroker);
+// Approve broker (Admin only)
+router.patch('/:id/approve', authenticate, requirePermission(PERMISSIONS.BROKER_APPROVE), validate(brokerApprovalSchema), approveBroker);
 
-// Reject broker
-router.patch('/:id/reject', validate(brokerRejectionSchema), rejectBroker);
+// Reject broker (Admin only)
+router.patch('/:id/reject', authenticate, requirePermission(PERMISSIONS.BROKER_APPROVE), validate(brokerRejectionSchema), rejectBroker);
 
 // Update broker verification status (Admin only)
-router.patch('/:id/verification', authenticate, updateBrokerVerification);
+router.patch('/:id/verification', authenticate, requirePermission(PERMISSIONS.BROKER_VERIFY), updateBrokerVerification);
 
 
 
@@ -1,11 +1,13 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { createChat, getChatMessages,getMyChats } from '../controllers/chatController.js';
 
 const router = express.Router();
 
 router.post('/', authenticate, createChat);
-router.get('/:chatId/messages', getChatMessages);
+// Messages of a chat (its participants only)
+router.get('/:chatId/messages', authenticate, requirePermission(PERMISSIONS.CHAT_ACCESS), getChatMessages);
 router.get('/', authenticate, getMyChats);
 
 
@@ -0,0 +1,14 @@
+import express from 'express';
+import { getSettlements, updateSettlement, getEarnings } from '../controllers/commissionController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { settlementQuerySchema, updateSettlementSchema, earningsQuerySchema } from '../validations/commission.js';
+
+const router = express.Router();
+
+// Referral commission settlements of won leads (brokers see their own, admin all)
+router.get('/', authenticate, validate(settlementQuerySchema, 'query'), getSettlements);
+router.get('/earnings', authenticate, validate(earningsQuerySchema, 'query'), getEarnings);
+router.patch('/:settlementId', authenticate, validate(updateSettlementSchema), updateSettlement);
+
+export default router;
@@ -3,15 +3,16 @@ import {
   createContact,
   getContacts
 } from '../controllers/contactController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
 // Create a new contact form submission (public endpoint)
 router.post('/', createContact);
 
-// Get all contacts with filters and pagination (authenticated)
-router.get('/', authenticate, getContacts);
+// Get all contacts with filters and pagination (Admin only)
+router.get('/', authenticate, requirePermission(PERMISSIONS.CONTACT_VIEW), getContacts);
 
 export default router;
 
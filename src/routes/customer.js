@@ -1,11 +1,13 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { getAllCustomers, getCustomerById } from '../controllers/customerController.js';
 
 const router = express.Router();
 
-// Customer API - works for any role (admin, broker, customer)
-router.get('/', authenticate, getAllCustomers);
+// Customer list (Admin only)
+router.get('/', authenticate, requirePermission(PERMISSIONS.CUSTOMER_VIEW), getAllCustomers);
+// Customer details - works for any role (admin, broker, customer)
 router.get('/:customerId', authenticate, getCustomerById);
 
 export default router;
@@ -3,7 +3,8 @@ import {
   subscribeEmail,
   getSubscriptions
 } from '../controllers/emailSubscriptionController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
@@ -11,7 +12,7 @@ const router = express.Router();
 router.post('/', subscribeEmail);
 
 // Get all subscriptions with filters and pagination (authenticated - admin only)
-router.get('/', authenticate, getSubscriptions);
+router.get('/', authenticate, requirePermission(PERMISSIONS.EMAIL_SUBSCRIPTION_VIEW), getSubscriptions);
 
 export default router;
 
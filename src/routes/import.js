@@ -4,8 +4,25 @@ import {
   importPropertiesFromCSV,
   importLeadsFromCSV
 } from '../controllers/importController.js';
-import { uploadCSV, handleUploadError } from '../middleware/upload.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  uploadImportJob,
+  getImportJobs,
+  getImportJobById,
+  updateImportJobMapping,
+  dryRunImport,
+  commitImport,
+  downloadRejectedRows
+} from '../controllers/importJobController.js';
+import { uploadImportFile, handleUploadError } from '../middleware/upload.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { validate } from '../middleware/validation.js';
+import {
+  createImportJobSchema,
+  updateImportMappingSchema,
+  importJobQuerySchema,
+  importQuerySchema
+} from '../validations/import.js';
 
 const router = express.Router();
 
@@ -13,15 +30,18 @@ const router = express.Router();
 
 /**
  * @route   POST /api/import/brokers
- * @desc    Import brokers from CSV file
+ * @desc    Import brokers from a CSV or XLSX file
+ *          ?mode=create|update|upsert&matchKey=phone|email|licenseNumber|externalId
+ *          ?sheet=<name or 1-based position> picks the sheet of an XLSX file
  * @access  Private (Admin only)
  */
 router.post(
   '/brokers',
   authenticate,
-  authorize('admin'),
-  uploadCSV,
+  requirePermission(PERMISSIONS.IMPORT_RUN),
+  uploadImportFile,
   handleUploadError,
+  validate(importQuerySchema, 'query'),
   importBrokersFromCSV
 );
 
@@ -29,15 +49,20 @@ router.post(
 
 /**
  * @route   POST /api/import/properties
- * @desc    Import properties from CSV file
+ * @desc    Import properties from a CSV or XLSX file
+ *          ?mode=create|update|upsert&matchKey=externalId
+ *          ?sheet=<name or 1-based position> picks the sheet of an XLSX file
+ *          Images: URLs are downloaded (?downloadImages=false keeps them), other
+ *          names are files of the imagesZip upload
  * @access  Private (Admin only)
  */
 router.post(
   '/properties',
   authenticate,
-  authorize('admin'),
-  uploadCSV,
+  requirePermission(PERMISSIONS.IMPORT_RUN),
+  uploadImportFile,
   handleUploadError,
+  validate(importQuerySchema, 'query'),
   importPropertiesFromCSV
 );
 
@@ -45,16 +70,90 @@ router.post(
 
 /**
  * @route   POST /api/import/leads
- * @desc    Import leads from CSV file
+ * @desc    Import leads from a CSV or XLSX file
+ *          ?mode=create|update|upsert&matchKey=phone|email|externalId
+ *          ?sheet=<name or 1-based position> picks the sheet of an XLSX file
  * @access  Private (Admin only)
  */
 router.post(
   '/leads',
   authenticate,
-  authorize('admin'),
-  uploadCSV,
+  requirePermission(PERMISSIONS.IMPORT_RUN),
+  uploadImportFile,
   handleUploadError,
+  validate(importQuerySchema, 'query'),
   importLeadsFromCSV
 );
 
+// ==================== IMPORT JOBS ====================
+
+/**
+ * @route   POST /api/import/jobs
+ * @desc    Upload a CSV or XLSX file (csvFile, entityType, sheet) and get the detected column mapping
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/jobs',
+  authenticate,
+  requirePermission(PERMISSIONS.IMPORT_RUN),
+  uploadImportFile,
+  handleUploadError,
+  validate(createImportJobSchema),
+  uploadImportJob
+);
+
+/**
+ * @route   GET /api/import/jobs
+ * @desc    List import jobs
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/jobs',
+  authenticate,
+  requirePermission(PERMISSIONS.IMPORT_RUN),
+  validate(importJobQuerySchema, 'query'),
+  getImportJobs
+);
+
+/**
+ * @route   GET /api/import/jobs/:id
+ * @desc    Import job status and progress
+ * @access  Private (Admin only)
+ */
+router.get('/jobs/:id', authenticate, requirePermission(PERMISSIONS.IMPORT_RUN), getImportJobById);
+
+/**
+ * @route   PUT /api/import/jobs/:id/mapping
+ * @desc    Adjust the column mapping before committing
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/jobs/:id/mapping',
+  authenticate,
+  requirePermission(PERMISSIONS.IMPORT_RUN),
+  validate(updateImportMappingSchema),
+  updateImportJobMapping
+);
+
+/**
+ * @route   POST /api/import/jobs/:id/dry-run
+ * @desc    Validate every row without importing
+ * @access  Private (Admin only)
+ */
+router.post('/jobs/:id/dry-run', authenticate, requirePermission(PERMISSIONS.IMPORT_RUN), dryRunImport);
+
+/**
+ * @route   POST /api/import/jobs/:id/commit
+ * @desc    Import the rows in the background
+ * @access  Private (Admin only)
+ */
+router.post('/jobs/:id/commit', authenticate, requirePermission(PERMISSIONS.IMPORT_RUN), commitImport);
+
+/**
+ * @route   GET /api/import/jobs/:id/errors.csv
+ * @desc    Download the rejected rows of the latest dry-run or commit
+ * @access  Private (Admin only)
+ */
+router.get('/jobs/:id/errors.csv', authenticate, requirePermission(PERMISSIONS.IMPORT_RUN), downloadRejectedRows);
+
 export default router;
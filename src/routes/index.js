@@ -16,6 +16,9 @@ import propertyRatingRoutes from './propertyRatings.js';
 import adminRoutes from './admin.js';
 import emailSubscriptionRoutes from './emailSubscription.js';
 import importRoutes from './import.js';
+import smsRoutes from './sms.js';
+import leadRoutingRoutes from './leadRouting.js';
+import commissionRoutes from './commissions.js';
 const router = express.Router();
 
 // API routes
@@ -36,6 +39,9 @@ router.use('/property-ratings', propertyRatingRoutes);
 router.use('/admin', adminRoutes);
 router.use('/email-subscription', emailSubscriptionRoutes);
 router.use('/import', importRoutes);
+router.use('/sms', smsRoutes);
+router.use('/lead-routing', leadRoutingRoutes);
+router.use('/commissions', commissionRoutes);
 
 export default router;
 
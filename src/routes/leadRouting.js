@@ -0,0 +1,18 @@
+import express from 'express';
+import { getRoutingRules, upsertRoutingRule, deleteRoutingRule, routeExistingLead } from '../controllers/leadRoutingController.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { validate } from '../middleware/validation.js';
+import { leadRoutingRuleSchema } from '../validations/leadRouting.js';
+
+const router = express.Router();
+
+// Admin only: routing rules per region (use "default" as regionId for the fallback rule)
+router.get('/rules', authenticate, requirePermission(PERMISSIONS.LEAD_ROUTING_MANAGE), getRoutingRules);
+router.put('/rules/:regionId', authenticate, requirePermission(PERMISSIONS.LEAD_ROUTING_MANAGE), validate(leadRoutingRuleSchema), upsertRoutingRule);
+router.delete('/rules/:regionId', authenticate, requirePermission(PERMISSIONS.LEAD_ROUTING_MANAGE), deleteRoutingRule);
+
+// Route an existing, not yet transferred lead
+router.post('/leads/:leadId', authenticate, requirePermission(PERMISSIONS.LEAD_ROUTING_MANAGE), routeExistingLead);
+
+export default router;
@@ -1,8 +1,16 @@
 import express from 'express';
-import { createLead, getLeads, getLeadById, getLeadMetrics, updateLeadVerification, getFullLeadsByBrokerId,  updateLead, deleteLead, transferAndNotes, getTransferredLeads, deleteLeadTransfer, updateRegionTransfer, deleteRegionTransfer, getLeadsByMonth } from '../controllers/leadController.js';
+import { createLead, getLeads, exportLeads, getLeadById, getLeadTimeline, getLeadMetrics, updateLeadVerification, getFullLeadsByBrokerId,  updateLead, deleteLead, transferAndNotes, getTransferredLeads, deleteLeadTransfer, updateRegionTransfer, deleteRegionTransfer, getLeadsByMonth } from '../controllers/leadController.js';
+import { getLeadNotes, createLeadNote, updateLeadNote, deleteLeadNote, getLeadActivity } from '../controllers/leadNoteController.js';
+import { createLeadFollowUp, getLeadFollowUps, getFollowUps, getOverdueFollowUps, snoozeLeadFollowUp, completeLeadFollowUp, cancelLeadFollowUp } from '../controllers/leadFollowUpController.js';
+import { getLeadDuplicates, mergeLead } from '../controllers/leadDedupController.js';
+import { getLeadMatches } from '../controllers/propertyMatchController.js';
+import { getIncomingTransfers, acceptLeadTransfer, declineLeadTransfer } from '../controllers/leadTransferController.js';
+import { getSharedWithMe, getLeadDeliveries, markLeadAsViewed, updateBroadcastPreference } from '../controllers/leadDeliveryController.js';
+import { setLeadTransferCommission, removeLeadTransferCommission, acknowledgeLeadTransferCommission } from '../controllers/commissionController.js';
 import { validate } from '../middleware/validation.js';
-import { authenticate } from '../middleware/auth.js';
-import { createLeadSchema, updateLeadSchema, leadQuerySchema, transferAndNotesSchema, transferredLeadQuerySchema, updateRegionTransferSchema } from '../validations/lead.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { createLeadSchema, updateLeadSchema, leadQuerySchema, transferAndNotesSchema, transferredLeadQuerySchema, updateRegionTransferSchema, createLeadNoteSchema, updateLeadNoteSchema, createFollowUpSchema, snoozeFollowUpSchema, followUpQuerySchema, mergeLeadsSchema, declineTransferSchema, commissionSchema, sharedLeadQuerySchema, broadcastPreferenceSchema, leadExportQuerySchema } from '../validations/lead.js';
 
 const router = express.Router();
 
@@ -12,6 +20,9 @@ router.post('/', authenticate, validate(createLeadSchema), createLead);
 // List leads with filters and pagination
 router.get('/', validate(leadQuerySchema, 'query'), getLeads);
 
+// Export leads as CSV/XLSX with the getLeads/getTransferredLeads filters (?format=csv|xlsx&columns=...)
+router.get('/export', authenticate, requirePermission(PERMISSIONS.LEAD_EXPORT), validate(leadExportQuerySchema, 'query'), exportLeads);
+
 // Lead metrics (totals for dashboard)
 router.get('/metrics', getLeadMetrics);
 
@@ -21,9 +32,54 @@ router.get('/by-month', authenticate, getLeadsByMonth);
 // List only transferred leads, optionally filter by toBroker/fromBroker
 router.get('/transferred', validate(transferredLeadQuerySchema, 'query'), getTransferredLeads);
 
+// Pending transfers waiting for the logged-in broker to accept or decline
+router.get('/transfers/incoming', authenticate, getIncomingTransfers);
+
+// Leads shared with the logged-in broker's region or with all brokers
+router.get('/shared-with-me', authenticate, validate(sharedLeadQuerySchema, 'query'), getSharedWithMe);
+
+// Opt in/out of region and all-broker lead broadcasts
+router.put('/broadcast-preference', authenticate, validate(broadcastPreferenceSchema), updateBroadcastPreference);
+
+// Follow-up reminders of the logged-in broker (admin may filter by brokerId)
+router.get('/follow-ups', authenticate, validate(followUpQuerySchema, 'query'), getFollowUps);
+router.get('/follow-ups/overdue', authenticate, validate(followUpQuerySchema, 'query'), getOverdueFollowUps);
+router.patch('/follow-ups/:followUpId/snooze', authenticate, validate(snoozeFollowUpSchema), snoozeLeadFollowUp);
+router.patch('/follow-ups/:followUpId/complete', authenticate, completeLeadFollowUp);
+router.delete('/follow-ups/:followUpId', authenticate, cancelLeadFollowUp);
+
 // Get full leads by broker ID (must come before /:id to avoid route conflict)
 router.get('/all/:brokerId', authenticate, getFullLeadsByBrokerId);
 
+// Status history of a lead
+router.get('/:id/timeline', authenticate, getLeadTimeline);
+
+// Notes on a lead (private notes are only returned to their author)
+router.get('/:id/notes', authenticate, getLeadNotes);
+router.post('/:id/notes', authenticate, validate(createLeadNoteSchema), createLeadNote);
+router.put('/:id/notes/:noteId', authenticate, validate(updateLeadNoteSchema), updateLeadNote);
+router.delete('/:id/notes/:noteId', authenticate, deleteLeadNote);
+
+// Follow-up reminders on a lead
+router.get('/:id/follow-ups', authenticate, getLeadFollowUps);
+router.post('/:id/follow-ups', authenticate, validate(createFollowUpSchema), createLeadFollowUp);
+
+// Duplicate detection and merging (duplicates are merged into :id)
+router.get('/:id/duplicates', authenticate, getLeadDuplicates);
+router.post('/:id/merge', authenticate, validate(mergeLeadsSchema), mergeLead);
+
+// Active properties matching the lead, best first
+router.get('/:id/matches', authenticate, getLeadMatches);
+
+// Recipients of the lead's region/all transfers with seen/viewed status
+router.get('/:id/deliveries', authenticate, getLeadDeliveries);
+
+// Record that the logged-in broker opened the lead
+router.post('/:id/view', authenticate, markLeadAsViewed);
+
+// Notes and status changes of a lead as one feed
+router.get('/:id/activity', authenticate, getLeadActivity);
+
 // Get a single lead by id
 router.get('/:id', getLeadById);
 
@@ -36,6 +92,15 @@ router.delete('/:id', authenticate, deleteLead);
 // Combined transfer + notes
 router.post('/:id/transfer-and-notes', authenticate, validate(transferAndNotesSchema), transferAndNotes);
 
+// Receiving broker's response to a transfer (notified back to the fromBroker)
+router.patch('/:id/transfers/:transferId/accept', authenticate, acceptLeadTransfer);
+router.patch('/:id/transfers/:transferId/decline', authenticate, validate(declineTransferSchema), declineLeadTransfer);
+
+// Referral commission agreement of a transfer (settled when the lead is won, see /api/commissions)
+router.put('/:id/transfers/:transferId/commission', authenticate, validate(commissionSchema), setLeadTransferCommission);
+router.delete('/:id/transfers/:transferId/commission', authenticate, removeLeadTransferCommission);
+router.patch('/:id/transfers/:transferId/commission/acknowledge', authenticate, acknowledgeLeadTransferCommission);
+
 // Delete a specific transfer (requires toBrokerId and fromBroker via query or logged-in broker)
 router.delete('/:id/transfers/:toBrokerId', authenticate, deleteLeadTransfer);
 
@@ -47,7 +112,7 @@ router.put('/:id/region-transfers/:regionId', authenticate, validate(updateRegio
 router.delete('/:id/region-transfers/:regionId', authenticate, deleteRegionTransfer);
 
 // Update lead verification status (Admin only)
-router.patch('/:id/verification', authenticate, updateLeadVerification);
+router.patch('/:id/verification', authenticate, requirePermission(PERMISSIONS.LEAD_VERIFY), updateLeadVerification);
 
 export default router;
 
@@ -10,7 +10,8 @@ import {
   adminMarkAllAsRead,
   updateNotificationPreferences
 } from '../controllers/notificationController.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
@@ -39,17 +40,17 @@ router.delete('/:notificationId', deleteNotification);
 // Admin routes - Get all notifications across all users
 // Query params: page, limit, isRead, type, entityType, userId, days
 // Example: /api/notifications/admin/all?type=lead&entityType=Lead&days=30
-router.get('/admin/all', authorize('admin'), adminGetAllNotifications);
+router.get('/admin/all', requirePermission(PERMISSIONS.NOTIFICATION_ADMIN), adminGetAllNotifications);
 
 // Admin routes - Get recent activity across all users
 // Query params: days, limit, type, entityType, userId
 // Example: /api/notifications/admin/recent?days=7&type=property
-router.get('/admin/recent', authorize('admin'), adminGetRecentActivity);
+router.get('/admin/recent', requirePermission(PERMISSIONS.NOTIFICATION_ADMIN), adminGetRecentActivity);
 
 // Admin routes - Mark all notifications as read (with filters)
 // Query params: type, entityType, userId, days
 // Example: /api/notifications/admin/read-all?type=lead&days=7
-router.patch('/admin/read-all', authorize('admin'), adminMarkAllAsRead);
+router.patch('/admin/read-all', requirePermission(PERMISSIONS.NOTIFICATION_ADMIN), adminMarkAllAsRead);
 
 // Update notification preferences (emailNotification, smsNotification, pushNotification)
 // Body: { emailNotification: true/false, smsNotification: true/false, pushNotification: true/false }
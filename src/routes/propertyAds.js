@@ -1,16 +1,19 @@
 import express from "express";
 import upload from "../middleware/upload.js";
 import { createPropertyAd, getAllAds,updatePropertyAd,deletePropertyAd,getAdById } from "../controllers/propertyAdController.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 
 const router = express.Router();
 
-// CREATE PROPERTY AD
-router.post("/ads", upload.array("media", 10), createPropertyAd);
+// CREATE PROPERTY AD (Admin only)
+router.post("/ads", authenticate, requirePermission(PERMISSIONS.PROPERTY_AD_MANAGE), upload.array("media", 10), createPropertyAd);
 
 // GET PROPERTY ADS
 router.get("/ads", getAllAds);
 router.get("/ads/:id", getAdById);
-router.put("/ads/:id", upload.array("media", 10), updatePropertyAd);
-router.delete("/ads/:id", deletePropertyAd);
+// UPDATE / DELETE PROPERTY AD (Admin only)
+router.put("/ads/:id", authenticate, requirePermission(PERMISSIONS.PROPERTY_AD_MANAGE), upload.array("media", 10), updatePropertyAd);
+router.delete("/ads/:id", authenticate, requirePermission(PERMISSIONS.PROPERTY_AD_MANAGE), deletePropertyAd);
 export default router;
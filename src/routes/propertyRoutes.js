@@ -11,10 +11,24 @@ import {
   getPropertiesByMonth,
   transferProperty
 } from "../controllers/propertyController.js";
+import { getPropertyMatchingLeads } from "../controllers/propertyMatchController.js";
+import { renewProperty, closeProperty, getMarketStats } from "../controllers/propertyLifecycleController.js";
+import { resubmitModeration, getPropertyModerationHistory } from "../controllers/propertyModerationController.js";
+import { getPropertyRevisions, getPropertyRevisionDiff } from "../controllers/propertyRevisionController.js";
+import { resubmitPropertySchema } from "../validations/propertyModeration.js";
 import { validate } from "../middleware/validation.js";
-import { validateCreateProperty, validateUpdateProperty } from "../validations/property.js"
+import {
+  validateCreateProperty,
+  validateUpdateProperty,
+  validateRenewProperty,
+  validateCloseProperty,
+  propertyMarketStatsQuerySchema,
+  propertyHistoryQuerySchema,
+  propertyDiffQuerySchema
+} from "../validations/property.js"
 import { uploadPropertyMedia, handleUploadError, normalizePropertyMedia } from "../middleware/upload.js";
-import { authenticate } from "../middleware/auth.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 
 const router = Router();
@@ -25,19 +39,35 @@ router.get("/metrics", getPropertyMetrics);
 // Get properties grouped by month (for dashboard graph) - token based
 router.get("/by-month", authenticate, getPropertiesByMonth);
 
-router.post("/", uploadPropertyMedia, handleUploadError, validateCreateProperty, createProperty);
+// Final prices of Sold/Rented listings (?city=&region=&propertyType=&from=&to=)
+router.get("/market-stats", validate(propertyMarketStatsQuerySchema, "query"), getMarketStats);
+
+// Brokers create their own listings, admin creates them for any broker
+router.post("/", authenticate, requirePermission(PERMISSIONS.PROPERTY_CREATE), uploadPropertyMedia, handleUploadError, validateCreateProperty, createProperty);
 
 // GET /api/properties → list properties with filters + pagination
 router.get("/", getProperties);
 router.get("/:id", getPropertyById);
+// Open leads matching the property (admin, or its own/transferred broker)
+router.get("/:id/matching-leads", authenticate, getPropertyMatchingLeads);
 
 // Admin-only routes
-router.patch("/:id/approve", authenticate, approveProperty);
-router.patch("/:id/reject", authenticate, rejectProperty);
+router.patch("/:id/approve", authenticate, requirePermission(PERMISSIONS.PROPERTY_MODERATE), approveProperty);
+router.patch("/:id/reject", authenticate, requirePermission(PERMISSIONS.PROPERTY_MODERATE), rejectProperty);
 
 // Update and delete routes (authenticated - broker can update/delete their own, admin can do all)
 router.put("/:id", authenticate, uploadPropertyMedia, handleUploadError, normalizePropertyMedia, validateUpdateProperty, updateProperty);
 router.delete("/:id", authenticate, deleteProperty);
-router.post("/:id/transfer", transferProperty);
+// Listing lifecycle (broker can renew/close their own, admin can do all)
+router.patch("/:id/renew", authenticate, validateRenewProperty, renewProperty);
+router.patch("/:id/close", authenticate, validateCloseProperty, closeProperty);
+// Moderation (broker resubmits their own listing after changes; history for its broker or admin)
+router.patch("/:id/resubmit", authenticate, validate(resubmitPropertySchema), resubmitModeration);
+router.get("/:id/moderation-history", authenticate, getPropertyModerationHistory);
+// Edit history and diff between versions (its broker or admin)
+router.get("/:id/history", authenticate, validate(propertyHistoryQuerySchema, "query"), getPropertyRevisions);
+router.get("/:id/history/diff", authenticate, validate(propertyDiffQuerySchema, "query"), getPropertyRevisionDiff);
+// Transfer (broker can transfer their own, admin can transfer any)
+router.post("/:id/transfer", authenticate, requirePermission(PERMISSIONS.PROPERTY_TRANSFER), transferProperty);
 
 export default router;
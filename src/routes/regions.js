@@ -8,7 +8,8 @@ import {
   getRegionStats,
   getNearestRegions
 } from '../controllers/regionController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { validate } from '../middleware/validation.js';
 import { regionSchema } from '../validations/region.js';
 
@@ -21,8 +22,8 @@ router.get('/nearest', getNearestRegions);
 router.get('/:id', getRegionById);
 
 // Protected routes (Admin only)
-router.post('/', authenticate, validate(regionSchema), createRegion);
-router.put('/:id', authenticate, validate(regionSchema), updateRegion);
-router.delete('/:id', authenticate, deleteRegion);
+router.post('/', authenticate, requirePermission(PERMISSIONS.REGION_MANAGE), validate(regionSchema), createRegion);
+router.put('/:id', authenticate, requirePermission(PERMISSIONS.REGION_MANAGE), validate(regionSchema), updateRegion);
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.REGION_MANAGE), deleteRegion);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+import express from 'express';
+import { handleDeliveryReport, getSmsMessages } from '../controllers/smsController.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = express.Router();
+
+// Delivery report webhook for the SMS gateway (requires SMS_WEBHOOK_SECRET)
+router.post('/delivery-reports', handleDeliveryReport);
+
+// Sent messages with delivery status (Admin only)
+router.get('/messages', authenticate, requirePermission(PERMISSIONS.SMS_VIEW), getSmsMessages);
+
+export default router;
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+
+/**
+ * Check whether a participant (BrokerDetail id) belongs to a chat
+ */
+export async function isChatParticipant(chatId, participantId) {
+  if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(participantId)) {
+    return false;
+  }
+
+  const chat = await Chat.exists({ _id: chatId, participants: participantId });
+  return !!chat;
+}
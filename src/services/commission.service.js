@@ -0,0 +1,347 @@
+import mongoose from "mongoose";
+import Lead, { COMMISSION_TYPES, TRANSFER_STATUSES } from "../models/Lead.js";
+import BrokerDetail from "../models/BrokerDetail.js";
+import CommissionSettlement, { SETTLEMENT_STATUSES } from "../models/CommissionSettlement.js";
+import { createNotification, getUserIdFromBrokerOrProperty } from "../utils/notifications.js";
+import { httpError } from "../utils/response.js";
+
+/**
+ * Referral commission agreements on lead transfers and their settlement.
+ *
+ * The fromBroker proposes the agreement (percentage of the deal value or a fixed
+ * amount) and both parties acknowledge it. When the lead is won, every accepted
+ * transfer with an agreement gets a CommissionSettlement: the receiving broker
+ * owes the fromBroker, starting "due" until either party marks it paid or disputed.
+ */
+
+const sameId = (a, b) => !!a && !!b && String(a?._id || a) === String(b?._id || b);
+
+/**
+ * Broker on the receiving side of a transfer: toBroker of an individual
+ * transfer, or the broker who accepted a region/all broadcast
+ */
+export const transferReceiver = (transfer) => {
+  if (transfer.shareType === "region" || transfer.shareType === "all") {
+    return transfer.status === TRANSFER_STATUSES.ACCEPTED ? transfer.respondedBy || null : null;
+  }
+  return transfer.toBroker || null;
+};
+
+/**
+ * Commission subdocument for a transfer; the proposing fromBroker acknowledges it right away
+ */
+export const buildCommission = ({ type, value, terms }, { acknowledgedByFrom = false } = {}) => {
+  if (!Object.values(COMMISSION_TYPES).includes(type)) {
+    throw httpError("Commission type must be percentage or fixed", 400);
+  }
+  if (!(value > 0) || (type === COMMISSION_TYPES.PERCENTAGE && value > 100)) {
+    throw httpError("Invalid commission value", 400);
+  }
+  const now = new Date();
+  return {
+    type,
+    value,
+    terms,
+    agreedAt: now,
+    fromAcknowledgedAt: acknowledgedByFrom ? now : undefined
+  };
+};
+
+export const commissionAmount = (commission, dealValue) => {
+  if (commission.type === COMMISSION_TYPES.FIXED) return commission.value;
+  if (!dealValue) return null;
+  return Math.round(dealValue * commission.value) / 100;
+};
+
+const notifyBroker = async (brokerId, notification) => {
+  try {
+    const userId = await getUserIdFromBrokerOrProperty(brokerId, null);
+    if (userId) {
+      await createNotification({ userId, type: "lead", priority: "medium", ...notification });
+    }
+  } catch (error) {
+    console.error("Error creating commission notification:", error);
+  }
+};
+
+const findActingBroker = (user) => {
+  return BrokerDetail.findOne({ userId: user._id }).select("_id name").lean();
+};
+
+const loadTransfer = async (leadId, transferId) => {
+  if (!mongoose.Types.ObjectId.isValid(leadId) || !mongoose.Types.ObjectId.isValid(transferId)) {
+    throw httpError("Invalid lead or transfer ID", 400);
+  }
+  const lead = await Lead.findById(leadId);
+  if (!lead) {
+    throw httpError("Lead not found", 404);
+  }
+  const transfer = lead.transfers.id(transferId);
+  if (!transfer) {
+    throw httpError("Transfer not found", 404);
+  }
+  return { lead, transfer };
+};
+
+/**
+ * Set (or remove, with null) the commission agreement of a transfer.
+ * Only the fromBroker or admin; not once a settlement exists.
+ */
+export const setTransferCommission = async (leadId, transferId, user, agreement) => {
+  const { lead, transfer } = await loadTransfer(leadId, transferId);
+
+  const isAdmin = user?.role === "admin";
+  const broker = await findActingBroker(user);
+  const isFromBroker = sameId(transfer.fromBroker, broker?._id);
+  if (!isAdmin && !isFromBroker) {
+    throw httpError("Only the broker who shared the lead can set its commission", 403);
+  }
+  if (await CommissionSettlement.exists({ lead: lead._id, transferId: transfer._id })) {
+    throw httpError("The commission of a settled transfer cannot be changed", 400);
+  }
+
+  transfer.commission = agreement ? buildCommission(agreement, { acknowledgedByFrom: isFromBroker }) : undefined;
+  await lead.save();
+
+  const receiver = transferReceiver(transfer);
+  if (agreement && receiver) {
+    notifyBroker(receiver, {
+      title: `Referral Commission Proposed: ${lead.customerName}`,
+      message: `${broker?.name || "The sharing broker"} proposed a ${agreement.type === COMMISSION_TYPES.FIXED ? `fixed commission of ₹${agreement.value}` : `${agreement.value}% commission`} for the enquiry of ${lead.customerName}. Please acknowledge it.`,
+      relatedEntity: { entityType: "Lead", entityId: lead._id },
+      activity: { action: "commissionProposed", actorId: user._id, actorName: broker?.name },
+      metadata: { leadId: lead._id, transferId: transfer._id }
+    });
+  }
+
+  return transfer;
+};
+
+/**
+ * Acknowledge the commission agreement of a transfer as one of its two brokers
+ */
+export const acknowledgeTransferCommission = async (leadId, transferId, user) => {
+  const { lead, transfer } = await loadTransfer(leadId, transferId);
+  if (!transfer.commission) {
+    throw httpError("This transfer has no commission agreement", 400);
+  }
+
+  const broker = await findActingBroker(user);
+  if (sameId(transfer.fromBroker, broker?._id)) {
+    transfer.commission.fromAcknowledgedAt = transfer.commission.fromAcknowledgedAt || new Date();
+  } else if (sameId(transferReceiver(transfer), broker?._id)) {
+    transfer.commission.toAcknowledgedAt = transfer.commission.toAcknowledgedAt || new Date();
+  } else {
+    throw httpError("Only the brokers of this transfer can acknowledge its commission", 403);
+  }
+
+  await lead.save();
+  return transfer;
+};
+
+/**
+ * Create the settlements of a won lead (one per accepted transfer with an agreement).
+ * Safe to call again: existing settlements are kept.
+ * @returns {Promise<Array<CommissionSettlement>>} Settlements created by this call
+ */
+export const createSettlementsForLead = async (leadId) => {
+  const lead = await Lead.findById(leadId).lean();
+  if (!lead) return [];
+
+  const dealValue = lead.dealValue || lead.budget || null;
+  const created = [];
+
+  for (const transfer of lead.transfers || []) {
+    const payer = transferReceiver(transfer);
+    if (!transfer.commission || transfer.status !== TRANSFER_STATUSES.ACCEPTED || !payer) continue;
+
+    const { commission } = transfer;
+    const amount = commissionAmount(commission, dealValue);
+    const result = await CommissionSettlement.updateOne(
+      { lead: lead._id, transferId: transfer._id },
+      {
+        $setOnInsert: {
+          lead: lead._id,
+          transferId: transfer._id,
+          payer,
+          payee: transfer.fromBroker,
+          commissionType: commission.type,
+          commissionValue: commission.value,
+          terms: commission.terms,
+          acknowledged: !!(commission.fromAcknowledgedAt && commission.toAcknowledgedAt),
+          dealValue,
+          amount,
+          status: SETTLEMENT_STATUSES.DUE,
+          history: [{ status: SETTLEMENT_STATUSES.DUE, note: `Lead closed as ${lead.status}` }]
+        }
+      },
+      { upsert: true }
+    );
+    if (!result.upsertedId) continue;
+
+    created.push(result.upsertedId);
+    const amountText = amount != null ? `₹${amount}` : `${commission.value}% of the deal value`;
+    notifyBroker(transfer.fromBroker, {
+      title: `Referral Commission Due: ${lead.customerName}`,
+      message: `The enquiry of ${lead.customerName} you shared was won. A referral commission of ${amountText} is due to you.`,
+      relatedEntity: { entityType: "Lead", entityId: lead._id },
+      activity: { action: "commissionDue" },
+      metadata: { leadId: lead._id, settlementId: result.upsertedId }
+    });
+    notifyBroker(payer, {
+      title: `Referral Commission Payable: ${lead.customerName}`,
+      message: `The enquiry of ${lead.customerName} was won. A referral commission of ${amountText} is payable to the broker who shared it.`,
+      relatedEntity: { entityType: "Lead", entityId: lead._id },
+      activity: { action: "commissionDue" },
+      metadata: { leadId: lead._id, settlementId: result.upsertedId }
+    });
+  }
+
+  return created.length ? CommissionSettlement.find({ _id: { $in: created } }).lean() : [];
+};
+
+/**
+ * Settlements of the current broker (as payer or payee, `role` narrows it) or, for admin, all
+ */
+export const listSettlements = async (user, { status, role, brokerId, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (status) filter.status = status;
+
+  let partyId = null;
+  if (user?.role === "admin") {
+    partyId = brokerId || null;
+  } else {
+    const broker = await findActingBroker(user);
+    if (!broker) {
+      throw httpError("Broker profile not found", 404);
+    }
+    partyId = broker._id;
+  }
+  if (partyId) {
+    if (role === "payee") filter.payee = partyId;
+    else if (role === "payer") filter.payer = partyId;
+    else filter.$or = [{ payee: partyId }, { payer: partyId }];
+  }
+
+  const skip = (page - 1) * limit;
+  const [settlements, total] = await Promise.all([
+    CommissionSettlement.find(filter)
+      .populate("lead", "customerName status propertyType primaryRegion")
+      .populate("payer", "name firmName")
+      .populate("payee", "name firmName")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    CommissionSettlement.countDocuments(filter)
+  ]);
+
+  return { settlements, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+/**
+ * Mark a settlement paid, disputed or due again. Either broker of the settlement
+ * may dispute it or set it due again, but only the payee confirms it was paid;
+ * a paid settlement can then be changed by the payee or admin.
+ */
+export const updateSettlementStatus = async (settlementId, user, { status, note }) => {
+  if (!mongoose.Types.ObjectId.isValid(settlementId)) {
+    throw httpError("Invalid settlement ID", 400);
+  }
+  const settlement = await CommissionSettlement.findById(settlementId);
+  if (!settlement) {
+    throw httpError("Settlement not found", 404);
+  }
+
+  const isAdmin = user?.role === "admin";
+  if (!isAdmin) {
+    const broker = await findActingBroker(user);
+    const isPayee = sameId(settlement.payee, broker?._id);
+    if (!isPayee && !sameId(settlement.payer, broker?._id)) {
+      throw httpError("You are not a party to this settlement", 403);
+    }
+    if (status === SETTLEMENT_STATUSES.PAID && !isPayee) {
+      throw httpError("Only the broker receiving the commission can mark it paid", 403);
+    }
+    if (settlement.status === SETTLEMENT_STATUSES.PAID && !isPayee) {
+      throw httpError("A paid settlement can only be changed by the payee or admin", 403);
+    }
+  }
+  if (status === SETTLEMENT_STATUSES.DISPUTED && !note) {
+    throw httpError("A reason is required to dispute a settlement", 400);
+  }
+
+  settlement.status = status;
+  settlement.paidAt = status === SETTLEMENT_STATUSES.PAID ? new Date() : undefined;
+  settlement.disputeReason = status === SETTLEMENT_STATUSES.DISPUTED ? note : settlement.disputeReason;
+  settlement.history.push({ status, note, changedBy: user._id });
+  await settlement.save();
+
+  return settlement;
+};
+
+const emptyTotals = () => ({ due: 0, paid: 0, disputed: 0, total: 0, count: 0 });
+
+/**
+ * Earnings per broker: commissions earned (as payee) and payable (as payer) by status.
+ * Brokers get their own report; admin gets one broker (brokerId) or all brokers.
+ * @returns {Promise<Array<{ broker: Object, earned: Object, payable: Object }>>}
+ */
+export const getEarningsReport = async (user, { brokerId, fromDate, toDate } = {}) => {
+  let partyId = null;
+  if (user?.role === "admin") {
+    partyId = brokerId ? new mongoose.Types.ObjectId(String(brokerId)) : null;
+  } else {
+    const broker = await findActingBroker(user);
+    if (!broker) {
+      throw httpError("Broker profile not found", 404);
+    }
+    partyId = broker._id;
+  }
+
+  const match = {};
+  if (fromDate || toDate) {
+    match.createdAt = {};
+    if (fromDate) match.createdAt.$gte = new Date(fromDate);
+    if (toDate) match.createdAt.$lte = new Date(toDate);
+  }
+
+  const totalsBy = (field) => {
+    const stages = [{ $match: { ...match, ...(partyId ? { [field]: partyId } : {}) } }];
+    stages.push({
+      $group: {
+        _id: { broker: `$${field}`, status: "$status" },
+        amount: { $sum: { $ifNull: ["$amount", 0] } },
+        count: { $sum: 1 }
+      }
+    });
+    return CommissionSettlement.aggregate(stages);
+  };
+
+  const [earned, payable] = await Promise.all([totalsBy("payee"), totalsBy("payer")]);
+
+  const report = new Map();
+  const rowFor = (id) => {
+    const key = String(id);
+    if (!report.has(key)) report.set(key, { broker: id, earned: emptyTotals(), payable: emptyTotals() });
+    return report.get(key);
+  };
+  const add = (side) => (entry) => {
+    const totals = rowFor(entry._id.broker)[side];
+    totals[entry._id.status] += entry.amount;
+    totals.total += entry.amount;
+    totals.count += entry.count;
+  };
+  earned.forEach(add("earned"));
+  payable.forEach(add("payable"));
+  if (partyId) rowFor(partyId);
+
+  const brokers = await BrokerDetail.find({ _id: { $in: [...report.values()].map((r) => r.broker) } })
+    .select("name firmName brokerImage")
+    .lean();
+  const brokersById = new Map(brokers.map((b) => [String(b._id), b]));
+
+  return [...report.values()]
+    .map((row) => ({ ...row, broker: brokersById.get(String(row.broker)) || { _id: row.broker } }))
+    .sort((a, b) => b.earned.total - a.earned.total);
+};
@@ -0,0 +1,1427 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import csv from 'csv-parser';
+import { Readable } from 'stream';
+import User from '../models/User.js';
+import BrokerDetail from '../models/BrokerDetail.js';
+import Property from '../models/Property.js';
+import Lead from '../models/Lead.js';
+import Region from '../models/Region.js';
+import ImportJob, { IMPORT_JOB_STATUSES } from '../models/ImportJob.js';
+import ImportRejectedRow from '../models/ImportRejectedRow.js';
+import { TASK_TYPES } from '../models/ScheduledTask.js';
+import {
+  IMPORT_ROW_SCHEMAS,
+  IMPORT_ROW_UPDATE_SCHEMAS,
+  IMPORT_MODES,
+  IMPORT_MATCH_KEYS
+} from '../validations/import.js';
+import { LOST_STATUSES, WON_STATUSES, getLeadStage } from '../config/leadPipeline.js';
+import { normalizePhone, normalizeEmail } from '../utils/leadIdentity.js';
+import { geocodeAddress } from '../utils/geocode.js';
+import { recordStatusChange } from './leadPipeline.service.js';
+import { routeLead } from './leadRouting.service.js';
+import { scheduleMatchNotifications } from './propertyMatching.service.js';
+import { findDuplicateLeads, isExactDuplicate } from './leadDedup.service.js';
+import { refreshLeadScore } from './leadScoring.service.js';
+import { createSettlementsForLead } from './commission.service.js';
+import { enqueueJob } from './jobQueue.service.js';
+import { parseXlsxBuffer } from './spreadsheet.service.js';
+import { ingestRowImages, extractZipImages, buildZipImageIndex } from './propertyMedia.service.js';
+import { getPropertyChanges, recordPropertyRevision } from './propertyRevision.service.js';
+import { httpError } from '../utils/response.js';
+
+/**
+ * CSV imports of brokers, properties and leads.
+ *
+ * Every row goes through its entity's importer (ROW_IMPORTERS). An import runs in
+ * a mode: create (default), update or upsert. Updates find the existing record by
+ * a match key (phone, email, licenseNumber or externalId, depending on the entity)
+ * and set the row's columns on it in place. The synchronous /api/import endpoints
+ * import rows right away; import jobs map the columns first (auto-detected,
+ * adjustable), validate rows with the Joi schemas of validations/import.js, offer
+ * a dry-run that only reads, and commit in an IMPORT_JOB background job that
+ * resumes from progress.processedRows when retried.
+ */
+
+// Rejects a row; details are added to its failedRows entry
+const rowError = (message, details = {}) => {
+  const error = new Error(message);
+  error.details = details;
+  error.rejected = true;
+  return error;
+};
+
+// Column name (lowercased) -> field, per entity type
+export const IMPORT_FIELD_ALIASES = Object.freeze({
+  broker: {
+    'full name': 'fullName',
+    'fullname': 'fullName',
+    'name': 'fullName',
+    'gender': 'gender',
+    'firm name': 'firmName',
+    'firmname': 'firmName',
+    'email': 'email',
+    'phone': 'phone',
+    'whatsapp number': 'whatsappNumber',
+    'whatsappnumber': 'whatsappNumber',
+    'alternate phone': 'alternatePhone',
+    'alternatephone': 'alternatePhone',
+    'alternate_phone': 'alternatePhone',
+    'rera license number': 'licenseNumber',
+    'license number': 'licenseNumber',
+    'licensenumber': 'licenseNumber',
+    'experience (years)': 'experienceYears',
+    'experience': 'experienceYears',
+    'languages spoken': 'languagesSpoken',
+    'languages': 'languagesSpoken',
+    'service type': 'serviceType',
+    'servicetype': 'serviceType',
+    'address': 'address',
+    'about': 'about',
+    'specializations': 'specializations',
+    'broker image': 'brokerImage',
+    'brokerimage': 'brokerImage',
+    'profile image': 'brokerImage',
+    'profileimage': 'brokerImage',
+    'image': 'brokerImage',
+    'linkedin': 'linkedin',
+    'twitter': 'twitter',
+    'instagram': 'instagram',
+    'facebook': 'facebook',
+    'website': 'website',
+    'region': 'region',
+    'city': 'city',
+    'state': 'state',
+    'aadhar card': 'aadharCard',
+    'aadharcard': 'aadharCard',
+    'aadhar': 'aadharCard',
+    'aadhar front': 'aadharFront',
+    'aadharfront': 'aadharFront',
+    'aadhar card front': 'aadharFront',
+    'aadhar back': 'aadharBack',
+    'aadharback': 'aadharBack',
+    'aadhar card back': 'aadharBack',
+    'pan card': 'panCard',
+    'pancard': 'panCard',
+    'pan': 'panCard',
+    'pan front': 'panFront',
+    'panfront': 'panFront',
+    'pan card front': 'panFront',
+    'pan back': 'panBack',
+    'panback': 'panBack',
+    'pan card back': 'panBack',
+    'gst certificate': 'gstCertificate',
+    'gstcertificate': 'gstCertificate',
+    'gst': 'gstCertificate',
+    'broker license company identification': 'brokerLicense',
+    'broker license': 'brokerLicense',
+    'brokerlicense': 'brokerLicense',
+    'license': 'brokerLicense',
+    'company id': 'companyId',
+    'companyid': 'companyId',
+    'company identification': 'companyId',
+    'company identification details': 'companyId',
+    'companyidentificationdetails': 'companyId',
+    'external id': 'externalId',
+    'externalid': 'externalId',
+    'external ref': 'externalId',
+    'external reference': 'externalId',
+    'reference id': 'externalId'
+  },
+  property: {
+    'title': 'title',
+    'description': 'description',
+    'short description': 'description',
+    'shortdescription': 'description',
+    'property description': 'propertyDescription',
+    'propertydescription': 'propertyDescription',
+    'detailed description': 'propertyDescription',
+    'detaileddescription': 'propertyDescription',
+    'property type': 'propertyType',
+    'propertytype': 'propertyType',
+    'sub type': 'subType',
+    'subtype': 'subType',
+    'price': 'price',
+    'price unit': 'priceUnit',
+    'priceunit': 'priceUnit',
+    'property size': 'propertySize',
+    'propertysize': 'propertySize',
+    'size': 'propertySize',
+    'address': 'address',
+    'city': 'city',
+    'region': 'region',
+    'is hot property': 'isHotProperty',
+    'hot property': 'isHotProperty',
+    'hotproperty': 'isHotProperty',
+    'bedrooms': 'bedrooms',
+    'bathrooms': 'bathrooms',
+    'furnishing': 'furnishing',
+    'amenities': 'amenities',
+    'property amenities': 'amenities',
+    'propertyamenities': 'amenities',
+    'nearby amenities': 'nearbyAmenities',
+    'nearbyamenities': 'nearbyAmenities',
+    'features': 'features',
+    'location benefits': 'locationBenefits',
+    'locationbenefits': 'locationBenefits',
+    'images': 'images',
+    'image': 'images',
+    'videos': 'videos',
+    'video': 'videos',
+    'notes': 'notes',
+    'note': 'notes',
+    'broker phone': 'brokerPhone',
+    'brokerphone': 'brokerPhone',
+    'facing direction': 'facingDirection',
+    'facingdirection': 'facingDirection',
+    'possession status': 'possessionStatus',
+    'possessionstatus': 'possessionStatus',
+    'property age years': 'propertyAgeYears',
+    'propertyageyears': 'propertyAgeYears',
+    'property age': 'propertyAgeYears',
+    'propertyage': 'propertyAgeYears',
+    'age': 'propertyAgeYears',
+    'external id': 'externalId',
+    'externalid': 'externalId',
+    'external ref': 'externalId',
+    'external reference': 'externalId',
+    'reference id': 'externalId'
+  },
+  lead: {
+    'customer name': 'customerName',
+    'customername': 'customerName',
+    'name': 'customerName',
+    'customer phone': 'customerPhone',
+    'customerphone': 'customerPhone',
+    'phone': 'customerPhone',
+    'customer email': 'customerEmail',
+    'customeremail': 'customerEmail',
+    'email': 'customerEmail',
+    'requirement': 'requirement',
+    'property type': 'propertyType',
+    'propertytype': 'propertyType',
+    'budget': 'budget',
+    'primary region': 'primaryRegion',
+    'primaryregion': 'primaryRegion',
+    'region': 'primaryRegion',
+    'secondary region': 'secondaryRegion',
+    'secondaryregion': 'secondaryRegion',
+    'broker phone': 'brokerPhone',
+    'brokerphone': 'brokerPhone',
+    'assigned to': 'brokerPhone',
+    'status': 'status',
+    'notes': 'notes',
+    'external id': 'externalId',
+    'externalid': 'externalId',
+    'external ref': 'externalId',
+    'external reference': 'externalId',
+    'reference id': 'externalId'
+  }
+});
+
+/**
+ * Fields a column of an entity type can be mapped to
+ */
+export const getImportFields = (entityType) => [...new Set(Object.values(IMPORT_FIELD_ALIASES[entityType]))];
+
+const cleanValue = (value) => {
+  const cleaned = typeof value === 'string' ? value.trim() : value;
+  return cleaned === '' ? undefined : cleaned;
+};
+
+/**
+ * Map a CSV row to fields by column aliases; unknown columns keep their name
+ * (behaviour of the synchronous import endpoints)
+ */
+export const cleanImportRow = (entityType, row) => {
+  const aliases = IMPORT_FIELD_ALIASES[entityType];
+  const cleaned = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (key === 'rowNumber') {
+      cleaned.rowNumber = value;
+      continue;
+    }
+    const mappedKey = aliases[key.toLowerCase().trim()] || key;
+    cleaned[mappedKey] = cleanValue(value);
+  }
+  return cleaned;
+};
+
+/**
+ * Column mapping guessed from the column names (unrecognized columns map to null)
+ * @returns {Array<{ column: String, field: String|null }>}
+ */
+export const detectColumnMapping = (entityType, headers) => {
+  const aliases = IMPORT_FIELD_ALIASES[entityType];
+  const fields = getImportFields(entityType);
+  const used = new Set();
+  return headers.map((column) => {
+    const normalized = column.toLowerCase().trim();
+    const field = aliases[normalized] || fields.find((f) => f.toLowerCase() === normalized) || null;
+    // A field is taken by its first column only
+    if (!field || used.has(field)) return { column, field: null };
+    used.add(field);
+    return { column, field };
+  });
+};
+
+// Row -> fields by an explicit column mapping
+const applyColumnMapping = (row, mapping) => {
+  const mapped = { rowNumber: row.rowNumber };
+  mapping.forEach(({ column, field }) => {
+    if (field) mapped[field] = cleanValue(row[column]);
+  });
+  return mapped;
+};
+
+const PREVIEW_ROWS = 5;
+
+const previewRows = (rows, mapping) => rows.slice(0, PREVIEW_ROWS).map((row) => applyColumnMapping(row, mapping));
+
+// Original CSV values of a row, as stored with rejected rows
+const stripRowNumber = ({ rowNumber, ...data }) => data;
+
+/**
+ * Parse a CSV file
+ * @returns {Promise<{ headers: Array<String>, rows: Array<Object> }>} Rows carry rowNumber (header is row 1)
+ */
+export const parseCsvBuffer = (buffer) => {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let headers = [];
+    let rowNumber = 1;
+    Readable.from(buffer.toString())
+      .pipe(csv())
+      .on('headers', (parsedHeaders) => {
+        headers = parsedHeaders;
+      })
+      .on('data', (data) => rows.push({ ...data, rowNumber: ++rowNumber }))
+      .on('end', () => resolve({ headers, rows }))
+      .on('error', reject);
+  });
+};
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * csv or xlsx, by the uploaded file's name or type
+ */
+export const getImportFileType = (file) => {
+  const name = (file.originalname || '').toLowerCase();
+  return name.endsWith('.xlsx') || file.mimetype === XLSX_MIME_TYPE ? 'xlsx' : 'csv';
+};
+
+/**
+ * Parse an import file; both formats give the same rows
+ * @param {Buffer} buffer
+ * @param {String} fileType - csv or xlsx
+ * @param {Object} [options]
+ * @param {String} [options.sheet] - XLSX sheet name or 1-based position (default: the first sheet)
+ * @returns {Promise<{ headers: Array<String>, rows: Array<Object>, sheet?: String, sheets?: Array<String> }>}
+ */
+export const parseImportFile = (buffer, fileType, { sheet } = {}) => {
+  return fileType === 'xlsx' ? parseXlsxBuffer(buffer, { sheet }) : parseCsvBuffer(buffer);
+};
+
+/**
+ * Parse comma-separated field into array
+ */
+const parseArrayField = (field) => {
+  if (!field) return [];
+  if (Array.isArray(field)) return field;
+
+  return field
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item !== '');
+};
+
+/**
+ * Parse and validate service types
+ */
+const parseServiceTypes = (field) => {
+  if (!field) return [];
+
+  const types = parseArrayField(field);
+  const validTypes = ['Buy', 'Sell', 'Rent'];
+
+  return types
+    .map(type => {
+      // Capitalize first letter
+      const formatted = type.charAt(0).toUpperCase() + type.slice(1).toLowerCase();
+      return validTypes.includes(formatted) ? formatted : null;
+    })
+    .filter(type => type !== null);
+};
+
+const findRegionByName = (name) => {
+  return Region.findOne({
+    name: { $regex: new RegExp(`^${name}$`, 'i') }
+  });
+};
+
+const findOrCreateRegion = async (name, { city = 'Agra', state = 'Uttar Pradesh' } = {}) => {
+  const region = await findRegionByName(name);
+  if (region) return region;
+  return Region.create({ name, city, state, status: 'active' });
+};
+
+const findBrokerByPhone = async (phone) => {
+  if (!phone) return null;
+  const user = await User.findOne({ phone, role: 'broker' });
+  return user ? BrokerDetail.findOne({ userId: user._id }) : null;
+};
+
+const optionalArray = (field) => (field ? parseArrayField(field) : undefined);
+const optionalInt = (field) => (field ? parseInt(field) : undefined);
+const optionalFloat = (field) => (field ? parseFloat(field) : undefined);
+
+const HOT_PROPERTY_VALUES = ['TRUE', 'true', 'yes', 'Yes', '1'];
+
+// Defined values of a nested object as dotted paths
+const toSetPaths = (fields, prefix = '') => {
+  const paths = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (value && value.constructor === Object) {
+      Object.assign(paths, toSetPaths(value, `${prefix}${key}.`));
+    } else {
+      paths[`${prefix}${key}`] = value;
+    }
+  }
+  return paths;
+};
+
+// Update a document in place with the columns present in a row; returns whether anything changed
+const applyRowFields = (doc, fields) => {
+  Object.entries(toSetPaths(fields)).forEach(([path, value]) => doc.set(path, value));
+  return doc.isModified();
+};
+
+// Fields of a row by model; columns missing from the row stay undefined so updates leave them alone
+
+const brokerDetailFields = (row) => ({
+  name: row.fullName,
+  email: row.email,
+  phone: row.phone,
+  whatsappNumber: row.whatsappNumber,
+  gender: row.gender ? row.gender.toLowerCase() : undefined,
+  firmName: row.firmName,
+  licenseNumber: row.licenseNumber,
+  address: row.address,
+  state: row.state,
+  city: row.city,
+  specializations: optionalArray(row.specializations),
+  website: row.website,
+  socialMedia: {
+    linkedin: row.linkedin,
+    twitter: row.twitter,
+    instagram: row.instagram,
+    facebook: row.facebook
+  },
+  kycDocs: {
+    aadhar: row.aadharCard,
+    aadharFront: row.aadharFront,
+    aadharBack: row.aadharBack,
+    pan: row.panCard,
+    panFront: row.panFront,
+    panBack: row.panBack,
+    gst: row.gstCertificate,
+    brokerLicense: row.brokerLicense,
+    companyId: row.companyId
+  },
+  brokerImage: row.brokerImage || row.image,
+  content: row.about,
+  experience: {
+    years: optionalInt(row.experienceYears)
+  },
+  languagesSpoken: optionalArray(row.languagesSpoken),
+  serviceType: row.serviceType ? parseServiceTypes(row.serviceType) : undefined,
+  alternateNumber: row.alternatePhone,
+  externalId: row.externalId
+});
+
+const propertyFields = (row) => ({
+  title: row.title,
+  description: row.description,
+  propertyDescription: row.propertyDescription,
+  propertyType: row.propertyType,
+  subType: row.subType,
+  price: optionalFloat(row.price),
+  priceUnit: row.priceUnit,
+  propertySize: optionalFloat(row.propertySize),
+  address: row.address,
+  city: row.city,
+  isHotProperty: row.isHotProperty === undefined ? undefined : HOT_PROPERTY_VALUES.includes(String(row.isHotProperty)),
+  bedrooms: optionalInt(row.bedrooms),
+  bathrooms: optionalInt(row.bathrooms),
+  furnishing: row.furnishing,
+  amenities: optionalArray(row.amenities),
+  nearbyAmenities: optionalArray(row.nearbyAmenities),
+  features: optionalArray(row.features),
+  locationBenefits: optionalArray(row.locationBenefits),
+  images: optionalArray(row.images),
+  videos: optionalArray(row.videos),
+  facingDirection: row.facingDirection,
+  possessionStatus: row.possessionStatus,
+  propertyAgeYears: optionalInt(row.propertyAgeYears),
+  notes: row.notes,
+  externalId: row.externalId
+});
+
+const leadFields = (row) => ({
+  customerName: row.customerName,
+  customerPhone: row.customerPhone,
+  customerEmail: row.customerEmail,
+  requirement: row.requirement,
+  propertyType: row.propertyType,
+  budget: optionalFloat(row.budget),
+  notes: row.notes,
+  externalId: row.externalId
+});
+
+// Lead fields the property matching depends on
+const LEAD_MATCH_FIELDS = ['propertyType', 'budget', 'requirement', 'primaryRegion', 'secondaryRegion', 'status'];
+
+// Geocode address to get coordinates for broker location
+const geocodeBrokerAddress = async (row) => {
+  try {
+    const coords = await geocodeAddress(row.address);
+    if (coords && coords.lat && coords.lng) {
+      return {
+        type: 'Point',
+        coordinates: [coords.lat, coords.lng] // [lat, lng]
+      };
+    }
+    console.log(`⚠️ Geocoding returned no coordinates for: ${row.address}`);
+  } catch (geocodeError) {
+    console.error(`❌ Error geocoding broker address for ${row.fullName}:`, geocodeError.message);
+    // Continue without coordinates if geocoding fails
+  }
+  return undefined;
+};
+
+// Geocode address to get coordinates for property
+const geocodePropertyAddress = async ({ address, city }) => {
+  const fullAddress = [address, city].filter(Boolean).join(', ');
+  try {
+    const coords = await geocodeAddress(fullAddress);
+    if (coords && coords.lat && coords.lng) {
+      return { latitude: coords.lat, longitude: coords.lng };
+    }
+    console.log(`⚠️ Geocoding returned no coordinates for property: ${fullAddress}`);
+  } catch (geocodeError) {
+    console.error(`❌ Error geocoding property address: ${fullAddress}`, geocodeError.message);
+    // Continue without coordinates if geocoding fails
+  }
+  return { latitude: null, longitude: null };
+};
+
+/**
+ * Images of a property row saved in uploads/images (services/propertyMedia.service.js).
+ * When none of them could be saved, images is undefined so an update keeps the old ones.
+ * @returns {Promise<{ images: Array<String>|undefined, mediaFailures: Array<{ image, error }> }>}
+ */
+const ingestImages = async (row, { media } = {}) => {
+  if (!row.images || !media) {
+    return { images: optionalArray(row.images), mediaFailures: [] };
+  }
+  const { images, failures } = await ingestRowImages(parseArrayField(row.images), media);
+  return { images: images.length || !failures.length ? images : undefined, mediaFailures: failures };
+};
+
+/**
+ * Row importers by entity type:
+ *  - matchFields: row field holding the value of each match key
+ *  - findExisting(matchKey, value): records matching a row (at most two)
+ *  - check(row, ctx) / create(row, checked, ctx): import a new record
+ *  - checkUpdate(row, existing, ctx) / update(existing, row, checked, ctx): update a
+ *    matched record in place; update returns null when the row changes nothing
+ * create and update return { id, summary, mediaFailures? }.
+ * check and checkUpdate only read, and reject a row by throwing.
+ */
+const ROW_IMPORTERS = {
+  broker: {
+    matchFields: { phone: 'phone', email: 'email', licenseNumber: 'licenseNumber', externalId: 'externalId' },
+    // Two rows of one file for the same phone
+    fileKey: (row) => row.phone,
+    findExisting: async (matchKey, value) => {
+      if (matchKey === 'phone') {
+        const users = await User.find({ phone: value, role: 'broker' }).select('_id').lean();
+        return BrokerDetail.find({ userId: { $in: users.map((user) => user._id) } }).limit(2);
+      }
+      const matchValue = matchKey === 'email' ? value.toLowerCase() : value;
+      return BrokerDetail.find({ [matchKey]: matchValue }).limit(2);
+    },
+    check: async (row) => {
+      if (!row.fullName || !row.phone) {
+        throw rowError('Missing required fields: Full Name and Phone are required');
+      }
+      if (await User.exists({ phone: row.phone })) {
+        throw rowError(`User with phone ${row.phone} already exists`);
+      }
+      return {};
+    },
+    checkUpdate: async (row, brokerDetail) => {
+      if (row.phone && row.phone !== brokerDetail.phone &&
+          await User.exists({ phone: row.phone, _id: { $ne: brokerDetail.userId } })) {
+        throw rowError(`User with phone ${row.phone} already exists`);
+      }
+      return {};
+    },
+    create: async (row) => {
+      let regionId = null;
+      if (row.region) {
+        const region = await findOrCreateRegion(row.region, { city: row.city, state: row.state });
+        regionId = region._id;
+      }
+
+      const user = await User.create({
+        name: row.fullName,
+        email: row.email || undefined,
+        phone: row.phone,
+        role: 'broker',
+        status: 'active',
+        isPhoneVerified: true
+      });
+
+      const brokerDetail = await BrokerDetail.create({
+        ...brokerDetailFields(row),
+        userId: user._id,
+        whatsappNumber: row.whatsappNumber || row.phone,
+        location: row.address ? await geocodeBrokerAddress(row) : undefined,
+        region: regionId ? [regionId] : [],
+        role: 'broker',
+        rating: 4, // Default rating
+        verificationStatus: 'Verified',
+        status: 'active',
+        approvedByAdmin: 'unblocked'
+      });
+
+      return {
+        id: brokerDetail._id,
+        summary: {
+          userId: user._id,
+          brokerDetailId: brokerDetail._id,
+          name: row.fullName,
+          phone: row.phone
+        }
+      };
+    },
+    update: async (brokerDetail, row) => {
+      if (row.region) {
+        const region = await findOrCreateRegion(row.region, { city: row.city, state: row.state });
+        // Added to the broker's regions
+        if (!brokerDetail.region.some((id) => id.equals(region._id))) {
+          brokerDetail.region.push(region._id);
+        }
+      }
+      if (row.address && row.address !== brokerDetail.address) {
+        brokerDetail.location = await geocodeBrokerAddress(row);
+      }
+      if (!applyRowFields(brokerDetail, brokerDetailFields(row))) return null;
+
+      await brokerDetail.save();
+      await User.updateOne(
+        { _id: brokerDetail.userId },
+        { $set: toSetPaths({ name: row.fullName, email: row.email, phone: row.phone }) }
+      );
+
+      return {
+        id: brokerDetail._id,
+        summary: {
+          userId: brokerDetail.userId,
+          brokerDetailId: brokerDetail._id,
+          name: brokerDetail.name,
+          phone: brokerDetail.phone
+        }
+      };
+    }
+  },
+
+  property: {
+    matchFields: { externalId: 'externalId' },
+    findExisting: (matchKey, value) => Property.find({ [matchKey]: value }).limit(2),
+    check: async (row) => {
+      if (!row.title || !row.price || !row.address || !row.propertyType) {
+        throw rowError('Missing required fields: Title, Price, Address, and Property Type are required');
+      }
+      if (!row.region) {
+        throw rowError('Region is required');
+      }
+      const broker = await findBrokerByPhone(row.brokerPhone);
+      if (!broker) {
+        throw rowError('Broker not found with provided phone number');
+      }
+      return { broker };
+    },
+    // A broker phone moves the listing to that broker
+    checkUpdate: async (row) => {
+      if (!row.brokerPhone) return {};
+      const broker = await findBrokerByPhone(row.brokerPhone);
+      if (!broker) {
+        throw rowError('Broker not found with provided phone number');
+      }
+      return { broker };
+    },
+    create: async (row, { broker }, ctx = {}) => {
+      const { images, mediaFailures } = await ingestImages(row, ctx);
+      const region = await findOrCreateRegion(row.region, { city: row.city, state: row.state });
+      const { latitude, longitude } = await geocodePropertyAddress(row);
+
+      const property = await Property.create({
+        ...propertyFields(row),
+        images,
+        priceUnit: row.priceUnit || 'INR',
+        city: row.city || 'Agra',
+        region: region._id,
+        latitude: latitude,
+        longitude: longitude,
+        isHotProperty: HOT_PROPERTY_VALUES.includes(row.isHotProperty),
+        broker: broker._id,
+        postedBy: 'Admin',
+        createdBy: 'broker',
+        verificationStatus: 'Verified',
+        status: 'Active'
+      });
+
+      return {
+        id: property._id,
+        summary: {
+          propertyId: property._id,
+          title: row.title,
+          price: row.price
+        },
+        mediaFailures
+      };
+    },
+    update: async (property, row, { broker }, ctx = {}) => {
+      const before = property.toObject();
+      const { images, mediaFailures } = await ingestImages(row, ctx);
+      if (row.region) {
+        const region = await findOrCreateRegion(row.region, { city: row.city, state: row.state });
+        property.region = region._id;
+      }
+      if (broker) property.broker = broker._id;
+      if ((row.address && row.address !== property.address) || (row.city && row.city !== property.city)) {
+        const { latitude, longitude } = await geocodePropertyAddress({
+          address: row.address || property.address,
+          city: row.city || property.city
+        });
+        property.latitude = latitude;
+        property.longitude = longitude;
+      }
+      if (!applyRowFields(property, { ...propertyFields(row), images })) {
+        return mediaFailures.length ? { id: property._id, summary: null, mediaFailures } : null;
+      }
+
+      const changes = getPropertyChanges(before, property);
+      await property.save();
+
+      if (changes.length) {
+        try {
+          await recordPropertyRevision({ property, changes, editor: ctx.user, source: 'import' });
+        } catch (historyError) {
+          console.error(`Error recording property revision for row ${row.rowNumber}:`, historyError);
+        }
+      }
+
+      return {
+        id: property._id,
+        summary: {
+          propertyId: property._id,
+          title: property.title,
+          price: property.price
+        },
+        mediaFailures
+      };
+    }
+  },
+
+  lead: {
+    matchFields: { phone: 'customerPhone', email: 'customerEmail', externalId: 'externalId' },
+    findExisting: (matchKey, value) => {
+      if (matchKey === 'phone') return Lead.find({ normalizedPhone: normalizePhone(value) }).limit(2);
+      if (matchKey === 'email') return Lead.find({ normalizedEmail: normalizeEmail(value) }).limit(2);
+      return Lead.find({ externalId: value }).limit(2);
+    },
+    check: async (row, { allowDuplicates = false } = {}) => {
+      if (!row.customerName || !row.customerPhone || !row.requirement || !row.propertyType) {
+        throw rowError('Missing required fields: Customer Name, Phone, Requirement, and Property Type are required');
+      }
+      if (!row.primaryRegion) {
+        throw rowError('Primary Region is required');
+      }
+      const broker = await findBrokerByPhone(row.brokerPhone);
+      if (!broker) {
+        throw rowError('Broker not found with provided phone number');
+      }
+
+      // A region that does not exist yet has no leads to duplicate
+      const primaryRegion = await findRegionByName(row.primaryRegion);
+      const duplicates = await findDuplicateLeads({
+        customerName: row.customerName,
+        customerPhone: row.customerPhone,
+        customerEmail: row.customerEmail,
+        primaryRegion: primaryRegion?._id || null
+      });
+      const exactDuplicate = duplicates.find(isExactDuplicate);
+      if (exactDuplicate && !allowDuplicates) {
+        throw rowError(
+          `Duplicate lead: matches existing lead ${exactDuplicate.lead._id} by ${exactDuplicate.reasons.join(', ')}`,
+          { duplicateOf: exactDuplicate.lead._id }
+        );
+      }
+      return { broker, duplicates };
+    },
+    // The lead keeps its owner; only its own fields are updated
+    checkUpdate: async (row, lead) => {
+      if (row.status && row.status !== lead.status && getLeadStage(row.status)?.requiresReason) {
+        throw rowError(`lostReason is required for status ${row.status}`);
+      }
+      return {};
+    },
+    create: async (row, { broker, duplicates }, { user } = {}) => {
+      const primaryRegion = await findOrCreateRegion(row.primaryRegion);
+      const secondaryRegion = row.secondaryRegion ? await findOrCreateRegion(row.secondaryRegion) : null;
+
+      const lead = await Lead.create({
+        ...leadFields(row),
+        primaryRegion: primaryRegion._id,
+        secondaryRegion: secondaryRegion?._id || null,
+        createdBy: broker._id,
+        status: row.status || 'New',
+        verificationStatus: 'Verified'
+      });
+
+      try {
+        await recordStatusChange({
+          leadId: lead._id,
+          toStatus: lead.status,
+          actor: user,
+          source: 'import'
+        });
+      } catch (historyError) {
+        console.error(`Error recording status history for row ${row.rowNumber}:`, historyError);
+      }
+
+      try {
+        await routeLead(lead._id);
+        await refreshLeadScore(lead._id);
+        scheduleMatchNotifications({ leadId: lead._id });
+      } catch (routingError) {
+        console.error(`Error routing/scoring lead for row ${row.rowNumber}:`, routingError);
+      }
+
+      return {
+        id: lead._id,
+        summary: {
+          leadId: lead._id,
+          customerName: row.customerName,
+          customerPhone: row.customerPhone,
+          possibleDuplicates: duplicates.map((d) => d.lead._id)
+        }
+      };
+    },
+    update: async (lead, row, checked, { user } = {}) => {
+      const fromStatus = lead.status;
+      if (row.primaryRegion) {
+        lead.primaryRegion = (await findOrCreateRegion(row.primaryRegion))._id;
+      }
+      if (row.secondaryRegion) {
+        lead.secondaryRegion = (await findOrCreateRegion(row.secondaryRegion))._id;
+      }
+      if (row.status && row.status !== fromStatus) {
+        lead.status = row.status;
+        // A lost reason only describes a lost lead
+        if (!LOST_STATUSES.includes(row.status)) lead.lostReason = null;
+      }
+      if (!applyRowFields(lead, leadFields(row))) return null;
+
+      const matchFieldsChanged = LEAD_MATCH_FIELDS.some((field) => lead.isModified(field));
+      await lead.save();
+
+      if (lead.status !== fromStatus) {
+        try {
+          await recordStatusChange({
+            leadId: lead._id,
+            fromStatus,
+            toStatus: lead.status,
+            actor: user,
+            source: 'import'
+          });
+        } catch (historyError) {
+          console.error(`Error recording status history for row ${row.rowNumber}:`, historyError);
+        }
+
+        // A won lead settles the referral commissions of its transfers
+        if (WON_STATUSES.includes(lead.status)) {
+          createSettlementsForLead(lead._id).catch((settlementError) => {
+            console.error('Error creating commission settlements:', settlementError);
+          });
+        }
+      }
+
+      try {
+        await refreshLeadScore(lead._id);
+        if (matchFieldsChanged) scheduleMatchNotifications({ leadId: lead._id });
+      } catch (scoringError) {
+        console.error(`Error scoring lead for row ${row.rowNumber}:`, scoringError);
+      }
+
+      return {
+        id: lead._id,
+        summary: {
+          leadId: lead._id,
+          customerName: lead.customerName,
+          customerPhone: lead.customerPhone
+        }
+      };
+    }
+  }
+};
+
+/**
+ * Mode and match key of an import. Updates and upserts match on the entity's
+ * default key unless one is given; create-only imports match only when asked to.
+ * @returns {{ mode: String, matchKey: String|undefined }}
+ */
+export const resolveImportOptions = (entityType, { mode = IMPORT_MODES.CREATE, matchKey } = {}) => {
+  if (!Object.values(IMPORT_MODES).includes(mode)) {
+    throw httpError(`mode must be one of ${Object.values(IMPORT_MODES).join(', ')}`, 400);
+  }
+  const key = matchKey || (mode === IMPORT_MODES.CREATE ? undefined : IMPORT_MATCH_KEYS[entityType][0]);
+  if (key && !IMPORT_MATCH_KEYS[entityType].includes(key)) {
+    throw httpError(`matchKey for ${entityType} imports must be one of ${IMPORT_MATCH_KEYS[entityType].join(', ')}`, 400);
+  }
+  return { mode, matchKey: key };
+};
+
+/**
+ * What an import does with a row: create a record, update the record it matches
+ * or skip it (update-only mode, nothing matches). Reads only; throws a row error
+ * for rejected rows.
+ * @returns {Promise<{ action: 'create'|'update'|'skip', existing?, checked?, reason? }>}
+ */
+const resolveRow = async (importer, row, ctx) => {
+  const { mode, matchKey } = ctx;
+  const value = matchKey ? row[importer.matchFields[matchKey]] : undefined;
+
+  let existing = null;
+  if (value) {
+    const matches = await importer.findExisting(matchKey, String(value));
+    if (matches.length > 1) {
+      throw rowError(`${matchKey} ${value} matches more than one existing record`);
+    }
+    existing = matches[0] || null;
+  } else if (mode === IMPORT_MODES.UPDATE) {
+    throw rowError(`Missing ${matchKey}, needed to find the record to update`);
+  }
+
+  if (existing) {
+    if (mode === IMPORT_MODES.CREATE) {
+      throw rowError(`A record with ${matchKey} ${value} already exists`, { existingId: existing._id });
+    }
+    return { action: 'update', existing, checked: await importer.checkUpdate(row, existing, ctx) };
+  }
+  if (mode === IMPORT_MODES.UPDATE) {
+    return { action: 'skip', reason: `No existing record with ${matchKey} ${value}` };
+  }
+  return { action: 'create', checked: await importer.check(row, ctx) };
+};
+
+/**
+ * Import one mapped row
+ * @returns {Promise<{ action: 'created'|'updated'|'skipped', summary?, reason?, mediaFailures? }>}
+ */
+const importRow = async (importer, row, ctx) => {
+  const resolved = await resolveRow(importer, row, ctx);
+  if (resolved.action === 'skip') {
+    return { action: 'skipped', reason: resolved.reason };
+  }
+  if (resolved.action === 'update') {
+    const result = await importer.update(resolved.existing, row, resolved.checked, ctx);
+    if (!result?.summary) {
+      return { action: 'skipped', reason: 'No changes', mediaFailures: result?.mediaFailures || [] };
+    }
+    return { action: 'updated', summary: result.summary, mediaFailures: result.mediaFailures || [] };
+  }
+  const { summary, mediaFailures = [] } = await importer.create(row, resolved.checked, ctx);
+  return { action: 'created', summary, mediaFailures };
+};
+
+/**
+ * Import parsed CSV rows right away (synchronous /api/import endpoints)
+ * @param {String} entityType - broker, property or lead
+ * @param {Array<Object>} rows - Raw CSV rows with rowNumber
+ * @param {Object} ctx - { user, allowDuplicates, mode, matchKey, media }; media as
+ *   ingestRowImages takes it (property imports)
+ * @returns {Promise<{ imported: Array, skippedRows: Array, failedRows: Array, mediaFailures: Array }>}
+ */
+export const importRows = async (entityType, rows, ctx = {}) => {
+  const importer = ROW_IMPORTERS[entityType];
+  const options = { ...ctx, ...resolveImportOptions(entityType, ctx) };
+  const imported = [];
+  const skippedRows = [];
+  const failedRows = [];
+  const mediaFailures = [];
+
+  for (const row of rows) {
+    try {
+      const cleanedRow = cleanImportRow(entityType, row);
+      const result = await importRow(importer, cleanedRow, options);
+      const { action, summary, reason } = result;
+      result.mediaFailures?.forEach((failure) => mediaFailures.push({ row: row.rowNumber, ...failure }));
+      if (action === 'skipped') {
+        skippedRows.push({ row: row.rowNumber, reason });
+      } else {
+        imported.push({ row: row.rowNumber, action, ...summary });
+      }
+    } catch (error) {
+      if (!error.rejected) console.error(`Error processing row ${row.rowNumber}:`, error);
+      failedRows.push({ row: row.rowNumber, data: row, error: error.message, ...(error.details || {}) });
+    }
+  }
+
+  return { imported, skippedRows, failedRows, mediaFailures };
+};
+
+// Joi validation of a mapped row; throws a row error listing every problem
+const validateMappedRow = (entityType, row, mode) => {
+  const { rowNumber, ...fields } = row;
+  const schemas = mode === IMPORT_MODES.CREATE ? IMPORT_ROW_SCHEMAS : IMPORT_ROW_UPDATE_SCHEMAS;
+  const { error, value } = schemas[entityType].validate(fields, { abortEarly: false });
+  if (error) {
+    throw rowError(error.details.map((detail) => detail.message.replace(/"/g, '')).join(', '));
+  }
+  return { ...value, rowNumber };
+};
+
+// ---------------------------------------------------------------- Import jobs
+
+const JOB_SUMMARY_FIELDS = '-fileData';
+
+const loadJobRows = async (jobId) => {
+  const job = await ImportJob.findById(jobId).select('+fileData +mediaFiles');
+  if (!job) {
+    throw httpError('Import job not found', 404);
+  }
+  const { rows } = await parseImportFile(job.fileData, job.fileType, { sheet: job.options?.sheet });
+  return { job, rows };
+};
+
+const assertJobAccess = (job, user) => {
+  if (user?.role !== 'admin' && String(job.createdBy) !== String(user?._id)) {
+    throw httpError('You do not have access to this import job', 403);
+  }
+};
+
+const findJob = async (jobId, user, select = JOB_SUMMARY_FIELDS) => {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    throw httpError('Invalid import job ID', 400);
+  }
+  const job = await ImportJob.findById(jobId).select(select);
+  if (!job) {
+    throw httpError('Import job not found', 404);
+  }
+  assertJobAccess(job, user);
+  return job;
+};
+
+const EDITABLE_STATUSES = [IMPORT_JOB_STATUSES.UPLOADED, IMPORT_JOB_STATUSES.VALIDATED];
+
+const assertEditable = (job) => {
+  if (!EDITABLE_STATUSES.includes(job.status)) {
+    throw httpError(`The import job is already ${job.status}`, 409);
+  }
+};
+
+const toBoolean = (value) => value === true || value === 'true';
+
+/**
+ * Images ZIP of a property import, saved right away (the job only keeps where each file went)
+ * @returns {Promise<Array<{ name, path?, error? }>|undefined>}
+ */
+export const extractImportImages = async (entityType, imagesZip) => {
+  if (!imagesZip) return undefined;
+  if (entityType !== 'property') {
+    throw httpError('An images ZIP can only be uploaded with a property import', 400);
+  }
+  return extractZipImages(imagesZip.buffer);
+};
+
+/**
+ * Create an import job from an uploaded CSV or XLSX file, with an auto-detected column mapping
+ * @param {Object} file - Uploaded import file
+ * @param {Object} user
+ * @param {Object} options - { entityType, allowDuplicates, mode, matchKey, sheet, downloadImages }
+ * @param {Object} [media] - { imagesZip, baseUrl } for the images of property imports
+ * @returns {Promise<{ job: ImportJob, fields: Array<String>, preview: Array<Object>, sheets?: Array<String> }>}
+ */
+export const createImportJob = async (file, user, options, media = {}) => {
+  const { entityType, allowDuplicates = false, mode, matchKey, sheet, downloadImages } = options;
+  if (!file) {
+    throw httpError('Please upload a CSV or XLSX file', 400);
+  }
+  if (!IMPORT_FIELD_ALIASES[entityType]) {
+    throw httpError('entityType must be one of broker, property, lead', 400);
+  }
+
+  const importOptions = resolveImportOptions(entityType, { mode, matchKey });
+  const fileType = getImportFileType(file);
+  const parsed = await parseImportFile(file.buffer, fileType, { sheet });
+  const { headers, rows } = parsed;
+  if (!headers.length) {
+    throw httpError('The file has no header row', 400);
+  }
+  const mediaFiles = await extractImportImages(entityType, media.imagesZip);
+
+  const created = await ImportJob.create({
+    entityType,
+    createdBy: user._id,
+    fileName: file.originalname,
+    fileType,
+    fileData: file.buffer,
+    headers,
+    mapping: detectColumnMapping(entityType, headers),
+    options: {
+      allowDuplicates: toBoolean(allowDuplicates),
+      ...importOptions,
+      // The sheet read, by name
+      sheet: parsed.sheet,
+      downloadImages: downloadImages === undefined || toBoolean(downloadImages)
+    },
+    mediaBaseUrl: media.baseUrl,
+    mediaFiles,
+    totalRows: rows.length
+  });
+
+  const job = await ImportJob.findById(created._id).select(JOB_SUMMARY_FIELDS);
+  return {
+    job,
+    fields: getImportFields(entityType),
+    preview: previewRows(rows, job.mapping),
+    ...(parsed.sheets && { sheets: parsed.sheets }),
+    ...(mediaFiles && { mediaFiles })
+  };
+};
+
+/**
+ * Replace the column mapping (and options) of a job that was not committed yet; clears its dry-run
+ */
+export const updateImportMapping = async (jobId, user, { mapping, allowDuplicates, mode, matchKey }) => {
+  const job = await findJob(jobId, user);
+  assertEditable(job);
+
+  // A new mode without a match key falls back to the mode's default key
+  const importOptions = resolveImportOptions(job.entityType, {
+    mode: mode || job.options?.mode,
+    matchKey: matchKey || (mode ? undefined : job.options?.matchKey)
+  });
+
+  const fields = getImportFields(job.entityType);
+  const unknownColumns = mapping.filter(({ column }) => !job.headers.includes(column)).map((m) => m.column);
+  if (unknownColumns.length) {
+    throw httpError(`Unknown column(s): ${unknownColumns.join(', ')}`, 400);
+  }
+  const unknownFields = mapping.filter(({ field }) => field && !fields.includes(field)).map((m) => m.field);
+  if (unknownFields.length) {
+    throw httpError(`Unknown field(s) for ${job.entityType} import: ${unknownFields.join(', ')}`, 400);
+  }
+  const mappedFields = mapping.filter(({ field }) => field).map(({ field }) => field);
+  if (new Set(mappedFields).size !== mappedFields.length) {
+    throw httpError('Each field can be mapped from one column only', 400);
+  }
+
+  // Columns left out of the request are not imported
+  job.mapping = job.headers.map((column) => ({
+    column,
+    field: mapping.find((m) => m.column === column)?.field || null
+  }));
+  if (allowDuplicates !== undefined) job.options.allowDuplicates = allowDuplicates;
+  job.options.mode = importOptions.mode;
+  job.options.matchKey = importOptions.matchKey;
+  job.status = IMPORT_JOB_STATUSES.UPLOADED;
+  job.dryRun = undefined;
+  await job.save();
+
+  const { rows } = await loadJobRows(job._id);
+  return { job, fields, preview: previewRows(rows, job.mapping) };
+};
+
+const REJECTED_ROWS_PREVIEW = 100;
+const MEDIA_FAILURES_LIMIT = 1000;
+
+const toRejectedRow = (row, error) => ({ row: row.rowNumber, data: stripRowNumber(row), error: error.message });
+
+// Record rejected rows of a phase; rows recorded before (a retried commit) are replaced
+const saveRejectedRows = (importJob, phase, rejectedRows) => {
+  if (!rejectedRows.length) return null;
+  return ImportRejectedRow.bulkWrite(rejectedRows.map((rejected) => ({
+    replaceOne: {
+      filter: { importJob, phase, row: rejected.row },
+      replacement: { importJob, phase, ...rejected },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+/**
+ * Validate every row (Joi schema and read-only checks) without writing anything
+ * @returns {Promise<{ job: ImportJob, rejectedRows: Array }>} The first REJECTED_ROWS_PREVIEW rejected rows
+ */
+export const dryRunImportJob = async (jobId, user) => {
+  const job = await findJob(jobId, user);
+  assertEditable(job);
+
+  const importer = ROW_IMPORTERS[job.entityType];
+  const ctx = { allowDuplicates: job.options?.allowDuplicates, ...resolveImportOptions(job.entityType, job.options) };
+  const { rows } = await loadJobRows(job._id);
+
+  const rejectedRows = [];
+  const actions = { create: 0, update: 0, skip: 0 };
+  const fileKeys = new Map();
+  for (const row of rows) {
+    try {
+      const mapped = validateMappedRow(job.entityType, applyColumnMapping(row, job.mapping), ctx.mode);
+      // Two rows of the file for the same record
+      const key = ctx.matchKey ? mapped[importer.matchFields[ctx.matchKey]] : importer.fileKey?.(mapped);
+      if (key && fileKeys.has(key)) {
+        throw rowError(`Same record as row ${fileKeys.get(key)} of this file`);
+      }
+      if (key) fileKeys.set(key, row.rowNumber);
+      const { action } = await resolveRow(importer, mapped, ctx);
+      actions[action] += 1;
+    } catch (error) {
+      rejectedRows.push(toRejectedRow(row, error));
+    }
+  }
+
+  const validated = await ImportJob.findOneAndUpdate(
+    { _id: job._id, status: { $in: EDITABLE_STATUSES } },
+    {
+      $set: {
+        status: IMPORT_JOB_STATUSES.VALIDATED,
+        totalRows: rows.length,
+        dryRun: {
+          validRows: rows.length - rejectedRows.length,
+          invalidRows: rejectedRows.length,
+          toCreate: actions.create,
+          toUpdate: actions.update,
+          toSkip: actions.skip,
+          checkedAt: new Date()
+        },
+        rejectedPhase: 'dry-run'
+      }
+    },
+    { new: true }
+  ).select(JOB_SUMMARY_FIELDS);
+  if (!validated) {
+    throw httpError('The import job was committed during the dry-run', 409);
+  }
+
+  await ImportRejectedRow.deleteMany({ importJob: job._id, phase: 'dry-run' });
+  await saveRejectedRows(job._id, 'dry-run', rejectedRows);
+
+  // The full list is downloaded as CSV (errors.csv)
+  return { job: validated, rejectedRows: rejectedRows.slice(0, REJECTED_ROWS_PREVIEW) };
+};
+
+/**
+ * Queue the import of a job's rows (IMPORT_JOB background job)
+ */
+export const commitImportJob = async (jobId, user) => {
+  const job = await findJob(jobId, user);
+  assertEditable(job);
+  if (!job.mapping.some(({ field }) => field)) {
+    throw httpError('Map at least one column before importing', 400);
+  }
+
+  const queued = await ImportJob.findOneAndUpdate(
+    { _id: job._id, status: { $in: EDITABLE_STATUSES } },
+    {
+      $set: {
+        status: IMPORT_JOB_STATUSES.QUEUED,
+        progress: {
+          processedRows: 0,
+          importedRows: 0,
+          createdRows: 0,
+          updatedRows: 0,
+          skippedRows: 0,
+          failedRows: 0
+        },
+        rejectedPhase: 'commit'
+      }
+    },
+    { new: true }
+  ).select(JOB_SUMMARY_FIELDS);
+  if (!queued) {
+    throw httpError('The import job was committed already', 409);
+  }
+  // errors.csv lists the commit's rejected rows from now on
+  await ImportRejectedRow.deleteMany({ importJob: queued._id, phase: 'dry-run' });
+
+  await enqueueJob({ taskType: TASK_TYPES.IMPORT_JOB, payload: { importJobId: queued._id }, maxAttempts: 3 });
+  return queued;
+};
+
+/**
+ * Import the rows of a committed job (IMPORT_JOB job handler). A retried run
+ * continues after the last processed row and takes the job over: every row's
+ * progress update is guarded by the run's token, so an older run still going
+ * stops at its next row instead of importing rows twice.
+ */
+export const runImportJob = async ({ importJobId } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(importJobId)) {
+    throw new Error('Invalid importJobId in task payload');
+  }
+
+  const { job, rows } = await loadJobRows(importJobId);
+  if (![IMPORT_JOB_STATUSES.QUEUED, IMPORT_JOB_STATUSES.PROCESSING].includes(job.status)) return;
+
+  const importer = ROW_IMPORTERS[job.entityType];
+  const user = await User.findById(job.createdBy).select('_id name role').lean();
+  const ctx = { user, allowDuplicates: job.options?.allowDuplicates, ...resolveImportOptions(job.entityType, job.options) };
+  if (job.entityType === 'property') {
+    ctx.media = {
+      baseUrl: job.mediaBaseUrl || '',
+      zipImages: job.mediaFiles?.length ? buildZipImageIndex(job.mediaFiles) : undefined,
+      downloadImages: job.options?.downloadImages !== false
+    };
+  }
+
+  const runId = crypto.randomUUID();
+  const started = await ImportJob.updateOne(
+    { _id: job._id, status: { $in: [IMPORT_JOB_STATUSES.QUEUED, IMPORT_JOB_STATUSES.PROCESSING] } },
+    {
+      $set: {
+        status: IMPORT_JOB_STATUSES.PROCESSING,
+        startedAt: job.startedAt || new Date(),
+        totalRows: rows.length,
+        lockedBy: runId,
+        lockedAt: new Date()
+      }
+    }
+  );
+  if (!started.matchedCount) return;
+  const locked = { _id: job._id, lockedBy: runId };
+
+  try {
+    for (let index = job.progress?.processedRows || 0; index < rows.length; index += 1) {
+      const row = rows[index];
+      const update = { $set: { 'progress.processedRows': index + 1, lockedAt: new Date() } };
+      try {
+        const mapped = validateMappedRow(job.entityType, applyColumnMapping(row, job.mapping), ctx.mode);
+        const { action, mediaFailures } = await importRow(importer, mapped, ctx);
+        update.$inc = action === 'skipped'
+          ? { 'progress.skippedRows': 1 }
+          : { 'progress.importedRows': 1, [`progress.${action}Rows`]: 1 };
+        if (mediaFailures?.length) {
+          update.$inc['progress.mediaFailures'] = mediaFailures.length;
+          update.$push = {
+            mediaFailures: {
+              $each: mediaFailures.map((failure) => ({ row: row.rowNumber, ...failure })),
+              $slice: MEDIA_FAILURES_LIMIT
+            }
+          };
+        }
+      } catch (error) {
+        update.$inc = { 'progress.failedRows': 1 };
+        await saveRejectedRows(job._id, 'commit', [toRejectedRow(row, error)]);
+      }
+      const advanced = await ImportJob.updateOne(locked, update);
+      if (!advanced.matchedCount) {
+        console.error(`Import job ${job._id} was taken over by another run; stopping at row ${row.rowNumber}`);
+        return;
+      }
+    }
+  } catch (error) {
+    await ImportJob.updateOne(locked, { $set: { error: error.message } });
+    throw error;
+  }
+
+  await ImportJob.updateOne(
+    locked,
+    {
+      $set: { status: IMPORT_JOB_STATUSES.COMPLETED, completedAt: new Date() },
+      $unset: { error: 1, lockedBy: 1, lockedAt: 1 }
+    }
+  );
+};
+
+/**
+ * Mark a job failed once its background job ran out of attempts
+ */
+export const failImportJob = (importJobId, message) => {
+  return ImportJob.updateOne(
+    { _id: importJobId, status: { $in: [IMPORT_JOB_STATUSES.QUEUED, IMPORT_JOB_STATUSES.PROCESSING] } },
+    { $set: { status: IMPORT_JOB_STATUSES.FAILED, error: message, completedAt: new Date() } }
+  );
+};
+
+/**
+ * A job with its progress (percent of rows processed) and the images that could not be saved
+ */
+export const getImportJob = async (jobId, user) => {
+  const job = await findJob(jobId, user, '+mediaFailures');
+  const processed = job.progress?.processedRows || 0;
+  return {
+    ...job.toObject(),
+    percent: job.totalRows ? Math.round((processed / job.totalRows) * 100) : 0
+  };
+};
+
+export const listImportJobs = async (user, { entityType, status, createdBy, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (entityType) filter.entityType = entityType;
+  if (status) filter.status = status;
+  if (user?.role !== 'admin') {
+    filter.createdBy = user._id;
+  } else if (createdBy) {
+    filter.createdBy = createdBy;
+  }
+
+  const [jobs, total] = await Promise.all([
+    ImportJob.find(filter)
+      .select(JOB_SUMMARY_FIELDS)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ImportJob.countDocuments(filter)
+  ]);
+
+  return { jobs, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+const toCsvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Rejected rows of the latest dry-run or commit as CSV: the original columns
+ * plus the row number and the reason, so the file can be fixed and re-uploaded
+ * @returns {Promise<{ fileName: String, content: String }>}
+ */
+export const buildRejectedRowsCsv = async (jobId, user) => {
+  const job = await findJob(jobId, user);
+  if (!job.rejectedPhase) {
+    throw httpError('Run a dry-run or commit the import first', 400);
+  }
+
+  const rejectedRows = ImportRejectedRow.find({ importJob: job._id, phase: job.rejectedPhase })
+    .sort({ row: 1 })
+    .lean()
+    .cursor();
+
+  const lines = [[...job.headers, 'Row', 'Error'].map(toCsvField).join(',')];
+  for await (const { row, data, error } of rejectedRows) {
+    lines.push([...job.headers.map((column) => data?.[column]), row, error].map(toCsvField).join(','));
+  }
+
+  const baseName = (job.fileName || 'import').replace(/\.(csv|xlsx)$/i, '');
+  return { fileName: `${baseName}-rejected-${job.rejectedPhase}.csv`, content: `${lines.join('\r\n')}\r\n` };
+};
@@ -0,0 +1,328 @@
+import os from "os";
+import mongoose from "mongoose";
+import ScheduledTask, { TASK_STATUSES } from "../models/ScheduledTask.js";
+import { httpError } from "../utils/response.js";
+
+/**
+ * Background job queue backed by ScheduledTask.
+ *
+ * Jobs are claimed atomically (findOneAndUpdate), so any number of processes can
+ * run a worker against the same database. Failed jobs are retried with exponential
+ * backoff until maxAttempts, and jobs whose worker died mid-run are released again
+ * once their lock times out. A running job's lock is renewed while its handler
+ * runs (every third of the lock timeout), so long jobs are not taken for stuck.
+ *
+ * Config (read when the worker starts):
+ *  - JOB_CONCURRENCY: jobs run in parallel per process (default 2)
+ *  - JOB_POLL_INTERVAL_MS: how often the worker looks for due jobs (default 5000)
+ *  - JOB_LOCK_TIMEOUT_MS: a running job older than this is considered stuck (default 10 minutes)
+ *  - JOB_RETRY_BASE_DELAY_MS: first retry delay, doubled on each attempt (default 30000)
+ *  - JOB_MAX_ATTEMPTS: default attempts for new jobs (default 5)
+ */
+
+const getJobConfig = () => ({
+  concurrency: Math.max(1, parseInt(process.env.JOB_CONCURRENCY) || 2),
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000,
+  lockTimeoutMs: parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000,
+  retryBaseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 30 * 1000,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5
+});
+
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of a task type.
+ * The handler receives the job document and should throw to signal failure.
+ */
+export const registerJobHandler = (taskType, handler) => {
+  if (typeof handler !== "function") {
+    throw new Error(`Job handler for ${taskType} must be a function`);
+  }
+  handlers.set(taskType, handler);
+};
+
+/**
+ * Queue a job to run at runAt (default: now)
+ */
+export const enqueueJob = async ({ taskType, payload = {}, runAt = new Date(), maxAttempts }) => {
+  return ScheduledTask.create({
+    taskType,
+    payload,
+    runAt,
+    maxAttempts: maxAttempts || getJobConfig().maxAttempts,
+    status: TASK_STATUSES.PENDING,
+    isActive: true
+  });
+};
+
+/**
+ * Queue a job unless one of the same type and dedupe key is already pending or
+ * running (for periodic jobs triggered by every process). The unique index on
+ * (taskType, dedupeKey) decides between concurrent callers; the key is cleared
+ * once the job completes or fails for good.
+ * @returns {Promise<ScheduledTask|null>} The new job, or null if one was already queued
+ */
+export const enqueueUniqueJob = async ({ taskType, dedupeKey = taskType, payload = {}, runAt = new Date(), maxAttempts }) => {
+  try {
+    return await ScheduledTask.create({
+      taskType,
+      dedupeKey,
+      payload,
+      runAt,
+      maxAttempts: maxAttempts || getJobConfig().maxAttempts,
+      status: TASK_STATUSES.PENDING,
+      isActive: true
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Atomically claim the earliest due job for a worker
+ * @returns {Promise<ScheduledTask|null>}
+ */
+export const claimNextJob = async (workerId) => {
+  const now = new Date();
+  return ScheduledTask.findOneAndUpdate(
+    {
+      status: TASK_STATUSES.PENDING,
+      isActive: true,
+      runAt: { $lte: now }
+    },
+    {
+      $set: {
+        status: TASK_STATUSES.RUNNING,
+        lockedBy: workerId,
+        lockedAt: now,
+        startedAt: now,
+        lastRunAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  ).lean();
+};
+
+// Updates only apply while the worker still holds the job; a job re-armed
+// meanwhile (e.g. a snoozed follow-up) keeps its new schedule. A finished job
+// gives up its dedupe key.
+const releaseJob = (job, workerId, updates) => {
+  const finished = [TASK_STATUSES.COMPLETED, TASK_STATUSES.FAILED].includes(updates.status);
+  return ScheduledTask.findOneAndUpdate(
+    { _id: job._id, status: TASK_STATUSES.RUNNING, lockedBy: workerId },
+    {
+      $set: { lockedBy: null, lockedAt: null, ...updates },
+      ...(finished && { $unset: { dedupeKey: 1 } })
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Renew the lock of a running job (done periodically by runJob)
+ * @returns {Promise<Boolean>} false when the worker no longer holds the job
+ */
+export const extendLock = async (job, workerId) => {
+  const result = await ScheduledTask.updateOne(
+    { _id: job._id, status: TASK_STATUSES.RUNNING, lockedBy: workerId },
+    { $set: { lockedAt: new Date() } }
+  );
+  return result.matchedCount > 0;
+};
+
+const startLockRenewal = (job, workerId) => {
+  const timer = setInterval(() => {
+    extendLock(job, workerId)
+      .then((held) => {
+        if (!held) clearInterval(timer);
+      })
+      .catch((error) => console.error(`Error renewing the lock of job ${job._id}:`, error.message));
+  }, Math.max(1, Math.floor(getJobConfig().lockTimeoutMs / 3)));
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+const getRetryDelay = (attempts) => {
+  return getJobConfig().retryBaseDelayMs * 2 ** Math.max(0, attempts - 1);
+};
+
+/**
+ * Run a claimed job with its registered handler and record the outcome
+ */
+export const runJob = async (job, workerId) => {
+  const handler = handlers.get(job.taskType);
+  const stopLockRenewal = startLockRenewal(job, workerId);
+
+  try {
+    if (!handler) {
+      // Not retryable: no worker of this build knows the task type
+      return releaseJob(job, workerId, {
+        status: TASK_STATUSES.FAILED,
+        errorMessage: `No handler registered for task type ${job.taskType}`,
+        failedAt: new Date()
+      });
+    }
+
+    await handler(job);
+
+    return releaseJob(job, workerId, {
+      status: TASK_STATUSES.COMPLETED,
+      completedAt: new Date(),
+      errorMessage: null
+    });
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.taskType}) failed on attempt ${job.attempts}:`, error.message);
+
+    if (job.attempts < job.maxAttempts) {
+      return releaseJob(job, workerId, {
+        status: TASK_STATUSES.PENDING,
+        runAt: new Date(Date.now() + getRetryDelay(job.attempts)),
+        errorMessage: error.message
+      });
+    }
+
+    return releaseJob(job, workerId, {
+      status: TASK_STATUSES.FAILED,
+      errorMessage: error.message,
+      failedAt: new Date()
+    });
+  } finally {
+    stopLockRenewal();
+  }
+};
+
+// Status the cron runner before this queue set on tasks it was running
+const LEGACY_PROCESSING_STATUS = "processing";
+
+/**
+ * Release jobs whose worker stopped while running them. Jobs out of attempts are failed.
+ * Tasks left "processing" by the former cron runner (no lock, no attempts) are
+ * queued again with a fresh set of attempts.
+ * @returns {Promise<Number>} Number of jobs recovered
+ */
+export const recoverStuckJobs = async () => {
+  const cutoff = new Date(Date.now() - getJobConfig().lockTimeoutMs);
+  const stuck = { status: TASK_STATUSES.RUNNING, lockedAt: { $lt: cutoff } };
+  const released = { lockedBy: null, lockedAt: null, errorMessage: "Job timed out (worker lock expired)" };
+
+  const [retried, failed, legacy] = await Promise.all([
+    ScheduledTask.updateMany(
+      { ...stuck, $expr: { $lt: ["$attempts", "$maxAttempts"] } },
+      { $set: { ...released, status: TASK_STATUSES.PENDING, runAt: new Date() } }
+    ),
+    ScheduledTask.updateMany(
+      { ...stuck, $expr: { $gte: ["$attempts", "$maxAttempts"] } },
+      { $set: { ...released, status: TASK_STATUSES.FAILED, failedAt: new Date() }, $unset: { dedupeKey: 1 } }
+    ),
+    ScheduledTask.updateMany(
+      { status: LEGACY_PROCESSING_STATUS, updatedAt: { $lt: cutoff } },
+      {
+        $set: {
+          ...released,
+          errorMessage: "Job was interrupted (left processing by the former cron runner)",
+          status: TASK_STATUSES.PENDING,
+          runAt: new Date(),
+          attempts: 0,
+          maxAttempts: getJobConfig().maxAttempts
+        }
+      }
+    )
+  ]);
+
+  return retried.modifiedCount + failed.modifiedCount + legacy.modifiedCount;
+};
+
+/**
+ * Start polling for due jobs in this process
+ * @returns {Function} stop function
+ */
+export const startJobWorker = () => {
+  const { concurrency, pollIntervalMs } = getJobConfig();
+  const workerId = `${os.hostname()}:${process.pid}`;
+  let active = 0;
+  let polling = false;
+
+  const poll = async () => {
+    // Nothing can be claimed until MongoDB is connected
+    if (polling || mongoose.connection.readyState !== 1) return;
+    polling = true;
+
+    try {
+      await recoverStuckJobs();
+
+      while (active < concurrency) {
+        const job = await claimNextJob(workerId);
+        if (!job) break;
+
+        active += 1;
+        runJob(job, workerId)
+          .catch((error) => console.error(`Error finishing job ${job._id}:`, error.message))
+          .finally(() => {
+            active -= 1;
+          });
+      }
+    } catch (error) {
+      console.error("Job worker error:", error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, pollIntervalMs);
+  return () => clearInterval(timer);
+};
+
+/**
+ * Jobs for the admin view, newest first
+ */
+export const listJobs = async ({ status, taskType, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (taskType) filter.taskType = taskType;
+
+  const skip = (page - 1) * limit;
+  const [jobs, total, counts] = await Promise.all([
+    ScheduledTask.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    ScheduledTask.countDocuments(filter),
+    ScheduledTask.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+  ]);
+
+  const statusCounts = Object.fromEntries(Object.values(TASK_STATUSES).map((s) => [s, 0]));
+  counts.forEach((c) => {
+    statusCounts[c._id] = c.count;
+  });
+
+  return { jobs, total, page, limit, totalPages: Math.ceil(total / limit), statusCounts };
+};
+
+/**
+ * Put a failed job back in the queue with a fresh set of attempts
+ */
+export const retryJob = async (jobId) => {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    throw httpError("Invalid job ID", 400);
+  }
+
+  const job = await ScheduledTask.findOneAndUpdate(
+    { _id: jobId, status: TASK_STATUSES.FAILED },
+    {
+      $set: {
+        status: TASK_STATUSES.PENDING,
+        attempts: 0,
+        runAt: new Date(),
+        isActive: true,
+        failedAt: null
+      }
+    },
+    { new: true }
+  );
+
+  if (!job) {
+    const exists = await ScheduledTask.exists({ _id: jobId });
+    throw exists ? httpError("Only failed jobs can be retried", 400) : httpError("Job not found", 404);
+  }
+
+  return job;
+};
@@ -0,0 +1,218 @@
+import mongoose from "mongoose";
+import Lead from "../models/Lead.js";
+import LeadMerge from "../models/LeadMerge.js";
+import LeadNote from "../models/LeadNote.js";
+import LeadFollowUp from "../models/LeadFollowUp.js";
+import LeadPropertyMatch from "../models/LeadPropertyMatch.js";
+import LeadDelivery from "../models/LeadDelivery.js";
+import CommissionSettlement from "../models/CommissionSettlement.js";
+import ScheduledTask, { TASK_TYPES, TASK_STATUSES } from "../models/ScheduledTask.js";
+import BrokerDetail from "../models/BrokerDetail.js";
+import { normalizePhone, normalizeEmail, nameSimilarity } from "../utils/leadIdentity.js";
+import { scheduleLeadScoreRefresh } from "./leadScoring.service.js";
+import { scheduleLeadDeliverySync } from "./leadDelivery.service.js";
+import { scheduleMatchNotifications } from "./propertyMatching.service.js";
+import { httpError } from "../utils/response.js";
+
+/**
+ * Duplicate detection and merging of leads.
+ *
+ * A lead is a duplicate of another when the normalized customer phone or email
+ * match, or when the customer names are similar (LEAD_DEDUP_NAME_THRESHOLD,
+ * default 0.85) for leads of the same primary region created within
+ * LEAD_DEDUP_WINDOW_DAYS (default 30) of each other.
+ */
+
+const getDedupConfig = () => ({
+  windowDays: parseInt(process.env.LEAD_DEDUP_WINDOW_DAYS) || 30,
+  nameThreshold: parseFloat(process.env.LEAD_DEDUP_NAME_THRESHOLD) || 0.85
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Leads that look like the same customer as `lead` (a Lead or plain create payload)
+ * @returns {Promise<Array<{ lead: Object, reasons: String[], nameScore: Number }>>}
+ *          Strongest matches first; reasons are any of "phone", "email", "name"
+ */
+export const findDuplicateLeads = async (lead, { excludeIds = [] } = {}) => {
+  const { windowDays, nameThreshold } = getDedupConfig();
+  const phone = normalizePhone(lead.customerPhone);
+  const email = normalizeEmail(lead.customerEmail);
+  const excluded = excludeIds.filter(Boolean).map((id) => new mongoose.Types.ObjectId(String(id)));
+
+  const or = [];
+  if (phone) {
+    or.push({ normalizedPhone: phone });
+    // Leads saved before normalization was added
+    if (phone.length >= 7) {
+      or.push({ normalizedPhone: { $exists: false }, customerPhone: { $regex: `${escapeRegex(phone)}$` } });
+    }
+  }
+  if (email) {
+    or.push({ normalizedEmail: email });
+    or.push({
+      normalizedEmail: { $exists: false },
+      customerEmail: { $regex: `^${escapeRegex(email)}$`, $options: "i" }
+    });
+  }
+
+  const reference = lead.createdAt ? new Date(lead.createdAt) : new Date();
+  const windowMs = windowDays * 24 * 60 * 60 * 1000;
+  if (lead.customerName && lead.primaryRegion) {
+    or.push({
+      primaryRegion: lead.primaryRegion,
+      createdAt: {
+        $gte: new Date(reference.getTime() - windowMs),
+        $lte: new Date(reference.getTime() + windowMs)
+      }
+    });
+  }
+
+  if (!or.length) return [];
+
+  const candidates = await Lead.find({ _id: { $nin: excluded }, $or: or })
+    .select("customerName customerPhone customerEmail normalizedPhone normalizedEmail status primaryRegion createdBy createdAt")
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .lean();
+
+  return candidates
+    .map((candidate) => {
+      const reasons = [];
+      if (phone && normalizePhone(candidate.customerPhone) === phone) reasons.push("phone");
+      if (email && normalizeEmail(candidate.customerEmail) === email) reasons.push("email");
+      const nameScore = nameSimilarity(lead.customerName, candidate.customerName);
+      if (nameScore >= nameThreshold) reasons.push("name");
+      return { lead: candidate, reasons, nameScore: Math.round(nameScore * 100) / 100 };
+    })
+    .filter((match) => match.reasons.length)
+    .sort((a, b) => b.reasons.length - a.reasons.length || b.nameScore - a.nameScore);
+};
+
+// Exact contact matches block creation; name-only matches are just reported
+export const isExactDuplicate = (match) => {
+  return match.reasons.includes("phone") || match.reasons.includes("email");
+};
+
+const transferKey = (t) => {
+  return [t.fromBroker, t.shareType || "individual", t.toBroker || "", t.region || ""].map(String).join(":");
+};
+
+// Admin may merge any leads; a broker only leads they created
+const assertCanMerge = async (leads, user) => {
+  if (user?.role === "admin") return;
+
+  const broker = await BrokerDetail.findOne({ userId: user._id }).select("_id").lean();
+  const ownsAll = broker && leads.every((l) => String(l.createdBy) === String(broker._id));
+  if (!ownsAll) {
+    throw httpError("You can only merge leads you created", 403);
+  }
+};
+
+/**
+ * Merge duplicate leads into a surviving lead: transfers, notes, follow-ups,
+ * commission settlements and status history move to the survivor, missing
+ * customer details are filled in, the duplicates are removed and a LeadMerge
+ * audit record keeps their snapshots.
+ * @returns {Promise<{ lead: Lead, merge: LeadMerge }>}
+ */
+export const mergeLeads = async (survivorId, duplicateIds, user) => {
+  const ids = [...new Set(duplicateIds.map(String))].filter((id) => id !== String(survivorId));
+  if (!ids.length) {
+    throw httpError("Provide at least one lead to merge", 400);
+  }
+  if (![survivorId, ...ids].every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    throw httpError("Invalid lead ID", 400);
+  }
+
+  const survivor = await Lead.findById(survivorId);
+  if (!survivor) {
+    throw httpError("Lead not found", 404);
+  }
+  const duplicates = await Lead.find({ _id: { $in: ids } }).lean();
+  if (duplicates.length !== ids.length) {
+    throw httpError("One or more leads to merge were not found", 404);
+  }
+
+  await assertCanMerge([survivor, ...duplicates], user);
+
+  // Transfers without duplicates; moved transfers keep their _id so their deliveries follow them
+  const transferKeys = new Set(survivor.transfers.map(transferKey));
+  const movedTransferIds = [];
+  duplicates.forEach((dup) => {
+    (dup.transfers || []).forEach((t) => {
+      const key = transferKey(t);
+      if (!transferKeys.has(key)) {
+        transferKeys.add(key);
+        survivor.transfers.push(t);
+        movedTransferIds.push(t._id);
+      }
+    });
+  });
+
+  // Fill in customer details the survivor is missing
+  ["customerEmail", "budget", "secondaryRegion"].forEach((field) => {
+    if (survivor[field] == null || survivor[field] === "") {
+      const source = duplicates.find((d) => d[field] != null && d[field] !== "");
+      if (source) survivor[field] = source[field];
+    }
+  });
+
+  // Legacy single-string notes are concatenated
+  const notes = [survivor.notes, ...duplicates.map((d) => d.notes)]
+    .map((n) => (n || "").trim())
+    .filter(Boolean);
+  survivor.notes = [...new Set(notes)].join("\n\n") || survivor.notes;
+
+  survivor.stagesReached = [
+    ...new Set([...(survivor.stagesReached || []), ...duplicates.flatMap((d) => d.stagesReached || [d.status])])
+  ];
+  // Status history is immutable, so the survivor remembers where to find it
+  survivor.mergedFrom = [
+    ...new Set([
+      ...(survivor.mergedFrom || []).map(String),
+      ...duplicates.flatMap((d) => [String(d._id), ...(d.mergedFrom || []).map(String)])
+    ])
+  ];
+
+  await survivor.save();
+
+  await Promise.all([
+    LeadNote.updateMany({ leadId: { $in: ids } }, { $set: { leadId: survivor._id } }),
+    LeadFollowUp.updateMany({ leadId: { $in: ids } }, { $set: { leadId: survivor._id } }),
+    LeadDelivery.updateMany(
+      { lead: { $in: ids }, transferId: { $in: movedTransferIds } },
+      { $set: { lead: survivor._id } }
+    ),
+    // Commissions owed stay owed, including those of transfers the survivor already had
+    CommissionSettlement.updateMany({ lead: { $in: ids } }, { $set: { lead: survivor._id } }),
+    // Moved pending transfers still expire (task payloads are not cast, hence the ObjectIds)
+    ScheduledTask.updateMany(
+      {
+        taskType: TASK_TYPES.LEAD_TRANSFER_EXPIRY,
+        status: TASK_STATUSES.PENDING,
+        "payload.leadId": { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) },
+        "payload.transferId": { $in: movedTransferIds }
+      },
+      { $set: { "payload.leadId": survivor._id } }
+    )
+  ]);
+
+  const merge = await LeadMerge.create({
+    survivor: survivor._id,
+    merged: duplicates.map((d) => ({ leadId: d._id, snapshot: d })),
+    mergedBy: user?._id || null,
+    mergedByName: user?.name || (user?.role === "admin" ? "Admin" : undefined)
+  });
+
+  await Lead.deleteMany({ _id: { $in: ids } });
+  await LeadPropertyMatch.deleteMany({ lead: { $in: ids } });
+  await LeadDelivery.deleteMany({ lead: { $in: ids } });
+  scheduleLeadScoreRefresh(survivor._id);
+  scheduleLeadDeliverySync(survivor._id);
+  // The duplicates' matches were deleted; the survivor's details may match more properties
+  scheduleMatchNotifications({ leadId: survivor._id });
+
+  return { lead: survivor, merge };
+};
@@ -0,0 +1,270 @@
+import mongoose from "mongoose";
+import Lead, { INACTIVE_TRANSFER_STATUSES } from "../models/Lead.js";
+import LeadDelivery from "../models/LeadDelivery.js";
+import BrokerDetail from "../models/BrokerDetail.js";
+import { httpError } from "../utils/response.js";
+
+/**
+ * Materialized recipients of region/all lead transfers.
+ *
+ * When a lead is shared with a region or with all brokers, one LeadDelivery is
+ * created per receiving broker (brokers of the region, or every broker, except
+ * the sender, blocked brokers and brokers with receiveLeadBroadcasts off).
+ * Visibility of broadcast transfers is read from these records instead of being
+ * derived from broker regions on every query, and they track when each broker
+ * first saw and opened the lead. A broker who declines a broadcast opts out of
+ * their delivery.
+ */
+
+export const isBroadcastTransfer = (transfer) => transfer.shareType === "region" || transfer.shareType === "all";
+
+const transferRegion = (transfer) => {
+  return transfer.shareType === "region" ? transfer.region?._id || transfer.region || null : null;
+};
+
+/**
+ * Create the deliveries of a broadcast transfer (existing ones are kept)
+ * @returns {Promise<Number>} Number of new deliveries
+ */
+export const fanOutTransfer = async (leadId, transfer) => {
+  if (!isBroadcastTransfer(transfer)) return 0;
+
+  const region = transferRegion(transfer);
+  const recipientFilter = {
+    _id: { $ne: transfer.fromBroker },
+    approvedByAdmin: { $ne: "blocked" },
+    receiveLeadBroadcasts: { $ne: false }
+  };
+  if (transfer.shareType === "region") {
+    if (!region) return 0;
+    recipientFilter.region = region;
+  }
+
+  const recipients = await BrokerDetail.find(recipientFilter).select("_id").lean();
+  if (!recipients.length) return 0;
+
+  const result = await LeadDelivery.bulkWrite(
+    recipients.map((broker) => ({
+      updateOne: {
+        filter: { transferId: transfer._id, broker: broker._id },
+        update: {
+          $setOnInsert: {
+            lead: leadId,
+            transferId: transfer._id,
+            broker: broker._id,
+            fromBroker: transfer.fromBroker,
+            shareType: transfer.shareType,
+            region
+          }
+        },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+
+  return result.upsertedCount || 0;
+};
+
+/**
+ * Bring a lead's deliveries in line with its broadcast transfers: fan out transfers
+ * without deliveries and drop deliveries of removed (or re-targeted) transfers
+ */
+export const syncLeadDeliveries = async (leadOrId) => {
+  const lead =
+    leadOrId?.transfers !== undefined
+      ? leadOrId
+      : await Lead.findById(leadOrId).select("transfers").lean();
+  if (!lead) return;
+
+  const broadcasts = (lead.transfers || []).filter(isBroadcastTransfer);
+  const current = broadcasts.map((t) => ({ transferId: t._id, region: transferRegion(t) }));
+  await LeadDelivery.deleteMany(current.length ? { lead: lead._id, $nor: current } : { lead: lead._id });
+
+  for (const transfer of broadcasts) {
+    if (!(await LeadDelivery.exists({ transferId: transfer._id }))) {
+      await fanOutTransfer(lead._id, transfer);
+    }
+  }
+};
+
+// Fire-and-forget variant for request handlers
+export const scheduleLeadDeliverySync = (leadOrId) => {
+  syncLeadDeliveries(leadOrId).catch((error) => {
+    console.error("Error syncing lead deliveries:", error);
+  });
+};
+
+/**
+ * Ids of the leads broadcast to a broker (not opted out)
+ */
+export const getDeliveredLeadIds = (brokerId) => {
+  return LeadDelivery.distinct("lead", { broker: brokerId, optedOutAt: null });
+};
+
+/**
+ * Ids of a lead's broadcast transfers delivered to a broker (not opted out)
+ * @returns {Promise<Set<String>>}
+ */
+export const getDeliveredTransferIds = async (leadId, brokerId) => {
+  if (!brokerId) return new Set();
+  const ids = await LeadDelivery.distinct("transferId", { lead: leadId, broker: brokerId, optedOutAt: null });
+  return new Set(ids.map(String));
+};
+
+/**
+ * Query filter for leads broadcast to a broker through a transfer that is still active
+ */
+export const buildDeliveredLeadsFilter = async (brokerId) => {
+  const leadIds = await getDeliveredLeadIds(brokerId);
+  return {
+    _id: { $in: leadIds },
+    transfers: {
+      $elemMatch: { shareType: { $in: ["region", "all"] }, status: { $nin: INACTIVE_TRANSFER_STATUSES } }
+    }
+  };
+};
+
+export const optOutOfDelivery = (transferId, brokerId) => {
+  return LeadDelivery.findOneAndUpdate(
+    { transferId, broker: brokerId, optedOutAt: null },
+    { $set: { optedOutAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Record that a broker opened a lead (no-op for leads not broadcast to them)
+ */
+export const markLeadViewed = async (leadId, brokerId) => {
+  if (!brokerId) return;
+  const now = new Date();
+  const filter = { lead: leadId, broker: brokerId };
+  await LeadDelivery.updateMany({ ...filter, viewedAt: null }, { $set: { viewedAt: now } });
+  await LeadDelivery.updateMany(filter, { $set: { lastViewedAt: now }, $inc: { viewCount: 1 } });
+  await LeadDelivery.updateMany({ ...filter, seenAt: null }, { $set: { seenAt: now } });
+};
+
+/**
+ * Leads broadcast to the current broker, newest first. Returned deliveries are marked seen.
+ */
+export const listSharedWithMe = async (user, { page = 1, limit = 20, unseen = false } = {}) => {
+  const broker = await BrokerDetail.findOne({ userId: user._id }).select("_id").lean();
+  if (!broker) {
+    throw httpError("Broker profile not found", 404);
+  }
+
+  const filter = { broker: broker._id, optedOutAt: null };
+  if (unseen) filter.seenAt = null;
+
+  const skip = (page - 1) * limit;
+  const [deliveries, total] = await Promise.all([
+    LeadDelivery.find(filter)
+      .populate("lead", "customerName requirement propertyType budget primaryRegion secondaryRegion status score createdBy createdAt transfers")
+      .populate("fromBroker", "name firmName brokerImage")
+      .populate("region", "name city")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    LeadDelivery.countDocuments(filter)
+  ]);
+
+  const unseenIds = deliveries.filter((d) => !d.seenAt).map((d) => d._id);
+  if (unseenIds.length) {
+    await LeadDelivery.updateMany({ _id: { $in: unseenIds } }, { $set: { seenAt: new Date() } });
+  }
+
+  const items = deliveries
+    .filter((d) => d.lead)
+    .map(({ lead, ...delivery }) => {
+      const { transfers, ...leadFields } = lead;
+      const transfer = (transfers || []).find((t) => String(t._id) === String(delivery.transferId));
+      return {
+        ...delivery,
+        lead: leadFields,
+        transferStatus: transfer?.status || null
+      };
+    });
+
+  return { deliveries: items, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+/**
+ * Recipients of a lead's broadcast transfers with seen/viewed/opt-out status.
+ * Admin and the lead's creator see all; a broker who shared the lead sees their own transfers.
+ */
+export const listLeadDeliveries = async (leadId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(leadId)) {
+    throw httpError("Invalid lead ID", 400);
+  }
+  const lead = await Lead.findById(leadId).select("createdBy transfers").lean();
+  if (!lead) {
+    throw httpError("Lead not found", 404);
+  }
+
+  const filter = { lead: lead._id };
+  if (user?.role !== "admin") {
+    const broker = await BrokerDetail.findOne({ userId: user._id }).select("_id").lean();
+    const isCreator = broker && String(lead.createdBy) === String(broker._id);
+    const sharedByBroker = broker && (lead.transfers || []).some((t) => String(t.fromBroker) === String(broker._id));
+    if (!isCreator && !sharedByBroker) {
+      throw httpError("Only the brokers who shared this lead can see its recipients", 403);
+    }
+    if (!isCreator) filter.fromBroker = broker._id;
+  }
+
+  const deliveries = await LeadDelivery.find(filter)
+    .populate("broker", "name firmName brokerImage")
+    .populate("region", "name city")
+    .sort({ viewedAt: -1, createdAt: 1 })
+    .lean();
+
+  const summary = {
+    recipients: deliveries.length,
+    seen: deliveries.filter((d) => d.seenAt).length,
+    viewed: deliveries.filter((d) => d.viewedAt).length,
+    optedOut: deliveries.filter((d) => d.optedOutAt).length
+  };
+
+  return { deliveries, summary };
+};
+
+/**
+ * Turn region/all lead broadcasts on or off for the current broker (future broadcasts only)
+ */
+export const setBroadcastPreference = async (user, receiveLeadBroadcasts) => {
+  const broker = await BrokerDetail.findOneAndUpdate(
+    { userId: user._id },
+    { $set: { receiveLeadBroadcasts } },
+    { new: true }
+  ).select("_id receiveLeadBroadcasts");
+  if (!broker) {
+    throw httpError("Broker profile not found", 404);
+  }
+  return broker;
+};
+
+/**
+ * Create deliveries for broadcast transfers saved before deliveries existed
+ * (LEAD_DELIVERY_BACKFILL job handler)
+ * @returns {Promise<Number>} Number of leads fanned out
+ */
+export const backfillLeadDeliveries = async () => {
+  const cursor = Lead.find({ "transfers.shareType": { $in: ["region", "all"] } })
+    .select("transfers")
+    .lean()
+    .cursor();
+
+  let count = 0;
+  for await (const lead of cursor) {
+    let fannedOut = false;
+    for (const transfer of lead.transfers.filter(isBroadcastTransfer)) {
+      if (await LeadDelivery.exists({ transferId: transfer._id })) continue;
+      await fanOutTransfer(lead._id, transfer);
+      fannedOut = true;
+    }
+    if (fannedOut) count += 1;
+  }
+  return count;
+};
@@ -0,0 +1,168 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+import { httpError } from "../utils/response.js";
+
+/**
+ * CSV/XLSX export of leads (GET /api/leads/export).
+ *
+ * Rows are streamed from a Lead query cursor populated with LEAD_EXPORT_POPULATE,
+ * so region and broker columns hold names instead of ids. The caller picks the
+ * columns with ?columns=a,b,c (default: all but distanceKm).
+ */
+
+export const LEAD_EXPORT_FORMATS = Object.freeze(["csv", "xlsx"]);
+
+// Populate options of the exported Lead query
+export const LEAD_EXPORT_POPULATE = [
+  { path: "createdBy", select: "name firmName" },
+  { path: "primaryRegion", select: "name city centerCoordinates" },
+  { path: "secondaryRegion", select: "name city" },
+  { path: "transfers.fromBroker", select: "name firmName" },
+  { path: "transfers.toBroker", select: "name firmName" },
+  { path: "transfers.region", select: "name city" },
+];
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : "");
+
+const regionName = (region) => {
+  if (!region || typeof region !== "object") return "";
+  return region.city ? `${region.name} (${region.city})` : region.name || "";
+};
+
+const transferTarget = (transfer) => {
+  if (transfer.shareType === "all") return "All brokers";
+  if (transfer.shareType === "region") return `Region: ${regionName(transfer.region)}`;
+  return transfer.toBroker?.name || "";
+};
+
+const uniqueJoin = (values) => [...new Set(values.filter(Boolean))].join("; ");
+
+// Exportable columns in default order: key -> { header, value(lead) }
+export const LEAD_EXPORT_COLUMNS = Object.freeze({
+  id: { header: "Lead ID", value: (lead) => String(lead._id) },
+  customerName: { header: "Customer Name", value: (lead) => lead.customerName },
+  customerPhone: { header: "Customer Phone", value: (lead) => lead.customerPhone },
+  customerEmail: { header: "Customer Email", value: (lead) => lead.customerEmail },
+  requirement: { header: "Requirement", value: (lead) => lead.requirement },
+  propertyType: { header: "Property Type", value: (lead) => lead.propertyType },
+  budget: { header: "Budget", value: (lead) => lead.budget },
+  status: { header: "Status", value: (lead) => lead.status },
+  lostReason: { header: "Lost Reason", value: (lead) => lead.lostReason },
+  dealValue: { header: "Deal Value", value: (lead) => lead.dealValue },
+  score: { header: "Score", value: (lead) => lead.score },
+  verificationStatus: { header: "Verification Status", value: (lead) => lead.verificationStatus },
+  primaryRegion: { header: "Primary Region", value: (lead) => regionName(lead.primaryRegion) },
+  secondaryRegion: { header: "Secondary Region", value: (lead) => regionName(lead.secondaryRegion) },
+  // A createdBy that does not resolve to a broker is an admin user
+  createdBy: { header: "Created By", value: (lead) => (lead.createdBy ? lead.createdBy.name : "Admin") },
+  createdByFirm: { header: "Created By Firm", value: (lead) => lead.createdBy?.firmName },
+  transferredFrom: {
+    header: "Transferred From",
+    value: (lead) => uniqueJoin((lead.transfers || []).map((t) => t.fromBroker?.name)),
+  },
+  transferredTo: {
+    header: "Transferred To",
+    value: (lead) => uniqueJoin((lead.transfers || []).map(transferTarget)),
+  },
+  transferStatuses: {
+    header: "Transfer Statuses",
+    value: (lead) => (lead.transfers || []).map((t) => `${transferTarget(t)}: ${t.status || "accepted"}`).join("; "),
+  },
+  notes: { header: "Notes", value: (lead) => lead.notes },
+  createdAt: { header: "Created At", value: (lead) => formatDate(lead.createdAt) },
+  updatedAt: { header: "Updated At", value: (lead) => formatDate(lead.updatedAt) },
+  distanceKm: { header: "Distance (km)", value: (lead) => lead.distanceKm },
+});
+
+/**
+ * Columns to export from a comma-separated list of keys
+ * @param {String} [columns] - e.g. "customerName,customerPhone,primaryRegion"
+ * @param {Object} [options]
+ * @param {Boolean} [options.withDistance] - Include distanceKm by default
+ */
+export const resolveExportColumns = (columns, { withDistance = false } = {}) => {
+  if (!columns) {
+    return Object.keys(LEAD_EXPORT_COLUMNS).filter((key) => withDistance || key !== "distanceKm");
+  }
+
+  const keys = [...new Set(String(columns).split(",").map((c) => c.trim()).filter(Boolean))];
+  const unknown = keys.filter((key) => !LEAD_EXPORT_COLUMNS[key]);
+  if (unknown.length) {
+    throw httpError(
+      `Unknown export column(s): ${unknown.join(", ")}. Available: ${Object.keys(LEAD_EXPORT_COLUMNS).join(", ")}`,
+      400
+    );
+  }
+  if (!keys.length) {
+    throw httpError("At least one export column is required", 400);
+  }
+  return keys;
+};
+
+// Cells starting with = + - @ would run as formulas in spreadsheets; phone numbers and
+// negative numbers are left alone
+const neutralizeFormula = (value) => {
+  if (/^[=+\-@\t\r]/.test(value) && !/^[+-]?[\d\s().-]+$/.test(value)) return `'${value}`;
+  return value;
+};
+
+const toCell = (value) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "number") return value;
+  return neutralizeFormula(String(value));
+};
+
+const toCsvField = (value) => {
+  const text = String(toCell(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) await once(res, "drain");
+};
+
+/**
+ * Stream leads to the response as a CSV or XLSX attachment
+ * @param {Object} res - Express response
+ * @param {AsyncIterable<Object>} leads - Populated leads (e.g. a query cursor)
+ * @param {Object} options
+ * @param {String} options.format - csv or xlsx
+ * @param {Array<String>} options.columns - Keys of LEAD_EXPORT_COLUMNS
+ * @param {Function} [options.transform] - Maps a lead before it is written; return null to skip it
+ * @returns {Promise<Number>} Number of exported leads
+ */
+export const streamLeadExport = async (res, leads, { format, columns, transform = (lead) => lead }) => {
+  const definitions = columns.map((key) => LEAD_EXPORT_COLUMNS[key]);
+  const filename = `leads-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  let count = 0;
+  if (format === "xlsx") {
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false });
+    const sheet = workbook.addWorksheet("Leads");
+    sheet.columns = columns.map((key, i) => ({ key, header: definitions[i].header, width: 20 }));
+
+    for await (const item of leads) {
+      const lead = transform(item);
+      if (!lead) continue;
+      sheet.addRow(definitions.map((column) => toCell(column.value(lead)))).commit();
+      count += 1;
+    }
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  // BOM so spreadsheet apps read the file as UTF-8
+  await writeChunk(res, `\uFEFF${definitions.map((column) => toCsvField(column.header)).join(",")}\r\n`);
+  for await (const item of leads) {
+    const lead = transform(item);
+    if (!lead) continue;
+    await writeChunk(res, `${definitions.map((column) => toCsvField(column.value(lead))).join(",")}\r\n`);
+    count += 1;
+  }
+  res.end();
+  return count;
+};
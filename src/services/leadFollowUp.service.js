@@ -0,0 +1,211 @@
+import mongoose from "mongoose";
+import Lead from "../models/Lead.js";
+import LeadFollowUp, { FOLLOW_UP_STATUSES } from "../models/LeadFollowUp.js";
+import { createLeadFollowUpTask, updateTaskById } from "./scheduledTask.service.js";
+import { resolveLeadAccess } from "./leadNote.service.js";
+import { createNotification } from "../utils/notifications.js";
+import { scheduleLeadScoreRefresh } from "./leadScoring.service.js";
+import { httpError } from "../utils/response.js";
+
+// (Re)arm the scheduled task that fires the reminder at dueAt
+const scheduleReminder = async (followUp) => {
+  if (followUp.taskId) {
+    // Clearing the lock keeps a worker that is still running the old reminder from overwriting this
+    const task = await updateTaskById(followUp.taskId, {
+      runAt: followUp.dueAt,
+      status: "pending",
+      attempts: 0,
+      lockedBy: null,
+      lockedAt: null,
+      isActive: true,
+      errorMessage: null
+    });
+    if (task) return task;
+  }
+
+  const task = await createLeadFollowUpTask({ followUpId: followUp._id, runAt: followUp.dueAt });
+  followUp.taskId = task._id;
+  return task;
+};
+
+const cancelReminder = async (followUp) => {
+  if (followUp.taskId) {
+    await updateTaskById(followUp.taskId, { isActive: false });
+  }
+};
+
+const findOwnFollowUp = async (followUpId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(followUpId)) {
+    throw httpError("Invalid follow-up ID", 400);
+  }
+
+  const followUp = await LeadFollowUp.findById(followUpId);
+  if (!followUp) {
+    throw httpError("Follow-up not found", 404);
+  }
+  if (String(followUp.userId) !== String(user._id)) {
+    throw httpError("Only the owner can modify this follow-up", 403);
+  }
+  return followUp;
+};
+
+/**
+ * Create a follow-up reminder on a lead for the current user
+ */
+export const createFollowUp = async (leadId, user, { title, note, dueAt }) => {
+  const { broker } = await resolveLeadAccess(leadId, user);
+
+  const followUp = new LeadFollowUp({
+    leadId,
+    userId: user._id,
+    broker: broker?._id || null,
+    title,
+    note,
+    dueAt
+  });
+  await followUp.validate();
+  await scheduleReminder(followUp);
+  await followUp.save();
+
+  return followUp;
+};
+
+/**
+ * Move the reminder to a later time; it fires again at the new time
+ */
+export const snoozeFollowUp = async (followUpId, user, until) => {
+  const followUp = await findOwnFollowUp(followUpId, user);
+  if (followUp.status !== FOLLOW_UP_STATUSES.PENDING) {
+    throw httpError(`Cannot snooze a ${followUp.status} follow-up`, 400);
+  }
+
+  followUp.dueAt = until;
+  followUp.snoozeCount += 1;
+  followUp.reminderSentAt = null;
+  await scheduleReminder(followUp);
+  await followUp.save();
+
+  return followUp;
+};
+
+export const completeFollowUp = async (followUpId, user) => {
+  const followUp = await findOwnFollowUp(followUpId, user);
+  if (followUp.status !== FOLLOW_UP_STATUSES.PENDING) {
+    throw httpError(`Follow-up is already ${followUp.status}`, 400);
+  }
+
+  followUp.status = FOLLOW_UP_STATUSES.COMPLETED;
+  followUp.completedAt = new Date();
+  await cancelReminder(followUp);
+  await followUp.save();
+  scheduleLeadScoreRefresh(followUp.leadId);
+
+  return followUp;
+};
+
+export const cancelFollowUp = async (followUpId, user) => {
+  const followUp = await findOwnFollowUp(followUpId, user);
+  if (followUp.status !== FOLLOW_UP_STATUSES.PENDING) {
+    throw httpError(`Follow-up is already ${followUp.status}`, 400);
+  }
+
+  followUp.status = FOLLOW_UP_STATUSES.CANCELLED;
+  await cancelReminder(followUp);
+  await followUp.save();
+
+  return followUp;
+};
+
+/**
+ * Follow-ups of a lead (the user's own, or all of them for admin)
+ */
+export const listLeadFollowUps = async (leadId, user) => {
+  const { isAdmin } = await resolveLeadAccess(leadId, user);
+
+  return LeadFollowUp.find({ leadId, ...(isAdmin ? {} : { userId: user._id }) })
+    .sort({ dueAt: 1 })
+    .lean();
+};
+
+/**
+ * Follow-ups of a broker. Brokers see their own; admin can pass brokerId.
+ * @param {Object} options
+ * @param {String} [options.status] - pending, completed or cancelled
+ * @param {Boolean} [options.overdue] - only pending follow-ups past their due time
+ */
+export const listFollowUps = async (user, { brokerId, status, overdue = false, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (user.role === "admin" && brokerId) {
+    if (!mongoose.Types.ObjectId.isValid(brokerId)) {
+      throw httpError("Invalid broker ID", 400);
+    }
+    filter.broker = brokerId;
+  } else {
+    filter.userId = user._id;
+  }
+
+  if (overdue) {
+    filter.status = FOLLOW_UP_STATUSES.PENDING;
+    filter.dueAt = { $lt: new Date() };
+  } else if (status) {
+    filter.status = status;
+  }
+
+  const skip = (page - 1) * limit;
+  const [items, total] = await Promise.all([
+    LeadFollowUp.find(filter)
+      .populate("leadId", "customerName customerPhone requirement status")
+      .sort({ dueAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    LeadFollowUp.countDocuments(filter)
+  ]);
+
+  return { items, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+/**
+ * Fire a follow-up reminder (LEAD_FOLLOW_UP task handler).
+ * Notification email/SMS follow the user's notification preferences.
+ */
+export const runFollowUpReminder = async (followUpId) => {
+  const followUp = await LeadFollowUp.findById(followUpId);
+  // Completed/cancelled follow-ups and already-sent reminders are skipped
+  if (!followUp || followUp.status !== FOLLOW_UP_STATUSES.PENDING || followUp.reminderSentAt) {
+    return null;
+  }
+  // A snooze moved the reminder; its rescheduled task will fire it
+  if (followUp.dueAt > new Date()) {
+    return null;
+  }
+
+  const lead = await Lead.findById(followUp.leadId).select("customerName customerPhone status").lean();
+  // The lead was deleted in the meantime
+  if (!lead) {
+    followUp.status = FOLLOW_UP_STATUSES.CANCELLED;
+    await followUp.save();
+    return null;
+  }
+  const customer = `${lead.customerName}${lead.customerPhone ? ` (${lead.customerPhone})` : ""}`;
+
+  await createNotification({
+    userId: followUp.userId,
+    type: "lead",
+    title: `Follow-up Due: ${followUp.title}`,
+    message: `Reminder to follow up with ${customer}: ${followUp.title}${followUp.note ? `\n\n${followUp.note}` : ""}`,
+    priority: "high",
+    relatedEntity: { entityType: "Lead", entityId: lead._id },
+    activity: { action: "followUpDue" },
+    metadata: {
+      leadId: followUp.leadId,
+      followUpId: followUp._id,
+      dueAt: followUp.dueAt
+    }
+  });
+
+  followUp.reminderSentAt = new Date();
+  await followUp.save();
+
+  return followUp;
+};
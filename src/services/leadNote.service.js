@@ -0,0 +1,235 @@
+import mongoose from "mongoose";
+import Lead from "../models/Lead.js";
+import LeadNote, { NOTE_VISIBILITY } from "../models/LeadNote.js";
+import BrokerDetail from "../models/BrokerDetail.js";
+import LeadDelivery from "../models/LeadDelivery.js";
+import { createLeadNotification } from "../utils/notifications.js";
+import { scheduleLeadScoreRefresh } from "./leadScoring.service.js";
+import { activeTransferMatch, isTransferActive } from "./leadTransfer.service.js";
+import { buildDeliveredLeadsFilter, getDeliveredTransferIds, isBroadcastTransfer } from "./leadDelivery.service.js";
+import { httpError } from "../utils/response.js";
+
+// Mentions are written as @[Display Name](brokerDetailId)
+const MENTION_PATTERN = /@\[[^\]]*\]\(([0-9a-fA-F]{24})\)/g;
+
+export const extractMentionIds = (body = "") => {
+  const ids = new Set();
+  for (const match of String(body).matchAll(MENTION_PATTERN)) {
+    ids.add(match[1]);
+  }
+  return [...ids];
+};
+
+/**
+ * Whether a broker can see a lead: its creator, a sender/recipient of one of
+ * its transfers, or a broker a region/all transfer was delivered to.
+ * Declined and expired transfers no longer share it.
+ * @param {Object} lead - Lead with createdBy and transfers
+ * @param {Object} broker - BrokerDetail with _id
+ * @param {Set<String>} deliveredTransferIds - Broadcast transfers of the lead delivered to the broker
+ */
+export const brokerCanAccessLead = (lead, broker, deliveredTransferIds = new Set()) => {
+  if (!lead || !broker) return false;
+
+  const brokerId = String(broker._id);
+  if (String(lead.createdBy?._id || lead.createdBy) === brokerId) return true;
+
+  return (lead.transfers || []).some((t) => {
+    if (String(t.fromBroker?._id || t.fromBroker) === brokerId) return true;
+    if (!isTransferActive(t)) return false;
+    if (isBroadcastTransfer(t)) return deliveredTransferIds.has(String(t._id));
+    return String(t.toBroker?._id || t.toBroker) === brokerId;
+  });
+};
+
+/**
+ * Query filter for the leads a broker can see (same rules as brokerCanAccessLead)
+ * @param {Object} broker - BrokerDetail with _id
+ */
+export const buildLeadAccessFilter = async (broker) => {
+  return {
+    $or: [
+      { createdBy: broker._id },
+      { "transfers.fromBroker": broker._id },
+      await buildDeliveredLeadsFilter(broker._id),
+      {
+        transfers: {
+          $elemMatch: { ...activeTransferMatch(), shareType: { $nin: ["region", "all"] }, toBroker: broker._id }
+        }
+      }
+    ]
+  };
+};
+
+/**
+ * Load a lead and the acting user's broker profile, ensuring the user may see the lead
+ * @returns {Promise<{ lead: Lead, broker: BrokerDetail|null, isAdmin: Boolean }>}
+ */
+export const resolveLeadAccess = async (leadId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(leadId)) {
+    throw httpError("Invalid lead ID", 400);
+  }
+
+  const lead = await Lead.findById(leadId).lean();
+  if (!lead) {
+    throw httpError("Lead not found", 404);
+  }
+
+  const isAdmin = user?.role === "admin";
+  const broker = await BrokerDetail.findOne({ userId: user._id }).select("_id name region userId").lean();
+
+  const deliveredTransferIds = await getDeliveredTransferIds(lead._id, broker?._id);
+  if (!isAdmin && !brokerCanAccessLead(lead, broker, deliveredTransferIds)) {
+    throw httpError("You do not have access to this lead", 403);
+  }
+
+  return { lead, broker, isAdmin };
+};
+
+// Mentioned brokers must exist and be able to see the lead
+const resolveMentionedBrokers = async (lead, mentionIds) => {
+  if (!mentionIds.length) return [];
+
+  const brokers = await BrokerDetail.find({ _id: { $in: mentionIds } })
+    .select("_id name region userId")
+    .lean();
+  if (brokers.length !== mentionIds.length) {
+    throw httpError("One or more mentioned brokers not found", 400);
+  }
+
+  const deliveries = await LeadDelivery.find({ lead: lead._id, broker: { $in: mentionIds }, optedOutAt: null })
+    .select("broker transferId")
+    .lean();
+  const deliveredTo = (broker) =>
+    new Set(deliveries.filter((d) => String(d.broker) === String(broker._id)).map((d) => String(d.transferId)));
+
+  const withoutAccess = brokers.filter((b) => !brokerCanAccessLead(lead, b, deliveredTo(b)));
+  if (withoutAccess.length) {
+    throw httpError(
+      `Mentioned broker(s) without access to this lead: ${withoutAccess.map((b) => b.name || b._id).join(", ")}`,
+      400
+    );
+  }
+
+  return brokers;
+};
+
+const collectMentionIds = (body, mentions = []) => {
+  return [...new Set([...extractMentionIds(body), ...mentions.map(String)])];
+};
+
+// Notify mentioned brokers (never the author); failures do not affect the note
+const notifyMentionedBrokers = (lead, brokers, user, authorBrokerId) => {
+  brokers
+    .filter((b) => b.userId && String(b._id) !== String(authorBrokerId))
+    .forEach((b) => {
+      createLeadNotification(b.userId, "mentioned", lead, user).catch((error) => {
+        console.error("Error creating mention notification:", error);
+      });
+    });
+};
+
+/**
+ * Notes of a lead visible to the user: shared notes and the user's own private notes
+ */
+export const listLeadNotes = async (leadId, user) => {
+  await resolveLeadAccess(leadId, user);
+
+  return LeadNote.find({
+    leadId,
+    $or: [
+      { visibility: NOTE_VISIBILITY.SHARED },
+      { authorUser: user._id }
+    ]
+  })
+    .populate("author", "name firmName brokerImage")
+    .populate("mentions", "name firmName")
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * Add a note to a lead and notify the brokers mentioned in it
+ */
+export const createLeadNote = async (leadId, user, { body, visibility = NOTE_VISIBILITY.SHARED, mentions = [] }) => {
+  const { lead, broker } = await resolveLeadAccess(leadId, user);
+
+  const mentionIds = collectMentionIds(body, mentions);
+  if (mentionIds.length && visibility === NOTE_VISIBILITY.PRIVATE) {
+    throw httpError("Mentions are only allowed in shared notes", 400);
+  }
+  const mentionedBrokers = await resolveMentionedBrokers(lead, mentionIds);
+
+  const note = await LeadNote.create({
+    leadId,
+    author: broker?._id || null,
+    authorUser: user._id,
+    authorName: broker?.name || user.name || (user.role === "admin" ? "Admin" : undefined),
+    body,
+    visibility,
+    mentions: mentionIds
+  });
+
+  notifyMentionedBrokers(lead, mentionedBrokers, user, broker?._id);
+  scheduleLeadScoreRefresh(leadId);
+
+  return note;
+};
+
+const findOwnNote = async (leadId, noteId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(noteId)) {
+    throw httpError("Invalid note ID", 400);
+  }
+
+  const note = await LeadNote.findOne({ _id: noteId, leadId });
+  if (!note) {
+    throw httpError("Note not found", 404);
+  }
+  if (String(note.authorUser) !== String(user._id)) {
+    throw httpError("Only the author can modify this note", 403);
+  }
+  return note;
+};
+
+/**
+ * Edit a note (author only). Newly added mentions are notified.
+ */
+export const updateLeadNote = async (leadId, noteId, user, updates) => {
+  const { lead, broker } = await resolveLeadAccess(leadId, user);
+  const note = await findOwnNote(leadId, noteId, user);
+
+  const body = updates.body !== undefined ? updates.body : note.body;
+  const visibility = updates.visibility || note.visibility;
+  const mentionIds = collectMentionIds(body, updates.mentions !== undefined ? updates.mentions : []);
+
+  if (mentionIds.length && visibility === NOTE_VISIBILITY.PRIVATE) {
+    throw httpError("Mentions are only allowed in shared notes", 400);
+  }
+  const mentionedBrokers = await resolveMentionedBrokers(lead, mentionIds);
+
+  const previousMentions = new Set((note.mentions || []).map(String));
+  note.body = body;
+  note.visibility = visibility;
+  note.mentions = mentionIds;
+  note.editedAt = new Date();
+  await note.save();
+
+  notifyMentionedBrokers(
+    lead,
+    mentionedBrokers.filter((b) => !previousMentions.has(String(b._id))),
+    user,
+    broker?._id
+  );
+
+  return note;
+};
+
+/**
+ * Delete a note (author only)
+ */
+export const deleteLeadNote = async (leadId, noteId, user) => {
+  await resolveLeadAccess(leadId, user);
+  const note = await findOwnNote(leadId, noteId, user);
+  await note.deleteOne();
+  return note;
+};
@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+import Lead from "../models/Lead.js";
+import LeadStatusChange from "../models/LeadStatusChange.js";
+import { FUNNEL_STAGES, LOST_STATUSES, WON_STATUSES, getLeadStage } from "../config/leadPipeline.js";
+
+/**
+ * Append a status change to the lead's history and mark the stage as reached.
+ * Pass fromStatus null for the initial status of a new lead.
+ */
+export const recordStatusChange = async ({
+  leadId,
+  fromStatus = null,
+  toStatus,
+  reason,
+  actor = null,
+  source = "api"
+}) => {
+  if (!mongoose.Types.ObjectId.isValid(leadId)) {
+    throw new Error("Invalid leadId");
+  }
+
+  const entry = await LeadStatusChange.create({
+    leadId,
+    fromStatus,
+    toStatus,
+    reason,
+    changedBy: actor?._id || null,
+    changedByName: actor?.name || (actor?.role === "admin" ? "Admin" : undefined),
+    source
+  });
+
+  await Lead.updateOne({ _id: leadId }, { $addToSet: { stagesReached: toStatus } });
+
+  return entry;
+};
+
+/**
+ * Status history of a lead, oldest first (includes the history of leads merged into it)
+ */
+export const getLeadTimeline = async (leadId) => {
+  const lead = await Lead.findById(leadId).select("mergedFrom").lean();
+  const leadIds = [leadId, ...(lead?.mergedFrom || [])];
+
+  return LeadStatusChange.find({ leadId: { $in: leadIds } })
+    .populate("changedBy", "name email phone role")
+    .sort({ createdAt: 1 })
+    .lean();
+};
+
+/**
+ * Funnel counts and conversion rates for leads matching `match`.
+ * A lead counts as having reached every funnel stage up to the furthest one it
+ * ever reached (leads without history count their current status only).
+ */
+export const getLeadFunnel = async (match = {}) => {
+  const groups = await Lead.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          status: "$status",
+          stages: { $ifNull: ["$stagesReached", []] }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  let total = 0;
+  let won = 0;
+  let lost = 0;
+  const furthestCounts = new Map();
+
+  for (const group of groups) {
+    const { status, stages } = group._id;
+    total += group.count;
+    if (WON_STATUSES.includes(status)) won += group.count;
+    if (LOST_STATUSES.includes(status)) lost += group.count;
+
+    const furthest = [...stages, status]
+      .map((name) => getLeadStage(name)?.order || 0)
+      .reduce((max, order) => Math.max(max, order), 0);
+    furthestCounts.set(furthest, (furthestCounts.get(furthest) || 0) + group.count);
+  }
+
+  let previousReached = null;
+  const stages = FUNNEL_STAGES.map((stage) => {
+    let reached = 0;
+    furthestCounts.forEach((count, order) => {
+      if (order >= stage.order) reached += count;
+    });
+
+    const conversionRate = previousReached === null
+      ? null
+      : previousReached > 0
+        ? Math.round((reached / previousReached) * 100 * 10) / 10
+        : 0;
+    previousReached = reached;
+
+    return { stage: stage.name, reached, conversionRate };
+  });
+
+  return {
+    total,
+    won,
+    lost,
+    winRate: total > 0 ? Math.round((won / total) * 100 * 10) / 10 : 0,
+    stages
+  };
+};
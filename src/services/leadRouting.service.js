@@ -0,0 +1,218 @@
+import mongoose from "mongoose";
+import Lead, { TRANSFER_STATUSES, INACTIVE_TRANSFER_STATUSES } from "../models/Lead.js";
+import BrokerDetail from "../models/BrokerDetail.js";
+import LeadRoutingRule, { ROUTING_STRATEGIES } from "../models/LeadRoutingRule.js";
+import { WON_STATUSES, LOST_STATUSES } from "../config/leadPipeline.js";
+import { createTransferNotification } from "../utils/notifications.js";
+import { getTransferExpiry, scheduleTransferExpiries } from "./leadTransfer.service.js";
+
+/**
+ * Automatic lead-to-broker assignment.
+ *
+ * A new lead is routed with the rule of its primary region (or the default rule,
+ * region null). Eligible brokers serve the lead's region, are not blocked or
+ * inactive, and pass the rule's availability/rating/service type/load filters.
+ * The chosen brokers receive the lead as a pending individual transfer marked
+ * source "routing", which they accept or decline like any other transfer.
+ */
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Service type asked for in the free-text requirement, e.g. "Want to rent a 2BHK"
+const inferServiceType = (requirement = "") => {
+  const text = String(requirement).toLowerCase();
+  if (/\b(rent|rental|lease)\b/.test(text)) return "Rent";
+  if (/\b(buy|purchase)\b/.test(text)) return "Buy";
+  if (/\bsell\b/.test(text)) return "Sell";
+  return null;
+};
+
+/**
+ * Routing rule applying to a region: its own rule, else the default rule
+ * @returns {Promise<LeadRoutingRule|null>}
+ */
+export const getRoutingRuleForRegion = async (regionId) => {
+  if (regionId) {
+    const rule = await LeadRoutingRule.findOne({ region: regionId }).lean();
+    if (rule) return rule;
+  }
+  return LeadRoutingRule.findOne({ region: null }).lean();
+};
+
+/**
+ * Open (not won/lost) leads currently transferred to each broker
+ * @returns {Promise<Map<String, Number>>}
+ */
+export const getOpenLeadCounts = async (brokerIds) => {
+  if (!brokerIds.length) return new Map();
+
+  const ids = brokerIds.map(toObjectId);
+  const counts = await Lead.aggregate([
+    {
+      $match: {
+        status: { $nin: [...WON_STATUSES, ...LOST_STATUSES] },
+        "transfers.toBroker": { $in: ids },
+      },
+    },
+    { $unwind: "$transfers" },
+    { $match: { "transfers.toBroker": { $in: ids }, "transfers.status": { $nin: INACTIVE_TRANSFER_STATUSES } } },
+    { $group: { _id: { broker: "$transfers.toBroker", lead: "$_id" } } },
+    { $group: { _id: "$_id.broker", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map((c) => [String(c._id), c.count]));
+};
+
+const findCandidates = async (lead, rule) => {
+  const regions = [lead.primaryRegion];
+  if (rule.includeSecondaryRegion && lead.secondaryRegion) {
+    regions.push(lead.secondaryRegion);
+  }
+
+  const filter = {
+    region: { $in: regions },
+    role: { $ne: "customer" },
+    approvedByAdmin: { $ne: "blocked" },
+    status: { $ne: "inactive" },
+    _id: { $ne: lead.createdBy },
+  };
+  if (rule.minRating > 0) {
+    filter.rating = { $gte: rule.minRating };
+  }
+  if (rule.serviceTypes?.length) {
+    filter.serviceType = { $in: rule.serviceTypes };
+  }
+  const availability = [{ availabilityStatus: { $in: rule.availabilityStatuses || [] } }];
+  if (rule.allowUnknownAvailability) {
+    availability.push({ availabilityStatus: { $in: [null, ""] } });
+  }
+  filter.$or = availability;
+
+  const brokers = await BrokerDetail.find(filter)
+    .select("_id name userId region rating specializations serviceType")
+    .sort({ _id: 1 })
+    .lean();
+
+  const propertyType = String(lead.propertyType || "").toLowerCase();
+  const serviceType = inferServiceType(lead.requirement);
+  const primaryRegionId = String(lead.primaryRegion);
+  const loads = await getOpenLeadCounts(brokers.map((b) => b._id));
+
+  return brokers
+    .map((broker) => ({
+      broker,
+      load: loads.get(String(broker._id)) || 0,
+      specializationMatch: (broker.specializations || []).some((s) =>
+        String(s).toLowerCase().includes(propertyType)
+      ),
+      serviceTypeMatch: !!serviceType && (broker.serviceType || []).includes(serviceType),
+      inPrimaryRegion: (broker.region || []).some((r) => String(r) === primaryRegionId),
+    }))
+    .filter((c) => !rule.requireSpecialization || c.specializationMatch)
+    .filter((c) => !rule.maxOpenLeads || c.load < rule.maxOpenLeads);
+};
+
+const scoreCandidate = (candidate, weights = {}) => {
+  const { rating = 1, load = 1, specialization = 1, primaryRegion = 0.5 } = weights;
+  const specializationScore =
+    ((candidate.specializationMatch ? 1 : 0) + (candidate.serviceTypeMatch ? 1 : 0)) / 2;
+
+  return (
+    rating * ((candidate.broker.rating || 0) / 5) +
+    load * (1 / (1 + candidate.load)) +
+    specialization * specializationScore +
+    primaryRegion * (candidate.inPrimaryRegion ? 1 : 0)
+  );
+};
+
+// Weighted random draw without replacement; higher scores are picked more often
+const pickWeighted = (candidates, count, weights) => {
+  const pool = candidates.map((c) => ({ c, score: Math.max(scoreCandidate(c, weights), 0.01) }));
+  const picked = [];
+
+  while (picked.length < count && pool.length) {
+    const total = pool.reduce((sum, p) => sum + p.score, 0);
+    let roll = Math.random() * total;
+    let index = pool.findIndex((p) => (roll -= p.score) <= 0);
+    if (index === -1) index = pool.length - 1;
+    picked.push(pool[index].c);
+    pool.splice(index, 1);
+  }
+
+  return picked;
+};
+
+// Next brokers in turn; the cursor is shared by every process through the rule document
+const pickRoundRobin = async (rule, candidates, count) => {
+  const updated = await LeadRoutingRule.findOneAndUpdate(
+    { _id: rule._id },
+    { $inc: { roundRobinCursor: count } },
+    { new: false }
+  ).lean();
+  const start = (updated?.roundRobinCursor || 0) % candidates.length;
+
+  const picked = [];
+  for (let i = 0; i < Math.min(count, candidates.length); i++) {
+    picked.push(candidates[(start + i) % candidates.length]);
+  }
+  return picked;
+};
+
+/**
+ * Assign a lead to brokers according to its region's routing rule.
+ * Leads that already have transfers are left alone.
+ * @returns {Promise<Array<BrokerDetail>>} Brokers the lead was assigned to (empty when no rule applies)
+ */
+export const routeLead = async (leadId) => {
+  const lead = await Lead.findById(leadId).lean();
+  if (!lead || (lead.transfers || []).length) return [];
+
+  const rule = await getRoutingRuleForRegion(lead.primaryRegion);
+  if (!rule || !rule.enabled) return [];
+
+  const candidates = await findCandidates(lead, rule);
+  if (!candidates.length) return [];
+
+  const count = rule.brokersPerLead || 1;
+  const picked =
+    rule.strategy === ROUTING_STRATEGIES.WEIGHTED
+      ? pickWeighted(candidates, count, rule.weights)
+      : await pickRoundRobin(rule, candidates, count);
+
+  const brokers = picked.map((c) => c.broker);
+  const expiresAt = getTransferExpiry();
+  const result = await Lead.updateOne(
+    { _id: lead._id, "transfers.0": { $exists: false } },
+    {
+      $push: {
+        transfers: {
+          $each: brokers.map((b) => ({
+            fromBroker: lead.createdBy,
+            toBroker: b._id,
+            shareType: "individual",
+            source: "routing",
+            status: TRANSFER_STATUSES.PENDING,
+            expiresAt,
+          })),
+        },
+      },
+    }
+  );
+  // A manual transfer got in first
+  if (!result.modifiedCount) return [];
+
+  try {
+    const { transfers } = await Lead.findById(lead._id).select("transfers").lean();
+    await scheduleTransferExpiries(lead._id, transfers.filter((t) => t.source === "routing"));
+  } catch (error) {
+    console.error("Error scheduling routed transfer expiry:", error);
+  }
+
+  brokers.forEach((b) => {
+    createTransferNotification(b._id, lead.createdBy, lead).catch((error) => {
+      console.error("Error creating routing notification:", error);
+    });
+  });
+
+  return brokers;
+};
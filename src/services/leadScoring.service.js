@@ -0,0 +1,171 @@
+import mongoose from "mongoose";
+import Lead from "../models/Lead.js";
+import Property from "../models/Property.js";
+import LeadNote from "../models/LeadNote.js";
+import LeadStatusChange from "../models/LeadStatusChange.js";
+import LeadFollowUp from "../models/LeadFollowUp.js";
+import { WON_STATUSES, LOST_STATUSES } from "../config/leadPipeline.js";
+import { INACTIVE_TRANSFER_STATUSES } from "../models/Lead.js";
+
+/**
+ * Lead score (0-100) stored on Lead.score, with the points of each factor in
+ * Lead.scoreBreakdown. Factors and their maximum points:
+ *  - budget (25): budget compared with the average price of active properties
+ *    of the same type in the lead's primary region
+ *  - completeness (15): email, detailed requirement, budget, secondary region
+ *  - verification (10): verified leads
+ *  - freshness (20): decays linearly over LEAD_SCORE_FRESHNESS_DAYS (default 30)
+ *  - exclusivity (10): fewer (not declined/expired) transfers means fewer competing brokers
+ *  - activity (20): notes, status changes and completed follow-ups in the last 14 days
+ * Won/lost leads keep their factors but are no longer refreshed by the daily job.
+ */
+
+export const SCORE_FACTORS = Object.freeze({
+  budget: 25,
+  completeness: 15,
+  verification: 10,
+  freshness: 20,
+  exclusivity: 10,
+  activity: 20
+});
+
+const ACTIVITY_WINDOW_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getFreshnessDays = () => parseInt(process.env.LEAD_SCORE_FRESHNESS_DAYS) || 30;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const averageRegionPrice = async (lead) => {
+  const match = { region: lead.primaryRegion, status: "Active", price: { $gt: 0 } };
+
+  let [result] = await Property.aggregate([
+    { $match: { ...match, propertyType: lead.propertyType } },
+    { $group: { _id: null, avgPrice: { $avg: "$price" } } }
+  ]);
+  if (!result) {
+    [result] = await Property.aggregate([
+      { $match: match },
+      { $group: { _id: null, avgPrice: { $avg: "$price" } } }
+    ]);
+  }
+  return result?.avgPrice || null;
+};
+
+const scoreBudget = async (lead) => {
+  if (!lead.budget || lead.budget <= 0) return 0;
+
+  const avgPrice = await averageRegionPrice(lead);
+  // No market reference for the region: a stated budget earns half the points
+  if (!avgPrice) return SCORE_FACTORS.budget / 2;
+
+  return SCORE_FACTORS.budget * Math.min(lead.budget / avgPrice, 1);
+};
+
+const scoreCompleteness = (lead) => {
+  const checks = [
+    !!lead.customerEmail,
+    String(lead.requirement || "").trim().length >= 20,
+    !!lead.budget,
+    !!lead.secondaryRegion
+  ];
+  return SCORE_FACTORS.completeness * (checks.filter(Boolean).length / checks.length);
+};
+
+const scoreFreshness = (lead, now) => {
+  const ageDays = (now - new Date(lead.createdAt || now)) / DAY_MS;
+  return SCORE_FACTORS.freshness * Math.max(0, 1 - ageDays / getFreshnessDays());
+};
+
+const scoreExclusivity = (lead) => {
+  const active = (lead.transfers || []).filter((t) => !INACTIVE_TRANSFER_STATUSES.includes(t.status));
+  if (active.length === 0) return SCORE_FACTORS.exclusivity;
+  // Sharing with a region or all brokers means many competitors
+  if (active.some((t) => t.shareType !== "individual")) return 0;
+  return SCORE_FACTORS.exclusivity / (1 + active.length);
+};
+
+const scoreActivity = async (lead, now) => {
+  const since = new Date(now - ACTIVITY_WINDOW_DAYS * DAY_MS);
+  const leadIds = [lead._id, ...(lead.mergedFrom || [])];
+
+  const [notes, statusChanges, followUps] = await Promise.all([
+    LeadNote.countDocuments({ leadId: lead._id, createdAt: { $gte: since } }),
+    // The initial status entry is not activity
+    LeadStatusChange.countDocuments({ leadId: { $in: leadIds }, fromStatus: { $ne: null }, createdAt: { $gte: since } }),
+    LeadFollowUp.countDocuments({ leadId: lead._id, status: "completed", completedAt: { $gte: since } })
+  ]);
+
+  // Each interaction is worth a quarter of the factor
+  return SCORE_FACTORS.activity * Math.min((notes + statusChanges + followUps) / 4, 1);
+};
+
+/**
+ * Compute a lead's score without saving it
+ * @returns {Promise<{ score: Number, breakdown: Object }>}
+ */
+export const computeLeadScore = async (lead, now = Date.now()) => {
+  const breakdown = {
+    budget: await scoreBudget(lead),
+    completeness: scoreCompleteness(lead),
+    verification: lead.verificationStatus === "Verified" ? SCORE_FACTORS.verification : 0,
+    freshness: scoreFreshness(lead, now),
+    exclusivity: scoreExclusivity(lead),
+    activity: await scoreActivity(lead, now)
+  };
+
+  Object.keys(breakdown).forEach((key) => {
+    breakdown[key] = round(breakdown[key]);
+  });
+  const score = Math.round(Object.values(breakdown).reduce((sum, points) => sum + points, 0));
+
+  return { score, breakdown };
+};
+
+/**
+ * Recompute and store the score of a lead
+ * @returns {Promise<Number|null>} New score, or null if the lead does not exist
+ */
+export const refreshLeadScore = async (leadId) => {
+  if (!mongoose.Types.ObjectId.isValid(leadId)) return null;
+
+  const lead = await Lead.findById(leadId).lean();
+  if (!lead) return null;
+
+  const { score, breakdown } = await computeLeadScore(lead);
+  await Lead.updateOne(
+    { _id: lead._id },
+    { $set: { score, scoreBreakdown: breakdown, scoredAt: new Date() } },
+    { timestamps: false }
+  );
+  return score;
+};
+
+// Fire-and-forget variant for request handlers
+export const scheduleLeadScoreRefresh = (leadId) => {
+  refreshLeadScore(leadId).catch((error) => {
+    console.error(`Error refreshing score of lead ${leadId}:`, error);
+  });
+};
+
+/**
+ * Recompute the scores of all open leads (freshness decays over time)
+ * @returns {Promise<Number>} Number of leads rescored
+ */
+export const refreshOpenLeadScores = async () => {
+  const cursor = Lead.find({ status: { $nin: [...WON_STATUSES, ...LOST_STATUSES] } })
+    .select("_id")
+    .lean()
+    .cursor();
+
+  let count = 0;
+  for await (const lead of cursor) {
+    try {
+      await refreshLeadScore(lead._id);
+      count += 1;
+    } catch (error) {
+      console.error(`Error refreshing score of lead ${lead._id}:`, error);
+    }
+  }
+  return count;
+};
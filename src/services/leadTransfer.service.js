@@ -0,0 +1,261 @@
+import mongoose from "mongoose";
+import Lead, { TRANSFER_STATUSES, INACTIVE_TRANSFER_STATUSES } from "../models/Lead.js";
+import BrokerDetail from "../models/BrokerDetail.js";
+import LeadDelivery from "../models/LeadDelivery.js";
+import ScheduledTask, { TASK_TYPES, TASK_STATUSES } from "../models/ScheduledTask.js";
+import { createLeadTransferExpiryTask } from "./scheduledTask.service.js";
+import { createLeadNotification } from "../utils/notifications.js";
+import { scheduleLeadScoreRefresh } from "./leadScoring.service.js";
+import { getDeliveredTransferIds, isBroadcastTransfer, optOutOfDelivery } from "./leadDelivery.service.js";
+import { httpError } from "../utils/response.js";
+
+/**
+ * Acceptance workflow of lead transfers.
+ *
+ * New transfers start pending. The recipient of an individual transfer accepts
+ * or declines it; for region/all broadcasts the first recipient to accept takes
+ * it, and a recipient who declines only opts out of their delivery (LeadDelivery).
+ * Declined and expired transfers no longer share the lead. A pending transfer
+ * expires at expiresAt (default: LEAD_TRANSFER_EXPIRY_HOURS after the transfer,
+ * unset means never) through a LEAD_TRANSFER_EXPIRY job.
+ * The fromBroker is notified of every response.
+ */
+
+const getTransferConfig = () => ({
+  expiryHours: parseFloat(process.env.LEAD_TRANSFER_EXPIRY_HOURS) || 0
+});
+
+const sameId = (a, b) => String(a?._id || a) === String(b?._id || b);
+
+/**
+ * Expiry of a new transfer: the requested time, else the configured default (null = never)
+ */
+export const getTransferExpiry = (expiresAt) => {
+  if (expiresAt) return new Date(expiresAt);
+  const { expiryHours } = getTransferConfig();
+  return expiryHours > 0 ? new Date(Date.now() + expiryHours * 60 * 60 * 1000) : null;
+};
+
+/**
+ * $elemMatch conditions for transfers that still share the lead
+ */
+export const activeTransferMatch = () => ({
+  status: { $nin: INACTIVE_TRANSFER_STATUSES }
+});
+
+/**
+ * Whether a transfer still shares the lead
+ */
+export const isTransferActive = (transfer) => !INACTIVE_TRANSFER_STATUSES.includes(transfer.status);
+
+/**
+ * Whether a broker is a receiving broker of a transfer
+ * @param {Object} broker - BrokerDetail with _id
+ * @param {Set<String>} deliveredTransferIds - Broadcast transfers delivered to the broker
+ */
+export const isTransferRecipient = (transfer, broker, deliveredTransferIds = new Set()) => {
+  if (!broker || sameId(transfer.fromBroker, broker._id)) return false;
+  if (isBroadcastTransfer(transfer)) return deliveredTransferIds.has(String(transfer._id));
+  return sameId(transfer.toBroker, broker._id);
+};
+
+/**
+ * Queue the expiry jobs of a lead's pending transfers that have an expiresAt
+ */
+export const scheduleTransferExpiries = async (leadId, transfers) => {
+  for (const transfer of transfers) {
+    if (transfer.status === TRANSFER_STATUSES.PENDING && transfer.expiresAt) {
+      await createLeadTransferExpiryTask({ leadId, transferId: transfer._id, runAt: transfer.expiresAt });
+    }
+  }
+};
+
+const cancelTransferExpiry = (transferId) => {
+  return ScheduledTask.updateMany(
+    {
+      taskType: TASK_TYPES.LEAD_TRANSFER_EXPIRY,
+      "payload.transferId": new mongoose.Types.ObjectId(String(transferId)),
+      status: TASK_STATUSES.PENDING
+    },
+    { $set: { isActive: false } }
+  );
+};
+
+// Tell the fromBroker about a response; failures do not affect the response
+const notifyFromBroker = async (lead, transfer, action, actor = null) => {
+  try {
+    const fromBroker = await BrokerDetail.findById(transfer.fromBroker).select("userId").lean();
+    if (fromBroker?.userId) {
+      await createLeadNotification(fromBroker.userId, action, lead, actor);
+    }
+  } catch (error) {
+    console.error(`Error creating ${action} notification:`, error);
+  }
+};
+
+// The lead, transfer and responding broker, checking the broker may respond
+const loadTransferForRecipient = async (leadId, transferId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(leadId) || !mongoose.Types.ObjectId.isValid(transferId)) {
+    throw httpError("Invalid lead or transfer ID", 400);
+  }
+
+  const lead = await Lead.findById(leadId).lean();
+  if (!lead) {
+    throw httpError("Lead not found", 404);
+  }
+  const transfer = (lead.transfers || []).find((t) => sameId(t._id, transferId));
+  if (!transfer) {
+    throw httpError("Transfer not found", 404);
+  }
+
+  const broker = await BrokerDetail.findOne({ userId: user._id }).select("_id name region userId").lean();
+  const deliveredTransferIds = await getDeliveredTransferIds(lead._id, broker?._id);
+  if (!isTransferRecipient(transfer, broker, deliveredTransferIds)) {
+    throw httpError("Only a receiving broker can respond to this transfer", 403);
+  }
+  if (!isTransferActive(transfer)) {
+    throw httpError(`This transfer was already ${transfer.status === TRANSFER_STATUSES.EXPIRED ? "expired" : "declined"}`, 400);
+  }
+
+  return { lead, transfer, broker };
+};
+
+const actorOf = (user, broker) => ({ _id: user._id, name: broker?.name || user.name });
+
+/**
+ * Accept a pending transfer as its receiving broker
+ * @returns {Promise<Lead>} Updated lead
+ */
+export const acceptTransfer = async (leadId, transferId, user) => {
+  const { lead, transfer, broker } = await loadTransferForRecipient(leadId, transferId, user);
+  if (transfer.status === TRANSFER_STATUSES.ACCEPTED) {
+    throw httpError("This transfer was already accepted", 400);
+  }
+
+  const updated = await Lead.findOneAndUpdate(
+    { _id: lead._id, transfers: { $elemMatch: { _id: transfer._id, status: TRANSFER_STATUSES.PENDING } } },
+    {
+      $set: {
+        "transfers.$.status": TRANSFER_STATUSES.ACCEPTED,
+        "transfers.$.respondedBy": broker._id,
+        "transfers.$.respondedAt": new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError("This transfer is no longer pending", 409);
+  }
+
+  await cancelTransferExpiry(transfer._id);
+  notifyFromBroker(lead, transfer, "transferAccepted", actorOf(user, broker));
+
+  return updated;
+};
+
+/**
+ * Decline a transfer as its receiving broker. An individual transfer becomes
+ * declined; for a region/all broadcast the broker opts out of their delivery.
+ * @returns {Promise<Lead>} Updated lead
+ */
+export const declineTransfer = async (leadId, transferId, user, { reason } = {}) => {
+  const { lead, transfer, broker } = await loadTransferForRecipient(leadId, transferId, user);
+
+  let updated;
+  if (isBroadcastTransfer(transfer)) {
+    updated = (await optOutOfDelivery(transfer._id, broker._id)) ? await Lead.findById(lead._id) : null;
+  } else {
+    if (transfer.status !== TRANSFER_STATUSES.PENDING) {
+      throw httpError("Only pending transfers can be declined", 400);
+    }
+    updated = await Lead.findOneAndUpdate(
+      { _id: lead._id, transfers: { $elemMatch: { _id: transfer._id, status: TRANSFER_STATUSES.PENDING } } },
+      {
+        $set: {
+          "transfers.$.status": TRANSFER_STATUSES.DECLINED,
+          "transfers.$.respondedBy": broker._id,
+          "transfers.$.respondedAt": new Date(),
+          "transfers.$.declineReason": reason
+        }
+      },
+      { new: true }
+    );
+    if (updated) await cancelTransferExpiry(transfer._id);
+  }
+  if (!updated) {
+    throw httpError("This transfer is no longer pending", 409);
+  }
+
+  notifyFromBroker({ ...lead, declineReason: reason }, transfer, "transferDeclined", actorOf(user, broker));
+  scheduleLeadScoreRefresh(lead._id);
+
+  return updated;
+};
+
+/**
+ * Expire a transfer that is still pending (LEAD_TRANSFER_EXPIRY job handler)
+ * @returns {Promise<Boolean>} Whether the transfer expired
+ */
+export const expireTransfer = async ({ leadId, transferId } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(leadId) || !mongoose.Types.ObjectId.isValid(transferId)) {
+    throw new Error("Invalid leadId or transferId in task payload");
+  }
+
+  const lead = await Lead.findOneAndUpdate(
+    {
+      _id: leadId,
+      transfers: {
+        $elemMatch: { _id: transferId, status: TRANSFER_STATUSES.PENDING, expiresAt: { $lte: new Date() } }
+      }
+    },
+    { $set: { "transfers.$.status": TRANSFER_STATUSES.EXPIRED, "transfers.$.respondedAt": new Date() } },
+    { new: true }
+  ).lean();
+  // Answered, re-sent with a later expiry, or the lead is gone
+  if (!lead) return false;
+
+  const transfer = lead.transfers.find((t) => sameId(t._id, transferId));
+  await notifyFromBroker(lead, transfer, "transferExpired");
+  scheduleLeadScoreRefresh(lead._id);
+
+  return true;
+};
+
+/**
+ * Pending transfers waiting for the current broker's response, newest first
+ * @returns {Promise<Array<{ lead: Object, transfers: Array }>>}
+ */
+export const listIncomingTransfers = async (user) => {
+  const broker = await BrokerDetail.findOne({ userId: user._id }).select("_id").lean();
+  if (!broker) {
+    throw httpError("Broker profile not found", 404);
+  }
+
+  const deliveries = await LeadDelivery.find({ broker: broker._id, optedOutAt: null }).select("transferId").lean();
+  const deliveredTransferIds = new Set(deliveries.map((d) => String(d.transferId)));
+
+  const leads = await Lead.find({
+    transfers: {
+      $elemMatch: {
+        status: TRANSFER_STATUSES.PENDING,
+        fromBroker: { $ne: broker._id },
+        $or: [
+          { _id: { $in: deliveries.map((d) => d.transferId) } },
+          { shareType: { $nin: ["region", "all"] }, toBroker: broker._id }
+        ]
+      }
+    }
+  })
+    .select("customerName requirement propertyType budget primaryRegion secondaryRegion status score createdBy createdAt transfers")
+    .populate("primaryRegion", "name city")
+    .populate("transfers.fromBroker", "name firmName brokerImage")
+    .sort({ updatedAt: -1 })
+    .lean();
+
+  return leads.map(({ transfers, ...lead }) => ({
+    lead,
+    transfers: transfers.filter(
+      (t) => t.status === TRANSFER_STATUSES.PENDING && isTransferRecipient(t, broker, deliveredTransferIds)
+    )
+  }));
+};
@@ -0,0 +1,216 @@
+import crypto from "crypto";
+import Otp, { OTP_STATUSES } from "../models/Otp.js";
+import { SMS_STATUSES } from "../models/SmsMessage.js";
+import { generateOTP } from "../utils/jwt.js";
+import { sendSms } from "./sms.service.js";
+import { httpError } from "../utils/response.js";
+
+const toNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Read lazily so values loaded by dotenv after module import are honoured
+const getOtpConfig = () => ({
+  expiryMinutes: toNumber(process.env.OTP_EXPIRY_MINUTES, 10),
+  resendCooldownSeconds: toNumber(process.env.OTP_RESEND_COOLDOWN_SECONDS, 60),
+  maxVerifyAttempts: toNumber(process.env.OTP_MAX_VERIFY_ATTEMPTS, 5),
+  lockoutMinutes: toNumber(process.env.OTP_LOCKOUT_MINUTES, 15),
+  retentionDays: toNumber(process.env.OTP_RETENTION_DAYS, 30)
+});
+
+const hashCode = (phone, code) => {
+  return crypto
+    .createHash("sha256")
+    .update(`${phone}:${code}`)
+    .digest("hex");
+};
+
+const codesMatch = (phone, code, codeHash) => {
+  const candidate = Buffer.from(hashCode(phone, String(code)), "hex");
+  const stored = Buffer.from(codeHash, "hex");
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+};
+
+/**
+ * Throw if the phone is currently locked out after too many wrong codes
+ */
+const assertNotLocked = async (phone) => {
+  const now = new Date();
+  const locked = await Otp.findOne({
+    phone,
+    status: OTP_STATUSES.LOCKED,
+    lockedUntil: { $gt: now }
+  })
+    .sort({ lockedUntil: -1 })
+    .lean();
+
+  if (locked) {
+    const retryAfter = Math.ceil((locked.lockedUntil - now) / 1000);
+    throw httpError(
+      `Too many invalid attempts. Please try again after ${Math.ceil(retryAfter / 60)} minute(s).`,
+      429,
+      { retryAfter }
+    );
+  }
+};
+
+/**
+ * Throw if an OTP was issued to this phone within the resend cooldown
+ */
+const assertCooldownElapsed = async (phone, cooldownSeconds) => {
+  if (!cooldownSeconds) return;
+
+  const now = new Date();
+  // Codes that never reached the phone don't count towards the cooldown
+  const last = await Otp.findOne({ phone, status: { $ne: OTP_STATUSES.UNDELIVERED } }).sort({ createdAt: -1 }).select("createdAt").lean();
+  if (!last) return;
+
+  const elapsed = (now - last.createdAt) / 1000;
+  if (elapsed < cooldownSeconds) {
+    const retryAfter = Math.ceil(cooldownSeconds - elapsed);
+    throw httpError(
+      `Please wait ${retryAfter} second(s) before requesting a new OTP.`,
+      429,
+      { retryAfter }
+    );
+  }
+};
+
+/**
+ * Get the latest pending (unexpired) OTP for a phone, if any
+ */
+export const getPendingOtp = async (phone) => {
+  return Otp.findOne({
+    phone,
+    status: OTP_STATUSES.PENDING,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * Issue a new OTP for a phone and deliver it by SMS. Any previous pending code is superseded.
+ * @returns {Promise<{ otp: String, record: Object }>} Plain code (for delivery only) and the stored record
+ */
+export const issueOtp = async ({
+  phone,
+  purpose,
+  role,
+  platform,
+  userId = null,
+  requestIp
+}) => {
+  const config = getOtpConfig();
+
+  await assertNotLocked(phone);
+  await assertCooldownElapsed(phone, config.resendCooldownSeconds);
+
+  await Otp.updateMany(
+    { phone, status: OTP_STATUSES.PENDING },
+    { $set: { status: OTP_STATUSES.SUPERSEDED } }
+  );
+
+  const otp = generateOTP();
+  const now = Date.now();
+
+  const record = await Otp.create({
+    phone,
+    codeHash: hashCode(phone, otp),
+    purpose,
+    role,
+    platform,
+    userId,
+    maxAttempts: config.maxVerifyAttempts,
+    expiresAt: new Date(now + config.expiryMinutes * 60 * 1000),
+    purgeAt: new Date(now + config.retentionDays * 24 * 60 * 60 * 1000),
+    requestIp
+  });
+
+  const sms = await sendSms({
+    to: phone,
+    template: "otp",
+    variables: { otp, minutes: config.expiryMinutes },
+    purpose: "otp",
+    userId
+  });
+
+  record.smsMessageId = sms?._id || null;
+  if (!sms || sms.status === SMS_STATUSES.FAILED) {
+    record.status = OTP_STATUSES.UNDELIVERED;
+    await record.save();
+    throw httpError("Unable to send OTP right now. Please try again.", 502);
+  }
+  await record.save();
+
+  return { otp, record };
+};
+
+/**
+ * Verify and consume the pending OTP for a phone.
+ * A code listed in acceptCodes is accepted in place of the issued one.
+ * @returns {Promise<Object>} The consumed OTP record (purpose, role, platform, userId)
+ */
+export const verifyOtp = async ({ phone, otp, acceptCodes = [] }) => {
+  const config = getOtpConfig();
+
+  await assertNotLocked(phone);
+
+  const record = await Otp.findOne({ phone, status: OTP_STATUSES.PENDING })
+    .sort({ createdAt: -1 });
+
+  if (!record) {
+    throw httpError("OTP not found or expired", 400);
+  }
+
+  if (record.expiresAt < new Date()) {
+    record.status = OTP_STATUSES.EXPIRED;
+    await record.save();
+    throw httpError("OTP expired", 400);
+  }
+
+  if (!acceptCodes.includes(otp) && !codesMatch(phone, otp, record.codeHash)) {
+    // Increment atomically so parallel guesses are all counted
+    const updated = await Otp.findOneAndUpdate(
+      { _id: record._id, status: OTP_STATUSES.PENDING },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    const attempts = updated?.attempts ?? record.maxAttempts;
+    if (attempts >= record.maxAttempts) {
+      await Otp.updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            status: OTP_STATUSES.LOCKED,
+            lockedUntil: new Date(Date.now() + config.lockoutMinutes * 60 * 1000)
+          }
+        }
+      );
+      throw httpError(
+        `Too many invalid attempts. Please try again after ${config.lockoutMinutes} minute(s).`,
+        429,
+        { retryAfter: config.lockoutMinutes * 60 }
+      );
+    }
+
+    throw httpError("Invalid OTP", 400, {
+      attemptsRemaining: record.maxAttempts - attempts
+    });
+  }
+
+  // Only one request may consume a given code
+  const consumed = await Otp.findOneAndUpdate(
+    { _id: record._id, status: OTP_STATUSES.PENDING },
+    { $set: { status: OTP_STATUSES.CONSUMED, consumedAt: new Date() } },
+    { new: true }
+  ).lean();
+
+  if (!consumed) {
+    throw httpError("OTP not found or expired", 400);
+  }
+
+  return consumed;
+};
@@ -0,0 +1,242 @@
+import mongoose from "mongoose";
+import Property from "../models/Property.js";
+import BrokerDetail from "../models/BrokerDetail.js";
+import {
+  PROPERTY_STATUSES,
+  CLOSED_PROPERTY_STATUSES,
+  canChangePropertyStatus,
+  isModerationChange,
+  getLifecycleConfig,
+  getListingExpiry
+} from "../config/propertyLifecycle.js";
+import { scheduleMatchNotifications } from "./propertyMatching.service.js";
+import { createPropertyNotification, getUserIdFromBrokerOrProperty } from "../utils/notifications.js";
+import { httpError } from "../utils/response.js";
+
+/**
+ * Listing lifecycle of properties (config/propertyLifecycle.js).
+ *
+ * Status changes are checked against the allowed transitions. Active listings
+ * expire at expiresAt: the PROPERTY_EXPIRY_SWEEP job reminds the broker ahead
+ * of it and marks the listing Expired once it passes. Brokers renew their
+ * listings and close them as Sold or Rented with the final price and date,
+ * which feed the market statistics.
+ */
+
+const { ACTIVE, EXPIRED, PENDING_APPROVAL } = PROPERTY_STATUSES;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const populateProperty = (id) => {
+  return Property.findById(id)
+    .populate("broker", "name email phone firmName licenseNumber status brokerImage")
+    .populate("region", "name description city state centerLocation radius")
+    .lean();
+};
+
+const notifyBroker = async (property, action) => {
+  const userId = await getUserIdFromBrokerOrProperty(property.broker?._id || property.broker, null);
+  if (userId) {
+    await createPropertyNotification(userId, action, property);
+  }
+};
+
+/**
+ * Check a status change made through the property update
+ * (moderation, resubmission, closing and expiry have their own endpoints or the sweep)
+ */
+export const assertPropertyStatusChange = (property, toStatus) => {
+  const fromStatus = property.status;
+  if (!toStatus || toStatus === fromStatus) return;
+
+  if (!canChangePropertyStatus(fromStatus, toStatus)) {
+    throw httpError(`Cannot change property status from ${fromStatus} to ${toStatus}`, 409);
+  }
+  if (toStatus === EXPIRED) {
+    throw httpError("Listings expire automatically at their expiry date", 400);
+  }
+  if (CLOSED_PROPERTY_STATUSES.includes(toStatus)) {
+    throw httpError(`Use PATCH /api/properties/:id/close to mark the property as ${toStatus}`, 400);
+  }
+  if (isModerationChange(fromStatus, toStatus)) {
+    throw httpError("Use the moderation endpoints (/api/admin/moderation/properties) to approve, reject or request changes", 400);
+  }
+  if (toStatus === PENDING_APPROVAL) {
+    throw httpError("Use PATCH /api/properties/:id/resubmit to send the property back for approval", 400);
+  }
+};
+
+/**
+ * The property, when the user is an admin or the broker who owns it
+ */
+export const resolveOwnedProperty = async (propertyId, user) => {
+  if (!mongoose.isValidObjectId(propertyId)) {
+    throw httpError("Invalid property id", 400);
+  }
+
+  const property = await Property.findById(propertyId);
+  if (!property) {
+    throw httpError("Property not found", 404);
+  }
+
+  if (user?.role !== "admin") {
+    const broker = user?.role === "broker"
+      ? await BrokerDetail.findOne({ userId: user._id }).select("_id").lean()
+      : null;
+    if (!broker || String(property.broker) !== String(broker._id)) {
+      throw httpError("You don't have permission to manage this property", 403);
+    }
+  }
+
+  return property;
+};
+
+/**
+ * Renew an Active or Expired listing for `days` (default PROPERTY_LISTING_DAYS).
+ * An Active listing is extended from its current expiry, an Expired one goes
+ * Active again from now.
+ */
+export const renewProperty = async (propertyId, user, { days } = {}) => {
+  const property = await resolveOwnedProperty(propertyId, user);
+  if (![ACTIVE, EXPIRED].includes(property.status)) {
+    throw httpError(`A ${property.status} property cannot be renewed`, 409);
+  }
+
+  const now = new Date();
+  const wasExpired = property.status === EXPIRED;
+  const from = !wasExpired && property.expiresAt > now ? property.expiresAt : now;
+
+  property.status = ACTIVE;
+  property.expiresAt = getListingExpiry(from, days || getLifecycleConfig().listingDays);
+  property.expiryRemindersSent = [];
+  property.renewedAt = now;
+  property.renewalCount = (property.renewalCount || 0) + 1;
+  await property.save();
+
+  // Back on the market: look for lead matches again
+  if (wasExpired) {
+    scheduleMatchNotifications({ propertyId: property._id });
+  }
+
+  return populateProperty(property._id);
+};
+
+/**
+ * Mark a listing as Sold or Rented with its final price and date
+ */
+export const closeProperty = async (propertyId, user, { status, price, date } = {}) => {
+  const property = await resolveOwnedProperty(propertyId, user);
+  if (!CLOSED_PROPERTY_STATUSES.includes(status)) {
+    throw httpError(`Status must be one of ${CLOSED_PROPERTY_STATUSES.join(", ")}`, 400);
+  }
+  if (!canChangePropertyStatus(property.status, status)) {
+    throw httpError(`Cannot change property status from ${property.status} to ${status}`, 409);
+  }
+
+  property.status = status;
+  property.closedPrice = price;
+  property.closedAt = date ? new Date(date) : new Date();
+  await property.save();
+
+  return populateProperty(property._id);
+};
+
+/**
+ * Remind brokers of listings about to expire and expire the listings whose
+ * expiresAt has passed (PROPERTY_EXPIRY_SWEEP job)
+ * @returns {Promise<{ reminded: Number, expired: Number }>}
+ */
+export const runPropertyExpirySweep = async (now = new Date()) => {
+  const { listingDays, reminderDays } = getLifecycleConfig();
+
+  // Listings that went Active before listings expired
+  await Property.updateMany(
+    { status: ACTIVE, expiresAt: null },
+    { $set: { expiresAt: getListingExpiry(now, listingDays), expiryRemindersSent: [] } }
+  );
+
+  let reminded = 0;
+  const maxReminderDays = Math.max(0, ...reminderDays);
+  if (maxReminderDays > 0) {
+    const expiring = await Property.find({
+      status: ACTIVE,
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + maxReminderDays * DAY_MS) }
+    }).lean();
+
+    for (const property of expiring) {
+      const daysLeft = (property.expiresAt - now) / DAY_MS;
+      const due = reminderDays.filter((days) => days >= daysLeft && !(property.expiryRemindersSent || []).includes(days));
+      if (!due.length) continue;
+
+      // One reminder covers every threshold already passed; the update claims them
+      const claimed = await Property.updateOne(
+        { _id: property._id, status: ACTIVE, expiresAt: property.expiresAt, expiryRemindersSent: { $nin: due } },
+        { $addToSet: { expiryRemindersSent: { $each: due } } }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      await notifyBroker({ ...property, daysLeft: Math.ceil(daysLeft) }, "expiring");
+      reminded += 1;
+    }
+  }
+
+  let expired = 0;
+  const due = await Property.find({ status: ACTIVE, expiresAt: { $lte: now } }).select("_id").lean();
+  for (const { _id } of due) {
+    // Renewed since the query: left alone
+    const property = await Property.findOneAndUpdate(
+      { _id, status: ACTIVE, expiresAt: { $lte: now } },
+      { $set: { status: EXPIRED, statusChangedAt: now } },
+      { new: true }
+    ).lean();
+    if (!property) continue;
+
+    await notifyBroker(property, "expired");
+    expired += 1;
+  }
+
+  return { reminded, expired };
+};
+
+/**
+ * Final prices of Sold and Rented listings by status, property type and city
+ * @param {Object} filters - city, region, propertyType, from/to (closing date)
+ */
+export const getPropertyMarketStats = async ({ city, region, propertyType, from, to } = {}) => {
+  const match = {
+    status: { $in: CLOSED_PROPERTY_STATUSES },
+    closedPrice: { $ne: null }
+  };
+  if (city) match.city = city;
+  if (region) match.region = new mongoose.Types.ObjectId(String(region));
+  if (propertyType) match.propertyType = propertyType;
+  if (from || to) {
+    match.closedAt = {};
+    if (from) match.closedAt.$gte = new Date(from);
+    if (to) match.closedAt.$lte = new Date(to);
+  }
+
+  const groups = await Property.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { status: "$status", propertyType: "$propertyType", city: "$city" },
+        count: { $sum: 1 },
+        averagePrice: { $avg: "$closedPrice" },
+        minPrice: { $min: "$closedPrice" },
+        maxPrice: { $max: "$closedPrice" },
+        averageDaysOnMarket: { $avg: { $divide: [{ $subtract: ["$closedAt", "$createdAt"] }, DAY_MS] } }
+      }
+    },
+    { $sort: { "_id.status": 1, "_id.propertyType": 1, "_id.city": 1 } }
+  ]);
+
+  return groups.map(({ _id, count, averagePrice, minPrice, maxPrice, averageDaysOnMarket }) => ({
+    ..._id,
+    count,
+    averagePrice: Math.round(averagePrice),
+    minPrice,
+    maxPrice,
+    averageDaysOnMarket: averageDaysOnMarket === null ? null : Math.round(averageDaysOnMarket)
+  }));
+};
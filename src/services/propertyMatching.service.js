@@ -0,0 +1,313 @@
+import mongoose from "mongoose";
+import Lead from "../models/Lead.js";
+import Property from "../models/Property.js";
+import LeadPropertyMatch from "../models/LeadPropertyMatch.js";
+import BrokerDetail from "../models/BrokerDetail.js";
+import { TASK_TYPES } from "../models/ScheduledTask.js";
+import { WON_STATUSES, LOST_STATUSES } from "../config/leadPipeline.js";
+import { enqueueJob } from "./jobQueue.service.js";
+import { buildLeadAccessFilter } from "./leadNote.service.js";
+import { createNotification, getUserIdFromBrokerOrProperty } from "../utils/notifications.js";
+import { httpError } from "../utils/response.js";
+
+/**
+ * Matching of leads with Active properties of the same property type in one of
+ * the lead's regions, priced within the lead's budget plus
+ * PROPERTY_MATCH_BUDGET_TOLERANCE (default 0.2, i.e. 20% over budget).
+ *
+ * Match score (0-100):
+ *  - region (40): the lead's primary region, 25 for its secondary region
+ *  - budget (40): price close to the budget; leads without a budget earn half
+ *  - bedrooms (10): "2 BHK" style requirement compared with the property's bedrooms
+ *  - relation (10): the property belongs or was transferred to the lead's broker
+ *
+ * New matches scoring at least PROPERTY_MATCH_NOTIFY_MIN_SCORE (default 60) are
+ * notified once to the lead's broker (LeadPropertyMatch remembers them).
+ */
+
+export const MATCH_FACTORS = Object.freeze({
+  region: 40,
+  budget: 40,
+  bedrooms: 10,
+  relation: 10
+});
+
+const getMatchConfig = () => ({
+  budgetTolerance: parseFloat(process.env.PROPERTY_MATCH_BUDGET_TOLERANCE) || 0.2,
+  notifyMinScore: parseInt(process.env.PROPERTY_MATCH_NOTIFY_MIN_SCORE) || 60
+});
+
+// Candidates considered before ranking
+const CANDIDATE_LIMIT = 500;
+
+const idOf = (value) => String(value?._id || value || "");
+
+/**
+ * How a property relates to a broker: "own", "transferred" or "listed"
+ */
+export const propertyRelation = (property, brokerId) => {
+  if (!brokerId) return "listed";
+  if (idOf(property.broker) === String(brokerId)) return "own";
+  if ((property.transfers || []).some((b) => idOf(b) === String(brokerId))) return "transferred";
+  return "listed";
+};
+
+const parseBedrooms = (requirement) => {
+  const match = String(requirement || "").match(/(\d+)\s*-?\s*bhk/i);
+  return match ? parseInt(match[1]) : null;
+};
+
+const scoreBudget = (budget, price) => {
+  if (!budget || budget <= 0) return MATCH_FACTORS.budget / 2;
+  if (!price || price <= 0) return 0;
+
+  const ratio = price / budget;
+  if (ratio <= 1) {
+    // Within 70% of the budget is a full match; much cheaper listings earn less
+    return MATCH_FACTORS.budget * Math.max(0.5, Math.min(1, ratio / 0.7));
+  }
+  // Over budget: at most 75% of the points, down to none at the tolerance
+  const over = (ratio - 1) / getMatchConfig().budgetTolerance;
+  return MATCH_FACTORS.budget * 0.75 * Math.max(0, 1 - over);
+};
+
+const scoreBedrooms = (requirement, bedrooms) => {
+  const wanted = parseBedrooms(requirement);
+  if (wanted == null || bedrooms == null) return MATCH_FACTORS.bedrooms / 2;
+  const diff = Math.abs(wanted - bedrooms);
+  if (diff === 0) return MATCH_FACTORS.bedrooms;
+  return diff === 1 ? MATCH_FACTORS.bedrooms / 2 : 0;
+};
+
+/**
+ * Score a lead/property pair
+ * @param {String} relation - propertyRelation() of the property to the lead's broker
+ * @returns {{ score: Number, breakdown: Object }}
+ */
+export const scoreMatch = (lead, property, relation = "listed") => {
+  const region = idOf(property.region);
+  const breakdown = {
+    region:
+      region === idOf(lead.primaryRegion)
+        ? MATCH_FACTORS.region
+        : region && region === idOf(lead.secondaryRegion)
+          ? 25
+          : 0,
+    budget: scoreBudget(lead.budget, property.price),
+    bedrooms: scoreBedrooms(lead.requirement, property.bedrooms),
+    relation: relation === "listed" ? 0 : MATCH_FACTORS.relation
+  };
+
+  Object.keys(breakdown).forEach((key) => {
+    breakdown[key] = Math.round(breakdown[key] * 10) / 10;
+  });
+  const score = Math.round(Object.values(breakdown).reduce((sum, points) => sum + points, 0));
+
+  return { score, breakdown };
+};
+
+const byScore = (a, b) => b.score - a.score;
+
+/**
+ * Active properties matching a lead, best first
+ * @param {Object} lead
+ * @param {Object} options
+ * @param {String} options.brokerId - Broker whose own/transferred properties rank higher (default: lead owner)
+ * @returns {Promise<Array<{ property: Object, score: Number, breakdown: Object, relation: String }>>}
+ */
+export const findPropertyMatchesForLead = async (lead, { brokerId = lead.createdBy, limit = 20 } = {}) => {
+  const regions = [lead.primaryRegion, lead.secondaryRegion].filter(Boolean).map(idOf);
+  const filter = {
+    status: "Active",
+    propertyType: lead.propertyType,
+    region: { $in: regions }
+  };
+  if (lead.budget > 0) {
+    filter.price = { $lte: lead.budget * (1 + getMatchConfig().budgetTolerance) };
+  }
+
+  const properties = await Property.find(filter)
+    .select("title propertyType subType price priceUnit address city region bedrooms images broker transfers status createdAt")
+    .populate("region", "name city")
+    .populate("broker", "name firmName brokerImage")
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  return properties
+    .map((property) => {
+      const relation = propertyRelation(property, brokerId);
+      const { transfers, ...rest } = property;
+      return { property: rest, relation, ...scoreMatch(lead, property, relation) };
+    })
+    .sort(byScore)
+    .slice(0, limit);
+};
+
+/**
+ * Open leads matching a property, best first
+ * @param {Object} property
+ * @param {Object} options
+ * @param {Object} options.broker - Only leads this broker can see (omit for all leads)
+ * @returns {Promise<Array<{ lead: Object, score: Number, breakdown: Object, relation: String }>>}
+ */
+export const findLeadMatchesForProperty = async (property, { broker = null, limit = 20 } = {}) => {
+  const region = idOf(property.region);
+  const conditions = [
+    { $or: [{ primaryRegion: region }, { secondaryRegion: region }] },
+    {
+      $or: [
+        { budget: null },
+        { budget: { $lte: 0 } },
+        { budget: { $gte: (property.price || 0) / (1 + getMatchConfig().budgetTolerance) } }
+      ]
+    }
+  ];
+  if (broker) conditions.push(await buildLeadAccessFilter(broker));
+
+  const leads = await Lead.find({
+    propertyType: property.propertyType,
+    status: { $nin: [...WON_STATUSES, ...LOST_STATUSES] },
+    $and: conditions
+  })
+    .select("customerName requirement propertyType budget primaryRegion secondaryRegion status score createdBy createdAt")
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  return leads
+    .map((lead) => {
+      const relation = propertyRelation(property, lead.createdBy);
+      return { lead, relation, ...scoreMatch(lead, property, relation) };
+    })
+    .sort(byScore)
+    .slice(0, limit);
+};
+
+/**
+ * Leads matching a property for the acting user. Admin sees all matching leads;
+ * the property's broker (or a broker it was transferred to) only leads they can see.
+ * @returns {Promise<{ property: Object, matches: Array }>}
+ */
+export const findMatchingLeadsForUser = async (propertyId, user, { limit } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+    throw httpError("Invalid property ID", 400);
+  }
+
+  const property = await Property.findById(propertyId).lean();
+  if (!property) {
+    throw httpError("Property not found", 404);
+  }
+
+  let broker = null;
+  if (user?.role !== "admin") {
+    broker = await BrokerDetail.findOne({ userId: user._id }).select("_id region").lean();
+    if (!broker || propertyRelation(property, broker._id) === "listed") {
+      throw httpError("You do not have access to this property's matches", 403);
+    }
+  }
+
+  const matches = await findLeadMatchesForProperty(property, { broker, limit });
+  return { property, matches };
+};
+
+// Remember matches; only the pairs not seen before are returned
+const recordNewMatches = async (matches) => {
+  if (!matches.length) return [];
+
+  const result = await LeadPropertyMatch.bulkWrite(
+    matches.map(({ leadId, propertyId, score }) => ({
+      updateOne: {
+        filter: { lead: leadId, property: propertyId },
+        update: { $setOnInsert: { lead: leadId, property: propertyId, score } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+
+  const inserted = new Set(Object.keys(result.upsertedIds || {}).map(Number));
+  return matches.filter((_, index) => inserted.has(index));
+};
+
+const notifyBroker = async (brokerId, notification) => {
+  const userId = await getUserIdFromBrokerOrProperty(brokerId, null);
+  if (userId) {
+    await createNotification({ userId, type: "lead", priority: "medium", ...notification });
+  }
+};
+
+const notifyMatchesForProperty = async (propertyId) => {
+  const property = await Property.findById(propertyId).lean();
+  if (!property || property.status !== "Active") return;
+
+  const { notifyMinScore } = getMatchConfig();
+  const matches = (await findLeadMatchesForProperty(property, { limit: CANDIDATE_LIMIT }))
+    .filter((m) => m.score >= notifyMinScore);
+  const newMatches = await recordNewMatches(
+    matches.map((m) => ({ leadId: m.lead._id, propertyId: property._id, score: m.score, lead: m.lead }))
+  );
+
+  // One notification per lead owner; the property's own broker already knows it
+  const byBroker = new Map();
+  newMatches
+    .filter((m) => idOf(m.lead.createdBy) !== idOf(property.broker))
+    .forEach((m) => {
+      const key = idOf(m.lead.createdBy);
+      byBroker.set(key, [...(byBroker.get(key) || []), m.lead]);
+    });
+
+  for (const [brokerId, leads] of byBroker) {
+    const names = leads.slice(0, 3).map((l) => l.customerName).join(", ");
+    await notifyBroker(brokerId, {
+      title: "New property matches your leads",
+      message: `"${property.title}" matches ${leads.length} of your lead${leads.length === 1 ? "" : "s"} (${names}${leads.length > 3 ? ", ..." : ""})`,
+      relatedEntity: { entityType: "Property", entityId: property._id },
+      activity: { action: "matched" },
+      metadata: { propertyId: property._id, leadIds: leads.map((l) => l._id) }
+    });
+  }
+};
+
+const notifyMatchesForLead = async (leadId) => {
+  const lead = await Lead.findById(leadId).lean();
+  if (!lead || [...WON_STATUSES, ...LOST_STATUSES].includes(lead.status)) return;
+
+  const { notifyMinScore } = getMatchConfig();
+  const matches = (await findPropertyMatchesForLead(lead, { limit: CANDIDATE_LIMIT }))
+    .filter((m) => m.score >= notifyMinScore);
+  const newMatches = await recordNewMatches(
+    matches.map((m) => ({ leadId: lead._id, propertyId: m.property._id, score: m.score, relation: m.relation }))
+  );
+
+  const others = newMatches.filter((m) => m.relation !== "own");
+  if (!others.length) return;
+
+  await notifyBroker(lead.createdBy, {
+    title: "New properties match your lead",
+    message: `${others.length} propert${others.length === 1 ? "y matches" : "ies match"} the requirement of ${lead.customerName}`,
+    relatedEntity: { entityType: "Lead", entityId: lead._id },
+    activity: { action: "matched" },
+    metadata: { leadId: lead._id, propertyIds: others.map((m) => m.propertyId) }
+  });
+};
+
+/**
+ * Notify brokers of matches not notified before (LEAD_PROPERTY_MATCH job handler)
+ * @param {Object} payload - { leadId } for a new/changed lead or { propertyId } for a newly active property
+ */
+export const notifyNewMatches = async ({ leadId, propertyId } = {}) => {
+  if (leadId && mongoose.Types.ObjectId.isValid(leadId)) {
+    await notifyMatchesForLead(leadId);
+  }
+  if (propertyId && mongoose.Types.ObjectId.isValid(propertyId)) {
+    await notifyMatchesForProperty(propertyId);
+  }
+};
+
+// Fire-and-forget: queue a match notification job from a request handler
+export const scheduleMatchNotifications = (payload) => {
+  enqueueJob({ taskType: TASK_TYPES.LEAD_PROPERTY_MATCH, payload }).catch((error) => {
+    console.error("Error queueing match notifications:", error);
+  });
+};
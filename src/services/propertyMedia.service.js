@@ -0,0 +1,267 @@
+import fs from 'fs/promises';
+import path from 'path';
+import net from 'net';
+import dns from 'dns/promises';
+import axios from 'axios';
+import JSZip from 'jszip';
+import { imagesUploadDir } from '../middleware/upload.js';
+import { httpError } from '../utils/response.js';
+
+/**
+ * Property images named in import files (services/import.service.js).
+ *
+ * An entry of a row's images column is an image URL, which is downloaded, or
+ * the name of a file in the ZIP uploaded with the import. Either way the image
+ * is checked (JPEG, PNG, WebP or GIF by content, IMPORT_IMAGE_MAX_MB) and saved
+ * in uploads/images like the images of middleware/upload.js. An image that
+ * fails is reported and left out; it never rejects the row.
+ *
+ * Env:
+ *  - IMPORT_IMAGE_MAX_MB: largest accepted image (default 10)
+ *  - IMPORT_IMAGE_TIMEOUT_MS: download timeout per image (default 15000)
+ */
+
+const getMediaConfig = () => ({
+  maxImageBytes: (Number(process.env.IMPORT_IMAGE_MAX_MB) || 10) * 1024 * 1024,
+  downloadTimeoutMs: Number(process.env.IMPORT_IMAGE_TIMEOUT_MS) || 15000
+});
+
+// Most files read from one ZIP
+const MAX_ZIP_ENTRIES = 500;
+
+const IMAGE_SIGNATURES = [
+  { ext: '.jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { ext: '.png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { ext: '.gif', matches: (b) => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('ascii')) },
+  { ext: '.webp', matches: (b) => b.subarray(0, 4).toString('ascii') === 'RIFF' && b.subarray(8, 12).toString('ascii') === 'WEBP' }
+];
+
+/**
+ * Extension of an image by its content, or null when it is not a supported image
+ */
+export const detectImageExtension = (buffer) => {
+  return IMAGE_SIGNATURES.find((signature) => signature.matches(buffer))?.ext || null;
+};
+
+// Same naming as the multer disk storage: <name>-<timestamp>-<random><ext>
+const saveImage = async (buffer, originalName) => {
+  const { maxImageBytes } = getMediaConfig();
+  if (buffer.length > maxImageBytes) {
+    throw new Error(`Image is larger than ${maxImageBytes / 1024 / 1024}MB`);
+  }
+  const ext = detectImageExtension(buffer);
+  if (!ext) {
+    throw new Error('Not a JPEG, PNG, WebP or GIF image');
+  }
+
+  const name = path.basename(originalName, path.extname(originalName)).replace(/[^\w.-]+/g, '_').slice(0, 60) || 'image';
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const fileName = `${name}-${uniqueSuffix}${ext}`;
+  await fs.writeFile(path.join(imagesUploadDir, fileName), buffer);
+  return `/uploads/images/${fileName}`;
+};
+
+// Most redirects followed for one image
+const MAX_REDIRECTS = 3;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges are not
+// fetched. IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) match the IPv4 ranges.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return !!family && !blockedAddresses.check(address, family);
+};
+
+// Resolves a host for the download's connections and refuses it when any of
+// its addresses is not public; the connection uses the addresses checked here
+const lookupPublicAddress = async (hostname) => {
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (!addresses.length || addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw new Error(`${hostname} does not resolve to a public address`);
+  }
+  return addresses;
+};
+
+// Hosts given as an IP address are connected to without a lookup
+const checkImageUrl = (url) => {
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const isPublic = ['http:', 'https:'].includes(url.protocol) &&
+    !(host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) &&
+    (!net.isIP(host) || isPublicAddress(host));
+  if (!isPublic) {
+    throw new Error('Only public http(s) image URLs can be downloaded');
+  }
+};
+
+/**
+ * Download an image and save it in uploads/images. Every redirect is checked
+ * like the URL itself.
+ * @returns {Promise<String>} Its path (/uploads/images/...)
+ */
+export const downloadImage = async (url) => {
+  const { maxImageBytes, downloadTimeoutMs } = getMediaConfig();
+  let current = new URL(url);
+
+  for (let redirects = 0; ; redirects += 1) {
+    checkImageUrl(current);
+
+    let response;
+    try {
+      response = await axios.get(current.href, {
+        responseType: 'arraybuffer',
+        timeout: downloadTimeoutMs,
+        maxContentLength: maxImageBytes,
+        maxRedirects: 0,
+        lookup: lookupPublicAddress,
+        validateStatus: (status) => status >= 200 && status < 400
+      });
+    } catch (error) {
+      if (error.response) throw new Error(`Download failed with status ${error.response.status}`);
+      if (/maxContentLength/.test(error.message)) throw new Error(`Image is larger than ${maxImageBytes / 1024 / 1024}MB`);
+      throw new Error(`Download failed: ${error.message}`);
+    }
+
+    if (response.status < 300) {
+      return saveImage(Buffer.from(response.data), decodeURIComponent(path.posix.basename(current.pathname)));
+    }
+
+    const location = response.headers.location;
+    if (!location) {
+      throw new Error(`Download failed with status ${response.status}`);
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error('Download failed: too many redirects');
+    }
+    current = new URL(location, current);
+  }
+};
+
+// Read a ZIP entry, stopping once it is larger than an image may be
+const readZipEntry = (entry, maxBytes) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.nodeStream();
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.pause();
+        reject(new Error(`Image is larger than ${maxBytes / 1024 / 1024}MB`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+};
+
+/**
+ * Save the images of a ZIP uploaded with an import
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{ name: String, path?: String, error?: String }>>} One entry per file;
+ *   name is the file's path inside the ZIP
+ */
+export const extractZipImages = async (buffer) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw httpError('The images ZIP could not be read', 400);
+  }
+
+  // Folders and the metadata files some archivers add are skipped
+  const entries = Object.values(zip.files).filter((entry) => {
+    return !entry.dir && !entry.name.startsWith('__MACOSX/') && !path.posix.basename(entry.name).startsWith('.');
+  });
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw httpError(`The images ZIP holds more than ${MAX_ZIP_ENTRIES} files`, 400);
+  }
+
+  const { maxImageBytes } = getMediaConfig();
+  const files = [];
+  for (const entry of entries) {
+    try {
+      const data = await readZipEntry(entry, maxImageBytes);
+      files.push({ name: entry.name, path: await saveImage(data, path.posix.basename(entry.name)) });
+    } catch (error) {
+      files.push({ name: entry.name, error: error.message });
+    }
+  }
+  return files;
+};
+
+/**
+ * Lookup of extracted ZIP files by path and by file name (case-insensitive)
+ * @param {Array<{ name, path?, error? }>} files - From extractZipImages
+ */
+export const buildZipImageIndex = (files = []) => {
+  const index = new Map();
+  const byBaseName = new Map();
+  files.forEach((file) => {
+    const key = file.name.toLowerCase();
+    index.set(key, file);
+    const baseName = path.posix.basename(key);
+    byBaseName.set(baseName, [...(byBaseName.get(baseName) || []), file]);
+  });
+  // The bare file name finds a file in a folder unless two folders hold that name
+  byBaseName.forEach((matches, baseName) => {
+    if (index.has(baseName)) return;
+    index.set(baseName, matches.length === 1
+      ? matches[0]
+      : { name: baseName, error: 'Several files of the images ZIP have this name; use its folder too' });
+  });
+  return index;
+};
+
+const isUrl = (value) => /^[a-z][a-z\d+.-]*:\/\//i.test(value);
+
+/**
+ * Images of an import row, saved in uploads/images
+ * @param {Array<String>} entries - URLs and/or file names of the images ZIP
+ * @param {Object} media
+ * @param {String} media.baseUrl - Base URL of the uploads (getUploadsBaseUrl)
+ * @param {Map} [media.zipImages] - From buildZipImageIndex
+ * @param {Boolean} [media.downloadImages=true] - Download URLs (false keeps them as given)
+ * @returns {Promise<{ images: Array<String>, failures: Array<{ image: String, error: String }> }>}
+ */
+export const ingestRowImages = async (entries, { baseUrl, zipImages, downloadImages = true }) => {
+  const images = [];
+  const failures = [];
+
+  for (const entry of entries) {
+    try {
+      if (entry.startsWith('/uploads/') || entry.startsWith(`${baseUrl}/uploads/`)) {
+        // Already one of ours
+        images.push(entry.startsWith('/') ? `${baseUrl}${entry}` : entry);
+      } else if (isUrl(entry)) {
+        images.push(downloadImages ? `${baseUrl}${await downloadImage(entry)}` : entry);
+      } else {
+        if (!zipImages) {
+          throw new Error('Not a URL, and no images ZIP was uploaded');
+        }
+        const file = zipImages.get(entry.toLowerCase().replace(/^\.?\//, ''));
+        if (!file) {
+          throw new Error('Not found in the images ZIP');
+        }
+        if (file.error) {
+          throw new Error(file.error);
+        }
+        images.push(`${baseUrl}${file.path}`);
+      }
+    } catch (error) {
+      failures.push({ image: entry, error: error.message });
+    }
+  }
+
+  return { images, failures };
+};
@@ -0,0 +1,351 @@
+import mongoose from "mongoose";
+import Property from "../models/Property.js";
+import PropertyModeration, { MODERATION_ACTIONS, MODERATION_REASON_CODES } from "../models/PropertyModeration.js";
+import User from "../models/User.js";
+import {
+  PROPERTY_STATUSES,
+  MODERATION_QUEUE_STATUSES,
+  canChangePropertyStatus
+} from "../config/propertyLifecycle.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+import { resolveOwnedProperty } from "./propertyLifecycle.service.js";
+import { scheduleMatchNotifications } from "./propertyMatching.service.js";
+import {
+  createNotification,
+  createPropertyNotification,
+  getUserIdFromBrokerOrProperty
+} from "../utils/notifications.js";
+import { httpError } from "../utils/response.js";
+
+/**
+ * Moderation of property listings.
+ *
+ * Listings pending approval form the moderation queue, oldest submission
+ * first. A moderator claims a listing or an admin assigns it to a moderator;
+ * a listing assigned to someone is decided by that moderator only. The
+ * decision approves the listing, rejects it or sends it back to the broker
+ * for changes, with reason codes (MODERATION_REASON_CODES) and a comment.
+ * The broker edits a listing sent back (or rejected) and resubmits it.
+ *
+ * Every step is recorded in PropertyModeration; the broker's notification of
+ * a decision carries the id of its history entry.
+ */
+
+const { PENDING_APPROVAL, ACTIVE, REJECTED, CHANGES_REQUESTED } = PROPERTY_STATUSES;
+
+const sameId = (a, b) => String(a?._id || a) === String(b?._id || b);
+
+const actorName = (user) => user?.name || (user?.role === "admin" ? "Admin" : undefined);
+
+const populateProperty = (id) => {
+  return Property.findById(id)
+    .populate("broker", "name email phone firmName licenseNumber status brokerImage")
+    .populate("region", "name description city state centerLocation radius")
+    .populate("moderation.assignedTo", "name email")
+    .lean();
+};
+
+const loadProperty = async (propertyId) => {
+  if (!mongoose.isValidObjectId(propertyId)) {
+    throw httpError("Invalid property id", 400);
+  }
+  const property = await Property.findById(propertyId);
+  if (!property) {
+    throw httpError("Property not found", 404);
+  }
+  return property;
+};
+
+const recordModeration = ({ property, action, fromStatus = null, toStatus = null, reasonCodes = [], comment, actor = null, assignedTo = null }) => {
+  return PropertyModeration.create({
+    propertyId: property._id,
+    action,
+    fromStatus,
+    toStatus,
+    reasonCodes,
+    comment: comment || undefined,
+    actor: actor?._id || null,
+    actorName: actorName(actor),
+    assignedTo
+  });
+};
+
+/**
+ * Readable reasons of a decision: the labels of its codes plus the comment
+ */
+export const describeModerationReasons = (reasonCodes = [], comment) => {
+  const labels = reasonCodes
+    .filter((code) => !(code === "OTHER" && comment))
+    .map((code) => MODERATION_REASON_CODES[code] || code);
+  return [...labels, comment].filter(Boolean).join("; ");
+};
+
+const checkReasons = (reasonCodes, comment) => {
+  const unknown = reasonCodes.filter((code) => !MODERATION_REASON_CODES[code]);
+  if (unknown.length) {
+    throw httpError(`Unknown reason codes: ${unknown.join(", ")}`, 400);
+  }
+  if (reasonCodes.includes("OTHER") && !comment) {
+    throw httpError("A comment is required with reason code OTHER", 400);
+  }
+};
+
+/**
+ * Record the submission of a listing waiting for approval: a new listing, or
+ * an edited one that needs re-approval (fromStatus)
+ */
+export const recordPropertySubmission = (property, user = null, { fromStatus = null, comment } = {}) => {
+  return recordModeration({
+    property,
+    action: MODERATION_ACTIONS.SUBMITTED,
+    fromStatus,
+    toStatus: property.status,
+    comment,
+    actor: user
+  });
+};
+
+/**
+ * Listings of the moderation queue, oldest submission first
+ * @param {Object} user - The moderator ("me" in assignedTo)
+ * @param {Object} filters
+ * @param {String} [filters.status] - Pending Approval (default) or Changes Requested
+ * @param {String} [filters.assignedTo] - "me", "unassigned" or a moderator's user id
+ */
+export const listModerationQueue = async (user, { status = PENDING_APPROVAL, assignedTo, page = 1, limit = 20 } = {}) => {
+  if (!MODERATION_QUEUE_STATUSES.includes(status)) {
+    throw httpError(`Status must be one of ${MODERATION_QUEUE_STATUSES.join(", ")}`, 400);
+  }
+
+  const filter = { status };
+  if (assignedTo === "me") {
+    filter["moderation.assignedTo"] = user._id;
+  } else if (assignedTo === "unassigned") {
+    filter["moderation.assignedTo"] = null;
+  } else if (assignedTo) {
+    if (!mongoose.isValidObjectId(assignedTo)) {
+      throw httpError("Invalid assignedTo", 400);
+    }
+    filter["moderation.assignedTo"] = new mongoose.Types.ObjectId(String(assignedTo));
+  }
+
+  const skip = (page - 1) * limit;
+  const [properties, total, counts] = await Promise.all([
+    Property.find(filter)
+      .select("title propertyType subType price priceUnit address city region images broker status moderation createdAt updatedAt")
+      .populate("broker", "name firmName phone brokerImage")
+      .populate("region", "name city")
+      .populate("moderation.assignedTo", "name email")
+      .sort({ "moderation.submittedAt": 1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Property.countDocuments(filter),
+    Property.aggregate([
+      { $match: { status: { $in: MODERATION_QUEUE_STATUSES } } },
+      { $group: { _id: "$status", count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const statusCounts = Object.fromEntries(MODERATION_QUEUE_STATUSES.map((s) => [s, 0]));
+  counts.forEach((c) => {
+    statusCounts[c._id] = c.count;
+  });
+
+  return { properties, total, page, limit, totalPages: Math.ceil(total / limit), statusCounts };
+};
+
+/**
+ * Take a listing pending approval for review
+ */
+export const claimProperty = async (propertyId, user) => {
+  const property = await loadProperty(propertyId);
+  if (property.status !== PENDING_APPROVAL) {
+    throw httpError(`A ${property.status} property cannot be claimed`, 409);
+  }
+  if (sameId(property.moderation?.assignedTo, user._id)) {
+    return populateProperty(property._id);
+  }
+
+  const claimed = await Property.findOneAndUpdate(
+    { _id: property._id, status: PENDING_APPROVAL, "moderation.assignedTo": null },
+    { $set: { "moderation.assignedTo": user._id, "moderation.assignedAt": new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw httpError("This property is already claimed by another moderator", 409);
+  }
+
+  await recordModeration({ property, action: MODERATION_ACTIONS.CLAIMED, actor: user, assignedTo: user._id });
+  return populateProperty(property._id);
+};
+
+/**
+ * Assign a listing of the queue to a moderator, or unassign it (assignedTo null)
+ */
+export const assignProperty = async (propertyId, user, { assignedTo }) => {
+  const property = await loadProperty(propertyId);
+  if (!MODERATION_QUEUE_STATUSES.includes(property.status)) {
+    throw httpError(`A ${property.status} property is not in the moderation queue`, 409);
+  }
+
+  let moderator = null;
+  if (assignedTo) {
+    moderator = await User.findById(assignedTo).select("name email role").lean();
+    if (!moderator || !hasPermission(moderator.role, PERMISSIONS.PROPERTY_MODERATE)) {
+      throw httpError("Moderator not found", 404);
+    }
+  }
+
+  property.set("moderation.assignedTo", moderator?._id || null);
+  property.set("moderation.assignedAt", moderator ? new Date() : undefined);
+  await property.save();
+
+  await recordModeration({
+    property,
+    action: moderator ? MODERATION_ACTIONS.ASSIGNED : MODERATION_ACTIONS.UNASSIGNED,
+    actor: user,
+    assignedTo: moderator?._id || null
+  });
+
+  if (moderator && !sameId(moderator._id, user._id)) {
+    createNotification({
+      userId: moderator._id,
+      type: "approval",
+      title: `Property Assigned for Review: ${property.title}`,
+      message: `${actorName(user) || "An admin"} assigned you the property listing "${property.title}" for review.`,
+      relatedEntity: { entityType: "Property", entityId: property._id },
+      activity: { action: MODERATION_ACTIONS.ASSIGNED, actorId: user._id, actorName: actorName(user) },
+      metadata: { propertyId: property._id, title: property.title, status: property.status }
+    }).catch((error) => {
+      console.error("Error creating moderation assignment notification:", error);
+    });
+  }
+
+  return populateProperty(property._id);
+};
+
+const decideProperty = async (propertyId, user, { toStatus, action, reasonCodes = [], comment }) => {
+  const property = await loadProperty(propertyId);
+  const fromStatus = property.status;
+
+  // Rejecting a rejected listing again only records the new reasons
+  if (!(fromStatus === REJECTED && toStatus === REJECTED) && !canChangePropertyStatus(fromStatus, toStatus)) {
+    throw httpError(`A ${fromStatus} property cannot be ${action === MODERATION_ACTIONS.CHANGES_REQUESTED ? "sent back for changes" : action}`, 409);
+  }
+  const assignee = property.moderation?.assignedTo;
+  if (assignee && !sameId(assignee, user._id)) {
+    throw httpError("This property is claimed by another moderator", 409);
+  }
+  checkReasons(reasonCodes, comment);
+
+  const reason = describeModerationReasons(reasonCodes, comment);
+  property.status = toStatus;
+  property.set("moderation.reviewedAt", new Date());
+  property.set("moderation.reasonCodes", reasonCodes);
+  property.set("moderation.comment", comment || undefined);
+  if (toStatus === REJECTED && reason) {
+    const stamp = new Date().toISOString();
+    property.notes = (property.notes ? `${property.notes}\n` : "") + `Rejected: ${reason} (${stamp})`;
+  }
+  await property.save();
+
+  const entry = await recordModeration({ property, action, fromStatus, toStatus, reasonCodes, comment, actor: user });
+  const populated = await populateProperty(property._id);
+
+  // The broker hears of the decision in the background
+  getUserIdFromBrokerOrProperty(populated.broker?._id || populated.broker, null)
+    .then((brokerUserId) => {
+      if (!brokerUserId) {
+        console.warn("Could not find broker userId for property moderation notification");
+        return null;
+      }
+      return createPropertyNotification(brokerUserId, action, {
+        ...populated,
+        moderationReason: reason,
+        moderationEntry: entry
+      }, user);
+    })
+    .catch((error) => {
+      console.error("Error creating moderation notification:", error);
+    });
+
+  if (toStatus === ACTIVE) {
+    scheduleMatchNotifications({ propertyId: property._id });
+  }
+
+  return { property: populated, moderation: entry.toObject() };
+};
+
+export const approveProperty = (propertyId, user, { comment } = {}) => {
+  return decideProperty(propertyId, user, { toStatus: ACTIVE, action: MODERATION_ACTIONS.APPROVED, comment });
+};
+
+export const rejectProperty = (propertyId, user, { reasonCodes, comment } = {}) => {
+  return decideProperty(propertyId, user, { toStatus: REJECTED, action: MODERATION_ACTIONS.REJECTED, reasonCodes, comment });
+};
+
+export const requestPropertyChanges = (propertyId, user, { reasonCodes, comment } = {}) => {
+  return decideProperty(propertyId, user, {
+    toStatus: CHANGES_REQUESTED,
+    action: MODERATION_ACTIONS.CHANGES_REQUESTED,
+    reasonCodes,
+    comment
+  });
+};
+
+/**
+ * Send a listing sent back for changes (or rejected) back to the queue; its
+ * moderator, if any, is told
+ */
+export const resubmitProperty = async (propertyId, user, { comment } = {}) => {
+  const property = await resolveOwnedProperty(propertyId, user);
+  const fromStatus = property.status;
+  if (![CHANGES_REQUESTED, REJECTED].includes(fromStatus)) {
+    throw httpError(`A ${fromStatus} property cannot be resubmitted`, 409);
+  }
+
+  property.status = PENDING_APPROVAL;
+  property.set("moderation.revision", (property.moderation?.revision || 0) + 1);
+  await property.save();
+
+  await recordModeration({
+    property,
+    action: MODERATION_ACTIONS.RESUBMITTED,
+    fromStatus,
+    toStatus: PENDING_APPROVAL,
+    comment,
+    actor: user
+  });
+
+  const assignee = property.moderation?.assignedTo;
+  if (assignee) {
+    createNotification({
+      userId: assignee,
+      type: "approval",
+      title: `Property Resubmitted: ${property.title}`,
+      message: `The property listing "${property.title}" was revised and is waiting for your review again.` +
+        (comment ? `\n\nBroker's note: ${comment}` : ""),
+      relatedEntity: { entityType: "Property", entityId: property._id },
+      activity: { action: MODERATION_ACTIONS.RESUBMITTED, actorId: user._id, actorName: actorName(user) },
+      metadata: { propertyId: property._id, title: property.title, status: property.status }
+    }).catch((error) => {
+      console.error("Error creating resubmission notification:", error);
+    });
+  }
+
+  return populateProperty(property._id);
+};
+
+/**
+ * Moderation history of a listing, oldest first (its broker or an admin)
+ */
+export const getModerationHistory = async (propertyId, user) => {
+  const property = await resolveOwnedProperty(propertyId, user);
+
+  return PropertyModeration.find({ propertyId: property._id })
+    .populate("actor", "name email role")
+    .populate("assignedTo", "name email")
+    .sort({ createdAt: 1 })
+    .lean();
+};
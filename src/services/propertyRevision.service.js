@@ -0,0 +1,181 @@
+import mongoose from "mongoose";
+import Property from "../models/Property.js";
+import PropertyRevision from "../models/PropertyRevision.js";
+import { PROPERTY_STATUSES } from "../config/propertyLifecycle.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+import { resolveOwnedProperty } from "./propertyLifecycle.service.js";
+import { httpError } from "../utils/response.js";
+
+/**
+ * Edit history of properties.
+ *
+ * Every save that changes tracked fields of a property is recorded as a
+ * PropertyRevision: the changed fields with their old and new values, the
+ * editor and the time. Versions count up per property (Property.editVersion)
+ * and are taken with an atomic increment, so concurrent edits never share one.
+ *
+ * With PROPERTY_REAPPROVAL_ON_EDIT=true, an edit of a key field of a Verified,
+ * Active listing by someone who is not a moderator sends the listing back to
+ * the moderation queue.
+ *
+ * Env:
+ *  - PROPERTY_REAPPROVAL_ON_EDIT: require re-approval of edited Verified listings (default false)
+ *  - PROPERTY_REAPPROVAL_FIELDS: key fields, comma-separated (default "title,price,address,city,region,propertyType,images")
+ */
+
+// Fields set through the property update and imports (coordinates follow the address)
+export const TRACKED_PROPERTY_FIELDS = Object.freeze([
+  "title", "description", "propertyDescription",
+  "propertyType", "subType", "price", "priceUnit", "propertySize",
+  "address", "city", "region",
+  "bedrooms", "bathrooms", "furnishing",
+  "amenities", "nearbyAmenities", "features", "locationBenefits",
+  "images", "videos",
+  "broker", "status", "isFeatured", "isHotProperty", "notes",
+  "facingDirection", "possessionStatus", "postedBy", "createdBy",
+  "verificationStatus", "propertyAgeYears", "externalId"
+]);
+
+const getRevisionConfig = () => ({
+  reapprovalOnEdit: process.env.PROPERTY_REAPPROVAL_ON_EDIT === "true",
+  reapprovalFields: (process.env.PROPERTY_REAPPROVAL_FIELDS || "title,price,address,city,region,propertyType,images")
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean)
+});
+
+// Comparable, storable form of a field value (ids and dates as strings)
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const describeChange = (field, from, to) => {
+  const change = { field, from, to };
+  if (Array.isArray(from) || Array.isArray(to)) {
+    const fromItems = from || [];
+    const toItems = to || [];
+    change.added = toItems.filter((item) => !fromItems.includes(item));
+    change.removed = fromItems.filter((item) => !toItems.includes(item));
+  }
+  return change;
+};
+
+/**
+ * Tracked fields changed by an edit
+ * @param {Object} before - property.toObject() taken before the edit
+ * @param {Document} property - The edited property, not saved yet
+ * @returns {Array<{ field, from, to, added?, removed? }>}
+ */
+export const getPropertyChanges = (before, property) => {
+  return TRACKED_PROPERTY_FIELDS
+    .map((field) => [field, normalizeValue(before[field]), normalizeValue(property.get(field))])
+    .filter(([, from, to]) => !sameValue(from, to))
+    .map(([field, from, to]) => describeChange(field, from, to));
+};
+
+/**
+ * Whether an edit sends the listing back for approval
+ * @param {Object} before - The property's values before the edit
+ */
+export const requiresReapproval = (before, changes, user) => {
+  const { reapprovalOnEdit, reapprovalFields } = getRevisionConfig();
+  if (!reapprovalOnEdit || hasPermission(user?.role, PERMISSIONS.PROPERTY_MODERATE)) return false;
+  if (before.verificationStatus !== "Verified" || before.status !== PROPERTY_STATUSES.ACTIVE) return false;
+  return changes.some((change) => reapprovalFields.includes(change.field));
+};
+
+/**
+ * Record an edit under the property's next version; call after saving the property
+ * @returns {Promise<PropertyRevision|null>} null if the property no longer exists
+ */
+export const recordPropertyRevision = async ({ property, changes, editor = null, source = "api", reapprovalRequired = false }) => {
+  const versioned = await Property.findOneAndUpdate(
+    { _id: property._id },
+    { $inc: { editVersion: 1 } },
+    { new: true }
+  ).select("editVersion").lean();
+  if (!versioned) return null;
+
+  return PropertyRevision.create({
+    propertyId: property._id,
+    version: versioned.editVersion,
+    changes,
+    editor: editor?._id || null,
+    editorName: editor?.name || (editor?.role === "admin" ? "Admin" : undefined),
+    source,
+    reapprovalRequired
+  });
+};
+
+/**
+ * Edit history of a property, newest first (its broker or an admin)
+ * @param {Object} filters
+ * @param {String} [filters.field] - Only revisions that changed this field
+ */
+export const getPropertyHistory = async (propertyId, user, { field, page = 1, limit = 20 } = {}) => {
+  const property = await resolveOwnedProperty(propertyId, user);
+
+  const filter = { propertyId: property._id };
+  if (field) filter["changes.field"] = field;
+
+  const skip = (page - 1) * limit;
+  const [revisions, total] = await Promise.all([
+    PropertyRevision.find(filter)
+      .populate("editor", "name email role")
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    PropertyRevision.countDocuments(filter)
+  ]);
+
+  return {
+    revisions,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    currentVersion: property.editVersion || 0
+  };
+};
+
+/**
+ * Combined changes between two versions of a property: each field's value at
+ * version `from` (0 = as created) and at version `to` (default: current)
+ */
+export const getPropertyDiff = async (propertyId, user, { from = 0, to } = {}) => {
+  const property = await resolveOwnedProperty(propertyId, user);
+  const currentVersion = property.editVersion || 0;
+  const toVersion = to === undefined ? currentVersion : to;
+  if (from > toVersion || toVersion > currentVersion) {
+    throw httpError(`Versions must satisfy 0 <= from <= to <= ${currentVersion}`, 400);
+  }
+
+  const revisions = await PropertyRevision.find({
+    propertyId: property._id,
+    version: { $gt: from, $lte: toVersion }
+  })
+    .sort({ version: 1 })
+    .lean();
+
+  // First "from" and last "to" of every field changed in between
+  const fields = new Map();
+  revisions.forEach((revision) => {
+    revision.changes.forEach((change) => {
+      const entry = fields.get(change.field);
+      fields.set(change.field, { from: entry ? entry.from : change.from, to: change.to });
+    });
+  });
+
+  const changes = [...fields.entries()]
+    .filter(([, { from: oldValue, to: newValue }]) => !sameValue(oldValue, newValue))
+    .map(([field, { from: oldValue, to: newValue }]) => describeChange(field, oldValue, newValue));
+
+  return { from, to: toVersion, revisions: revisions.length, changes };
+};
@@ -2,6 +2,7 @@ import ScheduledTask from "../models/ScheduledTask.js";
 import { TASK_TYPES } from "../models/ScheduledTask.js";
 import mongoose from "mongoose";
 import runAfterMinutes from "../utils/runAfterMinutes.js";
+import { enqueueJob } from "./jobQueue.service.js";
 // import connectDB from "../config/db.js";
 // import dotenv from "dotenv"
 // dotenv.config();
@@ -16,12 +17,52 @@ export const createBotReplyTask = async ({
     throw new Error("Invalid chatId");
   }
 
-  const task = await ScheduledTask.create({
+  const task = await enqueueJob({
     taskType: TASK_TYPES.BOT_REPLY,
     runAt : runAfterMinutes(time),
-    payload: { chatId },
-    status: "pending",
-    isActive: true
+    payload: { chatId: new mongoose.Types.ObjectId(String(chatId)) }
+  });
+
+  return task;
+};
+
+
+export const createLeadFollowUpTask = async ({
+  followUpId,
+  runAt
+}) => {
+
+  if (!mongoose.Types.ObjectId.isValid(followUpId)) {
+    throw new Error("Invalid followUpId");
+  }
+
+  const task = await enqueueJob({
+    taskType: TASK_TYPES.LEAD_FOLLOW_UP,
+    runAt,
+    payload: { followUpId: new mongoose.Types.ObjectId(String(followUpId)) }
+  });
+
+  return task;
+};
+
+
+export const createLeadTransferExpiryTask = async ({
+  leadId,
+  transferId,
+  runAt
+}) => {
+
+  if (!mongoose.Types.ObjectId.isValid(leadId) || !mongoose.Types.ObjectId.isValid(transferId)) {
+    throw new Error("Invalid leadId or transferId");
+  }
+
+  const task = await enqueueJob({
+    taskType: TASK_TYPES.LEAD_TRANSFER_EXPIRY,
+    runAt,
+    payload: {
+      leadId: new mongoose.Types.ObjectId(String(leadId)),
+      transferId: new mongoose.Types.ObjectId(String(transferId))
+    }
   });
 
   return task;
@@ -53,30 +94,3 @@ export const updateTaskById = async (taskId, updates) => {
 //   status: "completed",
 //   lastRunAt: new Date()
 // });
-
-
-
-export const getNextPendingTask = async () => {
-  const now = new Date();
-
-  const task = await ScheduledTask.findOne({
-    status: "pending",
-    isActive: true,
-    runAt: { $lte: now }
-  })
-    .sort({ runAt: 1 }) // earliest first
-    .lean();
-
-  return task;
-};
-
-
-// const task = await getNextPendingTask();
-// if (!task) return;
-
-
-// (async()=>{
-//   await connectDB();
-//   let response = await getNextPendingTask();
-//   console.log(response);
-// })()
\ No newline at end of file
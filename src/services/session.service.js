@@ -0,0 +1,224 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { generateAccessToken, generateRefreshTokenSecret, verifyToken } from "../utils/jwt.js";
+import { httpError } from "../utils/response.js";
+
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+const splitRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const signAccessToken = (user, session) => {
+  const accessToken = generateAccessToken({
+    userId: user._id,
+    ...(user.phone ? { phone: user.phone } : {}),
+    ...(user.role === "admin" && user.email ? { email: user.email } : {}),
+    role: user.role,
+    sid: session._id
+  });
+  const { exp } = jwt.decode(accessToken);
+  return { accessToken, accessTokenExpiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Collect device info for a new session from the request
+ */
+export const getSessionMeta = (req) => ({
+  deviceId: req.body?.deviceId || req.header("x-device-id") || null,
+  deviceName: req.body?.deviceName || req.header("x-device-name") || null,
+  platform: req.platform || (req.header("x-platform") === "android" ? "android" : "web"),
+  userAgent: req.header("user-agent"),
+  ipAddress: req.ip
+});
+
+/**
+ * Start a session for a user and issue an access/refresh token pair.
+ * A new login from the same device replaces that device's previous session.
+ */
+export const createSession = async (user, meta = {}) => {
+  if (meta.deviceId) {
+    await Session.updateMany(
+      { userId: user._id, deviceId: meta.deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "replaced" } }
+    );
+  }
+
+  const secret = generateRefreshTokenSecret();
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    deviceId: meta.deviceId || null,
+    deviceName: meta.deviceName || null,
+    platform: meta.platform || "web",
+    userAgent: meta.userAgent,
+    ipAddress: meta.ipAddress,
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000)
+  });
+  await session.save();
+
+  return {
+    ...signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (the refresh token is rotated).
+ * Presenting an already-rotated token revokes the session, as it may have been stolen.
+ */
+export const rotateRefreshToken = async (refreshToken, meta = {}) => {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) {
+    throw httpError("Invalid refresh token", 401);
+  }
+
+  const session = await Session.findById(parts.sessionId);
+  if (!session || !session.isActive()) {
+    throw httpError("Session expired or revoked. Please login again.", 401);
+  }
+
+  const presentedHash = hashToken(parts.secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousRefreshTokenHash) {
+      session.revokedAt = new Date();
+      session.revokedReason = "token_reuse";
+      await session.save();
+    }
+    throw httpError("Invalid refresh token", 401);
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    throw httpError("User not found", 401);
+  }
+  if (user.status === "suspended") {
+    throw httpError("Account suspended. Please contact admin.", 403);
+  }
+
+  // Atomic swap so two concurrent refreshes cannot both succeed
+  const secret = generateRefreshTokenSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        previousRefreshTokenHash: presentedHash,
+        lastUsedAt: new Date(),
+        ...(meta.ipAddress ? { ipAddress: meta.ipAddress } : {}),
+        ...(meta.userAgent ? { userAgent: meta.userAgent } : {})
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw httpError("Invalid refresh token", 401);
+  }
+
+  return {
+    ...signAccessToken(user, rotated),
+    refreshToken: `${rotated._id}.${secret}`,
+    refreshTokenExpiresAt: rotated.expiresAt,
+    session: rotated,
+    user
+  };
+};
+
+/**
+ * Verify an access token and resolve its user.
+ * Rejects tokens of revoked/expired sessions and tokens issued before a "logout everywhere".
+ * Tokens without a session (issued before access tokens were session-bound)
+ * cannot be revoked, so they are refused and their holders log in again.
+ * @returns {Promise<{ user: User, session: Session, decoded: Object }>}
+ */
+export const resolveAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    throw httpError("Invalid token.", 401);
+  }
+
+  const user = await User.findById(decoded.userId).select("-passwordHash");
+  if (!user) {
+    throw httpError("Invalid token. User not found.", 401);
+  }
+
+  if (user.tokensValidAfter && decoded.iat < Math.floor(user.tokensValidAfter.getTime() / 1000)) {
+    throw httpError("Session revoked. Please login again.", 401);
+  }
+
+  if (!decoded.sid) {
+    throw httpError("Session expired. Please login again.", 401);
+  }
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || String(session.userId) !== String(user._id)) {
+    throw httpError("Session revoked. Please login again.", 401);
+  }
+
+  if (user.status === "suspended") {
+    throw httpError("Account suspended. Please contact admin.", 403);
+  }
+
+  return { user, session, decoded };
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+export const listActiveSessions = async (userId) => {
+  return Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select("-refreshTokenHash -previousRefreshTokenHash")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+};
+
+/**
+ * Revoke one session of a user
+ * @returns {Promise<Session|null>} The revoked session, or null if not found/already revoked
+ */
+export const revokeSession = async (userId, sessionId, reason = "revoked") => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  return Session.findOneAndUpdate(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke every session of a user and invalidate all access tokens issued so far
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, reason = "logout_all") => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  await User.findByIdAndUpdate(userId, { $set: { tokensValidAfter: new Date() } });
+
+  return result.modifiedCount;
+};
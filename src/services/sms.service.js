@@ -0,0 +1,242 @@
+import fs from "fs/promises";
+import axios from "axios";
+import SmsMessage, { SMS_STATUSES } from "../models/SmsMessage.js";
+
+/**
+ * SMS delivery layer.
+ *
+ * Every outgoing SMS (OTP codes, notification alerts) goes through sendSms, which
+ * records an SmsMessage, hands it to the configured provider and tracks its status.
+ *
+ * Providers (SMS_PROVIDER):
+ *  - console: logs the message and, if SMS_LOG_FILE is set, appends it there as JSON (local dev)
+ *  - gateway: renders SMS_GATEWAY_BODY_TEMPLATE and sends it to SMS_GATEWAY_URL (production)
+ *
+ * SMS_PROVIDER defaults to console outside production; with NODE_ENV=production
+ * it must be set explicitly, otherwise no SMS is sent.
+ */
+
+// Message templates. templateIdEnv names the env var holding the gateway's
+// registered template id (required by DLT-regulated gateways).
+export const SMS_TEMPLATES = Object.freeze({
+  otp: {
+    text: "{{otp}} is your Brokergully verification code. It is valid for {{minutes}} minutes. Do not share it with anyone.",
+    templateIdEnv: "SMS_OTP_TEMPLATE_ID",
+    sensitive: ["otp"]
+  },
+  notification: {
+    text: "{{message}}",
+    templateIdEnv: "SMS_NOTIFICATION_TEMPLATE_ID",
+    sensitive: []
+  }
+});
+
+// Replace {{name}} placeholders; transform lets callers escape values
+const renderTemplate = (template, variables = {}, transform = (value) => value) => {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = variables[key];
+    return value === undefined || value === null ? "" : transform(String(value));
+  });
+};
+
+const getByPath = (obj, path) => {
+  if (!path) return undefined;
+  return path.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+};
+
+const consoleProvider = {
+  name: "console",
+  async send({ to, body, templateId }) {
+    console.log(`SMS to ${to}: ${body}`);
+
+    if (process.env.SMS_LOG_FILE) {
+      const line = JSON.stringify({ to, body, templateId, at: new Date().toISOString() });
+      await fs.appendFile(process.env.SMS_LOG_FILE, `${line}\n`);
+    }
+
+    // Nothing reaches a phone, so the message is never reported as delivered
+    return { providerMessageId: null, status: SMS_STATUSES.SENT };
+  }
+};
+
+const gatewayProvider = {
+  name: "gateway",
+  async send({ to, body, templateId, variables }) {
+    const url = process.env.SMS_GATEWAY_URL;
+    if (!url) {
+      throw new Error("SMS_GATEWAY_URL is not configured");
+    }
+
+    const requestTemplate = process.env.SMS_GATEWAY_BODY_TEMPLATE ||
+      '{"to":"{{to}}","message":"{{message}}","templateId":"{{templateId}}","sender":"{{sender}}"}';
+
+    // Values are JSON-escaped so they can be placed inside string literals of the template
+    const payload = JSON.parse(renderTemplate(
+      requestTemplate,
+      {
+        ...variables,
+        to,
+        message: body,
+        templateId: templateId || "",
+        sender: process.env.SMS_SENDER_ID || ""
+      },
+      (value) => JSON.stringify(value).slice(1, -1)
+    ));
+
+    const headers = { "Content-Type": "application/json" };
+    if (process.env.SMS_GATEWAY_HEADERS) {
+      Object.assign(headers, JSON.parse(process.env.SMS_GATEWAY_HEADERS));
+    }
+
+    const response = await axios({
+      method: process.env.SMS_GATEWAY_METHOD || "post",
+      url,
+      data: payload,
+      headers,
+      timeout: parseInt(process.env.SMS_GATEWAY_TIMEOUT) || 10000
+    });
+
+    const messageId = getByPath(response.data, process.env.SMS_GATEWAY_MESSAGE_ID_PATH || "messageId");
+
+    return {
+      providerMessageId: messageId != null ? String(messageId) : null,
+      status: SMS_STATUSES.SENT
+    };
+  }
+};
+
+const providers = {
+  [consoleProvider.name]: consoleProvider,
+  [gatewayProvider.name]: gatewayProvider
+};
+
+/**
+ * Register an additional SMS provider. A provider is { name, send({ to, body, templateId, variables }) }
+ * and send resolves to { providerMessageId, status }.
+ */
+export const registerSmsProvider = (provider) => {
+  if (!provider?.name || typeof provider.send !== "function") {
+    throw new Error("SMS provider must have a name and a send function");
+  }
+  providers[provider.name] = provider;
+};
+
+const getProvider = () => {
+  const name = process.env.SMS_PROVIDER ||
+    (process.env.NODE_ENV === "production" ? null : "console");
+  if (!name) {
+    throw new Error("SMS_PROVIDER must be set in production");
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Send an SMS through the configured provider and record its delivery status.
+ * Pass either a template key from SMS_TEMPLATES with variables, or a plain body.
+ * Provider failures are recorded on the message rather than thrown.
+ * @returns {Promise<SmsMessage|null>} The stored message record, or null if no provider is configured
+ */
+export const sendSms = async ({
+  to,
+  body,
+  template,
+  variables = {},
+  purpose = "other",
+  userId = null
+}) => {
+  const definition = template ? SMS_TEMPLATES[template] : null;
+  if (template && !definition) {
+    throw new Error(`Unknown SMS template: ${template}`);
+  }
+
+  const text = definition ? renderTemplate(definition.text, variables) : body;
+  const templateId = definition ? process.env[definition.templateIdEnv] : undefined;
+
+  // Never persist secrets such as OTP codes in the message log
+  let storedBody = text;
+  if (definition?.sensitive.length) {
+    const masked = { ...variables };
+    definition.sensitive.forEach((key) => { masked[key] = "******"; });
+    storedBody = renderTemplate(definition.text, masked);
+  }
+
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (error) {
+    console.error("Error sending SMS:", error.message);
+    return null;
+  }
+
+  const record = await SmsMessage.create({
+    to,
+    body: storedBody,
+    template,
+    templateId,
+    purpose,
+    userId,
+    provider: provider.name,
+    status: SMS_STATUSES.QUEUED
+  });
+
+  try {
+    const result = await provider.send({ to, body: text, templateId, variables });
+    const now = new Date();
+
+    record.providerMessageId = result.providerMessageId || undefined;
+    record.status = result.status || SMS_STATUSES.SENT;
+    record.sentAt = now;
+    if (record.status === SMS_STATUSES.DELIVERED) {
+      record.deliveredAt = now;
+    }
+  } catch (error) {
+    console.error(`SMS to ${to} failed via ${provider.name}:`, error.message);
+    record.status = SMS_STATUSES.FAILED;
+    record.errorMessage = error.message;
+    record.failedAt = new Date();
+  }
+
+  await record.save();
+  return record;
+};
+
+// Gateway delivery report statuses mapped onto SmsMessage statuses
+const DELIVERY_STATUS_MAP = {
+  delivered: SMS_STATUSES.DELIVERED,
+  delivrd: SMS_STATUSES.DELIVERED,
+  success: SMS_STATUSES.DELIVERED,
+  failed: SMS_STATUSES.FAILED,
+  undelivered: SMS_STATUSES.FAILED,
+  undeliv: SMS_STATUSES.FAILED,
+  rejected: SMS_STATUSES.FAILED,
+  expired: SMS_STATUSES.FAILED,
+  sent: SMS_STATUSES.SENT
+};
+
+/**
+ * Apply a delivery report from the gateway to the matching message
+ * @returns {Promise<SmsMessage|null>} Updated message, or null if unknown
+ */
+export const applyDeliveryReport = async ({ providerMessageId, status, errorMessage }) => {
+  const mapped = DELIVERY_STATUS_MAP[String(status || "").toLowerCase()];
+  if (!providerMessageId || !mapped) {
+    return null;
+  }
+
+  const updates = { status: mapped };
+  if (mapped === SMS_STATUSES.DELIVERED) updates.deliveredAt = new Date();
+  if (mapped === SMS_STATUSES.FAILED) {
+    updates.failedAt = new Date();
+    if (errorMessage) updates.errorMessage = errorMessage;
+  }
+
+  return SmsMessage.findOneAndUpdate(
+    { providerMessageId: String(providerMessageId) },
+    { $set: updates },
+    { new: true }
+  );
+};
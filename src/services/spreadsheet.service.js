@@ -0,0 +1,139 @@
+import ExcelJS from 'exceljs';
+import { httpError } from '../utils/response.js';
+
+/**
+ * Reading .xlsx uploads into the shape csv-parser gives the import pipeline
+ * (services/import.service.js): the header names plus one object of string
+ * values per row.
+ *
+ * Title rows above the header are skipped, and a header row with cells merged
+ * across columns ("Contact" over "Phone" and "Email") is read as a group row,
+ * taking the column names from the row below it.
+ */
+
+// Rows searched for the header
+const MAX_HEADER_SCAN_ROWS = 10;
+
+// Dates without a time of day are written as YYYY-MM-DD
+const formatDate = (date) => {
+  const iso = date.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+};
+
+/**
+ * String of a cell value as the CSV would hold it (formulas give their result)
+ */
+export const cellValueToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return formatDate(value);
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value !== 'object') return String(value);
+  if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+  if ('formula' in value || 'sharedFormula' in value) return cellValueToString(value.result);
+  if ('hyperlink' in value) return cellValueToString(value.text) || value.hyperlink;
+  // Error cells (#N/A, #REF!...)
+  if ('error' in value) return '';
+  return String(value);
+};
+
+const rowValues = (row, columnCount) => {
+  return Array.from({ length: columnCount }, (_, i) => cellValueToString(row.getCell(i + 1).value).trim());
+};
+
+// A cell of the row is merged with a cell to its left in the same row
+const hasMergedColumns = (row, columnCount) => {
+  for (let col = 2; col <= columnCount; col += 1) {
+    const cell = row.getCell(col);
+    if (cell.isMerged && cell.master.row === cell.row && cell.master.col !== cell.col) return true;
+  }
+  return false;
+};
+
+// Repeated names get a counter ("Phone", "Phone (2)") so no column overwrites another
+const uniqueHeaders = (headers) => {
+  const seen = new Map();
+  return headers.map((header) => {
+    if (!header) return header;
+    const count = (seen.get(header) || 0) + 1;
+    seen.set(header, count);
+    return count === 1 ? header : `${header} (${count})`;
+  });
+};
+
+const findWorksheet = (workbook, sheet) => {
+  if (sheet === undefined || sheet === null || sheet === '') return workbook.worksheets[0];
+  const name = String(sheet).trim();
+  const byName = workbook.worksheets.find((worksheet) => worksheet.name.toLowerCase() === name.toLowerCase());
+  if (byName) return byName;
+  // 1-based position of the sheet
+  return /^\d+$/.test(name) ? workbook.worksheets[Number(name) - 1] : undefined;
+};
+
+/**
+ * Parse one sheet of an .xlsx file
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {String|Number} [options.sheet] - Sheet name or 1-based position (default: the first sheet)
+ * @returns {Promise<{ headers: Array<String>, rows: Array<Object>, sheet: String, sheets: Array<String> }>}
+ *   Rows carry rowNumber, their row in the sheet
+ */
+export const parseXlsxBuffer = async (buffer, { sheet } = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw httpError('The file is not a valid XLSX spreadsheet', 400);
+  }
+
+  const sheets = workbook.worksheets.map((worksheet) => worksheet.name);
+  const worksheet = findWorksheet(workbook, sheet);
+  if (!worksheet) {
+    throw httpError(`Sheet "${sheet}" not found. Available sheets: ${sheets.join(', ')}`, 400);
+  }
+
+  const columnCount = worksheet.columnCount;
+  const lastRow = worksheet.rowCount;
+
+  // The header is the first row with two different values; a one-column sheet has one
+  let headerRow = null;
+  for (let rowNumber = 1; rowNumber <= Math.min(lastRow, MAX_HEADER_SCAN_ROWS); rowNumber += 1) {
+    const distinct = new Set(rowValues(worksheet.getRow(rowNumber), columnCount).filter(Boolean));
+    if (distinct.size > 1 || (columnCount === 1 && distinct.size === 1)) {
+      headerRow = rowNumber;
+      break;
+    }
+  }
+  if (!headerRow) {
+    return { headers: [], rows: [], sheet: worksheet.name, sheets };
+  }
+
+  let headers = rowValues(worksheet.getRow(headerRow), columnCount);
+  let firstDataRow = headerRow + 1;
+  if (hasMergedColumns(worksheet.getRow(headerRow), columnCount) && firstDataRow <= lastRow) {
+    const groups = headers;
+    const names = rowValues(worksheet.getRow(firstDataRow), columnCount);
+    headers = names.map((name, i) => {
+      if (!name) return groups[i];
+      // A name used under several groups keeps its group ("Office Phone")
+      const repeated = names.filter((other) => other === name).length > 1;
+      return repeated && groups[i] && groups[i] !== name ? `${groups[i]} ${name}` : name;
+    });
+    firstDataRow += 1;
+  }
+  headers = uniqueHeaders(headers);
+
+  const rows = [];
+  for (let rowNumber = firstDataRow; rowNumber <= lastRow; rowNumber += 1) {
+    const values = rowValues(worksheet.getRow(rowNumber), columnCount);
+    if (!values.some(Boolean)) continue;
+
+    const data = {};
+    headers.forEach((header, i) => {
+      // Columns without a header are left out
+      if (header) data[header] = values[i];
+    });
+    rows.push({ ...data, rowNumber });
+  }
+
+  return { headers: headers.filter(Boolean), rows, sheet: worksheet.name, sheets };
+};
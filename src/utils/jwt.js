@@ -2,14 +2,20 @@ import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
 
-export const generateToken = (payload) => {
+// Short-lived access token bound to a session (payload.sid)
+export const generateAccessToken = (payload) => {
   return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: JWT_EXPIRES_IN
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
   });
 };
 
+// Opaque refresh token secret (the session id is prefixed by the session service)
+export const generateRefreshTokenSecret = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
 export const verifyToken = (token) => {
   try {
     return jwt.verify(token, JWT_SECRET);
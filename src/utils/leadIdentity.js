@@ -0,0 +1,48 @@
+// Normalization and matching helpers used to detect duplicate leads
+
+// Last 10 digits, so "+91 98765-43210", "09876543210" and "9876543210" match
+export const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!digits) return undefined;
+  return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+export const normalizeEmail = (email) => {
+  const value = String(email || '').trim().toLowerCase();
+  return value || undefined;
+};
+
+const normalizeName = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+};
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 0..1 similarity of two customer names, ignoring case, punctuation and word order
+export const nameSimilarity = (a, b) => {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+};
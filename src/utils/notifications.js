@@ -7,6 +7,8 @@ import Region from '../models/Region.js';
 import Lead from '../models/Lead.js';
 import Message from '../models/Message.js';
 import { generateEmailTemplate } from './emailTemplate.js';
+import { sendSms } from '../services/sms.service.js';
+import { SMS_STATUSES } from '../models/SmsMessage.js';
 
 // Helper function to create SMTP transporter with server-friendly settings
 const createSMTPTransporter = async () => {
@@ -156,22 +158,18 @@ export const sendVerificationEmail = async (userEmail, verificationToken, userNa
 };
 
 
-const sendSMSNotification = async (userPhone, message) => {
+const sendSMSNotification = async (userPhone, message, userId = null) => {
   try {
-    // TODO: Integrate with SMS service provider (Twilio, AWS SNS, etc.)
-    // For now, just log it
-    console.log(`SMS to ${userPhone}: ${message}`);
-    
-    // Example with Twilio (uncomment and configure):
-    // const twilio = require('twilio');
-    // const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-    // await client.messages.create({
-    //   body: message,
-    //   from: process.env.TWILIO_PHONE_NUMBER,
-    //   to: userPhone
-    // });
-    
-    return true;
+    // Delivered through the configured SMS provider (see services/sms.service.js)
+    const sms = await sendSms({
+      to: userPhone,
+      template: 'notification',
+      variables: { message },
+      purpose: 'notification',
+      userId
+    });
+
+    return !!sms && sms.status !== SMS_STATUSES.FAILED;
   } catch (error) {
     console.error('Error sending SMS notification:', error);
     return false;
@@ -316,7 +314,7 @@ export const createNotification = async ({
     // Send SMS if enabled and user has phone
     if (user && user.smsNotification && user.phone) {
       try {
-        await sendSMSNotification(user.phone, message);
+        await sendSMSNotification(user.phone, message, userId);
       } catch (error) {
         console.error('Error sending SMS notification:', error);
       }
@@ -433,13 +431,21 @@ export const createLeadNotification = async (userId, action, lead, actor = null)
       const actionMessages = {
         updated: `Enquires updated for ${customerName}${customerPhone ? ` (${customerPhone})` : ''}`,
         transferred: `Enquires for ${customerName}${customerPhone ? ` (${customerPhone})` : ''} has been transferred to you`,
-        statusChanged: `Enquires status changed for ${customerName}${customerPhone ? ` (${customerPhone})` : ''}${lead.status ? ` to ${lead.status}` : ''}`
+        statusChanged: `Enquires status changed for ${customerName}${customerPhone ? ` (${customerPhone})` : ''}${lead.status ? ` to ${lead.status}` : ''}`,
+        mentioned: `${actor?.name || 'A broker'} mentioned you in a note on the enquiry for ${customerName}${customerPhone ? ` (${customerPhone})` : ''}`,
+        transferAccepted: `${actor?.name || 'A broker'} accepted the enquiry for ${customerName} you shared`,
+        transferDeclined: `${actor?.name || 'A broker'} declined the enquiry for ${customerName} you shared${lead.declineReason ? `. Reason: ${lead.declineReason}` : ''}`,
+        transferExpired: `The enquiry for ${customerName} you shared was not answered in time and is no longer shared`
       };
 
       const titles = {
         updated: `Enquires Updated: ${customerName}`,
         transferred: `Enquires Transferred: ${customerName}`,
-        statusChanged: `Enquires Status Changed: ${customerName}`
+        statusChanged: `Enquires Status Changed: ${customerName}`,
+        mentioned: `Mentioned in Enquiry Note: ${customerName}`,
+        transferAccepted: `Transfer Accepted: ${customerName}`,
+        transferDeclined: `Transfer Declined: ${customerName}`,
+        transferExpired: `Transfer Expired: ${customerName}`
       };
       
       title = titles[action] || `Enquires Activity: ${customerName}`;
@@ -600,7 +606,7 @@ export const createPropertyNotification = async (userId, action, property, actor
         `Status: Active\n\n` +
         ` Note: Your property is now visible to potential buyers and renters. Start receiving inquiries!`;
     } else if (action === 'rejected') {
-      const rejectionReason = property.rejectionReason || property.notes || 'Please review and resubmit with corrections.';
+      const rejectionReason = property.rejectionReason || property.moderationReason || property.notes || 'Please review and resubmit with corrections.';
       title = ` Property Rejected: ${propertyTitle}`;
       message = `Your property listing has been reviewed but requires some changes before it can be approved.\n\n` +
         `Property: ${propertyTitle}\n\n` +
@@ -608,6 +614,14 @@ export const createPropertyNotification = async (userId, action, property, actor
         (propertyAddress ? `Address: ${propertyAddress}${city ? `, ${city}` : ''}\n\n` : '') +
         `Reason: ${rejectionReason}\n\n` +
         ` Note: Please review the feedback, make necessary corrections, and resubmit your property listing.`;
+    } else if (action === 'changesRequested') {
+      title = ` Changes Requested: ${propertyTitle}`;
+      message = `Your property listing has been reviewed and needs a few changes before it can go live.\n\n` +
+        `Property: ${propertyTitle}\n\n` +
+        `Price: ${priceText}\n\n` +
+        (propertyAddress ? `Address: ${propertyAddress}${city ? `, ${city}` : ''}\n\n` : '') +
+        `Requested changes: ${property.moderationReason || 'See the moderation history of the listing.'}\n\n` +
+        ` Note: Edit the listing and resubmit it for approval.`;
     } else if (action === 'deleted') {
       title = ` Property Deleted: ${propertyTitle}`;
       message = `Your property listing has been removed from the Brokergully Command Center.\n\n` +
@@ -615,6 +629,22 @@ export const createPropertyNotification = async (userId, action, property, actor
         `Price: ${priceText}\n\n` +
         (propertyAddress ? `Address: ${propertyAddress}${city ? `, ${city}` : ''}\n\n` : '') +
         ` Note: This property is no longer active in your listings. No further action is required.`;
+    } else if (action === 'expiring') {
+      const expiryDate = property.expiresAt ? new Date(property.expiresAt).toDateString() : 'soon';
+      title = ` Property Expiring: ${propertyTitle}`;
+      message = `Your property listing expires ${property.daysLeft ? `in ${property.daysLeft} day${property.daysLeft === 1 ? '' : 's'}` : 'soon'}.\n\n` +
+        `Property: ${propertyTitle}\n\n` +
+        `Price: ${priceText}\n\n` +
+        `Expires on: ${expiryDate}\n\n` +
+        ` Note: Renew the listing to keep it visible, or mark it as sold or rented.`;
+    } else if (action === 'expired') {
+      title = ` Property Expired: ${propertyTitle}`;
+      message = `Your property listing has expired and is no longer visible on Brokergully.\n\n` +
+        `Property: ${propertyTitle}\n\n` +
+        `Price: ${priceText}\n\n` +
+        (propertyAddress ? `Address: ${propertyAddress}${city ? `, ${city}` : ''}\n\n` : '') +
+        `Status: Expired\n\n` +
+        ` Note: Renew the listing to make it live again.`;
     } else {
       // Default format for other actions
       title = `Property ${action.charAt(0).toUpperCase() + action.slice(1)}: ${propertyTitle}`;
@@ -626,7 +656,7 @@ export const createPropertyNotification = async (userId, action, property, actor
       type: 'property',
       title: title,
       message: message,
-      priority: action === 'approved' || action === 'rejected' ? 'high' : 'medium',
+      priority: ['approved', 'rejected', 'changesRequested', 'expiring', 'expired'].includes(action) ? 'high' : 'medium',
       relatedEntity: {
         entityType: 'Property',
         entityId: property._id || property
@@ -647,7 +677,14 @@ export const createPropertyNotification = async (userId, action, property, actor
         price,
         priceUnit,
         status: property.status,
+        ...(action === 'expiring' || action === 'expired' ? { expiresAt: property.expiresAt } : {}),
         ...(action === 'rejected' && property.rejectionReason ? { rejectionReason: property.rejectionReason } : {}),
+        // Entry of the listing's moderation history (PropertyModeration) behind this notification
+        ...(property.moderationEntry ? {
+          moderationId: property.moderationEntry._id,
+          reasonCodes: property.moderationEntry.reasonCodes,
+          moderationReason: property.moderationReason
+        } : {}),
         ...(action === 'deleted' && property.deletionReason ? { deletionReason: property.deletionReason } : {})
       }
     });
@@ -23,3 +23,20 @@ export const serverError = (res, error) => {
   });
 };
 
+// Error with the HTTP status (and optional details) a controller responds with
+export const httpError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+// Response for an error thrown by a service: its own status, or a server error
+export const serviceErrorResponse = (res, error) => {
+  if (error.statusCode) {
+    return errorResponse(res, error.message, error.statusCode, error.details);
+  }
+  return serverError(res, error);
+};
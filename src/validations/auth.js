@@ -28,6 +28,11 @@ export const resendOtpSchema = Joi.object({
   phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).required()
 });
 
+// Refresh token schema
+export const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
 export const adminCreateBrokerSchema = Joi.object({
   name:  Joi.string().trim().min(2).max(80).required(),
   email: Joi.string().email().lowercase().required(),
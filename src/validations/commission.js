@@ -0,0 +1,23 @@
+import Joi from 'joi';
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+export const settlementQuerySchema = Joi.object({
+  status: Joi.string().valid('due', 'paid', 'disputed').optional(),
+  // Narrow to settlements where the broker receives (payee) or pays (payer)
+  role: Joi.string().valid('payee', 'payer').optional(),
+  brokerId: objectId.optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional()
+});
+
+export const updateSettlementSchema = Joi.object({
+  status: Joi.string().valid('due', 'paid', 'disputed').required(),
+  note: Joi.string().trim().max(1000).allow('').optional()
+});
+
+export const earningsQuerySchema = Joi.object({
+  brokerId: objectId.optional(),
+  fromDate: Joi.date().iso().optional(),
+  toDate: Joi.date().iso().optional()
+});
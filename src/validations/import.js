@@ -0,0 +1,137 @@
+import Joi from 'joi';
+import { LEAD_STATUSES } from '../config/leadPipeline.js';
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+const phone = Joi.string().trim().pattern(/^\+?[0-9\s-]{7,20}$/).messages({
+  'string.pattern.base': '{{#label}} must be a valid phone number'
+});
+
+export const IMPORT_ENTITY_TYPES = ['broker', 'property', 'lead'];
+
+export const IMPORT_MODES = Object.freeze({
+  CREATE: 'create',
+  UPDATE: 'update',
+  UPSERT: 'upsert'
+});
+
+// Keys an update/upsert can find existing records by; the first one is the default
+export const IMPORT_MATCH_KEYS = Object.freeze({
+  broker: ['phone', 'email', 'licenseNumber', 'externalId'],
+  property: ['externalId'],
+  lead: ['phone', 'email', 'externalId']
+});
+
+// Reference of the record in another system (the "external id" column)
+const externalId = Joi.string().trim().max(100);
+
+// Rows of an import job after column mapping (values are still CSV strings, Joi converts them)
+
+export const brokerImportRowSchema = Joi.object({
+  fullName: Joi.string().trim().required(),
+  phone: phone.required(),
+  email: Joi.string().trim().email().optional(),
+  gender: Joi.string().trim().lowercase().valid('male', 'female', 'other').optional(),
+  whatsappNumber: phone.optional(),
+  alternatePhone: phone.optional(),
+  experienceYears: Joi.number().integer().min(0).max(80).optional(),
+  website: Joi.string().trim().uri().optional(),
+  externalId: externalId.optional()
+}).unknown(true);
+
+export const propertyImportRowSchema = Joi.object({
+  title: Joi.string().trim().required(),
+  price: Joi.number().positive().required(),
+  address: Joi.string().trim().required(),
+  propertyType: Joi.string().valid('Residential', 'Commercial', 'Plot', 'Other').required(),
+  subType: Joi.string().valid('Apartment', 'Villa', 'Office', 'Shop', 'Land', 'Other').optional(),
+  region: Joi.string().trim().required(),
+  brokerPhone: phone.required(),
+  priceUnit: Joi.string().valid('INR', 'USD').optional(),
+  propertySize: Joi.number().positive().optional(),
+  bedrooms: Joi.number().integer().min(0).optional(),
+  bathrooms: Joi.number().integer().min(0).optional(),
+  furnishing: Joi.string().valid('Furnished', 'Semi-Furnished', 'Unfurnished').optional(),
+  facingDirection: Joi.string().valid('North', 'East', 'South', 'West').optional(),
+  possessionStatus: Joi.string().valid('Ready to Move', 'Under Construction', 'Upcoming').optional(),
+  propertyAgeYears: Joi.number().integer().min(0).optional(),
+  externalId: externalId.optional()
+}).unknown(true);
+
+export const leadImportRowSchema = Joi.object({
+  customerName: Joi.string().trim().required(),
+  customerPhone: phone.required(),
+  customerEmail: Joi.string().trim().email().optional(),
+  requirement: Joi.string().trim().required(),
+  propertyType: Joi.string().valid('Residential', 'Commercial', 'Plot', 'Other').required(),
+  budget: Joi.number().min(0).optional(),
+  primaryRegion: Joi.string().trim().required(),
+  secondaryRegion: Joi.string().trim().optional(),
+  brokerPhone: phone.required(),
+  status: Joi.string().valid(...LEAD_STATUSES).optional(),
+  externalId: externalId.optional()
+}).unknown(true);
+
+export const IMPORT_ROW_SCHEMAS = {
+  broker: brokerImportRowSchema,
+  property: propertyImportRowSchema,
+  lead: leadImportRowSchema
+};
+
+const requiredKeys = (schema) => Object.entries(schema.describe().keys)
+  .filter(([, description]) => description.flags?.presence === 'required')
+  .map(([key]) => key);
+
+// Rows of update/upsert imports: a matched record keeps the values of missing columns
+// (rows that create a record are still checked for the required fields)
+export const IMPORT_ROW_UPDATE_SCHEMAS = Object.fromEntries(
+  Object.entries(IMPORT_ROW_SCHEMAS).map(([entityType, schema]) => [
+    entityType,
+    schema.fork(requiredKeys(schema), (key) => key.optional())
+  ])
+);
+
+const importMode = Joi.string().valid(...Object.values(IMPORT_MODES));
+const matchKey = Joi.string().valid(...new Set(Object.values(IMPORT_MATCH_KEYS).flat()));
+// XLSX sheet name or 1-based position
+const sheet = Joi.string().trim().max(100);
+
+// Query of the synchronous /api/import endpoints
+export const importQuerySchema = Joi.object({
+  mode: importMode.optional(),
+  matchKey: matchKey.optional(),
+  allowDuplicates: Joi.boolean().optional(),
+  sheet: sheet.optional(),
+  downloadImages: Joi.boolean().optional()
+});
+
+export const createImportJobSchema = Joi.object({
+  entityType: Joi.string().valid(...IMPORT_ENTITY_TYPES).required(),
+  // Leads: import rows matching an existing lead's phone/email
+  allowDuplicates: Joi.boolean().optional(),
+  mode: importMode.optional(),
+  matchKey: matchKey.optional(),
+  sheet: sheet.optional(),
+  // Property imports: download image URLs into uploads/images (default true)
+  downloadImages: Joi.boolean().optional()
+});
+
+// Column -> field; a null field leaves the column out
+export const updateImportMappingSchema = Joi.object({
+  mapping: Joi.array().items(
+    Joi.object({
+      column: Joi.string().required(),
+      field: Joi.string().allow(null).required()
+    })
+  ).required(),
+  allowDuplicates: Joi.boolean().optional(),
+  mode: importMode.optional(),
+  matchKey: matchKey.optional()
+});
+
+export const importJobQuerySchema = Joi.object({
+  entityType: Joi.string().valid(...IMPORT_ENTITY_TYPES).optional(),
+  status: Joi.string().valid('uploaded', 'validated', 'queued', 'processing', 'completed', 'failed').optional(),
+  createdBy: objectId.optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional()
+});
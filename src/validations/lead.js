@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { LEAD_STATUSES } from '../config/leadPipeline.js';
 
 export const createLeadSchema = Joi.object({
   customerName: Joi.string().optional(),
@@ -24,14 +25,19 @@ export const createLeadSchema = Joi.object({
   // Back-compat: still accept regionId but will be mapped to primaryRegion
   regionId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
   createdBy: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
-  status: Joi.string().valid('New', 'Assigned', 'In Progress', 'Closed', 'Rejected').optional(),
+  status: Joi.string().valid(...LEAD_STATUSES).optional(),
+  lostReason: Joi.string().trim().max(500).optional(),
+  statusReason: Joi.string().trim().max(500).optional(),
   transfers: Joi.array().items(Joi.object({
     fromBroker: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
     toBroker: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
     shareType: Joi.string().valid('individual', 'region', 'all').optional(),
     region: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional().allow(null),
+    expiresAt: Joi.date().iso().greater('now').optional(),
   })).optional(),
   notes: Joi.string().optional(),
+  // Create even when a lead with the same customer phone/email exists
+  allowDuplicate: Joi.boolean().optional(),
 }).unknown(true);
 
 
@@ -56,13 +62,10 @@ export const updateLeadSchema = Joi.object({
   // Back-compat
   regionId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
   createdBy: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
-  status: Joi.string().valid('New', 'Assigned', 'In Progress', 'Closed', 'Rejected').optional(),
-  transfers: Joi.array().items(Joi.object({
-    fromBroker: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
-    toBroker: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
-    shareType: Joi.string().valid('individual', 'region', 'all').optional(),
-    region: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional().allow(null),
-  })).optional(),
+  status: Joi.string().valid(...LEAD_STATUSES).optional(),
+  lostReason: Joi.string().trim().max(500).optional(),
+  statusReason: Joi.string().trim().max(500).optional(),
+  dealValue: Joi.number().min(0).optional(),
   notes: Joi.string().optional(),
 }).unknown(true);
 
@@ -71,7 +74,7 @@ export const leadQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(10),
   search: Joi.string().max(100).optional(),
-  status: Joi.string().valid('New', 'Assigned', 'In Progress', 'Closed', 'Rejected').optional(),
+  status: Joi.string().valid(...LEAD_STATUSES).optional(),
   propertyType: Joi.string().valid('Residential', 'Commercial', 'Plot', 'Other').optional(),
   regionId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
   primaryRegionId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
@@ -89,7 +92,9 @@ export const leadQuerySchema = Joi.object({
   fromDate: Joi.date().iso().optional(),
   toDate: Joi.date().iso().optional(),
   verificationStatus: Joi.string().valid('Verified', 'Unverified').optional(),
-  sortBy: Joi.string().valid('createdAt', 'updatedAt', 'customerName', 'status').default('createdAt'),
+  minScore: Joi.number().min(0).max(100).optional(),
+  maxScore: Joi.number().min(0).max(100).optional(),
+  sortBy: Joi.string().valid('createdAt', 'updatedAt', 'customerName', 'status', 'score').default('createdAt'),
   sortOrder: Joi.string().valid('asc', 'desc').default('desc')
 });
 
@@ -97,7 +102,7 @@ export const transferredLeadQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(10),
   search: Joi.string().max(100).optional(),
-  status: Joi.string().valid('New', 'Assigned', 'In Progress', 'Closed', 'Rejected').optional(),
+  status: Joi.string().valid(...LEAD_STATUSES).optional(),
   propertyType: Joi.string().valid('Residential', 'Commercial', 'Plot', 'Other').optional(),
   regionId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
   region: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
@@ -112,10 +117,26 @@ export const transferredLeadQuerySchema = Joi.object({
   toBroker: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
   fromBroker: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
   brokerId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
-  sortBy: Joi.string().valid('createdAt', 'updatedAt', 'customerName', 'status').default('createdAt'),
+  minScore: Joi.number().min(0).max(100).optional(),
+  maxScore: Joi.number().min(0).max(100).optional(),
+  sortBy: Joi.string().valid('createdAt', 'updatedAt', 'customerName', 'status', 'score').default('createdAt'),
   sortOrder: Joi.string().valid('asc', 'desc').default('desc')
 });
 
+// Filters of getLeads and getTransferredLeads (transferred=true, or any of toBroker/fromBroker/brokerId,
+// selects the transferred leads filters) plus the export format and columns
+export const leadExportQuerySchema = leadQuerySchema.keys({
+  toBroker: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  fromBroker: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  brokerId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  transferred: Joi.boolean().optional(),
+  latitude: Joi.number().min(-90).max(90).optional(),
+  longitude: Joi.number().min(-180).max(180).optional(),
+  radius: Joi.number().positive().optional(),
+  format: Joi.string().valid('csv', 'xlsx').default('csv'),
+  columns: Joi.string().max(1000).optional()
+});
+
 export const addTransferSchema = Joi.object({
   toBroker: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
   fromBroker: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional()
@@ -125,6 +146,49 @@ export const updateNotesSchema = Joi.object({
   notes: Joi.string().allow('', null).required()
 });
 
+export const createLeadNoteSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(2000).required(),
+  visibility: Joi.string().valid('private', 'shared').default('shared'),
+  mentions: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional()
+});
+
+export const updateLeadNoteSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(2000).optional(),
+  visibility: Joi.string().valid('private', 'shared').optional(),
+  mentions: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional()
+}).min(1);
+
+export const mergeLeadsSchema = Joi.object({
+  duplicateIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).min(1).max(20).required()
+});
+
+export const createFollowUpSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  note: Joi.string().trim().max(1000).allow('', null).optional(),
+  dueAt: Joi.date().iso().greater('now').required()
+});
+
+export const snoozeFollowUpSchema = Joi.object({
+  until: Joi.date().iso().greater('now').required()
+});
+
+export const followUpQuerySchema = Joi.object({
+  brokerId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  status: Joi.string().valid('pending', 'completed', 'cancelled').optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional()
+});
+
+// Referral commission agreement on a transfer
+export const commissionSchema = Joi.object({
+  type: Joi.string().valid('percentage', 'fixed').required(),
+  value: Joi.number().positive().required().when('type', {
+    is: 'percentage',
+    then: Joi.number().max(100)
+  }),
+  terms: Joi.string().trim().max(1000).allow('').optional()
+});
+
 export const transferAndNotesSchema = Joi.object({
   toBrokers: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).min(1).optional(),
   transfers: Joi.array().items(Joi.object({
@@ -139,11 +203,31 @@ export const transferAndNotesSchema = Joi.object({
       then: Joi.required(),
       otherwise: Joi.optional().allow(null)
     }),
+    expiresAt: Joi.date().iso().greater('now').optional(),
+    commission: commissionSchema.optional(),
   }).unknown(true)).min(1).optional(),
   fromBroker: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
-  notes: Joi.string().allow('', null).optional()
+  notes: Joi.string().max(2000).allow('', null).optional(),
+  // Default expiry of the transfers without their own expiresAt
+  expiresAt: Joi.date().iso().greater('now').optional(),
+  // Default commission of the transfers without their own
+  commission: commissionSchema.optional()
 }).unknown(true).or('toBrokers', 'transfers');
 
+export const declineTransferSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow('', null).optional()
+});
+
+export const sharedLeadQuerySchema = Joi.object({
+  unseen: Joi.boolean().optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional()
+});
+
+export const broadcastPreferenceSchema = Joi.object({
+  receiveLeadBroadcasts: Joi.boolean().required()
+});
+
 export const updateRegionTransferSchema = Joi.object({
   region: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
   fromBroker: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional()
@@ -0,0 +1,21 @@
+import Joi from 'joi';
+
+// Lead routing rule validation (all fields optional on update)
+export const leadRoutingRuleSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  strategy: Joi.string().valid('round_robin', 'weighted').optional(),
+  brokersPerLead: Joi.number().integer().min(1).max(10).optional(),
+  includeSecondaryRegion: Joi.boolean().optional(),
+  requireSpecialization: Joi.boolean().optional(),
+  serviceTypes: Joi.array().items(Joi.string().valid('Buy', 'Sell', 'Rent')).optional(),
+  availabilityStatuses: Joi.array().items(Joi.string().valid('online', 'offline', 'active', 'busy')).optional(),
+  allowUnknownAvailability: Joi.boolean().optional(),
+  minRating: Joi.number().min(0).max(5).optional(),
+  maxOpenLeads: Joi.number().integer().min(1).allow(null).optional(),
+  weights: Joi.object({
+    rating: Joi.number().min(0).optional(),
+    load: Joi.number().min(0).optional(),
+    specialization: Joi.number().min(0).optional(),
+    primaryRegion: Joi.number().min(0).optional()
+  }).optional()
+});
@@ -1,5 +1,6 @@
 // src/validations/property.js
 import Joi from "joi";
+import { PROPERTY_STATUSES, INITIAL_PROPERTY_STATUSES, CLOSED_PROPERTY_STATUSES } from "../config/propertyLifecycle.js";
 
 // Mongo ObjectId helper (strict 24-hex)
 const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
@@ -11,7 +12,7 @@ const PROPERTY_TYPES = ["Residential", "Commercial", "Plot", "Other"];
 const SUB_TYPES      = ["Apartment", "Villa", "Office", "Shop", "Land", "Other"];
 const FURNISHINGS    = ["Furnished", "Semi-Furnished", "Unfurnished"];
 const PRICE_UNITS    = ["INR", "USD"];
-const STATUSES       = ["Active", "Sold", "Expired", "Pending Approval", "Rejected"];
+const STATUSES       = Object.values(PROPERTY_STATUSES);
 
 // Removed coordinates schema
 
@@ -54,7 +55,7 @@ export const createPropertySchema = Joi.object({
   broker:       objectId.required(),   // BrokerDetail _id
 
   // Status & workflow
-  status:       Joi.string().valid(...STATUSES).default("Pending Approval"),
+  status:       Joi.string().valid(...INITIAL_PROPERTY_STATUSES).default("Pending Approval"),
   isFeatured:   Joi.boolean().default(false),
   isHotProperty: Joi.boolean().default(false),
 
@@ -143,8 +144,46 @@ export const updatePropertySchema = Joi.object({
   propertyAgeYears: Joi.number().integer().min(0).optional(),
 }).unknown(false);
 
+// Renew an Active or Expired listing
+export const renewPropertySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(365).optional(),
+});
+
+// Mark a listing as Sold or Rented
+export const closePropertySchema = Joi.object({
+  status: Joi.string().valid(...CLOSED_PROPERTY_STATUSES).required(),
+  price:  Joi.number().positive().required(),
+  date:   Joi.date().max("now").optional(),
+});
+
+// Query of GET /api/properties/market-stats (checked with middleware/validation.js)
+export const propertyMarketStatsQuerySchema = Joi.object({
+  city:         Joi.string().trim().optional(),
+  region:       objectId.optional(),
+  propertyType: Joi.string().valid(...PROPERTY_TYPES).optional(),
+  from:         Joi.date().optional(),
+  to:           Joi.date().optional(),
+});
+
+// Query of GET /api/properties/:id/history
+export const propertyHistoryQuerySchema = Joi.object({
+  field: Joi.string().trim().optional(),
+  page:  Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+});
+
+// Query of GET /api/properties/:id/history/diff (versions; 0 is the property as created)
+export const propertyDiffQuerySchema = Joi.object({
+  from: Joi.number().integer().min(0).optional(),
+  to:   Joi.number().integer().min(0).optional(),
+});
+
 // Ready-to-use middleware for create
 export const validateCreateProperty = validate(createPropertySchema, "body");
 
 // Ready-to-use middleware for update
 export const validateUpdateProperty = validate(updatePropertySchema, "body");
+
+export const validateRenewProperty = validate(renewPropertySchema, "body");
+
+export const validateCloseProperty = validate(closePropertySchema, "body");
@@ -0,0 +1,42 @@
+import Joi from 'joi';
+import { MODERATION_QUEUE_STATUSES } from '../config/propertyLifecycle.js';
+import { MODERATION_REASON_CODES } from '../models/PropertyModeration.js';
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+const comment = Joi.string().trim().max(2000).allow('');
+
+export const moderationQueueQuerySchema = Joi.object({
+  status: Joi.string().valid(...MODERATION_QUEUE_STATUSES).optional(),
+  // "me", "unassigned" or a moderator's user id
+  assignedTo: Joi.alternatives().try(Joi.string().valid('me', 'unassigned'), objectId).optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional()
+});
+
+// null unassigns the listing
+export const assignModeratorSchema = Joi.object({
+  assignedTo: objectId.allow(null).required()
+});
+
+export const approvePropertySchema = Joi.object({
+  comment: comment.optional()
+});
+
+// Rejections and change requests; OTHER needs a comment
+export const moderationDecisionSchema = Joi.object({
+  reasonCodes: Joi.array()
+    .items(Joi.string().valid(...Object.keys(MODERATION_REASON_CODES)))
+    .min(1)
+    .unique()
+    .required(),
+  comment: comment.when('reasonCodes', {
+    is: Joi.array().has(Joi.string().valid('OTHER')),
+    then: Joi.string().trim().max(2000).required(),
+    otherwise: Joi.optional()
+  })
+});
+
+export const resubmitPropertySchema = Joi.object({
+  comment: comment.optional()
+});
@@ -0,0 +1,46 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { startApp, onQuery, resetFixtures, users, sessions, tokenFor } from './helpers/app.js';
+
+// Access tokens are only accepted while their session is active; tokens
+// without a session cannot be revoked and are refused
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  resetFixtures();
+});
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+
+const listSessions = async (token) => (await app.request('GET', '/api/auth/sessions', { token })).status;
+
+describe('access tokens', () => {
+  it('accepts a token of an active session', async () => {
+    assert.equal(await listSessions(tokenFor('broker')), 200);
+  });
+
+  it('refuses a token without a session (401)', async () => {
+    const legacy = jwt.sign({ userId: String(users.broker._id), role: 'broker' }, JWT_SECRET, { expiresIn: '7d' });
+
+    assert.equal(await listSessions(legacy), 401);
+  });
+
+  it('refuses a token of a revoked session (401)', async () => {
+    onQuery(({ model, op, filter }) => {
+      if (model === 'Session' && op === 'findOne' && String(filter._id) === String(sessions.broker._id)) return null;
+      return undefined;
+    });
+
+    assert.equal(await listSessions(tokenFor('broker')), 401);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { startApp, onQuery, resetFixtures, savedDocuments, brokerDetails } from './helpers/app.js';
+import CommissionSettlement from '../src/models/CommissionSettlement.js';
+
+// PATCH /api/commissions/:settlementId: only the payee (or admin) confirms a
+// settlement was paid, and the payer cannot change it afterwards.
+// PUT /api/leads/:id: only those who can see a lead close it as Won (which
+// creates its settlements).
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+describe('PATCH /api/commissions/:settlementId', () => {
+  const settlementId = new mongoose.Types.ObjectId();
+  const path = `/api/commissions/${settlementId}`;
+
+  // The otherBroker pays the broker who shared the lead
+  const useSettlement = (status) => {
+    onQuery(({ model, op, filter }) => {
+      if (model === 'CommissionSettlement' && op === 'findOne' && String(filter._id) === String(settlementId)) {
+        return new CommissionSettlement({
+          _id: settlementId,
+          lead: new mongoose.Types.ObjectId(),
+          transferId: new mongoose.Types.ObjectId(),
+          payer: brokerDetails.otherBroker._id,
+          payee: brokerDetails.broker._id,
+          commissionType: 'percentage',
+          commissionValue: 2,
+          status
+        });
+      }
+      return undefined;
+    });
+  };
+
+  beforeEach(() => {
+    resetFixtures();
+  });
+
+  it('lets the payee mark a settlement paid', async () => {
+    useSettlement('due');
+
+    const { status } = await app.request('PATCH', path, { as: 'broker', body: { status: 'paid' } });
+
+    assert.equal(status, 200);
+    assert.equal(savedDocuments[0].status, 'paid');
+  });
+
+  it('does not let the payer mark a settlement paid (403)', async () => {
+    useSettlement('due');
+
+    const { status } = await app.request('PATCH', path, { as: 'otherBroker', body: { status: 'paid' } });
+
+    assert.equal(status, 403);
+    assert.equal(savedDocuments.length, 0);
+  });
+
+  it('lets the payer dispute a due settlement', async () => {
+    useSettlement('due');
+
+    const { status } = await app.request('PATCH', path, {
+      as: 'otherBroker',
+      body: { status: 'disputed', note: 'Deal fell through' }
+    });
+
+    assert.equal(status, 200);
+  });
+
+  it('lets the payee dispute a paid settlement', async () => {
+    useSettlement('paid');
+
+    const { status } = await app.request('PATCH', path, {
+      as: 'broker',
+      body: { status: 'disputed', note: 'Payment bounced' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(savedDocuments[0].status, 'disputed');
+  });
+
+  it('does not let the payer change a paid settlement (403)', async () => {
+    useSettlement('paid');
+
+    const { status } = await app.request('PATCH', path, { as: 'otherBroker', body: { status: 'due' } });
+
+    assert.equal(status, 403);
+  });
+
+  it('lets admin mark a settlement paid', async () => {
+    useSettlement('due');
+
+    const { status } = await app.request('PATCH', path, { as: 'admin', body: { status: 'paid' } });
+
+    assert.equal(status, 200);
+  });
+});
+
+describe('PUT /api/leads/:id to Won', () => {
+  const leadId = new mongoose.Types.ObjectId();
+  const path = `/api/leads/${leadId}`;
+  let updated;
+
+  beforeEach(() => {
+    resetFixtures();
+    updated = false;
+    onQuery(({ model, op, filter }) => {
+      if (model !== 'Lead' || String(filter._id) !== String(leadId)) return undefined;
+      const lead = { _id: leadId, customerName: 'Asha', status: 'Negotiation', createdBy: brokerDetails.broker._id, transfers: [] };
+      if (op === 'findOne') return lead;
+      if (op === 'findOneAndUpdate') {
+        updated = true;
+        return { ...lead, status: 'Won' };
+      }
+      return undefined;
+    });
+  });
+
+  it('lets the broker who created the lead close it as won', async () => {
+    const { status } = await app.request('PUT', path, { as: 'broker', body: { status: 'Won' } });
+
+    assert.equal(status, 200);
+    assert.ok(updated);
+  });
+
+  it('lets admin close a lead as won', async () => {
+    const { status } = await app.request('PUT', path, { as: 'admin', body: { status: 'Won' } });
+
+    assert.equal(status, 200);
+  });
+
+  it('does not let a broker without access close it as won (403)', async () => {
+    const { status } = await app.request('PUT', path, { as: 'otherBroker', body: { status: 'Won' } });
+
+    assert.equal(status, 403);
+    assert.equal(updated, false);
+  });
+});
@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import axios from 'axios';
+import { generateAccessToken } from '../../src/utils/jwt.js';
+import Session from '../../src/models/Session.js';
+
+/**
+ * Test harness for the HTTP API.
+ *
+ * Tests run without MongoDB: every query resolves through the fixtures
+ * registered with onQuery (first non-undefined result wins) and falls back to
+ * an empty result. Saved documents are collected in savedDocuments instead of
+ * being written, and outgoing HTTP (geocoding, gateways) is refused.
+ */
+
+const { ObjectId } = mongoose.Types;
+
+export const users = Object.freeze({
+  admin: { _id: new ObjectId(), role: 'admin', name: 'Admin', status: 'active' },
+  broker: { _id: new ObjectId(), role: 'broker', name: 'Broker', status: 'active' },
+  otherBroker: { _id: new ObjectId(), role: 'broker', name: 'Other Broker', status: 'active' },
+  customer: { _id: new ObjectId(), role: 'customer', name: 'Customer', status: 'active' }
+});
+
+// BrokerDetail of every broker (chat participants are BrokerDetail ids, customers have one too)
+export const brokerDetails = Object.freeze({
+  broker: { _id: new ObjectId(), userId: users.broker._id, name: 'Broker', status: 'active' },
+  otherBroker: { _id: new ObjectId(), userId: users.otherBroker._id, name: 'Other Broker', status: 'active' },
+  customer: { _id: new ObjectId(), userId: users.customer._id, name: 'Customer', status: 'active' }
+});
+
+// Active session of every user (access tokens are bound to one)
+export const sessions = Object.freeze(Object.fromEntries(
+  Object.entries(users).map(([name, user]) => [name, { _id: new ObjectId(), userId: user._id }])
+));
+
+const fixtures = [];
+export const savedDocuments = [];
+
+export const onQuery = (fixture) => {
+  fixtures.push(fixture);
+};
+
+export const resetFixtures = () => {
+  fixtures.length = 0;
+  savedDocuments.length = 0;
+};
+
+const findById = (list, id) => Object.values(list).find((item) => String(item._id) === String(id)) || null;
+
+// Users, sessions and broker profiles every authenticated request looks up
+const baseFixture = ({ model, op, filter }) => {
+  if (op !== 'findOne') return undefined;
+  if (model === 'User' && filter._id) return findById(users, filter._id);
+  if (model === 'Session' && filter._id) {
+    const session = findById(sessions, filter._id);
+    return session && new Session({ ...session, refreshTokenHash: 'test', expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+  }
+  if (model === 'BrokerDetail' && filter.userId) {
+    return Object.values(brokerDetails).find((detail) => String(detail.userId) === String(filter.userId)) || null;
+  }
+  return undefined;
+};
+
+const emptyResult = (op) => {
+  switch (op) {
+    case 'find':
+    case 'distinct':
+      return [];
+    case 'countDocuments':
+    case 'estimatedDocumentCount':
+      return 0;
+    case 'updateOne':
+    case 'updateMany':
+    case 'replaceOne':
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+    case 'deleteOne':
+    case 'deleteMany':
+      return { acknowledged: true, deletedCount: 0 };
+    default:
+      return null;
+  }
+};
+
+mongoose.set('bufferCommands', false);
+
+mongoose.Query.prototype.exec = async function exec() {
+  const query = { model: this.model.modelName, op: this.op, filter: this.getFilter(), update: this.getUpdate() };
+  for (const fixture of [...fixtures, baseFixture]) {
+    const result = fixture(query);
+    if (result !== undefined) return result;
+  }
+  return emptyResult(this.op);
+};
+
+mongoose.Query.prototype.cursor = function cursor() {
+  const query = this;
+  return {
+    async *[Symbol.asyncIterator]() {
+      yield* await query.exec();
+    },
+    async close() {}
+  };
+};
+
+mongoose.Aggregate.prototype.exec = async function exec() {
+  return [];
+};
+
+mongoose.Model.prototype.save = async function save() {
+  savedDocuments.push(this);
+  return this;
+};
+mongoose.Model.prototype.$save = mongoose.Model.prototype.save;
+mongoose.Model.insertMany = async function insertMany(docs) {
+  return docs;
+};
+mongoose.Model.bulkWrite = async function bulkWrite() {
+  return {};
+};
+
+for (const method of ['get', 'post', 'put', 'patch', 'delete', 'request']) {
+  axios[method] = async () => {
+    throw new Error('Outgoing HTTP is disabled in tests');
+  };
+}
+
+export const tokenFor = (name) => generateAccessToken({
+  userId: String(users[name]._id),
+  role: users[name].role,
+  sid: String(sessions[name]._id)
+});
+
+/**
+ * Start the app on a free port
+ * @returns {Promise<{ request: Function, close: Function }>}
+ */
+export const startApp = async () => {
+  // Imported after the stubs above so no module captures the real implementations
+  const { server } = await import('../../src/app.js');
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // request('GET', '/api/...', { as: 'broker', body }); token: any other bearer token
+  const request = async (method, path, { as, token, body } = {}) => {
+    const headers = {};
+    if (as || token) headers.Authorization = `Bearer ${token || tokenFor(as)}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // CSV, XLSX and other non-JSON responses
+    }
+    return { status: response.status, body: json, text };
+  };
+
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { request, close };
+};
@@ -0,0 +1,133 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { onQuery, resetFixtures, users } from './helpers/app.js';
+import ImportRejectedRow from '../src/models/ImportRejectedRow.js';
+import {
+  dryRunImportJob,
+  runImportJob,
+  buildRejectedRowsCsv
+} from '../src/services/import.service.js';
+
+// Rejected rows of an import job are stored one document per row
+// (ImportRejectedRow), never in the job document itself
+
+const jobId = new mongoose.Types.ObjectId();
+const admin = users.admin;
+
+// Rows without a name fail validation
+const importJob = (fields) => ({
+  _id: jobId,
+  entityType: 'broker',
+  status: 'uploaded',
+  createdBy: admin._id,
+  fileName: 'brokers.csv',
+  fileType: 'csv',
+  fileData: Buffer.from('Name,Phone\n,9876543210\n,9876543211\n'),
+  headers: ['Name', 'Phone'],
+  mapping: [{ column: 'Name', field: 'name' }, { column: 'Phone', field: 'phone' }],
+  options: { mode: 'create' },
+  progress: { processedRows: 0 },
+  ...fields
+});
+
+const { bulkWrite } = ImportRejectedRow;
+let rejectedWrites;
+let jobUpdates;
+
+beforeEach(() => {
+  resetFixtures();
+  rejectedWrites = [];
+  jobUpdates = [];
+  ImportRejectedRow.bulkWrite = async (ops) => {
+    rejectedWrites.push(...ops.map(({ replaceOne }) => replaceOne.replacement));
+    return {};
+  };
+});
+
+afterEach(() => {
+  ImportRejectedRow.bulkWrite = bulkWrite;
+});
+
+// lockedBy: token of the run holding the job (the latest run to start, unless set)
+const useJob = (fields, { lockedBy } = {}) => {
+  let holder = lockedBy;
+  onQuery(({ model, op, filter, update }) => {
+    if (model !== 'ImportJob') return undefined;
+    if (op === 'findOne') return importJob(fields);
+    if (op === 'findOneAndUpdate') {
+      jobUpdates.push(update);
+      return importJob({ ...fields, status: 'validated' });
+    }
+    if (op === 'updateOne') {
+      jobUpdates.push(update);
+      if (update.$set?.lockedBy && !lockedBy) holder = update.$set.lockedBy;
+      const matched = !filter.lockedBy || filter.lockedBy === holder;
+      return { acknowledged: true, matchedCount: matched ? 1 : 0 };
+    }
+    return undefined;
+  });
+};
+
+describe('dryRunImportJob', () => {
+  it('stores the rejected rows apart from the job', async () => {
+    useJob();
+
+    const { rejectedRows } = await dryRunImportJob(jobId, admin);
+
+    assert.equal(rejectedRows.length, 2);
+    assert.deepEqual(rejectedWrites.map(({ phase, row }) => [phase, row]), [['dry-run', 2], ['dry-run', 3]]);
+    assert.equal(rejectedWrites[0].data.Phone, '9876543210');
+    assert.ok(jobUpdates.every((update) => !JSON.stringify(update).includes('9876543210')));
+  });
+});
+
+describe('runImportJob', () => {
+  it('records each rejected row without pushing it onto the job', async () => {
+    useJob({ status: 'queued' });
+
+    await runImportJob({ importJobId: jobId });
+
+    assert.deepEqual(rejectedWrites.map(({ phase, row }) => [phase, row]), [['commit', 2], ['commit', 3]]);
+    assert.ok(jobUpdates.every((update) => !update.$push?.rejectedRows));
+    assert.equal(jobUpdates.at(-1).$set.status, 'completed');
+  });
+
+  it('refreshes the job lock with every row it processes', async () => {
+    useJob({ status: 'queued' });
+
+    await runImportJob({ importJobId: jobId });
+
+    const progress = jobUpdates.filter((update) => update.$set?.['progress.processedRows']);
+    assert.equal(progress.length, 2);
+    assert.ok(progress.every((update) => update.$set.lockedAt instanceof Date));
+  });
+
+  it('stops when another run has taken the job over', async () => {
+    useJob({ status: 'processing' }, { lockedBy: 'a later run' });
+
+    await runImportJob({ importJobId: jobId });
+
+    // The first row was processed before the lost lock was noticed
+    assert.equal(rejectedWrites.length, 1);
+    assert.ok(jobUpdates.every((update) => update.$set?.status !== 'completed'));
+  });
+});
+
+describe('buildRejectedRowsCsv', () => {
+  it('lists the rejected rows of the job\'s latest phase', async () => {
+    useJob({ rejectedPhase: 'commit' });
+    onQuery(({ model, op, filter }) => {
+      if (model === 'ImportRejectedRow' && op === 'find') {
+        assert.equal(filter.phase, 'commit');
+        return [{ row: 2, data: { Name: '', Phone: '9876543210' }, error: 'name is required' }];
+      }
+      return undefined;
+    });
+
+    const { fileName, content } = await buildRejectedRowsCsv(jobId, admin);
+
+    assert.equal(fileName, 'brokers-rejected-commit.csv');
+    assert.equal(content, 'Name,Phone,Row,Error\r\n,9876543210,2,name is required\r\n');
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { setTimeout as sleep } from 'timers/promises';
+import { onQuery, resetFixtures, savedDocuments } from './helpers/app.js';
+import ScheduledTask, { TASK_TYPES, TASK_STATUSES } from '../src/models/ScheduledTask.js';
+import {
+  enqueueUniqueJob,
+  registerJobHandler,
+  runJob,
+  recoverStuckJobs
+} from '../src/services/jobQueue.service.js';
+
+// enqueueUniqueJob relies on the unique (taskType, dedupeKey) index; a job
+// gives its key up once it is done so the next one can be queued
+
+// Model.create saves through $save
+const { $save } = ScheduledTask.prototype;
+const failSave = (error) => {
+  ScheduledTask.prototype.$save = async () => {
+    throw error;
+  };
+};
+
+beforeEach(() => {
+  resetFixtures();
+});
+
+afterEach(() => {
+  ScheduledTask.prototype.$save = $save;
+});
+
+describe('enqueueUniqueJob', () => {
+  it('queues a pending job keyed by its task type', async () => {
+    const job = await enqueueUniqueJob({ taskType: TASK_TYPES.LEAD_SCORE_REFRESH });
+
+    assert.equal(job.dedupeKey, TASK_TYPES.LEAD_SCORE_REFRESH);
+    assert.equal(job.status, TASK_STATUSES.PENDING);
+    assert.equal(savedDocuments.length, 1);
+  });
+
+  it('returns null when the unique index rejects a second job', async () => {
+    failSave(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    assert.equal(await enqueueUniqueJob({ taskType: TASK_TYPES.LEAD_SCORE_REFRESH }), null);
+  });
+
+  it('passes other errors on', async () => {
+    failSave(new Error('connection lost'));
+
+    await assert.rejects(enqueueUniqueJob({ taskType: TASK_TYPES.LEAD_SCORE_REFRESH }), /connection lost/);
+  });
+});
+
+describe('runJob', () => {
+  const updates = [];
+  const job = { _id: new mongoose.Types.ObjectId(), taskType: TASK_TYPES.LEAD_SCORE_REFRESH, attempts: 1, maxAttempts: 3 };
+
+  beforeEach(() => {
+    updates.length = 0;
+    onQuery(({ model, op, update }) => {
+      if (model === 'ScheduledTask' && op === 'findOneAndUpdate') updates.push(update);
+      return undefined;
+    });
+  });
+
+  it('clears the dedupe key of a completed job', async () => {
+    registerJobHandler(TASK_TYPES.LEAD_SCORE_REFRESH, async () => {});
+
+    await runJob(job, 'worker-1');
+
+    assert.equal(updates[0].$set.status, TASK_STATUSES.COMPLETED);
+    assert.deepEqual(updates[0].$unset, { dedupeKey: 1 });
+  });
+
+  it('keeps the dedupe key of a job waiting for a retry', async () => {
+    registerJobHandler(TASK_TYPES.LEAD_SCORE_REFRESH, async () => {
+      throw new Error('temporary failure');
+    });
+
+    await runJob(job, 'worker-1');
+
+    assert.equal(updates[0].$set.status, TASK_STATUSES.PENDING);
+    assert.equal(updates[0].$unset, undefined);
+  });
+});
+
+describe('lock renewal', () => {
+  const workerId = 'worker-1';
+  let record;
+  let legacyUpdates;
+
+  // One job in the database: lock renewals and stuck-job recovery act on it
+  const useRecord = () => {
+    onQuery(({ model, op, filter, update }) => {
+      if (model !== 'ScheduledTask') return undefined;
+      if (op === 'updateOne' && update.$set?.lockedAt) {
+        const held = record.status === TASK_STATUSES.RUNNING && filter.lockedBy === record.lockedBy;
+        if (held) record.lockedAt = update.$set.lockedAt;
+        return { acknowledged: true, matchedCount: held ? 1 : 0, modifiedCount: held ? 1 : 0 };
+      }
+      if (op === 'updateMany' && filter.status === 'processing') {
+        legacyUpdates.push({ filter, update });
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+      }
+      if (op === 'updateMany' && filter.$expr?.$lt) {
+        const stuck = record.status === TASK_STATUSES.RUNNING && record.lockedAt < filter.lockedAt.$lt;
+        if (stuck) Object.assign(record, update.$set);
+        return { acknowledged: true, matchedCount: stuck ? 1 : 0, modifiedCount: stuck ? 1 : 0 };
+      }
+      return undefined;
+    });
+  };
+
+  before(() => {
+    process.env.JOB_LOCK_TIMEOUT_MS = '90';
+  });
+
+  after(() => {
+    delete process.env.JOB_LOCK_TIMEOUT_MS;
+  });
+
+  beforeEach(() => {
+    record = { status: TASK_STATUSES.RUNNING, lockedBy: workerId, lockedAt: new Date() };
+    legacyUpdates = [];
+    useRecord();
+  });
+
+  it('does not recover a slow job while its lock keeps being renewed', async () => {
+    const recovered = [];
+    registerJobHandler(TASK_TYPES.IMPORT_JOB, async () => {
+      for (let i = 0; i < 4; i += 1) {
+        await sleep(60);
+        recovered.push(await recoverStuckJobs());
+      }
+    });
+
+    await runJob({ _id: new mongoose.Types.ObjectId(), taskType: TASK_TYPES.IMPORT_JOB, attempts: 1, maxAttempts: 3 }, workerId);
+
+    assert.deepEqual(recovered, [0, 0, 0, 0]);
+    assert.equal(record.status, TASK_STATUSES.RUNNING);
+  });
+
+  it('recovers a job whose lock was not renewed', async () => {
+    await sleep(120);
+
+    assert.equal(await recoverStuckJobs(), 1);
+    assert.equal(record.status, TASK_STATUSES.PENDING);
+  });
+
+  it('queues tasks left processing by the former cron runner again', async () => {
+    await recoverStuckJobs();
+
+    assert.equal(legacyUpdates.length, 1);
+    assert.ok(legacyUpdates[0].filter.updatedAt.$lt instanceof Date);
+    assert.equal(legacyUpdates[0].update.$set.status, TASK_STATUSES.PENDING);
+    assert.equal(legacyUpdates[0].update.$set.attempts, 0);
+  });
+});
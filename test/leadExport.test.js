@@ -0,0 +1,69 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, onQuery, resetFixtures, brokerDetails } from './helpers/app.js';
+
+// GET /api/leads/export applies the caller's visibility rules and never
+// exports unfiltered when a broker's profile cannot be resolved
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  resetFixtures();
+});
+
+const captureLeadQueries = () => {
+  const filters = [];
+  onQuery(({ model, op, filter }) => {
+    if (model === 'Lead' && op === 'find') {
+      filters.push(filter);
+      return [];
+    }
+    return undefined;
+  });
+  return filters;
+};
+
+for (const path of ['/api/leads/export', '/api/leads/export?transferred=true']) {
+  describe(`GET ${path}`, () => {
+    it('limits a broker to the leads visible to them', async () => {
+      const filters = captureLeadQueries();
+
+      const { status } = await app.request('GET', path, { as: 'broker' });
+
+      assert.equal(status, 200);
+      assert.equal(filters.length, 1);
+      assert.ok(JSON.stringify(filters[0]).includes(String(brokerDetails.broker._id)));
+    });
+
+    it('refuses a broker without a broker profile (403)', async () => {
+      const filters = captureLeadQueries();
+      onQuery(({ model, op }) => (model === 'BrokerDetail' && op === 'findOne' ? null : undefined));
+
+      const { status } = await app.request('GET', path, { as: 'broker' });
+
+      assert.equal(status, 403);
+      assert.equal(filters.length, 0);
+    });
+
+    it('fails when the broker profile lookup fails (500)', async () => {
+      const filters = captureLeadQueries();
+      onQuery(({ model, op }) => {
+        if (model === 'BrokerDetail' && op === 'findOne') throw new Error('lookup failed');
+        return undefined;
+      });
+
+      const { status } = await app.request('GET', path, { as: 'broker' });
+
+      assert.equal(status, 500);
+      assert.equal(filters.length, 0);
+    });
+  });
+}
@@ -0,0 +1,72 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { setImmediate } from 'timers/promises';
+import { onQuery, resetFixtures, savedDocuments, users, brokerDetails } from './helpers/app.js';
+import Lead from '../src/models/Lead.js';
+import { mergeLeads } from '../src/services/leadDedup.service.js';
+
+// Merging duplicates into a survivor keeps their commission settlements and
+// the expiry of their pending transfers, and re-runs property matching for
+// the survivor
+
+const { ObjectId } = mongoose.Types;
+
+describe('mergeLeads', () => {
+  const survivorId = new ObjectId();
+  const duplicateId = new ObjectId();
+  const pendingTransfer = {
+    _id: new ObjectId(),
+    fromBroker: brokerDetails.broker._id,
+    toBroker: brokerDetails.otherBroker._id,
+    shareType: 'individual',
+    status: 'pending'
+  };
+  let updates;
+
+  beforeEach(() => {
+    resetFixtures();
+    updates = [];
+    onQuery(({ model, op, filter, update }) => {
+      if (model === 'Lead' && op === 'findOne' && String(filter._id) === String(survivorId)) {
+        return new Lead({ _id: survivorId, customerName: 'Asha', createdBy: brokerDetails.broker._id, transfers: [] });
+      }
+      if (model === 'Lead' && op === 'find') {
+        return [{ _id: duplicateId, customerName: 'Asha', createdBy: brokerDetails.broker._id, transfers: [pendingTransfer] }];
+      }
+      if (op === 'updateMany') updates.push({ model, filter, update });
+      return undefined;
+    });
+  });
+
+  it('moves the duplicates\' commission settlements to the survivor', async () => {
+    await mergeLeads(survivorId, [duplicateId], users.admin);
+
+    const settlements = updates.find(({ model }) => model === 'CommissionSettlement');
+    assert.ok(settlements, 'settlements were not re-pointed');
+    assert.deepEqual(settlements.filter.lead.$in.map(String), [String(duplicateId)]);
+    assert.equal(String(settlements.update.$set.lead), String(survivorId));
+  });
+
+  it('queues property match notifications for the survivor', async () => {
+    await mergeLeads(survivorId, [duplicateId], users.admin);
+    await setImmediate();
+
+    const job = savedDocuments.find((doc) => doc.constructor.modelName === 'ScheduledTask');
+    assert.equal(job?.taskType, 'LEAD_PROPERTY_MATCH');
+    assert.equal(String(job.payload.leadId), String(survivorId));
+  });
+
+  it('points the expiry jobs of moved pending transfers at the survivor', async () => {
+    await mergeLeads(survivorId, [duplicateId], users.admin);
+
+    const expiries = updates.find(({ model }) => model === 'ScheduledTask');
+    assert.ok(expiries, 'transfer expiry jobs were not re-pointed');
+    assert.equal(expiries.filter.taskType, 'LEAD_TRANSFER_EXPIRY');
+    assert.equal(expiries.filter.status, 'pending');
+    assert.ok(expiries.filter['payload.leadId'].$in[0] instanceof ObjectId);
+    assert.deepEqual(expiries.filter['payload.leadId'].$in.map(String), [String(duplicateId)]);
+    assert.deepEqual(expiries.filter['payload.transferId'].$in.map(String), [String(pendingTransfer._id)]);
+    assert.equal(String(expiries.update.$set['payload.leadId']), String(survivorId));
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { startApp, onQuery, resetFixtures, brokerDetails } from './helpers/app.js';
+
+// GET /api/leads/:id/timeline follows the access rules of the lead's notes
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+describe('GET /api/leads/:id/timeline', () => {
+  const leadId = String(new mongoose.Types.ObjectId());
+  const path = `/api/leads/${leadId}/timeline`;
+
+  beforeEach(() => {
+    resetFixtures();
+    onQuery(({ model, op, filter }) => {
+      if (model === 'Lead' && op === 'findOne' && String(filter._id) === leadId) {
+        return { _id: leadId, status: 'New', createdBy: brokerDetails.broker._id, transfers: [] };
+      }
+      if (model === 'LeadStatusChange' && op === 'find') return [{ leadId, toStatus: 'New' }];
+      return undefined;
+    });
+  });
+
+  it('rejects requests without a token (401)', async () => {
+    const { status } = await app.request('GET', path);
+    assert.equal(status, 401);
+  });
+
+  it('returns the timeline to the broker who created the lead', async () => {
+    const { status, body } = await app.request('GET', path, { as: 'broker' });
+    assert.equal(status, 200);
+    assert.equal(body.data.timeline.length, 1);
+  });
+
+  it('returns the timeline to admin', async () => {
+    const { status } = await app.request('GET', path, { as: 'admin' });
+    assert.equal(status, 200);
+  });
+
+  it('rejects a broker who cannot see the lead (403)', async () => {
+    const { status } = await app.request('GET', path, { as: 'otherBroker' });
+    assert.equal(status, 403);
+  });
+
+  it('rejects a customer (403)', async () => {
+    const { status } = await app.request('GET', path, { as: 'customer' });
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { startApp, onQuery, resetFixtures, savedDocuments, brokerDetails, users } from './helpers/app.js';
+import Lead from '../src/models/Lead.js';
+
+// Transfers sent with a lead go through the pending -> accept/decline/expire
+// workflow; a lead update cannot change them
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  resetFixtures();
+});
+
+describe('POST /api/leads with transfers', () => {
+  const region = String(new mongoose.Types.ObjectId());
+  const knownBrokers = [brokerDetails.broker._id, brokerDetails.otherBroker._id].map(String);
+
+  before(() => {
+    process.env.LEAD_TRANSFER_EXPIRY_HOURS = '48';
+  });
+
+  after(() => {
+    delete process.env.LEAD_TRANSFER_EXPIRY_HOURS;
+  });
+
+  beforeEach(() => {
+    onQuery(({ model, op, filter }) => {
+      if (model === 'Region' && op === 'findOne' && String(filter._id) === region) return { _id: region };
+      if (model === 'BrokerDetail' && op === 'findOne' && knownBrokers.includes(String(filter._id))) {
+        return { _id: filter._id, name: 'Broker' };
+      }
+      return undefined;
+    });
+  });
+
+  it('creates them pending, with an expiry job', async () => {
+    const { status } = await app.request('POST', '/api/leads', {
+      as: 'broker',
+      body: {
+        customerName: 'Asha',
+        customerPhone: '9876543210',
+        requirement: 'Buy',
+        propertyType: 'Residential',
+        primaryRegionId: region,
+        transfers: [{ toBroker: String(brokerDetails.otherBroker._id), shareType: 'individual' }]
+      }
+    });
+
+    assert.equal(status, 201);
+    const lead = savedDocuments.find((doc) => doc.constructor.modelName === 'Lead');
+    assert.equal(lead.transfers.length, 1);
+    assert.equal(lead.transfers[0].status, 'pending');
+    assert.ok(lead.transfers[0].expiresAt instanceof Date);
+
+    const expiry = savedDocuments.find((doc) => doc.constructor.modelName === 'ScheduledTask');
+    assert.equal(expiry?.taskType, 'LEAD_TRANSFER_EXPIRY');
+    assert.equal(String(expiry.payload.transferId), String(lead.transfers[0]._id));
+  });
+});
+
+describe('PUT /api/leads/:id with transfers', () => {
+  it('rejects them and points to the transfer endpoint (400)', async () => {
+    const updates = [];
+    onQuery(({ model, op }) => {
+      if (model === 'Lead' && op === 'findOneAndUpdate') updates.push(op);
+      return undefined;
+    });
+
+    const { status, body } = await app.request('PUT', `/api/leads/${new mongoose.Types.ObjectId()}`, {
+      as: 'broker',
+      body: { transfers: [{ toBroker: String(brokerDetails.otherBroker._id), shareType: 'individual' }] }
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.message, /transfer-and-notes/);
+    assert.equal(updates.length, 0);
+  });
+});
+
+describe('POST /api/leads/:id/transfer-and-notes', () => {
+  const leadId = new mongoose.Types.ObjectId();
+  const path = `/api/leads/${leadId}/transfer-and-notes`;
+  const knownBrokers = Object.values(brokerDetails).map((detail) => String(detail._id));
+
+  beforeEach(() => {
+    onQuery(({ model, op, filter }) => {
+      if (model === 'Lead' && op === 'findOne' && String(filter._id) === String(leadId)) {
+        return new Lead({ _id: leadId, customerName: 'Asha', createdBy: brokerDetails.broker._id, transfers: [] });
+      }
+      if (model === 'BrokerDetail' && op === 'findOne' && knownBrokers.includes(String(filter._id))) {
+        return Object.values(brokerDetails).find((detail) => String(detail._id) === String(filter._id));
+      }
+      if (model === 'BrokerDetail' && op === 'countDocuments') return filter._id.$in.length;
+      return undefined;
+    });
+  });
+
+  // fromBroker names another broker than the one sending the request
+  const body = {
+    fromBroker: String(brokerDetails.otherBroker._id),
+    toBrokers: [String(brokerDetails.customer._id)],
+    notes: 'Interested in a 2BHK'
+  };
+  const savedNote = () => savedDocuments.find((doc) => doc.constructor.modelName === 'LeadNote');
+
+  it('attributes the shared note to the broker sending it', async () => {
+    const { status } = await app.request('POST', path, { as: 'broker', body });
+
+    assert.equal(status, 200);
+    assert.equal(String(savedNote().author), String(brokerDetails.broker._id));
+    assert.equal(savedNote().authorName, 'Broker');
+  });
+
+  it('attributes an admin\'s note to no broker', async () => {
+    const { status } = await app.request('POST', path, { as: 'admin', body });
+
+    assert.equal(status, 200);
+    assert.equal(savedNote().author, null);
+    assert.equal(String(savedNote().authorUser), String(users.admin._id));
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns/promises';
+import axios from 'axios';
+import { downloadImage } from '../src/services/propertyMedia.service.js';
+
+const { lookup } = dns;
+const { get } = axios;
+
+const HOSTS = {
+  'public.test': [{ address: '93.184.216.34', family: 4 }],
+  'loopback.test': [{ address: '127.0.0.1', family: 4 }],
+  'metadata.test': [{ address: '::ffff:169.254.169.254', family: 6 }]
+};
+
+afterEach(() => {
+  dns.lookup = lookup;
+  axios.get = get;
+});
+
+describe('downloadImage', () => {
+  for (const url of [
+    'http://127.0.0.1/a.png',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/a.png',
+    'http://[::ffff:127.0.0.1]/a.png',
+    'http://localhost/a.png',
+    'ftp://public.test/a.png'
+  ]) {
+    it(`refuses ${url}`, async () => {
+      await assert.rejects(downloadImage(url), /Only public http\(s\) image URLs/);
+    });
+  }
+
+  for (const host of ['loopback.test', 'metadata.test']) {
+    it(`refuses ${host}, which resolves to a private address`, async () => {
+      dns.lookup = async (hostname) => HOSTS[hostname];
+      await assert.rejects(downloadImage(`http://${host}/a.png`), /does not resolve to a public address/);
+    });
+  }
+
+  it('checks every redirect like the URL itself', async () => {
+    const requested = [];
+    axios.get = async (url, options) => {
+      requested.push(url);
+      assert.equal(options.maxRedirects, 0);
+      return { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data' } };
+    };
+
+    await assert.rejects(downloadImage('http://public.test/a.png'), /Only public http\(s\) image URLs/);
+    assert.deepEqual(requested, ['http://public.test/a.png']);
+  });
+
+  it('stops after too many redirects', async () => {
+    axios.get = async () => ({ status: 301, headers: { location: '/again' } });
+    await assert.rejects(downloadImage('http://public.test/a.png'), /too many redirects/);
+  });
+});
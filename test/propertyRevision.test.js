@@ -0,0 +1,51 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { onQuery, resetFixtures, savedDocuments } from './helpers/app.js';
+import { recordPropertyRevision } from '../src/services/propertyRevision.service.js';
+
+// Revision versions are taken from the property with an atomic $inc, so
+// concurrent edits of one property record distinct versions
+
+describe('recordPropertyRevision', () => {
+  const propertyId = new mongoose.Types.ObjectId();
+  const changes = [{ field: 'price', from: 100, to: 120 }];
+  let editVersion;
+
+  beforeEach(() => {
+    resetFixtures();
+    editVersion = 3;
+    onQuery(({ model, op, filter, update }) => {
+      if (model === 'Property' && op === 'findOneAndUpdate' && String(filter._id) === String(propertyId)) {
+        assert.deepEqual(update.$inc, { editVersion: 1 });
+        editVersion += 1;
+        return { _id: propertyId, editVersion };
+      }
+      return undefined;
+    });
+  });
+
+  it('records the edit under the next version of the property', async () => {
+    const revision = await recordPropertyRevision({ property: { _id: propertyId, editVersion: 3 }, changes });
+
+    assert.equal(revision.version, 4);
+  });
+
+  it('gives concurrent edits of a stale document distinct versions', async () => {
+    const stale = { _id: propertyId, editVersion: 3 };
+
+    await Promise.all([
+      recordPropertyRevision({ property: stale, changes }),
+      recordPropertyRevision({ property: stale, changes })
+    ]);
+
+    assert.deepEqual(savedDocuments.map((revision) => revision.version).sort(), [4, 5]);
+  });
+
+  it('records nothing for a property that no longer exists', async () => {
+    const revision = await recordPropertyRevision({ property: { _id: new mongoose.Types.ObjectId() }, changes });
+
+    assert.equal(revision, null);
+    assert.equal(savedDocuments.length, 0);
+  });
+});
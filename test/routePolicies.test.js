@@ -0,0 +1,276 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { startApp, onQuery, resetFixtures, savedDocuments, brokerDetails } from './helpers/app.js';
+
+// Route policies of the permission matrix (src/config/permissions.js):
+// no token → 401, a role without the permission → 403, a role holding it gets
+// through the policy to the handler.
+
+const id = () => String(new mongoose.Types.ObjectId());
+const ROLES = ['admin', 'broker', 'customer'];
+
+const POLICIES = [
+  // Admin dashboard, jobs and moderation
+  ['GET', '/api/admin/dashboard/stats', ['admin']],
+  ['GET', '/api/admin/jobs', ['admin']],
+  ['POST', `/api/admin/jobs/${id()}/retry`, ['admin']],
+  ['GET', '/api/admin/moderation/properties', ['admin']],
+  ['GET', '/api/admin/moderation/reason-codes', ['admin']],
+  ['POST', `/api/admin/moderation/properties/${id()}/claim`, ['admin']],
+  ['POST', `/api/admin/moderation/properties/${id()}/assign`, ['admin']],
+  ['POST', `/api/admin/moderation/properties/${id()}/approve`, ['admin']],
+  ['POST', `/api/admin/moderation/properties/${id()}/reject`, ['admin']],
+  ['POST', `/api/admin/moderation/properties/${id()}/request-changes`, ['admin']],
+
+  // Brokers
+  ['POST', '/api/auth/admin/broker', ['admin']],
+  ['PATCH', `/api/brokers/${id()}/approve`, ['admin']],
+  ['PATCH', `/api/brokers/${id()}/reject`, ['admin']],
+  ['PATCH', `/api/brokers/${id()}/verification`, ['admin']],
+
+  // Customers
+  ['GET', '/api/customers', ['admin']],
+
+  // Regions
+  ['POST', '/api/regions', ['admin']],
+  ['PUT', `/api/regions/${id()}`, ['admin']],
+  ['DELETE', `/api/regions/${id()}`, ['admin']],
+
+  // Properties
+  ['POST', '/api/properties', ['admin', 'broker']],
+  ['PATCH', `/api/properties/${id()}/approve`, ['admin']],
+  ['PATCH', `/api/properties/${id()}/reject`, ['admin']],
+  ['POST', `/api/properties/${id()}/transfer`, ['admin', 'broker']],
+
+  // Property ads
+  ['POST', '/api/property-ads/ads', ['admin']],
+  ['PUT', `/api/property-ads/ads/${id()}`, ['admin']],
+  ['DELETE', `/api/property-ads/ads/${id()}`, ['admin']],
+
+  // Leads
+  ['GET', '/api/leads/export', ['admin', 'broker']],
+  ['PATCH', `/api/leads/${id()}/verification`, ['admin']],
+  ['GET', '/api/lead-routing/rules', ['admin']],
+  ['PUT', `/api/lead-routing/rules/${id()}`, ['admin']],
+  ['DELETE', `/api/lead-routing/rules/${id()}`, ['admin']],
+  ['POST', `/api/lead-routing/leads/${id()}`, ['admin']],
+
+  // Imports
+  ['POST', '/api/import/brokers', ['admin']],
+  ['POST', '/api/import/properties', ['admin']],
+  ['POST', '/api/import/leads', ['admin']],
+  ['POST', '/api/import/jobs', ['admin']],
+  ['GET', '/api/import/jobs', ['admin']],
+  ['GET', `/api/import/jobs/${id()}`, ['admin']],
+  ['PUT', `/api/import/jobs/${id()}/mapping`, ['admin']],
+  ['POST', `/api/import/jobs/${id()}/dry-run`, ['admin']],
+  ['POST', `/api/import/jobs/${id()}/commit`, ['admin']],
+  ['GET', `/api/import/jobs/${id()}/errors.csv`, ['admin']],
+
+  // Contact, subscriptions, notifications, SMS
+  ['GET', '/api/contact', ['admin']],
+  ['GET', '/api/email-subscription', ['admin']],
+  ['GET', '/api/notifications/admin/all', ['admin']],
+  ['GET', '/api/notifications/admin/recent', ['admin']],
+  ['PATCH', '/api/notifications/admin/read-all', ['admin']],
+  ['GET', '/api/sms/messages', ['admin']],
+
+  // Chats (participants only, see below)
+  ['GET', `/api/chats/${id()}/messages`, ['admin', 'broker', 'customer'], { ownership: true }]
+];
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  resetFixtures();
+});
+
+describe('route policies', () => {
+  for (const [method, path, allowed, { ownership = false } = {}] of POLICIES) {
+    describe(`${method} ${path}`, () => {
+      it('rejects requests without a token (401)', async () => {
+        const { status } = await app.request(method, path);
+        assert.equal(status, 401);
+      });
+
+      for (const role of ROLES.filter((r) => !allowed.includes(r))) {
+        it(`rejects ${role} (403)`, async () => {
+          const { status } = await app.request(method, path, { as: role });
+          assert.equal(status, 403);
+        });
+      }
+
+      // Routes with an ownership check are covered with fixtures below
+      if (!ownership) {
+        for (const role of allowed) {
+          it(`lets ${role} through`, async () => {
+            const { status } = await app.request(method, path, { as: role });
+            assert.ok(![401, 403].includes(status), `${role} got ${status}`);
+          });
+        }
+      }
+    });
+  }
+});
+
+describe('POST /api/properties', () => {
+  const region = id();
+  const listing = {
+    title: 'Two bedroom flat',
+    propertyType: 'Residential',
+    price: 5000000,
+    address: 'Sector 62',
+    region
+  };
+
+  beforeEach(() => {
+    onQuery(({ model, op, filter }) => {
+      if (model === 'Region' && op === 'findOne' && String(filter._id) === region) return { _id: region };
+      if (model === 'BrokerDetail' && op === 'findOne' && filter._id) return { _id: filter._id };
+      if (model === 'Property' && op === 'findOne' && filter._id) return { _id: filter._id, title: listing.title };
+      return undefined;
+    });
+  });
+
+  it('creates the listing for the calling broker, whatever broker the body names', async () => {
+    const { status } = await app.request('POST', '/api/properties', {
+      as: 'broker',
+      body: { ...listing, broker: String(brokerDetails.otherBroker._id) }
+    });
+
+    assert.equal(status, 201);
+    const property = savedDocuments.find((doc) => doc.constructor.modelName === 'Property');
+    assert.equal(String(property.broker), String(brokerDetails.broker._id));
+  });
+
+  it('creates the listing for the broker named by an admin', async () => {
+    const { status } = await app.request('POST', '/api/properties', {
+      as: 'admin',
+      body: { ...listing, broker: String(brokerDetails.otherBroker._id) }
+    });
+
+    assert.equal(status, 201);
+    const property = savedDocuments.find((doc) => doc.constructor.modelName === 'Property');
+    assert.equal(String(property.broker), String(brokerDetails.otherBroker._id));
+  });
+
+  it('sends a broker\'s listing to the moderation queue even when it asks for Active', async () => {
+    const { status } = await app.request('POST', '/api/properties', {
+      as: 'broker',
+      body: { ...listing, broker: String(brokerDetails.broker._id), status: 'Active' }
+    });
+
+    assert.equal(status, 201);
+    const property = savedDocuments.find((doc) => doc.constructor.modelName === 'Property');
+    assert.equal(property.status, 'Pending Approval');
+  });
+
+  it('lets an admin publish a listing directly', async () => {
+    const { status } = await app.request('POST', '/api/properties', {
+      as: 'admin',
+      body: { ...listing, broker: String(brokerDetails.broker._id), status: 'Active' }
+    });
+
+    assert.equal(status, 201);
+    const property = savedDocuments.find((doc) => doc.constructor.modelName === 'Property');
+    assert.equal(property.status, 'Active');
+  });
+
+  it('rejects customers (403)', async () => {
+    const { status } = await app.request('POST', '/api/properties', {
+      as: 'customer',
+      body: { ...listing, broker: String(brokerDetails.broker._id) }
+    });
+    assert.equal(status, 403);
+  });
+});
+
+describe('GET /api/chats/:chatId/messages', () => {
+  const chatId = id();
+  const participants = [brokerDetails.broker._id, brokerDetails.customer._id].map(String);
+
+  beforeEach(() => {
+    onQuery(({ model, op, filter }) => {
+      if (model === 'Chat' && op === 'findOne') {
+        return String(filter._id) === chatId && participants.includes(String(filter.participants))
+          ? { _id: chatId }
+          : null;
+      }
+      if (model === 'Message' && op === 'find') return [{ chatId, text: 'Hello' }];
+      return undefined;
+    });
+  });
+
+  it('returns the messages to a broker in the chat', async () => {
+    const { status, body } = await app.request('GET', `/api/chats/${chatId}/messages`, { as: 'broker' });
+    assert.equal(status, 200);
+    assert.equal(body.messages.length, 1);
+  });
+
+  it('returns the messages to a customer in the chat', async () => {
+    const { status } = await app.request('GET', `/api/chats/${chatId}/messages`, { as: 'customer' });
+    assert.equal(status, 200);
+  });
+
+  it('rejects a broker outside the chat (403)', async () => {
+    const { status } = await app.request('GET', `/api/chats/${chatId}/messages`, { as: 'otherBroker' });
+    assert.equal(status, 403);
+  });
+
+  it('rejects admin, who is no chat participant (403)', async () => {
+    const { status } = await app.request('GET', `/api/chats/${chatId}/messages`, { as: 'admin' });
+    assert.equal(status, 403);
+  });
+});
+
+describe('property ads', () => {
+  const adId = id();
+
+  beforeEach(() => {
+    onQuery(({ model, op, filter }) => {
+      if (model === 'PropertyAd' && ['findOneAndUpdate', 'findOneAndDelete'].includes(op) && String(filter._id) === adId) {
+        return { _id: adId, title: 'Ad' };
+      }
+      return undefined;
+    });
+  });
+
+  it('lets admin create an ad', async () => {
+    const { status } = await app.request('POST', '/api/property-ads/ads', {
+      as: 'admin',
+      body: { title: 'Ad', price: 100, bhk: 2, city: 'Noida', locality: 'Sector 62', propertyType: 'Apartment' }
+    });
+    assert.equal(status, 201);
+  });
+
+  it('lets admin update an ad', async () => {
+    const { status } = await app.request('PUT', `/api/property-ads/ads/${adId}`, { as: 'admin', body: { title: 'New title' } });
+    assert.equal(status, 200);
+  });
+
+  it('lets admin delete an ad', async () => {
+    const { status } = await app.request('DELETE', `/api/property-ads/ads/${adId}`, { as: 'admin' });
+    assert.equal(status, 200);
+  });
+
+  it('keeps the ad listing public', async () => {
+    const { status } = await app.request('GET', '/api/property-ads/ads');
+    assert.equal(status, 200);
+  });
+});
+
+describe('GET /api/customers', () => {
+  it('lists customers for admin', async () => {
+    const { status } = await app.request('GET', '/api/customers?page=1&limit=10', { as: 'admin' });
+    assert.equal(status, 200);
+  });
+});